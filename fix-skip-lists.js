@@ -1,3 +1,3 @@
 // スキップリストを修正するプログラムのエントリポイント
-// リファクタリングされたコードを実行する
-require('./src/fix-skip-lists');
\ No newline at end of file
+// `node index.js lists fix` と同じ処理を実行する
+require('./src/cli').runCli(['lists', 'fix', ...process.argv.slice(2)]);
@@ -1,2 +1,3 @@
-// メインエントリポイント - リファクタリングされたコードを実行する
-require('./src/index');
\ No newline at end of file
+#!/usr/bin/env node
+// メインエントリポイント - サブコマンド（download, status, verify, retry, lists, export）を実行する
+require('./src/cli').runCli(process.argv.slice(2));
@@ -0,0 +1,167 @@
+// コマンドラインのエントリポイント - サブコマンドを選んで実行する
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, applyDirectorySettings } = require('./config/config');
+const { getConfigErrors, getConfigWarnings, loadConfigFile } = require('./config/config-loader');
+const { createUsageError, parseCommandLine, applyConfigOverrides, printUsage } = require('./utils/cli-args');
+const { ensureRuntimeDirectories } = require('./utils/file-utils');
+const { colorize, ANSI_COLORS, setColorTheme } = require('./utils/progress-bar');
+
+// サブコマンドの一覧（各モジュールは { name, description, usage, options, run(args) } を実装する）
+// ファイルを書き込むコマンドは requiresDirectories に true（またはオプションの値を受け取って判定する関数）を指定する
+// （実行前に保存先を作成・確認する）
+const COMMANDS = [
+  require('./commands/download'),
+  require('./commands/status'),
+  require('./commands/verify'),
+  require('./commands/reindex'),
+  require('./commands/retry'),
+  require('./commands/lists'),
+  require('./commands/export'),
+  require('./commands/config')
+];
+
+// サブコマンドを省略した場合に実行するコマンド
+const DEFAULT_COMMAND = 'download';
+
+// 実行コマンドの表示名
+const PROGRAM_NAME = 'node index.js';
+
+/**
+ * 名前からサブコマンドを探す
+ * @param {string} name - コマンド名
+ * @returns {Object|null} コマンド
+ */
+function findCommand(name) {
+  return COMMANDS.find(command => command.name === name) || null;
+}
+
+/**
+ * 引数からサブコマンドを選ぶ
+ * 先頭の引数がコマンド名でなければ download として扱う（オプションやアーカイブのパスを直接指定した場合）
+ * @param {Array<string>} argv - 引数
+ * @returns {{command: Object|null, args: Array<string>}} コマンド（ヘルプ表示の場合はnull）と残りの引数
+ * @throws {Error} 不明なコマンドの場合（type: 'usage'）
+ */
+function selectCommand(argv) {
+  const [first, ...rest] = argv;
+
+  if (first === 'help') {
+    return { command: rest[0] ? findCommand(rest[0]) : null, args: ['--help'] };
+  }
+
+  if (first === undefined || first.startsWith('-')) {
+    // コマンドなしの --help は全体の使い方を表示
+    const wantsHelp = argv.includes('--help') || argv.includes('-h');
+    return { command: wantsHelp ? null : findCommand(DEFAULT_COMMAND), args: argv };
+  }
+
+  const command = findCommand(first);
+  if (command) {
+    return { command, args: rest };
+  }
+
+  // 既存のファイルやフォルダはアーカイブのパスとして download に渡す
+  if (fs.existsSync(first)) {
+    return { command: findCommand(DEFAULT_COMMAND), args: argv };
+  }
+
+  throw createUsageError(`不明なコマンドです: ${first} (指定可能: ${COMMANDS.map(c => c.name).join(', ')})`);
+}
+
+/**
+ * 全体の使い方（コマンドの一覧）を表示する
+ */
+function printCommandList() {
+  printUsage(`${PROGRAM_NAME} [コマンド] [オプション]`);
+  console.log('コマンド:');
+  COMMANDS.forEach(command => {
+    console.log(`  ${command.name.padEnd(28)} ${command.description}`);
+  });
+  console.log(`\nコマンドごとの使い方は ${PROGRAM_NAME} <コマンド> --help で確認できます`);
+  console.log('');
+}
+
+/**
+ * コマンドラインを解析してサブコマンドを実行する
+ * @param {Array<string>} argv - 引数（process.argv.slice(2)）
+ * @returns {Promise<number>} 終了コード
+ */
+async function main(argv) {
+  // 設定ファイルの値が不正な場合は、何もせずに終了する（環境変数の不正な値は警告を表示して無視する）
+  const configErrors = getConfigErrors();
+  if (configErrors.length > 0) {
+    configErrors.forEach(error => console.error(`${colorize('設定エラー', ANSI_COLORS.red)}: ${error.message}`));
+    return 2;
+  }
+  getConfigWarnings().forEach(warning => console.error(`${colorize('設定の警告', ANSI_COLORS.yellow)}: ${warning.message}`));
+
+  try {
+    const { command, args } = selectCommand(argv);
+    if (!command) {
+      printCommandList();
+      return 0;
+    }
+
+    const commandLine = parseCommandLine(args, command.options);
+    if (commandLine.help) {
+      printUsage(`${PROGRAM_NAME} ${command.name} ${command.usage}`, command.options);
+      return 0;
+    }
+
+    if (commandLine.values.config) {
+      loadConfigFile(path.resolve(commandLine.values.config), { required: true });
+    }
+    applyConfigOverrides(commandLine.overrides);
+    applyDirectorySettings();
+    setColorTheme(CONFIG.UX.COLOR_THEME);
+    
+    const requiresDirectories = typeof command.requiresDirectories === 'function'
+      ? command.requiresDirectories(commandLine.values)
+      : command.requiresDirectories;
+    if (requiresDirectories) {
+      ensureRuntimeDirectories();
+    }
+
+    return await command.run({ positionals: commandLine.positionals, values: commandLine.values });
+  } catch (err) {
+    if (err.type === 'config') {
+      console.error(`${colorize('設定エラー', ANSI_COLORS.red)}: ${err.message}`);
+      return 2;
+    }
+    if (err.type === 'directory') {
+      console.error(`${colorize('保存先エラー', ANSI_COLORS.red)}: ${err.message}`);
+      return 1;
+    }
+    if (err.type !== 'usage') throw err;
+    console.error(`${colorize('エラー', ANSI_COLORS.red)}: ${err.message}`);
+    console.error('使い方は --help で確認できます');
+    return 2;
+  }
+}
+
+/**
+ * main を実行し、終了コードを設定する
+ * @param {Array<string>} argv - 引数
+ */
+function runCli(argv) {
+  main(argv)
+    .then(code => {
+      process.exitCode = code;
+    })
+    .catch(err => {
+      console.error(colorize('致命的なエラーが発生しました:', ANSI_COLORS.brightRed), err);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = {
+  COMMANDS,
+  main,
+  runCli
+};
+
+// 直接実行された場合
+if (require.main === module) {
+  runCli(process.argv.slice(2));
+}
@@ -0,0 +1,95 @@
+// config コマンド: 現在の設定値と、その値がどこで設定されたか（デフォルト・設定ファイル・環境変数・コマンドライン）を表示する
+const { getConfigFileCandidates, getLoadedConfigFiles, listEffectiveConfig, CONFIG_FILE_ENV } = require('../config/config-loader');
+const { createUsageError } = require('../utils/cli-args');
+const { colorize, ANSI_COLORS } = require('../utils/progress-bar');
+
+// 値の出どころの表示名
+const SOURCE_LABELS = {
+  default: 'デフォルト',
+  file: '設定ファイル',
+  env: '環境変数',
+  cli: 'コマンドライン'
+};
+
+// 設定ファイルの種類の表示名
+const SCOPE_LABELS = {
+  user: 'ユーザー',
+  project: 'プロジェクト',
+  explicit: CONFIG_FILE_ENV
+};
+
+/**
+ * 値の出どころを表示用の文字列にする
+ * @param {{source: string, detail: string|null}} origin - 値の出どころ
+ * @returns {string} 表示用の文字列
+ */
+function formatOrigin({ source, detail }) {
+  return detail ? `${SOURCE_LABELS[source]} (${detail})` : SOURCE_LABELS[source];
+}
+
+/**
+ * 設定値の一覧を表示する
+ * @param {boolean} asJson - JSONで出力するかどうか
+ */
+function showConfig(asJson) {
+  const entries = listEffectiveConfig();
+
+  if (asJson) {
+    console.log(JSON.stringify(entries.map(({ key, value, source, detail }) => ({ key, value, source, detail })), null, 2));
+    return;
+  }
+
+  const keyWidth = Math.max(...entries.map(entry => entry.key.length));
+  entries.forEach(entry => {
+    const color = entry.source === 'default' ? ANSI_COLORS.dim : ANSI_COLORS.cyan;
+    console.log(`${colorize(entry.key.padEnd(keyWidth), ANSI_COLORS.bold)}  ${JSON.stringify(entry.value)}  ${colorize(formatOrigin(entry), color)}`);
+  });
+}
+
+/**
+ * 設定ファイルの候補と読み込み状況を表示する
+ */
+function showConfigPaths() {
+  const loadedFiles = getLoadedConfigFiles();
+
+  console.log('設定ファイル（下のものほど優先、--config で指定したファイルが最優先）:');
+  getConfigFileCandidates().forEach(candidate => {
+    const status = loadedFiles.includes(candidate.path)
+      ? colorize('読み込み済み', ANSI_COLORS.green)
+      : colorize('なし', ANSI_COLORS.dim);
+    console.log(`  ${SCOPE_LABELS[candidate.scope]}: ${candidate.path} (${status})`);
+  });
+}
+
+/**
+ * config コマンドを実行する
+ * @param {{positionals: Array<string>, values: Object}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function run({ positionals, values }) {
+  const [action = 'show', ...rest] = positionals;
+  if (rest.length > 0) {
+    throw createUsageError(`引数が多すぎます: ${rest.join(' ')}`);
+  }
+
+  switch (action) {
+    case 'show':
+      showConfig(values.json);
+      return 0;
+    case 'path':
+      showConfigPaths();
+      return 0;
+    default:
+      throw createUsageError(`不明な操作です: ${action} (指定可能: show, path)`);
+  }
+}
+
+module.exports = {
+  name: 'config',
+  description: '現在の設定値とその設定元を表示（show, path）',
+  usage: '[show|path] [オプション]',
+  options: [
+    { name: 'json', description: '設定値をJSONで出力' }
+  ],
+  run
+};
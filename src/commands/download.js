@@ -0,0 +1,1027 @@
+// download コマンド: Twitterのいいね（およびブックマークなど）から画像とメタデータをダウンロードする
+const { CONFIG } = require('../config/config');
+const { getDownloadedIds, saveLibraryIndex } = require('../utils/library-index');
+const { scanInputItems, streamInputItems } = require('../sources');
+const { compareWithPreviousExport, getNewnessGroups, recordExportSnapshot } = require('../utils/export-history');
+const { getArchive, listKnownDatasets } = require('../utils/archive-utils');
+const { loadSkipLists, getListSizes, addToNoMediaList } = require('../utils/list-handlers');
+const { SKIP_REASONS, decideTweetAction, createDownloadPlan } = require('../utils/download-plan');
+const { prepareTweetMedia, downloadTweetMedia } = require('../services/media-service');
+const { getApiRateLimiter } = require('../services/twitter-api-service');
+const { loadMetadata } = require('../services/metadata-service');
+const { filterItems, createItemMatcher, describeFilters } = require('../utils/tweet-filter');
+const { sleep, saveErrorLogs, logDebug } = require('../utils/error-handlers');
+const { 
+  formatFileSize, 
+  formatTime, 
+  colorize, 
+  ANSI_COLORS,
+  displayProgress,
+  clearMultilineProgress,
+  createSpinner,
+  stopSpinner,
+  playNotification,
+  enableInteractiveMode,
+  disableInteractiveMode,
+  getInteractiveState
+} = require('../utils/progress-bar');
+const { saveState, loadState } = require('../utils/state-handlers');
+const { runWorkerPool, createBoundedQueue } = require('../utils/worker-pool');
+const { getTransferStats, closeConnections } = require('../utils/http-client');
+const {
+  getBandwidthLimit,
+  stepBandwidthLimit,
+  resetBandwidthLimit,
+  onBandwidthLimitChange
+} = require('../utils/bandwidth-limiter');
+const { applyArchiveArgument, createUsageError } = require('../utils/cli-args');
+
+/**
+ * ツイート処理の統計情報
+ */
+const stats = {
+  startTime: 0,
+  totalProcessed: 0,
+  skipped: {
+    total: 0,
+    alreadyDownloaded: 0,
+    inSkipList: 0,
+    notFound: 0,
+    sensitive: 0,
+    parseError: 0,
+    noMedia: 0,
+    filtered: 0
+  },
+  downloaded: 0,
+  errors: 0,
+  mediaFilesDownloaded: 0,
+  metadataSaved: 0,
+  // メディアの一部だけを保存済みだったツイート（found: 処理した件数、completed: 足りないメディアをすべて保存できた件数）
+  incompleteMedia: {
+    found: 0,
+    completed: 0
+  },
+  apiCalls: 0,
+  cachedResponses: 0,
+  lastSavePoint: 0,
+  savePointCount: 0
+};
+
+// 前回の進捗表示の行数
+let lastProgressLines = 0;
+
+/**
+ * 進捗表示を更新（前回の表示をクリア）
+ * @param {string} status - 状態メッセージ
+ * @param {number} progress - 進捗率（0-100）
+ * @param {object} details - 詳細情報（オプション）
+ */
+function updateProgressDisplay(status, progress, details = null) {
+  try {
+    // プログレスバーを表示
+    displayProgress(status, progress, details);
+    
+    // 100%完了の場合は改行して次の表示に備える
+    if (progress >= 100) {
+      process.stdout.write('\n');
+      if (details) {
+        process.stdout.write('\n');
+      }
+    }
+  } catch (err) {
+    // プログレスバー表示で問題が発生しても処理を継続
+    console.error('プログレス表示エラー:', err);
+  }
+}
+
+/**
+ * 処理するアイテムを集計し、処理順に並べて絞り込み条件を適用したアイテムを読み込めるようにする
+ * 入力データは件数とツイートIDだけを先に集計し（1回目の読み込み）、アイテムは処理しながら1件ずつ読み込む
+ * @param {Object} options - downloadAllImagesのオプション
+ * @param {boolean} [showSpinner] - 読み込み中のスピナーを表示するかどうか
+ * @returns {Promise<{isTargetedRun: boolean, loadedCount: number, totalItems: number, readItems: function(Set<string>=): AsyncIterable<Object>,
+ *            countProcessed: function(Set<string>): number, idsBySource: Map<string, Set<string>>, sourceSummaries: Array<Object>, duplicateItems: number, filteredOut: number,
+ *            exportComparison: Object}|null>} 読み込み結果（入力データがない場合はnull）
+ */
+async function loadRunItems(options, showSpinner = true) {
+  const isTargetedRun = Array.isArray(options.items);
+  
+  if (isTargetedRun) {
+    const { items, excluded } = filterItems(options.items, loadMetadata);
+    return {
+      isTargetedRun,
+      loadedCount: options.items.length,
+      totalItems: items.length,
+      readItems: (processedIds = new Set()) => items.filter(item => !processedIds.has(item.tweetId)).values(),
+      countProcessed: processedIds => items.filter(item => processedIds.has(item.tweetId)).length,
+      idsBySource: new Map(),
+      sourceSummaries: [],
+      duplicateItems: 0,
+      filteredOut: excluded,
+      exportComparison: { newIds: new Set(), diffs: [] }
+    };
+  }
+  
+  // 入力データ（いいね、ブックマークなど）の件数とツイートIDを集計し、絞り込み条件を判定する
+  const spinner = showSpinner ? createSpinner('入力データを読み込み中...') : null;
+  const scan = await scanInputItems(CONFIG.INPUT_SOURCES, { match: createItemMatcher(loadMetadata) });
+  stopSpinner(spinner);
+  
+  if (scan.total === 0) {
+    console.error(colorize('入力データの読み込みに失敗しました。', ANSI_COLORS.brightRed));
+    return null;
+  }
+  
+  // 前回のエクスポートと比較し、新しく追加されたツイートを先に処理する
+  const exportComparison = compareWithPreviousExport(scan.idsBySource, scan.summaries.map(summary => summary.name));
+  const groupMatchers = getNewnessGroups(exportComparison);
+  const groups = groupMatchers.map(() => new Set());
+  let orderedCount = 0;
+  
+  for (const tweetId of scan.tweetIds) {
+    const groupIndex = groupMatchers.findIndex(isInGroup => isInGroup(tweetId));
+    if (groupIndex === -1) continue;
+    orderedCount++;
+    if (scan.matchedIds.has(tweetId)) {
+      groups[groupIndex].add(tweetId);
+    }
+  }
+  
+  // 件数の上限は絞り込み後の先頭から適用する
+  const matchedCount = groups.reduce((sum, group) => sum + group.size, 0);
+  const totalItems = CONFIG.FILTER.LIMIT !== null ? Math.min(matchedCount, CONFIG.FILTER.LIMIT) : matchedCount;
+  
+  /**
+   * 処理順に並んだアイテムを1件ずつ読み込む（件数の上限までのアイテムから、処理済みのものを除く）
+   * @param {Set<string>} [processedIds] - 処理済みのツイートID（セーブポイントから再開する場合）
+   * @returns {AsyncGenerator<Object>} 入力アイテム
+   */
+  async function* readItems(processedIds = new Set()) {
+    let index = 0;
+    for (const group of groups) {
+      if (index >= totalItems) return;
+      for await (const item of streamInputItems(scan, group)) {
+        if (index++ >= totalItems) return;
+        if (processedIds.has(item.tweetId)) continue;
+        yield item;
+      }
+    }
+  }
+  
+  /**
+   * 件数の上限までのアイテムのうち、処理済みのものを数える（streamInputItems と同じく入力データの順番で数える）
+   * @param {Set<string>} processedIds - 処理済みのツイートID
+   * @returns {number} 処理済みの件数
+   */
+  function countProcessed(processedIds) {
+    let index = 0;
+    let count = 0;
+    for (const group of groups) {
+      for (const tweetId of group) {
+        if (index++ >= totalItems) return count;
+        if (processedIds.has(tweetId)) count++;
+      }
+    }
+    return count;
+  }
+  
+  return {
+    isTargetedRun,
+    loadedCount: scan.total,
+    totalItems,
+    readItems,
+    countProcessed,
+    idsBySource: scan.idsBySource,
+    sourceSummaries: scan.summaries,
+    duplicateItems: scan.duplicates,
+    filteredOut: orderedCount - totalItems,
+    exportComparison
+  };
+}
+
+/**
+ * セーブポイントから再開できるかどうかを判定する
+ * 処理済みのツイートIDで再開するため、件数（新しいエクスポートや絞り込み条件の変更）が変わっても再開できる
+ * （前回の実行がすべて処理して終わった場合と、ツイートIDを記録していない古い形式の場合は最初から処理する）
+ * @param {Object|null} savedState - loadStateの戻り値
+ * @returns {boolean} 再開できる場合はtrue
+ */
+function canResume(savedState) {
+  return Boolean(savedState) && savedState.processedIds instanceof Set && savedState.remainingItems > 0;
+}
+
+/**
+ * 帯域制限の表示用の文字列を作成する
+ * @param {{limit: number|null, source: string, schedule: string|null}} current - getBandwidthLimit の戻り値
+ * @returns {string} "1 MB/秒 (時間帯 09:00-18:00)" のような文字列
+ */
+function describeBandwidthLimit(current) {
+  const limitText = current.limit ? `${formatFileSize(current.limit, 1)}/秒` : '制限なし';
+  if (current.source === 'schedule') return `${limitText} (時間帯 ${current.schedule})`;
+  if (current.source === 'manual') return `${limitText} (手動で変更)`;
+  return limitText;
+}
+
+/**
+ * 各入力アイテム（いいねなど）から画像をダウンロード
+ * @param {Object} [options] - オプション
+ * @param {Array<{tweetId: string, tweetUrl: string, sources: Array<string>}>} [options.items] -
+ *        処理するアイテム（retry コマンドなどで指定。この場合は再開・エクスポート履歴の記録を行わない）
+ * @param {function(string): void} [options.onItemStart] - ツイートの処理を始める前（スキップの判定の前）に呼ばれる関数
+ * @param {function(string): void} [options.onItemDone] - ツイートの処理を終えたときに呼ばれる関数
+ * @returns {Promise<number>} 終了コード
+ */
+async function downloadAllImages(options = {}) {
+  // 開始時刻を記録
+  stats.startTime = Date.now();
+  lastProgressLines = 0;
+  
+  const loaded = await loadRunItems(options);
+  if (!loaded) {
+    return 1;
+  }
+  const { isTargetedRun, totalItems, readItems, countProcessed, idsBySource, sourceSummaries, duplicateItems, filteredOut, exportComparison } = loaded;
+  const { onItemStart, onItemDone } = options;
+  
+  // 保存された状態を確認（対象を指定した実行では再開しない）
+  // processedIds には今回の対象外のツイートも残す（次回の再開でも処理済みとして扱う）
+  let processedIds = new Set();
+  let resumedCount = 0;
+  let shouldResume = false;
+  
+  const savedState = isTargetedRun ? null : await loadState();
+  if (savedState) {
+    const resumeSpinner = createSpinner('前回の続きを確認中...');
+    
+    if (canResume(savedState)) {
+      shouldResume = true;
+      processedIds = savedState.processedIds;
+      resumedCount = countProcessed(processedIds);
+      
+      // 統計情報の復元
+      if (savedState.stats) {
+        // スキップの内訳は、保存時になかった項目を0のまま残す
+        Object.assign(stats, savedState.stats, { skipped: { ...stats.skipped, ...savedState.stats.skipped } });
+        // 古い形式のセーブポイントに保存されていた作成位置の一覧は引き継がない（回数のみ数える）
+        delete stats.savePoints;
+        stats.startTime = Date.now() - (Date.now() - new Date(savedState.timestamp).getTime());
+      }
+      
+      stopSpinner(resumeSpinner, `前回の続きから再開します (${Math.round((resumedCount / totalItems) * 100)}% 完了)`);
+    } else {
+      stopSpinner(resumeSpinner, '保存データを検出しましたが、一致しないため最初から開始します');
+    }
+  }
+  
+  console.log(`${colorize('━━━━━━━━━━━━━━━━━━━ ダウンロード開始 ━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan)}`);
+  // 読み込んだアーカイブの情報を表示
+  if (!isTargetedRun) {
+    const archive = getArchive();
+    console.log(`${colorize('アーカイブ', ANSI_COLORS.bold)}: ${archive.path} (${archive.type === 'zip' ? 'ZIP' : 'フォルダ'})`);
+    const datasets = listKnownDatasets();
+    if (datasets.length > 0) {
+      console.log(`  ${colorize('└ 検出したデータ', ANSI_COLORS.dim)}: ${datasets.map(dataset => `${dataset.name} (${dataset.files.length})`).join(', ')}`);
+    }
+  }
+  
+  console.log(`${colorize('ダウンロードツール', ANSI_COLORS.bold)} - 合計 ${colorize(totalItems.toString(), ANSI_COLORS.cyan)} 件のツイートを処理します`);
+  
+  // 入力ソースとパートごとの件数を表示
+  sourceSummaries.forEach(summary => {
+    console.log(`  ${colorize('└ ' + summary.label, ANSI_COLORS.dim)} (${summary.name}): ${colorize(summary.count.toString(), ANSI_COLORS.cyan)}件`);
+    summary.parts.forEach(part => {
+      const partStatus = part.error
+        ? colorize(`読み込み失敗 (${part.error})`, ANSI_COLORS.red)
+        : `${colorize(part.count.toString(), ANSI_COLORS.cyan)}件`;
+      console.log(`    ${colorize('└ ' + part.fileName, ANSI_COLORS.dim)}: ${partStatus}`);
+    });
+  });
+  
+  if (duplicateItems > 0) {
+    console.log(`  ${colorize('└ 重複したツイートID (除外)', ANSI_COLORS.dim)}: ${colorize(duplicateItems.toString(), ANSI_COLORS.yellow)}件`);
+  }
+  
+  displayExportComparison(exportComparison);
+  
+  const filterDescriptions = describeFilters();
+  if (filterDescriptions.length > 0) {
+    console.log(`${colorize('絞り込み', ANSI_COLORS.green)}: ${filterDescriptions.join(' / ')} (除外 ${colorize(filteredOut.toString(), ANSI_COLORS.yellow)}件)`);
+  }
+  
+  if (shouldResume) {
+    console.log(`${colorize('再開モード', ANSI_COLORS.green)}: 処理済みの ${resumedCount} 件を除いて再開 (残り ${totalItems - resumedCount} 件)`);
+  }
+  
+  // デバッグモード時は追加メッセージを表示
+  if (CONFIG.DEBUG) {
+    console.log(`${colorize('デバッグモード', ANSI_COLORS.yellow)}が有効です (詳細ログを出力)`);
+  }
+  
+  // 帯域制限（設定されている場合のみ表示し、時間帯が切り替わったときも表示する）
+  if (CONFIG.BANDWIDTH_LIMIT || CONFIG.BANDWIDTH_SCHEDULE) {
+    const schedule = CONFIG.BANDWIDTH_SCHEDULE ? ` (時間帯ごとの制限: ${CONFIG.BANDWIDTH_SCHEDULE.join(', ')})` : '';
+    console.log(`${colorize('帯域制限', ANSI_COLORS.green)}: ${describeBandwidthLimit(getBandwidthLimit())}${schedule}`);
+  }
+  onBandwidthLimitChange((current) => {
+    console.log(`${colorize('帯域制限の変更', ANSI_COLORS.cyan)}: ${describeBandwidthLimit(current)}`);
+  });
+  
+  // すでにダウンロード済みのツイートIDを取得（メディアとメタデータを別々に）
+  // （インデックスがない場合は保存先のファイルから作成し、次回から走査せずに読み込めるように保存する）
+  const loadingSpinner = createSpinner('ライブラリのインデックスを読み込み中...');
+  const downloadedIds = getDownloadedIds();
+  saveLibraryIndex();
+  stopSpinner(loadingSpinner);
+  
+  console.log(`既存のダウンロード済みメディア: ${colorize(downloadedIds.mediaIds.size.toString(), ANSI_COLORS.green)}件`);
+  console.log(`既存の保存済みメタデータ: ${colorize(downloadedIds.metadataIds.size.toString(), ANSI_COLORS.green)}件`);
+  if (downloadedIds.partialMedia.size > 0) {
+    console.log(`メディアが一部だけ保存済みのツイート: ${colorize(downloadedIds.partialMedia.size.toString(), ANSI_COLORS.yellow)}件 (足りないメディアのみダウンロードします)`);
+  }
+  
+  // スキップリストを読み込む
+  const skipSpinner = createSpinner('スキップリストを読み込み中...');
+  loadSkipLists();
+  const listSizes = getListSizes();
+  stopSpinner(skipSpinner);
+  
+  console.log(`スキップリストのツイート: ${colorize(listSizes.skipIds.toString(), ANSI_COLORS.yellow)}件`);
+  console.log(`存在しないツイートリスト: ${colorize(listSizes.notFoundIds.toString(), ANSI_COLORS.yellow)}件`);
+  console.log(`センシティブコンテンツリスト: ${colorize(listSizes.sensitiveIds.toString(), ANSI_COLORS.yellow)}件`);
+  console.log(`解析エラーリスト: ${colorize(listSizes.parseErrorIds.toString(), ANSI_COLORS.yellow)}件`);
+  console.log(`メディアなしツイートリスト: ${colorize(listSizes.noMediaIds.toString(), ANSI_COLORS.yellow)}件`);
+  console.log(`${colorize('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan)}`);
+  console.log(`処理を開始します...`);
+  
+  // 処理は2段階のパイプラインで行う
+  // メタデータの段階（METADATA_WORKERS 並列）: スキップの判定、ツイート情報の取得（API呼び出しはレートリミッターで調整）とメタデータの保存
+  // メディアの段階（PARALLEL_DOWNLOADS 並列）: 画像/動画のダウンロード（API呼び出しの待機の影響を受けない）
+  // 段階の間のキューは MEDIA_QUEUE_SIZE 件までで、いっぱいの間はメタデータの段階が待機する
+  const metadataWorkerCount = CONFIG.METADATA_WORKERS;
+  const mediaWorkerCount = CONFIG.PARALLEL_DOWNLOADS;
+  const mediaQueue = createBoundedQueue(CONFIG.MEDIA_QUEUE_SIZE);
+  
+  // 段階ごとの件数（進捗表示用）
+  const stageStats = {
+    metadata: { active: 0, completed: 0 },
+    media: { active: 0, completed: 0 }
+  };
+  
+  // ワーカーごとの表示（メタデータの段階のワーカーの後にメディアの段階のワーカーを並べる）
+  const workerStates = [
+    ...Array.from({ length: metadataWorkerCount }, () => ({ idle: true, stage: 'メタデータ' })),
+    ...Array.from({ length: mediaWorkerCount }, () => ({ idle: true, stage: 'メディア' }))
+  ];
+  
+  // セーブポイントには処理を終えたツイートのIDを保存する（並列処理で順番どおりに終わらなくても、
+  // 再開時は処理中だったツイートだけをやり直す）
+  // セーブポイントは件数ではなく SAVE_POINT_INTERVAL ミリ秒ごとに作成する（スキップが続く間に何度も保存しない）
+  let completedCount = 0;
+  let lastSaveTime = Date.now();
+  // エラーになったツイートと、メタデータの取得後に絞り込み条件で除外したツイート（エクスポート履歴には処理済みとして記録しない）
+  const unfinishedIds = new Set();
+  let lastWorkerRender = 0;
+  let mediaStageFailed = false;
+  
+  /**
+   * 進捗表示の統計情報を取得
+   * @returns {Object} 進捗表示用の統計情報
+   */
+  const getProgressStats = () => ({
+    downloaded: stats.downloaded,
+    errors: stats.errors,
+    skipped: stats.skipped.total,
+    apiCalls: stats.apiCalls,
+    apiRate: getApiRateLimiter().getStatus(),
+    bandwidth: getBandwidthLimit(),
+    stages: {
+      metadata: { ...stageStats.metadata },
+      media: { ...stageStats.media, queued: mediaQueue.size() }
+    }
+  });
+  
+  /**
+   * ワーカーの進捗を表示（全体の進捗とワーカーごとの状態を表示）
+   * @param {number} workerId - ワーカー番号（workerStates の位置）
+   * @param {string} status - 状態メッセージ
+   * @param {number} progress - 進捗率（0-100）
+   * @param {Object} details - 詳細情報
+   */
+  const reportProgress = (workerId, status, progress, details = {}) => {
+    workerStates[workerId] = { stage: workerStates[workerId].stage, status, progress, ...details };
+    
+    // 表示の更新は一定間隔ごとに行う（ワーカーが多いと頻繁に書き換わるため）
+    const now = Date.now();
+    if (now - lastWorkerRender < CONFIG.UX.PROGRESS_UPDATE_INTERVAL) return;
+    lastWorkerRender = now;
+    
+    const processed = resumedCount + completedCount;
+    updateProgressDisplay(
+      `処理中 (メタデータ ${metadataWorkerCount}並列 / メディア ${mediaWorkerCount}並列)`,
+      Math.min(99, Math.round((processed / totalItems) * 100)),
+      {
+        counter: `[${processed}/${totalItems}]`,
+        workers: workerStates,
+        stats: getProgressStats()
+      }
+    );
+  };
+  
+  /**
+   * アイテムの処理完了を記録し、必要に応じてセーブポイントを作成
+   * @param {string} tweetId - 処理したツイートID
+   */
+  const markCompleted = async (tweetId) => {
+    processedIds.add(tweetId);
+    completedCount++;
+    if (onItemDone) {
+      onItemDone(tweetId);
+    }
+    
+    // 定期的にセーブポイントを作成（設定に基づく）
+    if (CONFIG.UX?.AUTO_SAVE_POINT && !isTargetedRun && Date.now() - lastSaveTime >= CONFIG.UX.SAVE_POINT_INTERVAL) {
+      lastSaveTime = Date.now();
+      await saveState(processedIds, resumedCount + completedCount, totalItems, stats);
+    }
+  };
+  
+  /**
+   * ワーカーを待機中の表示に戻す
+   * @param {number} workerId - ワーカー番号（workerStates の位置）
+   */
+  const markWorkerIdle = (workerId) => {
+    workerStates[workerId] = { idle: true, stage: workerStates[workerId].stage };
+  };
+  
+  // インタラクティブモードの設定
+  if (CONFIG.UX?.INTERACTIVE) {
+    enableInteractiveMode({
+      onPauseToggle: (isPaused) => {
+        if (isPaused) {
+          console.log(`${colorize('一時停止', ANSI_COLORS.yellow)}: スペースキーで再開`);
+        } else {
+          console.log(`${colorize('再開', ANSI_COLORS.green)}: 処理を続行します`);
+        }
+      },
+      onSpeedChange: (speedFactor) => {
+        console.log(`${colorize('速度変更', ANSI_COLORS.cyan)}: ${speedFactor.toFixed(1)}x`);
+        getApiRateLimiter().setSpeedFactor(speedFactor);
+      },
+      onBandwidthChange: (direction) => {
+        const current = direction === 'reset' ? resetBandwidthLimit() : stepBandwidthLimit(direction);
+        console.log(`${colorize('帯域制限', ANSI_COLORS.cyan)}: ${describeBandwidthLimit(current)}`);
+      },
+      onQuit: async () => {
+        console.log(`${colorize('\n終了リクエスト', ANSI_COLORS.yellow)}: 処理を安全に終了します...`);
+        if (!isTargetedRun) {
+          await saveState(processedIds, resumedCount + completedCount, totalItems, stats);
+        }
+        displayFinalStats();
+        process.exit(0);
+      }
+    });
+    
+    console.log(`${colorize('インタラクティブモード', ANSI_COLORS.green)}: [スペース]一時停止/再開 [+/-]速度調整 [[/]]帯域制限 [0]帯域制限を設定に戻す [q]終了`);
+  }
+  
+  // 処理終了時のクリーンアップ処理
+  process.on('SIGINT', async () => {
+    lastProgressLines = 0; // 進捗表示をリセット
+    console.log('\n' + colorize('処理が中断されました。', ANSI_COLORS.yellow));
+    
+    if (CONFIG.UX?.AUTO_SAVE_POINT && !isTargetedRun) {
+      await saveState(processedIds, resumedCount + completedCount, totalItems, stats);
+      console.log('処理状態を保存しました。次回起動時に続きから再開できます。');
+    }
+    
+    displayFinalStats();
+    disableInteractiveMode();
+    process.exit(0);
+  });
+  
+  /**
+   * 処理中のツイートの進捗を表示する関数を作成する
+   * @param {number} workerId - ワーカー番号（workerStates の位置）
+   * @param {string} tweetId - ツイートID
+   * @param {string} tweetUrl - ツイートURL
+   * @param {number} i - アイテムのインデックス
+   * @returns {function(string, number, Object=): void} prepareTweetMedia / downloadTweetMedia の onProgress に渡す関数
+   */
+  const createItemProgress = (workerId, tweetId, tweetUrl, i) => (status, progress, details = {}) => {
+    if (progress && typeof progress === 'number') {
+      reportProgress(workerId, `🔹 ${tweetId} ${status}`, progress, {
+        ...details,
+        counter: `[${i + 1}/${totalItems}]`,
+        type: 'ダウンロード',
+        item: tweetUrl
+      });
+    }
+  };
+  
+  /**
+   * ツイート1件の処理結果を統計情報に反映する
+   * @param {string} tweetId - ツイートID
+   * @param {Object} processResult - prepareTweetMedia / downloadTweetMedia の処理結果
+   */
+  const recordResult = (tweetId, processResult) => {
+    // 処理結果に基づいてステータスを更新
+    if (processResult.error) {
+      unfinishedIds.add(tweetId);
+      const errorType = processResult.errorType || '不明なエラー';
+      console.log(`${colorize('❌ エラー', ANSI_COLORS.red)}: ${tweetId} - ${errorType}: ${processResult.error}`);
+      stats.errors++;
+      
+      // 一部のメディアのみ保存できた場合も、保存したファイルは数える（ツイートは次回また処理する）
+      if (processResult.downloadedFiles?.length) {
+        stats.mediaFilesDownloaded += processResult.downloadedFiles.length;
+      }
+      
+      if (processResult.errorType === 'critical') {
+        playNotification('error');
+      }
+    } else if (processResult.filtered) {
+      // メタデータの取得後に絞り込み条件に一致しないと判明した場合
+      logDebug(`${colorize('絞り込み', ANSI_COLORS.yellow)}: ${tweetId} - 条件に一致しないため除外`);
+      unfinishedIds.add(tweetId);
+      stats.skipped.filtered++;
+      stats.skipped.total++;
+      if (processResult.savedMetadata) {
+        stats.metadataSaved++;
+      }
+    } else if (processResult.noMedia) {
+      // メディアが存在しないツイートの場合
+      if (!CONFIG.QUIET) {
+        console.log(`${colorize('ℹ️ メディアなし', ANSI_COLORS.yellow)}: ${tweetId} - メタデータのみ保存`);
+      }
+      addToNoMediaList(tweetId);
+      stats.skipped.noMedia++;
+      stats.skipped.total++;
+      stats.metadataSaved++;
+    } else {
+      logDebug(`${colorize('✅ 完了', ANSI_COLORS.green)}: ${tweetId}`);
+      stats.downloaded++;
+      if (processResult.incompleteMedia) {
+        stats.incompleteMedia.completed++;
+      }
+      
+      // 統計情報の更新
+      if (processResult.downloadedFiles?.length) {
+        stats.mediaFilesDownloaded += processResult.downloadedFiles.length;
+        // ファイルごとの詳細をログに残す
+        if (!CONFIG.QUIET) {
+          processResult.downloadedFiles.forEach(file => {
+            console.log(`${colorize('📥 ダウンロード', ANSI_COLORS.green)}: ${tweetId} - ${file}`);
+          });
+        }
+      }
+      
+      if (processResult.savedMetadata) {
+        stats.metadataSaved++;
+        logDebug(`${colorize('📋 メタデータ保存', ANSI_COLORS.green)}: ${tweetId}`);
+      }
+    }
+    
+    // API利用の統計を更新
+    if (processResult.usedAPI) {
+      stats.apiCalls++;
+    } else if (!processResult.error) {
+      stats.cachedResponses++;
+    }
+    
+    // API呼び出しの間隔はレートリミッターが呼び出し前に調整するため、ここでは待機しない
+    if (!processResult.usedAPI && !processResult.error && !processResult.noMedia) {
+      logDebug(`${colorize('保存済みデータ使用', ANSI_COLORS.green)}: API呼び出し省略`);
+    }
+  };
+  
+  /**
+   * ツイートを1件、メタデータの段階で処理する（メタデータの段階のワーカーから呼ばれる）
+   * @param {{tweetId: string, tweetUrl: string, sources: Array<string>}} item - 入力アイテム
+   * @param {number} i - アイテムのインデックス
+   * @param {number} workerId - ワーカー番号（workerStates の位置）
+   * @returns {Promise<Object|null>} メディアの段階に渡す処理（ダウンロードするメディアがない場合は処理を終えてnull）
+   */
+  const prepareItem = async ({ tweetId, tweetUrl, sources }, i, workerId) => {
+    if (onItemStart) {
+      onItemStart(tweetId);
+    }
+    
+    // 統計情報の更新
+    stats.totalProcessed++;
+    
+    // 現在の進捗率を計算
+    const percentage = Math.min(99, Math.round((i / totalItems) * 100));
+    
+    // カウンター表示の整形（現在/合計の形式）
+    const counter = `[${i + 1}/${totalItems}]`;
+    
+    // ファイル名の表示を短くして重複表示を防止
+    const displayId = `🔹 ${tweetId}`;
+    
+    // 全体の進捗状況を表示
+    reportProgress(workerId, `処理中: ${displayId}`, percentage, {
+      counter,
+      type: '初期化',
+      item: tweetUrl
+    });
+    
+    // スキップリストとダウンロード済みファイルから処理内容を判定
+    const { skipReason, hasMedia, hasMetadata, savedMediaNumbers } = decideTweetAction(tweetId, downloadedIds);
+    
+    if (skipReason) {
+      const { label, type } = SKIP_REASONS[skipReason];
+      stats.skipped[skipReason]++;
+      stats.skipped.total++;
+      
+      // スキップリストによるスキップ情報を表示（ダウンロード済みの場合は表示しない）
+      if (skipReason !== 'alreadyDownloaded') {
+        reportProgress(workerId, `${label}のためスキップ: ${displayId}`, percentage, {
+          counter,
+          type,
+          item: tweetUrl
+        });
+      }
+      
+      logDebug(`${colorize('スキップ', ANSI_COLORS.yellow)}: ${tweetId} - ${label}`);
+      return null;
+    }
+    
+    // 処理状態の表示を更新
+    const statusText = hasMedia ? 'メタデータのみダウンロード中...' : 
+                      savedMediaNumbers ? '足りない画像/動画をダウンロード中...' :
+                      hasMetadata ? '画像/動画のみダウンロード中...' : 
+                      '画像/動画とメタデータをダウンロード中...';
+    
+    if (savedMediaNumbers) {
+      stats.incompleteMedia.found++;
+    }
+    
+    logDebug(`${colorize('処理中', ANSI_COLORS.cyan)}: ${tweetId} - ${statusText}`);
+    
+    // ツイート情報の取得とメタデータの保存
+    const options = {
+      hasMedia,
+      hasMetadata,
+      savedMediaNumbers,
+      sources,
+      onProgress: createItemProgress(workerId, tweetId, tweetUrl, i),
+      // ロガー関数
+      logger: CONFIG.DEBUG ? console.log : null
+    };
+    const { result, mediaItems } = await prepareTweetMedia(tweetId, tweetUrl, options);
+    
+    if (mediaItems.length === 0) {
+      recordResult(tweetId, result);
+      return null;
+    }
+    
+    return { tweetId, tweetUrl, index: i, options, result, mediaItems };
+  };
+  
+  /**
+   * メタデータの段階から受け取ったツイートのメディアをダウンロードする（メディアの段階のワーカーから呼ばれる）
+   * @param {Object} job - prepareItemの戻り値
+   * @param {number} workerId - ワーカー番号（workerStates の位置）
+   */
+  const downloadItem = async (job, workerId) => {
+    const { tweetId, tweetUrl, index, options, result, mediaItems } = job;
+    const processResult = await downloadTweetMedia(result, mediaItems, tweetUrl, {
+      ...options,
+      onProgress: createItemProgress(workerId, tweetId, tweetUrl, index)
+    });
+    recordResult(tweetId, processResult);
+  };
+  
+  /**
+   * メディアの段階のワーカー（キューが閉じられて空になるまでダウンロードを続ける）
+   * @param {number} workerId - ワーカー番号（workerStates の位置）
+   */
+  const runMediaWorker = async (workerId) => {
+    try {
+      while (!mediaStageFailed) {
+        await waitBeforeNextItem(workerId);
+        const job = await mediaQueue.shift();
+        if (!job) break;
+        
+        stageStats.media.active++;
+        try {
+          await downloadItem(job, workerId);
+        } finally {
+          stageStats.media.active--;
+        }
+        stageStats.media.completed++;
+        markWorkerIdle(workerId);
+        await markCompleted(job.tweetId);
+      }
+    } catch (error) {
+      // メタデータの段階がキューの空きを待ち続けないように、キューを閉じる
+      mediaStageFailed = true;
+      mediaQueue.close();
+      throw error;
+    }
+  };
+  
+  /**
+   * 次のツイートを取り出す前の待機（一時停止中）
+   * @param {number} workerId - ワーカー番号
+   */
+  const waitBeforeNextItem = async (workerId) => {
+    // インタラクティブモードの一時停止チェック
+    while (CONFIG.UX?.INTERACTIVE && getInteractiveState().active && getInteractiveState().paused) {
+      const processed = resumedCount + completedCount;
+      reportProgress(workerId, '一時停止中', Math.min(99, Math.round((processed / totalItems) * 100)), {
+        counter: `[${processed}/${totalItems}]`,
+        type: '停止'
+      });
+      await sleep(500);
+    }
+  };
+  
+  try {
+    console.log(`${colorize('並列処理', ANSI_COLORS.green)}: メタデータ ${metadataWorkerCount}並列 / メディア ${mediaWorkerCount}並列 (キュー: 最大 ${CONFIG.MEDIA_QUEUE_SIZE}件)`);
+    
+    // メタデータの段階: ダウンロードするメディアがあるツイートはメディアの段階のキューに入れる
+    // （キューがいっぱいの間は待機する。キューが閉じられた場合は処理済みにしない）
+    // インデックスは再開した場合も処理順の全体での位置にする（進捗表示用）
+    const metadataStage = runWorkerPool(readItems(processedIds), metadataWorkerCount, async (item, i, workerId) => {
+      stageStats.metadata.active++;
+      let job;
+      try {
+        job = await prepareItem(item, i, workerId);
+      } finally {
+        stageStats.metadata.active--;
+      }
+      stageStats.metadata.completed++;
+      
+      if (job) {
+        reportProgress(workerId, `🔹 ${item.tweetId} メディアの段階の空きを待機中`, 0, { counter: `[${i + 1}/${totalItems}]` });
+        await mediaQueue.push(job);
+        markWorkerIdle(workerId);
+        return;
+      }
+      
+      markWorkerIdle(workerId);
+      await markCompleted(item.tweetId);
+    }, {
+      startIndex: resumedCount,
+      shouldStop: () => mediaStageFailed,
+      beforeEach: waitBeforeNextItem
+    }).finally(() => mediaQueue.close());
+    
+    // メディアの段階: キューからツイートを取り出してダウンロードする
+    const mediaWorkers = Array.from({ length: mediaWorkerCount }, (_, n) => runMediaWorker(metadataWorkerCount + n));
+    
+    // すべてのワーカーが終わるまで待ってから、エラーがあれば投げる
+    const failure = (await Promise.allSettled([metadataStage, ...mediaWorkers])).find(outcome => outcome.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+    
+    // 最後のセーブポイントを作成（すべて処理済みの場合、次回は最初から処理する）
+    if (CONFIG.UX?.AUTO_SAVE_POINT && !isTargetedRun && completedCount > 0) {
+      await saveState(processedIds, resumedCount + completedCount, totalItems, stats);
+    }
+    
+    // 次回の差分処理のために、今回のエクスポート内容を記録（処理しなかったツイートは次回も新しいツイートとして扱う）
+    if (!isTargetedRun) {
+      recordExportSnapshot(idsBySource, sourceSummaries, exportComparison.diffs,
+        tweetId => processedIds.has(tweetId) && !unfinishedIds.has(tweetId));
+    }
+    
+    // 進捗表示のリセットと完了メッセージの表示
+    lastProgressLines = 0;
+    console.log(colorize('\n処理が完了しました', ANSI_COLORS.brightGreen));
+    playNotification('success');
+  } finally {
+    // 実行完了後に最終ログを保存
+    saveErrorLogs();
+    
+    // インタラクティブモードを無効化
+    disableInteractiveMode();
+    
+    // 再利用のために開いたままの接続を閉じる
+    closeConnections();
+    
+    // 最終結果を表示
+    displayFinalStats();
+  }
+  
+  return 0;
+}
+
+/**
+ * ダウンロードの計画を作成する（ネットワークへの接続とファイルの書き込みは行わない）
+ * @returns {Promise<Object|null>} 計画（入力データがない場合はnull）
+ */
+async function planDownload() {
+  const loaded = await loadRunItems({}, false);
+  if (!loaded) {
+    return null;
+  }
+  const { loadedCount, readItems, countProcessed, sourceSummaries, duplicateItems, filteredOut, exportComparison } = loaded;
+  
+  // download コマンドと同じく、セーブポイントがあれば処理済みのツイートを除く
+  const savedState = await loadState();
+  const processedIds = canResume(savedState) ? savedState.processedIds : new Set();
+  
+  loadSkipLists(false);
+  const plan = await createDownloadPlan(readItems(processedIds), getDownloadedIds());
+  
+  return {
+    input: {
+      total: loadedCount,
+      duplicates: duplicateItems,
+      newItems: exportComparison.newIds.size,
+      filteredOut,
+      sources: sourceSummaries.map(summary => ({
+        name: summary.name,
+        label: summary.label,
+        count: summary.count,
+        parts: summary.parts.map(part => ({ fileName: part.fileName, count: part.count, error: part.error || null }))
+      }))
+    },
+    filters: describeFilters(),
+    incrementalMode: CONFIG.INCREMENTAL_MODE,
+    forceDownload: CONFIG.FORCE_DOWNLOAD,
+    resumedCount: countProcessed(processedIds),
+    ...plan
+  };
+}
+
+/**
+ * ダウンロードの計画を表示する
+ * @param {Object} plan - planDownloadの戻り値
+ */
+function displayPlan(plan) {
+  console.log(colorize('━━━━━━━━━━━━━━━━━━━ ダウンロード計画 (ドライラン) ━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan));
+  console.log(`${colorize('入力データ', ANSI_COLORS.bold)}: ${colorize(plan.input.total.toString(), ANSI_COLORS.cyan)} 件`);
+  plan.input.sources.forEach(source => {
+    console.log(`  ${colorize('└ ' + source.label, ANSI_COLORS.dim)} (${source.name}): ${source.count}件`);
+    source.parts.forEach(part => {
+      const partStatus = part.error ? colorize(`読み込み失敗 (${part.error})`, ANSI_COLORS.red) : `${part.count}件`;
+      console.log(`    ${colorize('└ ' + part.fileName, ANSI_COLORS.dim)}: ${partStatus}`);
+    });
+  });
+  if (plan.input.duplicates > 0) {
+    console.log(`  ${colorize('└ 重複したツイートID (除外)', ANSI_COLORS.dim)}: ${plan.input.duplicates}件`);
+  }
+  if (plan.input.newItems > 0) {
+    console.log(`  ${colorize('└ 前回のエクスポートから追加', ANSI_COLORS.dim)}: ${plan.input.newItems}件 (差分モード: ${plan.incrementalMode})`);
+  }
+  if (plan.filters.length > 0) {
+    console.log(`${colorize('絞り込み', ANSI_COLORS.green)}: ${plan.filters.join(' / ')} (除外 ${plan.input.filteredOut}件)`);
+  }
+  if (plan.resumedCount > 0) {
+    console.log(`${colorize('再開モード', ANSI_COLORS.green)}: 処理済みの ${plan.resumedCount} 件を除いて再開`);
+  }
+  if (plan.forceDownload) {
+    console.log(`${colorize('強制ダウンロード', ANSI_COLORS.yellow)}: ダウンロード済みのツイートも処理します`);
+  }
+  
+  console.log(`${colorize('処理対象', ANSI_COLORS.bold)}: ${colorize(plan.total.toString(), ANSI_COLORS.cyan)} 件`);
+  console.log(`${colorize('スキップ', ANSI_COLORS.bold)}: ${colorize(plan.skipped.total.toString(), ANSI_COLORS.cyan)} 件`);
+  Object.entries(SKIP_REASONS).forEach(([reason, { label }]) => {
+    console.log(`  ${colorize('└ ' + label, ANSI_COLORS.dim)}: ${plan.skipped[reason]} 件`);
+  });
+  console.log(`${colorize('ダウンロード', ANSI_COLORS.bold)}: ${colorize(plan.toProcess.toString(), ANSI_COLORS.green)} 件`);
+  console.log(`  ${colorize('└ 画像/動画とメタデータ', ANSI_COLORS.dim)}: ${plan.mediaAndMetadata} 件`);
+  console.log(`  ${colorize('└ メタデータのみ', ANSI_COLORS.dim)}: ${plan.metadataOnly} 件`);
+  console.log(`  ${colorize('└ 画像/動画のみ (保存済みのメタデータを使用)', ANSI_COLORS.dim)}: ${plan.mediaOnly} 件`);
+  console.log(`    ${colorize('└ うち足りないメディアのみ (一部だけ保存済み)', ANSI_COLORS.dim)}: ${plan.incompleteMedia} 件`);
+  console.log(`${colorize('API呼び出し', ANSI_COLORS.bold)}: ${colorize(plan.needsApi.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(colorize('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan));
+}
+
+/**
+ * 前回のエクスポートとの比較結果を表示
+ * @param {{newIds: Set<string>, diffs: Array<Object>}} comparison - compareWithPreviousExportの戻り値
+ */
+function displayExportComparison(comparison) {
+  // 消えたツイートはIDを一部だけ表示（全件はエクスポート履歴に記録される）
+  const maxDisplayedIds = 10;
+  
+  for (const diff of comparison.diffs) {
+    if (diff.isFirstExport) {
+      logDebug(`${colorize('エクスポート履歴', ANSI_COLORS.dim)}: ${diff.source} は初回のため差分なし`);
+      continue;
+    }
+    
+    console.log(`${colorize('前回のエクスポートとの比較', ANSI_COLORS.bold)} (${diff.source}, ${diff.previousRecordedAt}): ` +
+      `追加 ${colorize(diff.addedIds.length.toString(), ANSI_COLORS.green)}件 / ` +
+      `消えたツイート ${colorize(diff.removedIds.length.toString(), ANSI_COLORS.yellow)}件`);
+    
+    diff.removedIds.slice(0, maxDisplayedIds).forEach(tweetId => {
+      console.log(`  ${colorize('└ 消えたツイート', ANSI_COLORS.dim)}: https://twitter.com/i/web/status/${tweetId}`);
+    });
+    if (diff.removedIds.length > maxDisplayedIds) {
+      console.log(`  ${colorize(`└ ...他 ${diff.removedIds.length - maxDisplayedIds}件 (${CONFIG.EXPORT_HISTORY_PATH} に記録されます)`, ANSI_COLORS.dim)}`);
+    }
+  }
+  
+  if (comparison.newIds.size > 0) {
+    const modeText = CONFIG.INCREMENTAL_MODE === 'new-only' ? '新しいツイートのみ処理します' : '新しいツイートを先に処理します';
+    console.log(`${colorize('差分モード', ANSI_COLORS.green)}: ${modeText} (${comparison.newIds.size}件)`);
+  }
+}
+
+/**
+ * 最終的な統計情報を表示
+ */
+function displayFinalStats() {
+  const finalListSizes = getListSizes();
+  const totalTime = (Date.now() - stats.startTime) / 1000;
+  const timeStr = formatTime(Date.now() - stats.startTime);
+  
+  console.log(colorize('\n━━━━━━━━━━━━━━━━━━━ 処理結果 ━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan));
+  console.log(`${colorize('処理時間', ANSI_COLORS.bold)}: ${colorize(timeStr, ANSI_COLORS.green)} (${totalTime.toFixed(1)}秒)`);
+  console.log(`${colorize('処理項目数', ANSI_COLORS.bold)}: ${colorize(stats.totalProcessed.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(`${colorize('ダウンロード成功', ANSI_COLORS.bold)}: ${colorize(stats.downloaded.toString(), ANSI_COLORS.green)} 件`);
+  console.log(`${colorize('スキップ合計', ANSI_COLORS.bold)}: ${colorize(stats.skipped.total.toString(), ANSI_COLORS.cyan)} 件`);
+  console.log(`  ${colorize('└ 既にダウンロード済み', ANSI_COLORS.dim)}: ${colorize(stats.skipped.alreadyDownloaded.toString(), ANSI_COLORS.dim)} 件`);
+  console.log(`  ${colorize('└ スキップリスト', ANSI_COLORS.dim)}: ${colorize(stats.skipped.inSkipList.toString(), ANSI_COLORS.dim)} 件`);
+  console.log(`  ${colorize('└ 存在しないツイート', ANSI_COLORS.dim)}: ${colorize(stats.skipped.notFound.toString(), ANSI_COLORS.dim)} 件`);
+  console.log(`  ${colorize('└ センシティブ', ANSI_COLORS.dim)}: ${colorize(stats.skipped.sensitive.toString(), ANSI_COLORS.dim)} 件`);
+  console.log(`  ${colorize('└ 解析エラー', ANSI_COLORS.dim)}: ${colorize(stats.skipped.parseError.toString(), ANSI_COLORS.dim)} 件`);
+  console.log(`  ${colorize('└ メディアなし', ANSI_COLORS.dim)}: ${colorize(stats.skipped.noMedia.toString(), ANSI_COLORS.dim)} 件`);
+  console.log(`  ${colorize('└ 絞り込み条件', ANSI_COLORS.dim)}: ${colorize(stats.skipped.filtered.toString(), ANSI_COLORS.dim)} 件`);
+  console.log(`${colorize('エラー', ANSI_COLORS.bold)}: ${colorize(stats.errors.toString(), ANSI_COLORS.red)} 件`);
+  console.log(`${colorize('API呼び出し', ANSI_COLORS.bold)}: ${colorize(stats.apiCalls.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(`${colorize('キャッシュ使用', ANSI_COLORS.bold)}: ${colorize(stats.cachedResponses.toString(), ANSI_COLORS.green)} 件`);
+  console.log(`${colorize('ダウンロードファイル', ANSI_COLORS.bold)}: ${colorize(stats.mediaFilesDownloaded.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(`${colorize('保存メタデータ', ANSI_COLORS.bold)}: ${colorize(stats.metadataSaved.toString(), ANSI_COLORS.yellow)} 件`);
+  if (stats.incompleteMedia.found > 0) {
+    console.log(`${colorize('メディアの補完', ANSI_COLORS.bold)}: 一部だけ保存済みのツイート ${colorize(stats.incompleteMedia.found.toString(), ANSI_COLORS.yellow)} 件中 ${colorize(stats.incompleteMedia.completed.toString(), ANSI_COLORS.green)} 件で足りないメディアを保存`);
+  }
+  
+  // 転送の統計（接続の再利用と転送速度）
+  const transfer = getTransferStats();
+  if (transfer.requests > 0) {
+    console.log(`${colorize('転送量', ANSI_COLORS.bold)}: ${colorize(formatFileSize(transfer.bytes), ANSI_COLORS.yellow)} (平均 ${formatFileSize(transfer.bytesPerSecond)}/秒)`);
+    const http2Info = transfer.http2Requests > 0 ? ` (HTTP/2: ${transfer.http2Requests} 件)` : '';
+    console.log(`${colorize('接続', ANSI_COLORS.bold)}: 新規 ${colorize(transfer.newConnections.toString(), ANSI_COLORS.yellow)} 件 / 再利用 ${colorize(transfer.reusedConnections.toString(), ANSI_COLORS.green)} 件${http2Info}`);
+  }
+  
+  // セーブポイント情報
+  if (stats.savePointCount > 0) {
+    console.log(`${colorize('セーブポイント作成', ANSI_COLORS.bold)}: ${colorize(stats.savePointCount.toString(), ANSI_COLORS.cyan)} 回`);
+  }
+  
+  console.log(colorize('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan));
+  console.log(`${colorize('スキップリスト', ANSI_COLORS.bold)}: ${colorize(finalListSizes.skipIds.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(`${colorize('存在しないツイート', ANSI_COLORS.bold)}: ${colorize(finalListSizes.notFoundIds.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(`${colorize('センシティブコンテンツ', ANSI_COLORS.bold)}: ${colorize(finalListSizes.sensitiveIds.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(`${colorize('解析エラー', ANSI_COLORS.bold)}: ${colorize(finalListSizes.parseErrorIds.toString(), ANSI_COLORS.yellow)} 件`);
+  console.log(`${colorize('メディアなし', ANSI_COLORS.bold)}: ${colorize(finalListSizes.noMediaIds.toString(), ANSI_COLORS.yellow)} 件`);
+}
+
+/**
+ * download コマンドを実行する
+ * @param {{positionals: Array<string>, values: Object}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function run({ positionals, values }) {
+  // 位置引数はアーカイブのパスとして扱う
+  applyArchiveArgument(positionals);
+  
+  if (values['dry-run']) {
+    const plan = await planDownload();
+    if (!plan) {
+      return 1;
+    }
+    
+    if (values.json) {
+      console.log(JSON.stringify(plan, null, 2));
+    } else {
+      displayPlan(plan);
+    }
+    return 0;
+  }
+  if (values.json) {
+    throw createUsageError('--json は --dry-run と一緒に指定してください');
+  }
+  
+  try {
+    return await downloadAllImages();
+  } catch (err) {
+    console.error(colorize('致命的なエラーが発生しました:', ANSI_COLORS.brightRed), err);
+    saveErrorLogs();
+    
+    // 通知サウンドを再生
+    playNotification('error');
+    return 1;
+  }
+}
+
+module.exports = {
+  name: 'download',
+  description: '入力データのツイートから画像/動画とメタデータをダウンロード（デフォルト）',
+  usage: '[オプション] [アーカイブのZIPファイル]',
+  options: [
+    { name: 'dry-run', description: 'ダウンロードせずに、スキップ・API呼び出し・ダウンロードの件数を表示' },
+    { name: 'json', description: '--dry-run の結果をJSONで出力' }
+  ],
+  // --dry-run ではファイルを書き込まない
+  requiresDirectories: values => !values['dry-run'],
+  run,
+  downloadAllImages
+};
@@ -0,0 +1,101 @@
+// export コマンド: 入力データのツイートとダウンロード状況を JSON または CSV で書き出す
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config/config');
+const { loadInputItems } = require('../sources');
+const { loadMetadata } = require('../utils/file-utils');
+const { getDownloadedFiles } = require('../utils/library-index');
+const { loadSkipLists } = require('../utils/list-handlers');
+const { getMetadataAuthor } = require('../services/metadata-service');
+const { filterItems } = require('../utils/tweet-filter');
+const { applyArchiveArgument } = require('../utils/cli-args');
+const { classifyTweet } = require('./status');
+
+// CSVの列
+const CSV_COLUMNS = ['tweetId', 'tweetUrl', 'sources', 'status', 'author', 'downloadedAt', 'mediaFiles'];
+
+/**
+ * 書き出すレコードを作成する（絞り込み条件を指定した場合は一致するツイートのみ）
+ * @returns {Promise<Array<Object>>} ツイートごとのレコード
+ */
+async function buildExportRecords() {
+  const downloadedFiles = getDownloadedFiles();
+  const { items } = filterItems((await loadInputItems()).items, tweetId =>
+    downloadedFiles.get(tweetId)?.metadataFile ? loadMetadata(tweetId) : null
+  );
+  loadSkipLists(false);
+
+  return items.map(({ tweetId, tweetUrl, sources }) => {
+    const files = downloadedFiles.get(tweetId);
+    const metadata = files?.metadataFile ? loadMetadata(tweetId) : null;
+
+    return {
+      tweetId,
+      tweetUrl,
+      sources,
+      status: classifyTweet(tweetId, downloadedFiles),
+      author: getMetadataAuthor(metadata),
+      downloadedAt: metadata?.downloadedAt || null,
+      mediaFiles: files ? files.mediaFiles.map(file => file.fileName) : []
+    };
+  });
+}
+
+/**
+ * CSVの値をエスケープする
+ * @param {*} value - 値（配列は ; で連結）
+ * @returns {string} エスケープした値
+ */
+function escapeCsvValue(value) {
+  const text = Array.isArray(value) ? value.join(';') : (value === null || value === undefined ? '' : String(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * レコードを指定の形式の文字列にする
+ * @param {Array<Object>} records - レコード
+ * @param {string} format - 'json' または 'csv'
+ * @returns {string} 書き出す内容
+ */
+function formatRecords(records, format) {
+  if (format === 'csv') {
+    const lines = records.map(record => CSV_COLUMNS.map(column => escapeCsvValue(record[column])).join(','));
+    return [CSV_COLUMNS.join(','), ...lines].join('\n') + '\n';
+  }
+
+  return JSON.stringify(records, null, 2) + '\n';
+}
+
+/**
+ * export コマンドを実行する
+ * @param {{positionals: Array<string>, values: Object}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function run({ positionals, values }) {
+  applyArchiveArgument(positionals);
+
+  const records = await buildExportRecords();
+  const content = formatRecords(records, values.format || 'json');
+
+  if (!values.output) {
+    process.stdout.write(content);
+    return 0;
+  }
+
+  const outputPath = path.resolve(values.output);
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, content, CONFIG.ENCODING);
+  console.error(`${records.length}件のツイートを書き出しました: ${outputPath}`);
+  return 0;
+}
+
+module.exports = {
+  name: 'export',
+  description: 'ツイートとダウンロード状況を JSON/CSV で書き出し',
+  usage: '[オプション] [アーカイブのZIPファイル]',
+  options: [
+    { name: 'format', value: 'FORMAT', choices: ['json', 'csv'], description: '出力形式（json, csv）（デフォルト: json）' },
+    { name: 'output', alias: 'o', value: 'PATH', description: '出力先のファイル（デフォルト: 標準出力）' }
+  ],
+  run
+};
@@ -0,0 +1,208 @@
+// lists コマンド: スキップリスト（スキップ、存在しない、センシティブなど）の確認と編集
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, dirs } = require('../config/config');
+const { determineErrorType } = require('../utils/error-handlers');
+const { loadSkipLists, getListNames, getList, addIdsToList, removeIdsFromList, replaceList } = require('../utils/list-handlers');
+const { createUsageError, parseTweetIdArguments } = require('../utils/cli-args');
+const { colorize, ANSI_COLORS } = require('../utils/progress-bar');
+
+// サブコマンド（lists <サブコマンド>）の説明
+const ACTIONS = {
+  show: 'show <リスト名>             リストのツイートIDを表示',
+  add: 'add <リスト名> <ID/URL...>   リストにツイートを追加',
+  remove: 'remove <リスト名> <ID/URL...> リストからツイートを削除',
+  clear: 'clear <リスト名>            リストを空にする',
+  fix: 'fix                         エラーログからスキップリストを作り直す'
+};
+
+/**
+ * リスト名を検証してリストを取得する
+ * @param {string} name - リスト名
+ * @returns {{label: string, ids: Set<string>, path: string}} リスト
+ * @throws {Error} 不明なリスト名の場合（type: 'usage'）
+ */
+function requireList(name) {
+  const list = name ? getList(name) : null;
+  if (!list) {
+    throw createUsageError(`リスト名を指定してください: ${name || '(なし)'} (指定可能: ${getListNames().join(', ')})`);
+  }
+  return list;
+}
+
+/**
+ * エラーログファイルを取得する関数
+ * @returns {Array<string>} エラーログファイルのパス配列
+ */
+function getErrorLogFiles() {
+  if (!fs.existsSync(dirs.logsDir)) return [];
+
+  return fs.readdirSync(dirs.logsDir)
+    .filter(file => file.startsWith('error-log-') && file.endsWith('.json'))
+    .map(file => path.join(dirs.logsDir, file));
+}
+
+/**
+ * エラーログからスキップリストを修正する
+ * 存在しない・センシティブ・解析エラーのリストはエラーログの内容で置き換え、
+ * それ以外のエラーは一般スキップリストに追加する
+ */
+function fixSkipLists() {
+  console.log('スキップリストの修正を開始します...');
+
+  const skipIds = [...getList('skip').ids];
+  console.log(`既存のスキップリスト: ${skipIds.length}件`);
+
+  // 各カテゴリのIDセット
+  const notFoundIds = new Set();
+  const sensitiveIds = new Set();
+  const parseErrorIds = new Set();
+  const otherSkipIds = new Set();
+
+  // エラーログファイルを処理
+  let totalLogs = 0;
+  const errorLogFiles = getErrorLogFiles();
+
+  console.log(`処理するログファイル数: ${errorLogFiles.length}件`);
+
+  for (const logFile of errorLogFiles) {
+    try {
+      const logs = JSON.parse(fs.readFileSync(logFile, CONFIG.ENCODING));
+      console.log(`ログファイル処理中: ${path.basename(logFile)} (${logs.length}件)`);
+      totalLogs += logs.length;
+
+      for (const log of logs) {
+        const errorType = log.errorType || determineErrorType(log.error);
+        const tweetId = log.tweetId;
+
+        if (tweetId === 'main' || tweetId === 'process') continue; // メイン処理のエラーはスキップ
+
+        switch (errorType) {
+          case 'not_found':
+            notFoundIds.add(tweetId);
+            break;
+          case 'sensitive_content':
+            sensitiveIds.add(tweetId);
+            break;
+          case 'parse':
+            parseErrorIds.add(tweetId);
+            break;
+          default:
+            otherSkipIds.add(tweetId);
+        }
+      }
+    } catch (error) {
+      console.error(`ログファイルの処理エラー: ${logFile} - ${error.message}`);
+    }
+  }
+
+  // 既存のスキップIDから、特殊なエラーのIDを除外
+  const allSpecialIds = new Set([...notFoundIds, ...sensitiveIds, ...parseErrorIds]);
+  const filteredSkipIds = skipIds.filter(id => !allSpecialIds.has(id));
+
+  // 一般スキップIDと他のエラーIDをマージ
+  const finalSkipIds = [...new Set([...filteredSkipIds, ...otherSkipIds])];
+
+  // 結果を保存
+  replaceList('skip', finalSkipIds);
+  replaceList('not-found', [...notFoundIds]);
+  replaceList('sensitive', [...sensitiveIds]);
+  replaceList('parse-error', [...parseErrorIds]);
+
+  // 結果を表示
+  console.log('スキップリストの修正が完了しました。');
+  console.log(`処理したログエントリ: ${totalLogs}件`);
+  console.log(`存在しないツイート: ${notFoundIds.size}件`);
+  console.log(`センシティブコンテンツ: ${sensitiveIds.size}件`);
+  console.log(`解析エラー: ${parseErrorIds.size}件`);
+  console.log(`その他のエラー: ${otherSkipIds.size}件`);
+  console.log(`更新後の一般スキップリスト: ${finalSkipIds.length}件`);
+}
+
+/**
+ * リストの一覧と件数を表示する
+ * @param {boolean} asJson - JSONで出力するかどうか
+ */
+function displayLists(asJson) {
+  const lists = getListNames().map(name => {
+    const list = getList(name);
+    return { name, label: list.label, count: list.ids.size, path: list.path };
+  });
+
+  if (asJson) {
+    console.log(JSON.stringify(lists, null, 2));
+    return;
+  }
+
+  lists.forEach(list => {
+    console.log(`${colorize(list.name.padEnd(12), ANSI_COLORS.bold)} ${list.label}: ${colorize(list.count.toString(), ANSI_COLORS.yellow)}件 ${colorize(list.path, ANSI_COLORS.dim)}`);
+  });
+  console.log(colorize('\n操作:', ANSI_COLORS.dim));
+  Object.values(ACTIONS).forEach(text => console.log(colorize(`  lists ${text}`, ANSI_COLORS.dim)));
+}
+
+/**
+ * lists コマンドを実行する
+ * @param {{positionals: Array<string>, values: Object}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function run({ positionals, values }) {
+  const [action, listName, ...rest] = positionals;
+
+  if (action && !ACTIONS[action]) {
+    throw createUsageError(`不明な操作です: ${action} (指定可能: ${Object.keys(ACTIONS).join(', ')})`);
+  }
+
+  loadSkipLists(false);
+
+  switch (action) {
+    case undefined:
+      displayLists(values.json);
+      return 0;
+
+    case 'show': {
+      const list = requireList(listName);
+      const ids = [...list.ids];
+      console.log(values.json ? JSON.stringify(ids, null, 2) : ids.join('\n'));
+      return 0;
+    }
+
+    case 'add':
+    case 'remove': {
+      const list = requireList(listName);
+      if (rest.length === 0) {
+        throw createUsageError(`${action} にはツイートIDまたはURLを指定してください`);
+      }
+
+      const tweetIds = parseTweetIdArguments(rest);
+      const changed = action === 'add' ? addIdsToList(listName, tweetIds) : removeIdsFromList(listName, tweetIds);
+      console.log(`${list.label}${action === 'add' ? 'に追加' : 'から削除'}しました: ${changed}件 (合計 ${list.ids.size}件)`);
+      return 0;
+    }
+
+    case 'clear': {
+      const list = requireList(listName);
+      const count = list.ids.size;
+      replaceList(listName, []);
+      console.log(`${list.label}を空にしました: ${count}件削除`);
+      return 0;
+    }
+
+    case 'fix':
+      fixSkipLists();
+      return 0;
+  }
+
+  return 0;
+}
+
+module.exports = {
+  name: 'lists',
+  description: 'スキップリストの確認と編集（show, add, remove, clear, fix）',
+  usage: '[show|add|remove|clear <リスト名> [ID/URL...] | fix] [オプション]',
+  options: [
+    { name: 'json', description: '一覧やIDをJSONで出力' }
+  ],
+  requiresDirectories: true,
+  run
+};
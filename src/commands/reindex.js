@@ -0,0 +1,42 @@
+// reindex コマンド: 保存先のファイルからライブラリのインデックスを作り直す
+const { CONFIG } = require('../config/config');
+const { rebuildLibraryIndex } = require('../utils/library-index');
+const { createUsageError } = require('../utils/cli-args');
+const { colorize, ANSI_COLORS, formatFileSize } = require('../utils/progress-bar');
+
+/**
+ * reindex コマンドを実行する
+ * @param {{positionals: Array<string>, values: Object}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function run({ positionals, values }) {
+  if (positionals.length > 0) {
+    throw createUsageError(`引数が多すぎます: ${positionals.join(' ')}`);
+  }
+
+  const startTime = Date.now();
+  const summary = rebuildLibraryIndex();
+  const elapsed = Date.now() - startTime;
+
+  if (values.json) {
+    console.log(JSON.stringify({ ...summary, indexPath: CONFIG.LIBRARY_INDEX_PATH, elapsed }, null, 2));
+    return 0;
+  }
+
+  console.log(`${colorize('インデックスを作り直しました', ANSI_COLORS.green)}: ${CONFIG.LIBRARY_INDEX_PATH} (${(elapsed / 1000).toFixed(1)}秒)`);
+  console.log(`${colorize('ツイート', ANSI_COLORS.bold)}: ${summary.tweets} 件`);
+  console.log(`${colorize('メディアファイル', ANSI_COLORS.bold)}: ${summary.mediaFiles} 件 (${formatFileSize(summary.totalBytes)})`);
+  console.log(`${colorize('メタデータ', ANSI_COLORS.bold)}: ${summary.metadataFiles} 件`);
+  return 0;
+}
+
+module.exports = {
+  name: 'reindex',
+  description: '保存先のファイルからライブラリのインデックスを作り直す',
+  usage: '[オプション]',
+  options: [
+    { name: 'json', description: '結果をJSONで出力' }
+  ],
+  requiresDirectories: true,
+  run
+};
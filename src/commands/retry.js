@@ -0,0 +1,89 @@
+// retry コマンド: スキップリストに登録されたツイートをリストから外して再ダウンロードする
+const { scanInputItems, streamInputItems } = require('../sources');
+const { buildTweetUrl } = require('../sources/source-utils');
+const { loadSkipLists, getListNames, getList, addIdsToList, removeIdsFromList } = require('../utils/list-handlers');
+const { createUsageError, parseTweetIdArguments } = require('../utils/cli-args');
+const { colorize, ANSI_COLORS } = require('../utils/progress-bar');
+const { downloadAllImages } = require('./download');
+
+/**
+ * 再試行するツイートの入力アイテムを作成する
+ * 入力データに含まれるツイートはそのURLとソースを使い、含まれないものはIDからURLを作成する
+ * @param {Array<string>} tweetIds - ツイートIDの配列
+ * @returns {Promise<Array<{tweetId: string, tweetUrl: string, sources: Array<string>}>>} 入力アイテム
+ */
+async function buildRetryItems(tweetIds) {
+  const scan = await scanInputItems();
+  const itemsById = new Map();
+  for await (const item of streamInputItems(scan, new Set(tweetIds))) {
+    itemsById.set(item.tweetId, item);
+  }
+
+  return tweetIds.map(tweetId => itemsById.get(tweetId) || {
+    tweetId,
+    tweetUrl: buildTweetUrl(tweetId),
+    sources: []
+  });
+}
+
+/**
+ * retry コマンドを実行する
+ * @param {{positionals: Array<string>}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function run({ positionals }) {
+  const [listName, ...rest] = positionals;
+  const list = listName ? getList(listName) : null;
+  if (!list) {
+    throw createUsageError(`再試行するリスト名を指定してください: ${listName || '(なし)'} (指定可能: ${getListNames().join(', ')})`);
+  }
+
+  loadSkipLists(false);
+
+  // IDの指定がなければリストのすべてのツイートを再試行
+  const requestedIds = rest.length > 0 ? parseTweetIdArguments(rest) : [...list.ids];
+  const tweetIds = requestedIds.filter(id => list.ids.has(id));
+
+  if (requestedIds.length > tweetIds.length) {
+    console.log(`${colorize('注意', ANSI_COLORS.yellow)}: ${list.label}にないツイートは対象外です (${requestedIds.length - tweetIds.length}件)`);
+  }
+  if (tweetIds.length === 0) {
+    console.log(`${list.label}に再試行するツイートはありません`);
+    return 0;
+  }
+
+  // ツイートごとに処理を始める直前にリストから外す（再び失敗した場合は処理中にリストへ戻される）
+  // 処理しなかったツイート（絞り込み条件で除外したものや、中断した場合）はリストに残し、
+  // 処理中に中断した場合（Ctrl+C は process.exit で終了する）はリストに戻す
+  const inProgressIds = new Set();
+  const restoreInProgressIds = () => {
+    if (inProgressIds.size > 0) {
+      addIdsToList(listName, [...inProgressIds]);
+    }
+  };
+  process.on('exit', restoreInProgressIds);
+  console.log(`${list.label}から ${colorize(tweetIds.length.toString(), ANSI_COLORS.cyan)}件 を再試行します`);
+
+  try {
+    return await downloadAllImages({
+      items: await buildRetryItems(tweetIds),
+      onItemStart: tweetId => {
+        inProgressIds.add(tweetId);
+        removeIdsFromList(listName, [tweetId]);
+      },
+      onItemDone: tweetId => inProgressIds.delete(tweetId)
+    });
+  } finally {
+    restoreInProgressIds();
+    process.removeListener('exit', restoreInProgressIds);
+  }
+}
+
+module.exports = {
+  name: 'retry',
+  description: 'スキップリストのツイートをリストから外して再ダウンロード',
+  usage: '<リスト名> [ID/URL...] [オプション]',
+  options: [],
+  requiresDirectories: true,
+  run
+};
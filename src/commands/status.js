@@ -0,0 +1,197 @@
+// status コマンド: ネットワークに接続せずに、入力データに対するダウンロード状況を集計する
+const { CONFIG } = require('../config/config');
+const { loadInputItems } = require('../sources');
+const { getDownloadedFiles, hasCompleteMedia } = require('../utils/library-index');
+const { loadSkipLists, notFoundIds, sensitiveIds, noMediaIds, parseErrorIds, skipIds } = require('../utils/list-handlers');
+const { loadState } = require('../utils/state-handlers');
+const { loadExportHistory, compareWithPreviousExport, orderItemsByNewness } = require('../utils/export-history');
+const { filterItems, describeFilters } = require('../utils/tweet-filter');
+const { loadMetadata } = require('../services/metadata-service');
+const { applyArchiveArgument } = require('../utils/cli-args');
+const { formatFileSize, colorize, ANSI_COLORS } = require('../utils/progress-bar');
+
+/**
+ * ツイートの状態を判定する（判定の順序は download コマンドと同じ）
+ * @param {string} tweetId - ツイートID
+ * @param {Map<string, Object>} downloadedFiles - getDownloadedFilesの戻り値
+ * @returns {string} 状態（'notFound', 'sensitive', 'noMedia', 'parseError', 'inSkipList', 'complete', 'partial', 'metadataOnly', 'mediaOnly', 'pending'）
+ */
+function classifyTweet(tweetId, downloadedFiles) {
+  if (notFoundIds.has(tweetId)) return 'notFound';
+  if (sensitiveIds.has(tweetId)) return 'sensitive';
+  if (noMediaIds.has(tweetId)) return 'noMedia';
+  if (parseErrorIds.has(tweetId)) return 'parseError';
+  if (skipIds.has(tweetId)) return 'inSkipList';
+
+  const files = downloadedFiles.get(tweetId);
+  const hasMedia = hasCompleteMedia(files);
+  const hasMetadata = Boolean(files && files.metadataFile);
+
+  if (hasMedia && hasMetadata) return 'complete';
+  if (hasMetadata && files.mediaFiles.length > 0) return 'partial';
+  if (hasMetadata) return 'metadataOnly';
+  if (hasMedia) return 'mediaOnly';
+  return 'pending';
+}
+
+/**
+ * ダウンロード状況を集計する
+ * @returns {Promise<Object>} 集計結果
+ */
+async function collectStatus() {
+  const { items: loadedItems, summaries, duplicates, idsBySource } = await loadInputItems();
+  const downloadedFiles = getDownloadedFiles();
+
+  // 絞り込み条件は download コマンドと同じ処理順で適用する（件数の上限が同じツイートを指すように）
+  // ただし状況の確認では、new-only の場合も以前からあるツイートを除外しない
+  const comparison = compareWithPreviousExport(idsBySource, summaries.map(summary => summary.name));
+  const orderMode = CONFIG.INCREMENTAL_MODE === 'off' ? 'off' : 'new-first';
+  const { items, excluded } = filterItems(orderItemsByNewness(loadedItems, comparison, orderMode), loadMetadata);
+  loadSkipLists(false);
+
+  const counts = {
+    complete: 0,
+    partial: 0,
+    metadataOnly: 0,
+    mediaOnly: 0,
+    pending: 0,
+    notFound: 0,
+    sensitive: 0,
+    noMedia: 0,
+    parseError: 0,
+    inSkipList: 0
+  };
+  const inputIds = new Set(loadedItems.map(item => item.tweetId));
+
+  for (const { tweetId } of items) {
+    counts[classifyTweet(tweetId, downloadedFiles)]++;
+  }
+
+  let mediaFileCount = 0;
+  let totalBytes = 0;
+  for (const files of downloadedFiles.values()) {
+    mediaFileCount += files.mediaFiles.length;
+    totalBytes += files.mediaFiles.reduce((sum, file) => sum + file.size, 0);
+  }
+
+  const savedState = await loadState();
+  const history = loadExportHistory();
+
+  return {
+    input: {
+      total: items.length,
+      duplicates,
+      filteredOut: excluded,
+      sources: summaries.map(summary => ({
+        name: summary.name,
+        label: summary.label,
+        count: summary.count,
+        failedParts: summary.parts.filter(part => part.error).map(part => part.fileName),
+        lastExportRecordedAt: history.sources[summary.name]?.updatedAt || null
+      }))
+    },
+    filters: describeFilters(),
+    counts,
+    skipped: counts.notFound + counts.sensitive + counts.noMedia + counts.parseError + counts.inSkipList,
+    library: {
+      tweets: downloadedFiles.size,
+      notInInput: [...downloadedFiles.keys()].filter(tweetId => !inputIds.has(tweetId)).length,
+      mediaFiles: mediaFileCount,
+      totalBytes
+    },
+    savePoint: savedState
+      ? {
+        timestamp: savedState.timestamp,
+        // ツイートIDを記録していない古い形式のセーブポイントは、処理済みの位置を件数として表示する
+        processedCount: savedState.processedIds ? savedState.processedCount : savedState.completedIndex,
+        totalItems: savedState.totalItems
+      }
+      : null
+  };
+}
+
+/**
+ * 集計結果を表示する
+ * @param {Object} status - collectStatusの戻り値
+ */
+function displayStatus(status) {
+  const { input, counts, library } = status;
+
+  /**
+   * 件数と入力データに対する割合を整形する
+   * @param {number} count - 件数
+   * @param {string} color - 表示色
+   * @returns {string} 整形した文字列
+   */
+  const formatCount = (count, color) => {
+    const percentage = input.total > 0 ? Math.round((count / input.total) * 1000) / 10 : 0;
+    return `${colorize(count.toString(), color)} 件 (${percentage}%)`;
+  };
+
+  console.log(colorize('━━━━━━━━━━━━━━━━━━━ ダウンロード状況 ━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan));
+  console.log(`${colorize('入力データ', ANSI_COLORS.bold)}: ${colorize(input.total.toString(), ANSI_COLORS.cyan)} 件`);
+  input.sources.forEach(source => {
+    const failedText = source.failedParts.length > 0
+      ? colorize(` (読み込み失敗: ${source.failedParts.join(', ')})`, ANSI_COLORS.red)
+      : '';
+    const exportText = source.lastExportRecordedAt ? colorize(` 前回の記録: ${source.lastExportRecordedAt}`, ANSI_COLORS.dim) : '';
+    console.log(`  ${colorize('└ ' + source.label, ANSI_COLORS.dim)} (${source.name}): ${source.count}件${failedText}${exportText}`);
+  });
+  if (input.duplicates > 0) {
+    console.log(`  ${colorize('└ 重複したツイートID (除外)', ANSI_COLORS.dim)}: ${input.duplicates}件`);
+  }
+  if (status.filters.length > 0) {
+    console.log(`  ${colorize('└ 絞り込み', ANSI_COLORS.dim)}: ${status.filters.join(' / ')} (除外 ${input.filteredOut}件)`);
+  }
+
+  console.log(`${colorize('ダウンロード済み', ANSI_COLORS.bold)}: ${formatCount(counts.complete, ANSI_COLORS.green)}`);
+  console.log(`${colorize('メディアが一部のみ', ANSI_COLORS.bold)}: ${formatCount(counts.partial, ANSI_COLORS.yellow)}`);
+  console.log(`${colorize('メタデータのみ', ANSI_COLORS.bold)}: ${formatCount(counts.metadataOnly, ANSI_COLORS.yellow)}`);
+  console.log(`${colorize('メディアのみ', ANSI_COLORS.bold)}: ${formatCount(counts.mediaOnly, ANSI_COLORS.yellow)}`);
+  console.log(`${colorize('未処理', ANSI_COLORS.bold)}: ${formatCount(counts.pending, ANSI_COLORS.yellow)}`);
+  console.log(`${colorize('スキップ対象', ANSI_COLORS.bold)}: ${formatCount(status.skipped, ANSI_COLORS.cyan)}`);
+  console.log(`  ${colorize('└ スキップリスト', ANSI_COLORS.dim)}: ${counts.inSkipList} 件`);
+  console.log(`  ${colorize('└ 存在しないツイート', ANSI_COLORS.dim)}: ${counts.notFound} 件`);
+  console.log(`  ${colorize('└ センシティブ', ANSI_COLORS.dim)}: ${counts.sensitive} 件`);
+  console.log(`  ${colorize('└ 解析エラー', ANSI_COLORS.dim)}: ${counts.parseError} 件`);
+  console.log(`  ${colorize('└ メディアなし', ANSI_COLORS.dim)}: ${counts.noMedia} 件`);
+
+  console.log(colorize('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', ANSI_COLORS.cyan));
+  console.log(`${colorize('保存済みのツイート', ANSI_COLORS.bold)}: ${library.tweets} 件 (入力データにないもの: ${library.notInInput} 件)`);
+  console.log(`${colorize('メディアファイル', ANSI_COLORS.bold)}: ${library.mediaFiles} 件 (${formatFileSize(library.totalBytes)})`);
+
+  if (status.savePoint) {
+    const { timestamp, processedCount, totalItems } = status.savePoint;
+    console.log(`${colorize('セーブポイント', ANSI_COLORS.bold)}: ${processedCount}/${totalItems} 件処理済み (${timestamp})`);
+  }
+}
+
+/**
+ * status コマンドを実行する
+ * @param {{positionals: Array<string>, values: Object}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード
+ */
+async function run({ positionals, values }) {
+  applyArchiveArgument(positionals);
+
+  const status = await collectStatus();
+
+  if (values.json) {
+    console.log(JSON.stringify(status, null, 2));
+  } else {
+    displayStatus(status);
+  }
+
+  return status.input.total > 0 ? 0 : 1;
+}
+
+module.exports = {
+  name: 'status',
+  description: 'ネットワークに接続せずにダウンロード状況を表示',
+  usage: '[オプション] [アーカイブのZIPファイル]',
+  options: [
+    { name: 'json', description: '結果をJSONで出力' }
+  ],
+  run,
+  classifyTweet
+};
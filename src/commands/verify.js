@@ -0,0 +1,177 @@
+// verify コマンド: ダウンロード済みのファイル（メディアとメタデータ）に問題がないか確認する
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, dirs } = require('../config/config');
+const { scanDownloadedFiles } = require('../utils/file-utils');
+const { recordRemovedFile, getSavedMediaNumbers } = require('../utils/library-index');
+const { validateMediaFile, loadManifest } = require('../utils/media-integrity');
+const { getDownloadableMediaTypes } = require('../services/metadata-service');
+const { createUsageError } = require('../utils/cli-args');
+const { colorize, ANSI_COLORS } = require('../utils/progress-bar');
+
+// --fix で削除する問題の種類
+const REMOVABLE_PROBLEMS = ['empty-file', 'invalid-media', 'checksum-mismatch', 'metadata-parse'];
+
+// 問題の種類と表示名
+const PROBLEM_LABELS = {
+  'empty-file': '空のファイル',
+  'invalid-media': '画像/動画の形式が正しくない',
+  'checksum-mismatch': 'マニフェストのSHA-256と一致しない',
+  'metadata-parse': 'メタデータを読み込めない',
+  'missing-metadata': 'メタデータがない',
+  'missing-media': 'メディアが足りない'
+};
+
+/**
+ * メディアファイルの形式・構造と、マニフェストに記録したSHA-256を確認する
+ * @param {string} tweetId - ツイートID
+ * @param {Array<{fileName: string, size: number}>} mediaFiles - ツイートのメディアファイル
+ * @returns {Promise<Array<Object>>} 見つかった問題
+ */
+async function verifyMediaFiles(tweetId, mediaFiles) {
+  const problems = [];
+  const manifest = loadManifest(tweetId);
+
+  for (const { fileName, size } of mediaFiles) {
+    if (size === 0) {
+      problems.push({ tweetId, type: 'empty-file', fileName, detail: '0バイト' });
+      continue;
+    }
+
+    let integrity;
+    try {
+      integrity = await validateMediaFile(path.join(dirs.downloadDir, fileName), fileName);
+    } catch (error) {
+      problems.push({ tweetId, type: 'invalid-media', fileName, detail: error.message });
+      continue;
+    }
+
+    // マニフェストがないファイル（以前のバージョンで保存したものなど）は形式のみ確認する
+    const recorded = manifest.files[fileName];
+    if (recorded && recorded.sha256 !== integrity.sha256) {
+      problems.push({ tweetId, type: 'checksum-mismatch', fileName, detail: `記録: ${recorded.sha256.slice(0, 12)}… / 現在: ${integrity.sha256.slice(0, 12)}…` });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * ダウンロード済みのファイルを検査する（インデックスではなく、保存先のファイルを直接確認する）
+ * @returns {Promise<{checkedTweets: number, problems: Array<{tweetId: string, type: string, fileName: string|null, detail: string}>}>} 検査結果
+ */
+async function verifyDownloads() {
+  const problems = [];
+  const downloadedFiles = scanDownloadedFiles();
+
+  for (const [tweetId, { mediaFiles, metadataFile }] of downloadedFiles) {
+    problems.push(...await verifyMediaFiles(tweetId, mediaFiles));
+
+    if (!metadataFile) {
+      problems.push({ tweetId, type: 'missing-metadata', fileName: null, detail: `メディア ${mediaFiles.length}件` });
+      continue;
+    }
+
+    let metadata;
+    try {
+      metadata = JSON.parse(fs.readFileSync(path.join(dirs.downloadDir, metadataFile), CONFIG.ENCODING));
+    } catch (error) {
+      problems.push({ tweetId, type: 'metadata-parse', fileName: metadataFile, detail: error.message });
+      continue;
+    }
+
+    // ダウンロードできるメディア（URLを抽出できないメディアを除く）の数と保存されたメディアの番号の数を比較（別に保存した音声は動画と同じ番号）
+    const expectedCount = getDownloadableMediaTypes(metadata).filter(Boolean).length;
+    const savedCount = getSavedMediaNumbers(mediaFiles.map(file => file.fileName)).size;
+    if (expectedCount > savedCount) {
+      problems.push({
+        tweetId,
+        type: 'missing-media',
+        fileName: null,
+        detail: `${savedCount}/${expectedCount}件`
+      });
+    }
+  }
+
+  return { checkedTweets: downloadedFiles.size, problems };
+}
+
+/**
+ * 問題のあるファイルを削除して、次回の download で再取得されるようにする
+ * （空のファイル、形式が正しくない・SHA-256が一致しないメディア、読み込めないメタデータ。足りないメディアはそのまま）
+ * @param {Array<Object>} problems - verifyDownloadsが返す問題の一覧
+ * @returns {number} 削除したファイル数
+ */
+function removeBrokenFiles(problems) {
+  let removed = 0;
+
+  for (const problem of problems) {
+    if (!problem.fileName || !REMOVABLE_PROBLEMS.includes(problem.type)) continue;
+
+    try {
+      fs.unlinkSync(path.join(dirs.downloadDir, problem.fileName));
+      recordRemovedFile(problem.tweetId, problem.fileName);
+      removed++;
+    } catch (error) {
+      console.error(`ファイルの削除に失敗しました (${problem.fileName}): ${error.message}`);
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * verify コマンドを実行する
+ * @param {{positionals: Array<string>, values: Object}} args - 解析済みの引数
+ * @returns {Promise<number>} 終了コード（問題がある場合は1）
+ */
+async function run({ positionals, values }) {
+  if (positionals.length > 0) {
+    throw createUsageError(`引数が多すぎます: ${positionals.join(' ')}`);
+  }
+
+  const result = await verifyDownloads();
+  const removed = values.fix ? removeBrokenFiles(result.problems) : 0;
+
+  if (values.json) {
+    console.log(JSON.stringify({ ...result, removedFiles: removed }, null, 2));
+    return result.problems.length > 0 ? 1 : 0;
+  }
+
+  console.log(`${colorize('検査したツイート', ANSI_COLORS.bold)}: ${result.checkedTweets} 件`);
+
+  if (result.problems.length === 0) {
+    console.log(colorize('問題は見つかりませんでした', ANSI_COLORS.green));
+    return 0;
+  }
+
+  for (const type of Object.keys(PROBLEM_LABELS)) {
+    const matched = result.problems.filter(problem => problem.type === type);
+    if (matched.length === 0) continue;
+
+    console.log(`${colorize(PROBLEM_LABELS[type], ANSI_COLORS.yellow)}: ${matched.length} 件`);
+    matched.forEach(problem => {
+      console.log(`  ${colorize('└ ' + problem.tweetId, ANSI_COLORS.dim)}: ${problem.fileName ? `${problem.fileName} - ` : ''}${problem.detail}`);
+    });
+  }
+
+  if (values.fix) {
+    console.log(`${colorize('削除したファイル', ANSI_COLORS.bold)}: ${removed} 件 (次回の download で再取得されます)`);
+  } else {
+    console.log(colorize('--fix を指定すると、問題のあるメディア（足りないものを除く）と読み込めないメタデータを削除します', ANSI_COLORS.dim));
+  }
+
+  return 1;
+}
+
+module.exports = {
+  name: 'verify',
+  description: 'ダウンロード済みのファイルを検査',
+  usage: '[オプション]',
+  options: [
+    { name: 'fix', description: '問題のあるメディアと読み込めないメタデータを削除して再取得の対象にする' },
+    { name: 'json', description: '結果をJSONで出力' }
+  ],
+  run,
+  verifyDownloads
+};
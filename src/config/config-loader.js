@@ -0,0 +1,276 @@
+// 設定の読み込みと重ね合わせ（デフォルト < 設定ファイル < 環境変数 < コマンドライン）
+// 各設定項目の値がどこから来たか（origin）も記録し、config show で表示できるようにする
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CONFIG_SCHEMA, createConfigError, getSchemaEntry, validateConfigValue, parseConfigValue } = require('./schema');
+
+// 設定ファイルの名前
+const CONFIG_FILE_NAME = 'config.json';
+
+// ユーザーごとの設定ファイルを置くフォルダ名
+const USER_CONFIG_DIR_NAME = 'twitter-like-media-downloader';
+
+// 設定ファイルを明示的に指定する環境変数
+const CONFIG_FILE_ENV = 'TLMD_CONFIG';
+
+// 値の出どころの優先順位（大きいほど優先）
+const ORIGIN_PRIORITY = { default: 0, file: 1, env: 2, cli: 3 };
+
+// 重ね合わせの対象となる設定オブジェクトと、プロジェクトのルートフォルダ
+let targetConfig = null;
+let projectRoot = null;
+
+// 設定項目ごとの値の出どころ { source: 'default' | 'file' | 'env' | 'cli', detail: string|null }
+const origins = new Map();
+
+// 読み込んだ設定ファイルと、読み込み時のエラー・警告
+const loadedFiles = [];
+const configErrors = [];
+const configWarnings = [];
+
+/**
+ * 設定ファイルの候補を取得する（後のものほど優先）
+ * @returns {Array<{scope: string, path: string}>} 設定ファイルの候補
+ */
+function getConfigFileCandidates() {
+  const userConfigBase = process.env.APPDATA || process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  const candidates = [
+    { scope: 'user', path: path.join(userConfigBase, USER_CONFIG_DIR_NAME, CONFIG_FILE_NAME) },
+    { scope: 'project', path: path.join(projectRoot, CONFIG_FILE_NAME) }
+  ];
+
+  if (process.env[CONFIG_FILE_ENV]) {
+    candidates.push({ scope: 'explicit', path: path.resolve(process.env[CONFIG_FILE_ENV]) });
+  }
+
+  return candidates;
+}
+
+/**
+ * 設定項目のキーから値の格納先を取得する
+ * @param {string} key - 設定項目のキー（'UX.COLOR_THEME' など）
+ * @returns {{parent: Object, property: string}} 格納先
+ */
+function resolveTarget(key) {
+  const segments = key.split('.');
+  let parent = targetConfig;
+  for (const segment of segments.slice(0, -1)) {
+    parent = parent[segment];
+  }
+  return { parent, property: segments[segments.length - 1] };
+}
+
+/**
+ * 設定項目の現在の値を取得する
+ * @param {string} key - 設定項目のキー
+ * @returns {*} 現在の値
+ */
+function getConfigValue(key) {
+  const { parent, property } = resolveTarget(key);
+  return parent[property];
+}
+
+/**
+ * 設定項目の値を更新する（より優先度の低い出どころからの値は無視する）
+ * @param {string} key - 設定項目のキー
+ * @param {*} value - 検証済みの値
+ * @param {{source: string, detail: string|null}} origin - 値の出どころ
+ * @returns {boolean} 値を更新した場合はtrue
+ */
+function setConfigValue(key, value, origin) {
+  const current = origins.get(key);
+  if (current && ORIGIN_PRIORITY[current.source] > ORIGIN_PRIORITY[origin.source]) {
+    return false;
+  }
+
+  const { parent, property } = resolveTarget(key);
+  parent[property] = value;
+  origins.set(key, origin);
+  return true;
+}
+
+/**
+ * 設定項目の値の出どころを取得する
+ * @param {string} key - 設定項目のキー
+ * @returns {{source: string, detail: string|null}} 値の出どころ
+ */
+function getConfigOrigin(key) {
+  return origins.get(key) || { source: 'default', detail: null };
+}
+
+/**
+ * 設定ファイルの内容（入れ子のオブジェクト）を設定項目のキーと値の組に展開する
+ * @param {Object} data - 設定ファイルの内容
+ * @param {string} [prefix] - 親のキー
+ * @returns {Array<[string, *]>} キーと値の組
+ */
+function flattenConfigData(data, prefix = '') {
+  const entries = [];
+
+  for (const [name, value] of Object.entries(data)) {
+    const key = `${prefix}${name}`;
+    const isGroup = !getSchemaEntry(key) &&
+                    Object.keys(CONFIG_SCHEMA).some(schemaKey => schemaKey.startsWith(`${key}.`));
+
+    if (isGroup && value && typeof value === 'object' && !Array.isArray(value)) {
+      entries.push(...flattenConfigData(value, `${key}.`));
+    } else {
+      entries.push([key, value]);
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * 設定ファイルを読み込んで設定に反映する（環境変数やコマンドラインで指定された項目は上書きしない）
+ * @param {string} filePath - 設定ファイルのパス
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.required] - ファイルがない場合にエラーにするかどうか
+ * @returns {boolean} ファイルを読み込んだ場合はtrue
+ * @throws {Error} 読み込めない、または不正な値がある場合（type: 'config'）
+ */
+function loadConfigFile(filePath, options = {}) {
+  if (!fs.existsSync(filePath)) {
+    if (options.required) {
+      throw createConfigError(`設定ファイルが見つかりません: ${filePath}`);
+    }
+    return false;
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw createConfigError(`設定ファイルを読み込めません (${filePath}): ${error.message}`);
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw createConfigError(`設定ファイルの内容はオブジェクトである必要があります: ${filePath}`);
+  }
+
+  // すべての値を検証してから反映する（一部だけ反映されることを避ける）
+  const values = flattenConfigData(data).map(([key, value]) => {
+    let validated;
+    try {
+      validated = validateConfigValue(key, value);
+    } catch (error) {
+      throw createConfigError(`${error.message} (${filePath})`);
+    }
+
+    // 相対パスは設定ファイルのフォルダを基準にする
+    if (validated && getSchemaEntry(key).isPath) {
+      validated = path.resolve(path.dirname(filePath), validated);
+    }
+    return [key, validated];
+  });
+
+  values.forEach(([key, value]) => setConfigValue(key, value, { source: 'file', detail: filePath }));
+  loadedFiles.push(filePath);
+  return true;
+}
+
+/**
+ * 環境変数の値を設定に反映する（空の環境変数は未設定として扱う）
+ * 環境変数名が複数ある項目（http_proxy / HTTP_PROXY など）は、先に見つかったものを使う
+ * 解釈できない値は、他の目的で設定された環境変数の可能性があるため、警告を記録して無視する
+ * 以前のバージョンの環境変数名（TLMD_ を付けない DEBUG など）は、TLMD_ の名前がない場合のみ使い、名前の変更を警告する
+ * （以前の名前は他のツールでも使われるため、解釈できない値は警告せずに無視する）
+ */
+function applyEnvironment() {
+  for (const [key, entry] of Object.entries(CONFIG_SCHEMA)) {
+    const envNames = [].concat(entry.env || []);
+    const envName = envNames.find(name => process.env[name] !== undefined && process.env[name] !== '');
+    if (!envName) continue;
+
+    const currentName = envNames.find(name => name.startsWith('TLMD_'));
+    const isLegacyName = Boolean(currentName) && envName !== currentName;
+    let value;
+    try {
+      value = parseConfigValue(key, process.env[envName]);
+    } catch (error) {
+      if (!isLegacyName) {
+        configWarnings.push(createConfigError(`環境変数 ${envName} の値を無視しました: ${error.message}`));
+      }
+      continue;
+    }
+
+    setConfigValue(key, value, { source: 'env', detail: envName });
+    if (isLegacyName) {
+      configWarnings.push(createConfigError(`環境変数 ${envName} は以前の名前です。今後は ${currentName} を使ってください`));
+    }
+  }
+}
+
+/**
+ * デフォルト値に設定ファイルと環境変数を重ねる（config.js の読み込み時に1回だけ呼ばれる）
+ * エラーは例外にせず記録し、コマンドの実行前に getConfigErrors で確認する
+ * @param {Object} config - デフォルト値が入った設定オブジェクト（直接更新される）
+ * @param {string} projectDir - プロジェクトのルートフォルダ
+ */
+function initializeConfig(config, projectDir) {
+  targetConfig = config;
+  projectRoot = projectDir;
+
+  for (const candidate of getConfigFileCandidates()) {
+    try {
+      loadConfigFile(candidate.path, { required: candidate.scope === 'explicit' });
+    } catch (error) {
+      configErrors.push(error);
+    }
+  }
+
+  applyEnvironment();
+}
+
+/**
+ * 設定の読み込み時に発生したエラーを取得する
+ * @returns {Array<Error>} エラーの配列
+ */
+function getConfigErrors() {
+  return [...configErrors];
+}
+
+/**
+ * 設定の読み込み時に無視した値の警告を取得する
+ * @returns {Array<Error>} 警告の配列
+ */
+function getConfigWarnings() {
+  return [...configWarnings];
+}
+
+/**
+ * 読み込んだ設定ファイルの一覧を取得する
+ * @returns {Array<string>} 設定ファイルのパス
+ */
+function getLoadedConfigFiles() {
+  return [...loadedFiles];
+}
+
+/**
+ * すべての設定項目の現在の値と出どころを取得する
+ * @returns {Array<{key: string, value: *, source: string, detail: string|null, description: string}>} 設定項目の一覧
+ */
+function listEffectiveConfig() {
+  return Object.entries(CONFIG_SCHEMA).map(([key, entry]) => ({
+    key,
+    value: getConfigValue(key),
+    ...getConfigOrigin(key),
+    description: entry.description
+  }));
+}
+
+module.exports = {
+  CONFIG_FILE_ENV,
+  initializeConfig,
+  getConfigFileCandidates,
+  loadConfigFile,
+  getConfigValue,
+  setConfigValue,
+  getConfigOrigin,
+  getConfigErrors,
+  getConfigWarnings,
+  getLoadedConfigFiles,
+  listEffectiveConfig
+};
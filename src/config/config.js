@@ -1,5 +1,8 @@
 // アプリケーション全体の設定を管理するファイル
+// ここにはデフォルト値を定義し、設定ファイル・環境変数の値は config-loader.js で重ねる
+// （設定項目の型と環境変数名は schema.js で定義）
 const path = require('path');
+const { initializeConfig, getConfigOrigin } = require('./config-loader');
 
 // バージョン情報
 const APP_VERSION = '1.2.0';
@@ -8,18 +11,26 @@ const APP_VERSION = '1.2.0';
 const baseDir = path.resolve(__dirname, '../../');
 
 // ディレクトリパスの設定 (デフォルト値)
+// 実際の値は CONFIG.LIBRARY_DIR / LOGS_DIR / STATE_DIR から applyDirectorySettings で設定される
+// ディレクトリは読み込み時には作成せず、コマンドの実行開始時に作成する（file-utils.js の ensureRuntimeDirectories）
 const dirs = {
   downloadDir: path.join(baseDir, 'downloaded_images'), // デフォルト: プロジェクトルートの 'downloaded_images'
-  logsDir: path.join(baseDir, 'logs')  // デフォルト: プロジェクトルートの 'logs'
+  logsDir: path.join(baseDir, 'logs'),  // デフォルト: プロジェクトルートの 'logs'
+  stateDir: path.join(baseDir, 'logs')  // デフォルト: logsDir と同じ
 };
 
-// 各種ディレクトリが存在することを確認
-const fs = require('fs');
-for (const dir of Object.values(dirs)) {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
+// ディレクトリ設定から導出するファイルパス（設定ファイルなどで個別に指定されていない場合に使用）
+const DERIVED_PATHS = {
+  ERROR_LOG_FILE: { dir: 'logsDir', fileName: `error-log-${new Date().toISOString().replace(/:/g, '-')}.json` },
+  SKIP_LIST_PATH: { dir: 'stateDir', fileName: 'skip-ids.json' },
+  NOT_FOUND_LIST_PATH: { dir: 'stateDir', fileName: 'not-found-ids.json' },
+  SENSITIVE_LIST_PATH: { dir: 'stateDir', fileName: 'sensitive-ids.json' },
+  PARSE_ERROR_LIST_PATH: { dir: 'stateDir', fileName: 'parse-error-ids.json' },
+  NO_MEDIA_LIST_PATH: { dir: 'stateDir', fileName: 'no-media-ids.json' },
+  STATE_FILE_PATH: { dir: 'stateDir', fileName: 'download-state.json' },
+  EXPORT_HISTORY_PATH: { dir: 'stateDir', fileName: 'export-history.json' },
+  LIBRARY_INDEX_PATH: { dir: 'downloadDir', fileName: '.library-index.jsonl' }
+};
 
 // アプリケーション設定
 const CONFIG = {
@@ -32,42 +43,113 @@ const CONFIG = {
   // リトライ間の待機時間(ミリ秒) (デフォルト: 5000ms)
   RETRY_DELAY: 5000,
   
-  // API呼び出し間の待機時間(ミリ秒) (デフォルト: 1500ms)
+  // API呼び出し間の基本の待機時間(ミリ秒) (デフォルト: 1500ms)
+  // レート制限を受けると自動的に広がり、成功が続くとこの値まで少しずつ戻る
   API_CALL_DELAY: 1500,
   
-  // エラーが多発した場合の待機時間(ミリ秒) (デフォルト: 60000ms)
+  // 待機せずに続けて呼び出せるAPI呼び出しの回数 (デフォルト: 3回)
+  API_RATE_BURST: 3,
+  
+  // レート制限を受けた場合の待機時間(ミリ秒) (デフォルト: 60000ms)
+  // Retry-After などで待機時間が分かる場合はそちらを優先する
   ERROR_COOLDOWN: 60000,
   
   // ダウンロードのタイムアウト(ミリ秒) (デフォルト: 30000ms)
   DOWNLOAD_TIMEOUT: 30000,
   
-  // エラー記録用のファイルパス (デフォルト: logs/error-log-[timestamp].json)
-  ERROR_LOG_FILE: path.join(dirs.logsDir, `error-log-${new Date().toISOString().replace(/:/g, '-')}.json`),
+  // メディアファイルのダウンロードに失敗した場合の再試行回数 (デフォルト: 3回)
+  // 同じURLで再試行し、それでも失敗した場合は次の候補（画像は小さいサイズ、動画は別のビットレート）を試す
+  DOWNLOAD_RETRIES: 3,
+  
+  // メディアファイルの再試行までの待機時間(ミリ秒) (デフォルト: 1000ms)
+  // 再試行のたびに2倍にする
+  DOWNLOAD_RETRY_DELAY: 1000,
+  
+  // HLS（ストリーミング形式）の動画で、同時にダウンロードするセグメントの数 (デフォルト: 4)
+  // MP4がなくHLSのみの動画は、セグメントをダウンロードしてつなげた1つのファイルとして保存する
+  HLS_SEGMENT_CONCURRENCY: 4,
+  
+  // HLSの動画で、別のプレイリストに分かれた音声を映像とまとめる ffmpeg の実行ファイル (デフォルト: null = PATH の ffmpeg)
+  // ffmpeg がない場合は、音声を <ファイル名>.audio.m4a として映像の隣に保存する
+  FFMPEG_PATH: null,
+  
+  // メディアのダウンロード全体（並列のダウンロードの合計）の速度の上限（バイト/秒、"1MB" のような単位付きも可）
+  // null または 0 は制限なし。インタラクティブモードでは [ / ] キーで変更できる
+  BANDWIDTH_LIMIT: null,
+  
+  // 時間帯ごとの速度の上限（例: ['09:00-18:00=1MB', '22:00-06:00=unlimited']。時刻はローカル時間）
+  // どの時間帯にも当てはまらない時刻は BANDWIDTH_LIMIT に従う。時間帯が重なる場合は先に書いたものを使う
+  BANDWIDTH_SCHEDULE: null,
+  
+  // ダウンロードしたメディアとメタデータの保存先 (デフォルト: downloaded_images)
+  // 外部ドライブやNASのフォルダも指定可能
+  LIBRARY_DIR: dirs.downloadDir,
+  
+  // エラーログの保存先 (デフォルト: logs)
+  LOGS_DIR: dirs.logsDir,
   
-  // 処理をスキップするツイートIDを記録するファイルパス (デフォルト: logs/skip-ids.json)
-  SKIP_LIST_PATH: path.join(dirs.logsDir, 'skip-ids.json'),
+  // スキップリスト・セーブポイント・エクスポート履歴の保存先 (デフォルト: null = LOGS_DIR と同じ)
+  STATE_DIR: null,
   
-  // 存在しないツイートのIDを記録するファイルパス (デフォルト: logs/not-found-ids.json)
-  NOT_FOUND_LIST_PATH: path.join(dirs.logsDir, 'not-found-ids.json'),
+  // エラー記録用のファイルパス (デフォルト: LOGS_DIR/error-log-[timestamp].json)
+  ERROR_LOG_FILE: null,
   
-  // センシティブコンテンツを含むツイートのIDを記録するファイルパス (デフォルト: logs/sensitive-ids.json)
-  SENSITIVE_LIST_PATH: path.join(dirs.logsDir, 'sensitive-ids.json'),
+  // 処理をスキップするツイートIDを記録するファイルパス (デフォルト: STATE_DIR/skip-ids.json)
+  SKIP_LIST_PATH: null,
   
-  // 解析エラーが発生したツイートIDを記録するファイルパス (デフォルト: logs/parse-error-ids.json)
-  PARSE_ERROR_LIST_PATH: path.join(dirs.logsDir, 'parse-error-ids.json'),
+  // 存在しないツイートのIDを記録するファイルパス (デフォルト: STATE_DIR/not-found-ids.json)
+  NOT_FOUND_LIST_PATH: null,
   
-  // メディア（画像・動画）がないツイートのIDを記録するファイルパス (デフォルト: logs/no-media-ids.json)
-  NO_MEDIA_LIST_PATH: path.join(dirs.logsDir, 'no-media-ids.json'),
+  // センシティブコンテンツを含むツイートのIDを記録するファイルパス (デフォルト: STATE_DIR/sensitive-ids.json)
+  SENSITIVE_LIST_PATH: null,
+  
+  // 解析エラーが発生したツイートIDを記録するファイルパス (デフォルト: STATE_DIR/parse-error-ids.json)
+  PARSE_ERROR_LIST_PATH: null,
+  
+  // メディア（画像・動画）がないツイートのIDを記録するファイルパス (デフォルト: STATE_DIR/no-media-ids.json)
+  NO_MEDIA_LIST_PATH: null,
   
   // デバッグモード (詳細情報を表示) (デフォルト: false)
-  DEBUG: process.env.DEBUG === 'true' || false,
+  DEBUG: false,
+  
+  // 進捗表示と詳細なログを抑制する (デフォルト: false)
+  QUIET: false,
+  
+  // ダウンロード済みのツイートも含めて再ダウンロードする (デフォルト: false)
+  FORCE_DOWNLOAD: false,
   
   // 進捗バーを表示するかどうか (デフォルト: true)
-  SHOW_PROGRESS: process.env.SHOW_PROGRESS !== 'false',
+  SHOW_PROGRESS: true,
   
   // 並列ダウンロード数 (デフォルト: 1)
-  // 注意: 値を増やすとTwitterのAPI制限に引っかかる可能性があります
-  PARALLEL_DOWNLOADS: process.env.PARALLEL_DOWNLOADS ? parseInt(process.env.PARALLEL_DOWNLOADS) : 1,
+  // メディアをダウンロードするツイートの数と、同時にダウンロードするメディアファイルの数の上限
+  // API呼び出しはレートリミッターで調整されるため、値を増やしてもAPIの呼び出し間隔は変わりません
+  PARALLEL_DOWNLOADS: 1,
+  
+  // ツイート情報の取得（メタデータの段階）を同時に行うツイートの数 (デフォルト: 1)
+  METADATA_WORKERS: 1,
+  
+  // メタデータを取得してメディアのダウンロードを待っているツイートの最大数 (デフォルト: 10)
+  // いっぱいになるとツイート情報の取得を一時的に止める
+  MEDIA_QUEUE_SIZE: 10,
+  
+  // Twitterアーカイブのパス（ZIPファイルまたは展開済みフォルダ）
+  // 未設定の場合はプロジェクトルート（または data/）の like.js を読み込む
+  ARCHIVE_PATH: null,
+  
+  // アーカイブの data/tweets_media にあるメディアを、ダウンロードの代わりに利用する (デフォルト: true)
+  USE_ARCHIVE_MEDIA: true,
+  
+  // 処理する入力ソース（カンマ区切り） (デフォルト: like)
+  // 'like', 'bookmark', 'tweets', 'direct-messages', 'url-list' から選択
+  INPUT_SOURCES: ['like'],
+  
+  // 入力ソース 'url-list' で読み込むテキスト/CSVファイルのパス
+  URL_LIST_PATH: null,
+  
+  // 前回のエクスポートとの差分処理モード (デフォルト: new-first)
+  // 'new-first': 新しく追加されたツイートを先に処理、'new-only': 新しいツイートのみ処理、'off': 差分を使わない
+  INCREMENTAL_MODE: 'new-first',
   
   // ファイルの読み込みエンコーディング (デフォルト: utf8)
   ENCODING: 'utf8',
@@ -75,41 +157,124 @@ const CONFIG = {
   // ネットワークリクエストのユーザーエージェント
   USER_AGENT: `TwitterURLDirect/${APP_VERSION} Node.js/${process.version}`,
   
+  // メディアのダウンロードでホストごとに同時に開く接続の最大数 (デフォルト: 6)
+  // 接続はkeep-aliveで再利用される
+  MAX_SOCKETS_PER_HOST: 6,
+  
+  // HTTP2_HOSTS のホストからのダウンロードにHTTP/2を使う (デフォルト: false)
+  // HTTP/2では1つの接続で複数のファイルを同時にダウンロードする。接続できない場合はHTTP/1.1を使う
+  USE_HTTP2: false,
+  
+  // HTTP/2を使うホスト
+  HTTP2_HOSTS: ['pbs.twimg.com', 'video.twimg.com'],
+  
+  // メディアのダウンロードで、別のホストへのリダイレクトに従う範囲 (デフォルト: allowed-hosts)
+  // 'any': すべてのホスト、'allowed-hosts': 同じホストと REDIRECT_ALLOWED_HOSTS のホスト、'same-host': 同じホストのみ
+  // HTTPSからHTTPへのリダイレクトには従わない
+  REDIRECT_POLICY: 'allowed-hosts',
+  
+  // REDIRECT_POLICY が 'allowed-hosts' の場合にリダイレクトを許可するホスト（サブドメインも含む）
+  REDIRECT_ALLOWED_HOSTS: ['twimg.com', 'twitter.com', 'x.com'],
+  
+  // HTTP / HTTPS のリクエストに使うプロキシのURL（例: 'http://proxy.example.com:8080'。null はプロキシを使わない）
+  // 環境変数 HTTP_PROXY / HTTPS_PROXY（小文字も可）でも指定できる。HTTPSのリクエストにはHTTPS_PROXYのみを使う
+  HTTP_PROXY: null,
+  HTTPS_PROXY: null,
+  
+  // プロキシを使わないホスト（例: ['localhost', '.example.com']。'*' はすべてのホスト。SOCKS_PROXY にも適用）
+  NO_PROXY: null,
+  
+  // SOCKS5プロキシのURL（例: 'socks5h://127.0.0.1:1080'。指定した場合は HTTP_PROXY / HTTPS_PROXY より優先）
+  // 'socks5h://' はホスト名の解決もプロキシ側で行う
+  SOCKS_PROXY: null,
+  
+  // 処理するツイートの絞り込み（download, status, export に適用。null は絞り込まない）
+  FILTER: {
+    // ツイートIDの範囲（両端を含む）
+    MIN_ID: null,
+    MAX_ID: null,
+    
+    // 処理するツイートIDのリスト
+    IDS: null,
+    
+    // 投稿日時の範囲（ツイートIDから算出。日付のみの場合は UNTIL の日を含む）
+    SINCE: null,
+    UNTIL: null,
+    
+    // 投稿者のユーザー名（保存済みのメタデータ、またはツイートURLから判定）
+    AUTHORS: null,
+    EXCLUDE_AUTHORS: null,
+    
+    // メディアの種類 ('photo', 'video', 'gif')
+    MEDIA_TYPES: null,
+    
+    // 処理するツイートの最大件数（絞り込み後、処理順で先頭から）
+    LIMIT: null
+  },
+  
   // UX関連の設定 (新規追加)
   UX: {
     // カラーテーマ
-    COLOR_THEME: process.env.COLOR_THEME || 'default', // 'default', 'light', 'dark'
+    COLOR_THEME: 'default', // 'default', 'light', 'dark'
     
     // 詳細な統計表示
-    SHOW_DETAILED_STATS: process.env.SHOW_DETAILED_STATS !== 'false',
+    SHOW_DETAILED_STATS: true,
     
     // ファイル名の表示スタイル ('full', 'short', 'id-only')
-    FILENAME_DISPLAY: process.env.FILENAME_DISPLAY || 'short',
+    FILENAME_DISPLAY: 'short',
     
     // 進捗表示の更新間隔 (ミリ秒)
-    PROGRESS_UPDATE_INTERVAL: process.env.PROGRESS_UPDATE_INTERVAL ? parseInt(process.env.PROGRESS_UPDATE_INTERVAL) : 500,
+    PROGRESS_UPDATE_INTERVAL: 500,
     
     // インタラクティブモード（キー入力で一時停止や速度調整などが可能）
-    INTERACTIVE: process.env.INTERACTIVE !== 'false',
+    INTERACTIVE: true,
     
     // プログレスバーのスタイル ('bar', 'dots', 'braille')
-    PROGRESS_STYLE: process.env.PROGRESS_STYLE || 'bar',
+    PROGRESS_STYLE: 'bar',
     
     // 通知サウンドを有効化（完了時や大きなエラー時）
-    SOUND_NOTIFICATIONS: process.env.SOUND_NOTIFICATIONS === 'true',
+    SOUND_NOTIFICATIONS: false,
     
     // 自動で定期的にセーブポイントを作成（処理中断時に再開可能）
-    AUTO_SAVE_POINT: process.env.AUTO_SAVE_POINT !== 'false',
+    AUTO_SAVE_POINT: true,
     
-    // セーブポイント作成間隔（処理件数）
-    SAVE_POINT_INTERVAL: process.env.SAVE_POINT_INTERVAL ? parseInt(process.env.SAVE_POINT_INTERVAL) : 20
+    // セーブポイント作成間隔（ミリ秒） (デフォルト: 10000ms)
+    // 処理済みのツイートIDは前回の保存から増えた分だけを追記する
+    SAVE_POINT_INTERVAL: 10000
   },
   
-  // 状態保存/復元関連のパス（新規追加）
-  STATE_FILE_PATH: path.join(dirs.logsDir, 'download-state.json')
+  // 状態保存/復元関連のパス (デフォルト: STATE_DIR/download-state.json)
+  STATE_FILE_PATH: null,
+  
+  // 過去のエクスポートに含まれていたツイートIDを記録するファイルパス (デフォルト: STATE_DIR/export-history.json)
+  EXPORT_HISTORY_PATH: null,
+  
+  // ダウンロード済みのファイルのインデックスのファイルパス (デフォルト: LIBRARY_DIR/.library-index.jsonl)
+  LIBRARY_INDEX_PATH: null
 };
 
+/**
+ * ディレクトリの設定を dirs と、個別に指定されていないファイルパスに反映する
+ * （設定ファイル・環境変数・コマンドラインの値を反映した後に呼び出す）
+ */
+function applyDirectorySettings() {
+  dirs.downloadDir = path.resolve(CONFIG.LIBRARY_DIR);
+  dirs.logsDir = path.resolve(CONFIG.LOGS_DIR);
+  dirs.stateDir = path.resolve(CONFIG.STATE_DIR || CONFIG.LOGS_DIR);
+  
+  for (const [key, { dir, fileName }] of Object.entries(DERIVED_PATHS)) {
+    if (getConfigOrigin(key).source === 'default') {
+      CONFIG[key] = path.join(dirs[dir], fileName);
+    }
+  }
+}
+
+// 設定ファイル（ユーザーごと < プロジェクト）と環境変数の値を重ねる
+initializeConfig(CONFIG, baseDir);
+applyDirectorySettings();
+
 module.exports = {
   CONFIG,
-  dirs
+  dirs,
+  applyDirectorySettings
 };
\ No newline at end of file
@@ -0,0 +1,237 @@
+// 設定項目の定義（型・指定可能な値・環境変数名）と値の検証
+// 設定ファイル・環境変数・コマンドラインの値はすべてここで検証してから CONFIG に反映する
+
+// ツイートIDの形式（IDは数値の精度を超えるため文字列で扱う）
+const TWEET_ID_PATTERN = /^\d+$/;
+
+// データ量の形式（例: "500KB", "1.5MB", "2M"。単位は1024倍ごと、単位がない場合はバイト）
+const BYTE_SIZE_PATTERN = /^(\d+(?:\.\d+)?)\s*([KMG]?)(?:i?B)?$/i;
+
+// 時間帯ごとの帯域制限の形式（例: "09:00-18:00=1MB"。終了時刻が開始時刻より前の場合は日をまたぐ）
+const BANDWIDTH_SCHEDULE_PATTERN = /^(?:[01]?\d|2[0-3]):[0-5]\d-(?:(?:[01]?\d|2[0-3]):[0-5]\d|24:00)=(?:\d+(?:\.\d+)?\s*[KMG]?(?:i?B)?|unlimited)$/i;
+
+// データ量の単位ごとの倍率
+const BYTE_SIZE_UNITS = { '': 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3 };
+
+// 設定項目の定義（キーはドット区切りで入れ子の項目を表す）
+// type: 'integer' | 'number' | 'boolean' | 'string' | 'list' | 'date'（Date.parse で解釈できる文字列）
+//       | 'size'（バイト数、または "1MB" のような単位付きの文字列）
+// env: 対応する環境変数名（他のツールの環境変数と重ならないように TLMD_ で始める。プロキシの項目のみ一般的な名前も使い、
+//      配列の場合は先頭から順に確認。TLMD_ の名前の後に書いた名前は、以前のバージョンの名前として警告付きで読み込む）、values: 指定可能な値、min: 最小値、nullable: 未設定（null）を許可
+// pattern: 文字列（リストの場合は各要素）が一致すべき正規表現、patternDescription: その説明
+// isPath: 設定ファイルで相対パスを指定した場合、設定ファイルのフォルダを基準に解決する
+const CONFIG_SCHEMA = {
+  MAX_RETRIES: { type: 'integer', min: 0, env: 'TLMD_MAX_RETRIES', description: 'リトライ回数' },
+  RETRY_DELAY: { type: 'integer', min: 0, env: 'TLMD_RETRY_DELAY', description: 'リトライ間の待機時間(ミリ秒)' },
+  API_CALL_DELAY: { type: 'integer', min: 0, env: 'TLMD_API_CALL_DELAY', description: 'API呼び出し間の基本の待機時間(ミリ秒)' },
+  API_RATE_BURST: { type: 'integer', min: 1, env: 'TLMD_API_RATE_BURST', description: '待機せずに続けて呼び出せるAPI呼び出しの回数' },
+  ERROR_COOLDOWN: { type: 'integer', min: 0, env: 'TLMD_ERROR_COOLDOWN', description: 'レート制限を受けた場合の待機時間(ミリ秒)' },
+  DOWNLOAD_TIMEOUT: { type: 'integer', min: 1, env: 'TLMD_DOWNLOAD_TIMEOUT', description: 'ダウンロードのタイムアウト(ミリ秒)' },
+  DOWNLOAD_RETRIES: { type: 'integer', min: 0, env: 'TLMD_DOWNLOAD_RETRIES', description: 'メディアファイルのダウンロードの再試行回数（URLの候補ごと）' },
+  DOWNLOAD_RETRY_DELAY: { type: 'integer', min: 0, env: 'TLMD_DOWNLOAD_RETRY_DELAY', description: 'メディアファイルの再試行までの待機時間(ミリ秒、再試行のたびに2倍)' },
+  HLS_SEGMENT_CONCURRENCY: { type: 'integer', min: 1, env: 'TLMD_HLS_SEGMENT_CONCURRENCY', description: 'HLSの動画で同時にダウンロードするセグメントの数' },
+  FFMPEG_PATH: { type: 'string', nullable: true, isPath: true, env: 'TLMD_FFMPEG_PATH', description: 'HLSの映像と音声をまとめる ffmpeg の実行ファイル（null は PATH の ffmpeg）' },
+  BANDWIDTH_LIMIT: { type: 'size', nullable: true, env: 'TLMD_BANDWIDTH_LIMIT', description: 'ダウンロード全体の速度の上限(バイト/秒、0 は制限なし)' },
+  BANDWIDTH_SCHEDULE: { type: 'list', nullable: true, pattern: BANDWIDTH_SCHEDULE_PATTERN, patternDescription: '"09:00-18:00=1MB" の形式の時間帯と速度の上限', env: 'TLMD_BANDWIDTH_SCHEDULE', description: '時間帯ごとのダウンロードの速度の上限' },
+  LIBRARY_DIR: { type: 'string', isPath: true, env: 'TLMD_LIBRARY_DIR', description: 'メディアとメタデータの保存先' },
+  LOGS_DIR: { type: 'string', isPath: true, env: 'TLMD_LOGS_DIR', description: 'エラーログの保存先' },
+  STATE_DIR: { type: 'string', nullable: true, isPath: true, env: 'TLMD_STATE_DIR', description: 'スキップリスト・セーブポイント・エクスポート履歴の保存先' },
+  ERROR_LOG_FILE: { type: 'string', isPath: true, env: 'TLMD_ERROR_LOG_FILE', description: 'エラー記録用のファイルパス' },
+  SKIP_LIST_PATH: { type: 'string', isPath: true, env: 'TLMD_SKIP_LIST_PATH', description: 'スキップリストのファイルパス' },
+  NOT_FOUND_LIST_PATH: { type: 'string', isPath: true, env: 'TLMD_NOT_FOUND_LIST_PATH', description: '存在しないツイートリストのファイルパス' },
+  SENSITIVE_LIST_PATH: { type: 'string', isPath: true, env: 'TLMD_SENSITIVE_LIST_PATH', description: 'センシティブコンテンツリストのファイルパス' },
+  PARSE_ERROR_LIST_PATH: { type: 'string', isPath: true, env: 'TLMD_PARSE_ERROR_LIST_PATH', description: '解析エラーリストのファイルパス' },
+  NO_MEDIA_LIST_PATH: { type: 'string', isPath: true, env: 'TLMD_NO_MEDIA_LIST_PATH', description: 'メディアがないツイートリストのファイルパス' },
+  DEBUG: { type: 'boolean', env: ['TLMD_DEBUG', 'DEBUG'], description: 'デバッグモード' },
+  QUIET: { type: 'boolean', env: 'TLMD_QUIET', description: '進捗表示と詳細なログを抑制' },
+  FORCE_DOWNLOAD: { type: 'boolean', env: 'TLMD_FORCE_DOWNLOAD', description: 'ダウンロード済みのツイートも再ダウンロード' },
+  SHOW_PROGRESS: { type: 'boolean', env: ['TLMD_SHOW_PROGRESS', 'SHOW_PROGRESS'], description: '進捗バーを表示' },
+  PARALLEL_DOWNLOADS: { type: 'integer', min: 1, env: ['TLMD_PARALLEL_DOWNLOADS', 'PARALLEL_DOWNLOADS'], description: '並列ダウンロード数' },
+  METADATA_WORKERS: { type: 'integer', min: 1, env: 'TLMD_METADATA_WORKERS', description: 'ツイート情報の取得を同時に行う数' },
+  MEDIA_QUEUE_SIZE: { type: 'integer', min: 1, env: 'TLMD_MEDIA_QUEUE_SIZE', description: 'メディアのダウンロードを待つツイートの最大数' },
+  ARCHIVE_PATH: { type: 'string', nullable: true, isPath: true, env: 'TLMD_ARCHIVE_PATH', description: 'Twitterアーカイブのパス' },
+  USE_ARCHIVE_MEDIA: { type: 'boolean', env: 'TLMD_USE_ARCHIVE_MEDIA', description: 'アーカイブのメディアを利用' },
+  INPUT_SOURCES: { type: 'list', env: 'TLMD_INPUT_SOURCES', description: '処理する入力ソース' },
+  URL_LIST_PATH: { type: 'string', nullable: true, isPath: true, env: 'TLMD_URL_LIST_PATH', description: '入力ソース url-list のファイル' },
+  INCREMENTAL_MODE: { type: 'string', values: ['new-first', 'new-only', 'off'], env: 'TLMD_INCREMENTAL_MODE', description: '差分処理モード' },
+  ENCODING: { type: 'string', env: 'TLMD_ENCODING', description: 'ファイルの読み込みエンコーディング' },
+  USER_AGENT: { type: 'string', env: 'TLMD_USER_AGENT', description: 'ネットワークリクエストのユーザーエージェント' },
+  MAX_SOCKETS_PER_HOST: { type: 'integer', min: 1, env: 'TLMD_MAX_SOCKETS_PER_HOST', description: 'ホストごとに同時に開く接続の最大数' },
+  USE_HTTP2: { type: 'boolean', env: 'TLMD_USE_HTTP2', description: 'HTTP2_HOSTS のホストからのダウンロードにHTTP/2を使う' },
+  HTTP2_HOSTS: { type: 'list', env: 'TLMD_HTTP2_HOSTS', description: 'HTTP/2を使うホスト' },
+  REDIRECT_POLICY: { type: 'string', values: ['any', 'allowed-hosts', 'same-host'], env: 'TLMD_REDIRECT_POLICY', description: '別のホストへのリダイレクトに従う範囲' },
+  REDIRECT_ALLOWED_HOSTS: { type: 'list', env: 'TLMD_REDIRECT_ALLOWED_HOSTS', description: 'リダイレクトを許可するホスト（サブドメインも含む）' },
+  HTTP_PROXY: { type: 'string', nullable: true, env: ['http_proxy', 'HTTP_PROXY'], description: 'HTTPのリクエストに使うプロキシ' },
+  HTTPS_PROXY: { type: 'string', nullable: true, env: ['https_proxy', 'HTTPS_PROXY'], description: 'HTTPSのリクエストに使うプロキシ' },
+  NO_PROXY: { type: 'list', nullable: true, env: ['no_proxy', 'NO_PROXY'], description: 'プロキシを使わないホスト' },
+  SOCKS_PROXY: { type: 'string', nullable: true, pattern: /^socks5h?:\/\/[^/]+\/?$/i, patternDescription: 'socks5:// または socks5h:// で始まるURL', env: 'TLMD_SOCKS_PROXY', description: 'SOCKS5プロキシ（HTTP_PROXY / HTTPS_PROXY より優先）' },
+  'FILTER.MIN_ID': { type: 'string', nullable: true, pattern: TWEET_ID_PATTERN, patternDescription: 'ツイートID', env: 'TLMD_FILTER_MIN_ID', description: '処理するツイートIDの下限' },
+  'FILTER.MAX_ID': { type: 'string', nullable: true, pattern: TWEET_ID_PATTERN, patternDescription: 'ツイートID', env: 'TLMD_FILTER_MAX_ID', description: '処理するツイートIDの上限' },
+  'FILTER.IDS': { type: 'list', nullable: true, pattern: TWEET_ID_PATTERN, patternDescription: 'ツイートID', env: 'TLMD_FILTER_IDS', description: '処理するツイートID' },
+  'FILTER.SINCE': { type: 'date', nullable: true, env: 'TLMD_FILTER_SINCE', description: '処理するツイートの投稿日時の下限' },
+  'FILTER.UNTIL': { type: 'date', nullable: true, env: 'TLMD_FILTER_UNTIL', description: '処理するツイートの投稿日時の上限' },
+  'FILTER.AUTHORS': { type: 'list', nullable: true, env: 'TLMD_FILTER_AUTHORS', description: '処理する投稿者のユーザー名' },
+  'FILTER.EXCLUDE_AUTHORS': { type: 'list', nullable: true, env: 'TLMD_FILTER_EXCLUDE_AUTHORS', description: '処理しない投稿者のユーザー名' },
+  'FILTER.MEDIA_TYPES': { type: 'list', nullable: true, values: ['photo', 'video', 'gif'], env: 'TLMD_FILTER_MEDIA_TYPES', description: '処理するメディアの種類' },
+  'FILTER.LIMIT': { type: 'integer', nullable: true, min: 1, env: 'TLMD_FILTER_LIMIT', description: '処理するツイートの最大件数' },
+  'UX.COLOR_THEME': { type: 'string', values: ['default', 'light', 'dark'], env: ['TLMD_COLOR_THEME', 'COLOR_THEME'], description: 'カラーテーマ' },
+  'UX.SHOW_DETAILED_STATS': { type: 'boolean', env: ['TLMD_SHOW_DETAILED_STATS', 'SHOW_DETAILED_STATS'], description: '詳細な統計表示' },
+  'UX.FILENAME_DISPLAY': { type: 'string', values: ['full', 'short', 'id-only'], env: ['TLMD_FILENAME_DISPLAY', 'FILENAME_DISPLAY'], description: 'ファイル名の表示スタイル' },
+  'UX.PROGRESS_UPDATE_INTERVAL': { type: 'integer', min: 0, env: ['TLMD_PROGRESS_UPDATE_INTERVAL', 'PROGRESS_UPDATE_INTERVAL'], description: '進捗表示の更新間隔(ミリ秒)' },
+  'UX.INTERACTIVE': { type: 'boolean', env: ['TLMD_INTERACTIVE', 'INTERACTIVE'], description: 'インタラクティブモード' },
+  'UX.PROGRESS_STYLE': { type: 'string', values: ['bar', 'dots', 'braille', 'blocks', 'hash', 'arrow'], env: ['TLMD_PROGRESS_STYLE', 'PROGRESS_STYLE'], description: 'プログレスバーのスタイル' },
+  'UX.SOUND_NOTIFICATIONS': { type: 'boolean', env: ['TLMD_SOUND_NOTIFICATIONS', 'SOUND_NOTIFICATIONS'], description: '通知サウンド' },
+  'UX.AUTO_SAVE_POINT': { type: 'boolean', env: ['TLMD_AUTO_SAVE_POINT', 'AUTO_SAVE_POINT'], description: '自動セーブポイント' },
+  'UX.SAVE_POINT_INTERVAL': { type: 'integer', min: 1, env: ['TLMD_SAVE_POINT_INTERVAL', 'SAVE_POINT_INTERVAL'], description: 'セーブポイント作成間隔(ミリ秒)' },
+  STATE_FILE_PATH: { type: 'string', isPath: true, env: 'TLMD_STATE_FILE_PATH', description: 'セーブポイントのファイルパス' },
+  EXPORT_HISTORY_PATH: { type: 'string', isPath: true, env: 'TLMD_EXPORT_HISTORY_PATH', description: 'エクスポート履歴のファイルパス' },
+  LIBRARY_INDEX_PATH: { type: 'string', isPath: true, env: 'TLMD_LIBRARY_INDEX_PATH', description: 'ライブラリのインデックスのファイルパス' }
+};
+
+/**
+ * 設定値のエラーを作成する
+ * @param {string} message - エラーメッセージ
+ * @returns {Error} type が 'config' のエラー
+ */
+function createConfigError(message) {
+  const error = new Error(message);
+  error.type = 'config';
+  return error;
+}
+
+/**
+ * 設定項目の定義を取得する
+ * @param {string} key - 設定項目のキー（'UX.COLOR_THEME' など）
+ * @returns {Object|null} 設定項目の定義（存在しない場合はnull）
+ */
+function getSchemaEntry(key) {
+  return Object.prototype.hasOwnProperty.call(CONFIG_SCHEMA, key) ? CONFIG_SCHEMA[key] : null;
+}
+
+/**
+ * データ量の文字列（"500KB"、"1.5MB" など）をバイト数に変換する
+ * @param {string|number} value - データ量（数値の場合はそのままバイト数として扱う）
+ * @returns {number|null} バイト数（解釈できない場合はnull）
+ */
+function parseByteSize(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value >= 0 ? Math.floor(value) : null;
+  }
+  const match = BYTE_SIZE_PATTERN.exec(String(value).trim());
+  if (!match) return null;
+  return Math.floor(Number(match[1]) * BYTE_SIZE_UNITS[match[2].toUpperCase()]);
+}
+
+/**
+ * 型の変換が済んだ値を検証する（設定ファイルの値や、文字列から変換した値）
+ * @param {string} key - 設定項目のキー
+ * @param {*} value - 値
+ * @param {string} [displayValue] - エラーメッセージに表示する元の値
+ * @returns {*} 検証済みの値（リストは文字列の配列に正規化）
+ * @throws {Error} 値が不正な場合（type: 'config'）
+ */
+function validateConfigValue(key, value, displayValue = JSON.stringify(value)) {
+  const entry = getSchemaEntry(key);
+  if (!entry) {
+    throw createConfigError(`不明な設定項目です: ${key}`);
+  }
+
+  if (value === null && entry.nullable) {
+    return null;
+  }
+
+  let normalized = value;
+  switch (entry.type) {
+    case 'integer':
+    case 'number': {
+      const minValue = entry.min !== undefined ? entry.min : 0;
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < minValue) {
+        throw createConfigError(`${key} には ${minValue} 以上の数値を指定してください: ${displayValue}`);
+      }
+      if (entry.type === 'integer' && !Number.isInteger(value)) {
+        throw createConfigError(`${key} には整数を指定してください: ${displayValue}`);
+      }
+      break;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        throw createConfigError(`${key} には true または false を指定してください: ${displayValue}`);
+      }
+      break;
+    case 'list':
+      normalized = typeof value === 'string' ? value.split(',') : value;
+      if (!Array.isArray(normalized) || normalized.some(item => typeof item !== 'string')) {
+        throw createConfigError(`${key} には文字列の配列またはカンマ区切りの文字列を指定してください: ${displayValue}`);
+      }
+      normalized = normalized.map(item => item.trim()).filter(Boolean);
+      if (normalized.length === 0) {
+        throw createConfigError(`${key} に値を指定してください`);
+      }
+      break;
+    case 'size':
+      normalized = parseByteSize(value);
+      if (normalized === null) {
+        throw createConfigError(`${key} には 0 以上のバイト数、または "1MB" のような単位付きの値を指定してください: ${displayValue}`);
+      }
+      break;
+    case 'date':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) {
+        throw createConfigError(`${key} には日付（例: 2024-01-31）または日時を指定してください: ${displayValue}`);
+      }
+      break;
+    default:
+      if (typeof value !== 'string' || value === '') {
+        throw createConfigError(`${key} には文字列を指定してください: ${displayValue}`);
+      }
+  }
+
+  const invalidItem = entry.values && [].concat(normalized).find(item => !entry.values.includes(item));
+  if (invalidItem !== undefined) {
+    throw createConfigError(`${key} の値が不正です: "${invalidItem}" (指定可能: ${entry.values.join(', ')})`);
+  }
+
+  const unmatchedItem = entry.pattern && [].concat(normalized).find(item => !entry.pattern.test(item));
+  if (unmatchedItem !== undefined) {
+    throw createConfigError(`${key} には${entry.patternDescription}を指定してください: "${unmatchedItem}"`);
+  }
+
+  return normalized;
+}
+
+/**
+ * 文字列の値（環境変数やコマンドライン）を設定項目の型に変換して検証する
+ * @param {string} key - 設定項目のキー
+ * @param {string} rawValue - 文字列の値
+ * @returns {*} 変換後の値
+ * @throws {Error} 値が不正な場合（type: 'config'）
+ */
+function parseConfigValue(key, rawValue) {
+  const entry = getSchemaEntry(key);
+  if (!entry) {
+    throw createConfigError(`不明な設定項目です: ${key}`);
+  }
+
+  switch (entry.type) {
+    case 'integer':
+    case 'number':
+      return validateConfigValue(key, rawValue.trim() === '' ? NaN : Number(rawValue), `"${rawValue}"`);
+    case 'boolean': {
+      const normalized = rawValue.toLowerCase();
+      if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+      if (['false', '0', 'no', 'off'].includes(normalized)) return false;
+      throw createConfigError(`${key} には true または false を指定してください: "${rawValue}"`);
+    }
+    default:
+      if (entry.nullable && ['', 'null'].includes(rawValue)) return null;
+      return validateConfigValue(key, rawValue);
+  }
+}
+
+module.exports = {
+  CONFIG_SCHEMA,
+  createConfigError,
+  getSchemaEntry,
+  validateConfigValue,
+  parseConfigValue,
+  parseByteSize
+};
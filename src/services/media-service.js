@@ -2,31 +2,157 @@ const path = require('path');
 const fs = require('fs');
 const { CONFIG, dirs } = require('../config/config');
 const { getTweetInfo } = require('./twitter-api-service');
-const { downloadFile } = require('../utils/download-utils');
-const { logError, logDebug } = require('../utils/error-handlers');
+const { downloadFile, isRetryableDownloadError, getPartialFilePath, getContentTypeExtension } = require('../utils/download-utils');
+const { validateMediaFile, getFormatExtension, recordManifestEntries } = require('../utils/media-integrity');
+const { isHlsUrl, downloadHlsStream } = require('../utils/hls-downloader');
+const { getArchive, findArchiveMedia } = require('../utils/archive-utils');
+const { logError, logDebug, sleep } = require('../utils/error-handlers');
+const { loadLibraryIndex, recordMediaFile, recordRemovedFile } = require('../utils/library-index');
 const { 
   saveMetadata, 
   loadMetadata, 
   extractMediaUrlsFromMetadata,
   getOriginalMediaUrl
 } = require('./metadata-service');
-const { colorize, ANSI_COLORS, clearMultilineProgress } = require('../utils/progress-bar');
+const { matchesMetadataFilters, matchesMediaType } = require('../utils/tweet-filter');
+const { createLimiter } = require('../utils/worker-pool');
+const { colorize, ANSI_COLORS } = require('../utils/progress-bar');
+
+// ファイルのダウンロードの同時実行数を制限するリミッター（すべてのツイートで共有）
+let downloadLimiter = null;
 
 /**
- * ツイートのメディアを処理する
+ * ダウンロードのリミッターを取得する（設定の反映後に作成するため、最初に使うときに作成）
+ * @returns {{run: function(function(): Promise<*>): Promise<*>}} リミッター
+ */
+function getDownloadLimiter() {
+  if (!downloadLimiter) {
+    downloadLimiter = createLimiter(CONFIG.PARALLEL_DOWNLOADS);
+  }
+  return downloadLimiter;
+}
+
+/**
+ * 進捗表示とデバッグログの関数を作成する
  * @param {string} tweetId - ツイートID
+ * @param {Object} options - processTweetMediaのオプション
+ * @returns {{updateProgress: function(string, number, Object=, boolean=): void, log: function(string): void}} 関数
+ */
+function createReporter(tweetId, { onProgress = null, logger = null }) {
+  return {
+    // 進捗表示の更新（エラーフラグ付き）
+    updateProgress: (status, progress, details = {}, isError = false) => {
+      if (onProgress) {
+        // エラー状態の場合は赤色で表示
+        if (isError) {
+          status = colorize(`エラー: ${tweetId} - ${status}`, ANSI_COLORS.red);
+        }
+        onProgress(status, progress, details);
+      }
+    },
+    // デバッグログの出力
+    log: (message) => {
+      if (logger) logger(message);
+    }
+  };
+}
+
+/**
+ * 処理中の例外を処理結果に記録する
+ * @param {Object} result - 処理結果
+ * @param {Error} error - 発生したエラー
  * @param {string} tweetUrl - ツイートURL
- * @param {Object} options - オプション
- * @returns {Promise<Object>} 処理結果
+ * @param {Function|null} onProgress - 進捗コールバック
  */
-async function processTweetMedia(tweetId, tweetUrl, options = {}) {
+function recordProcessError(result, error, tweetUrl, onProgress) {
+  result.error = error.message;
+  result.errorType = error.type || 'unknown';
+  
+  // エラーでもプログレスバーを完了状態に
+  if (onProgress) {
+    const errorMessage = `エラー: ${result.tweetId} - ${error.message}`;
+    onProgress(colorize(errorMessage, ANSI_COLORS.red), 100, {});
+  }
+  
+  logError(result.tweetId, tweetUrl, error);
+}
+
+/**
+ * 受信したファイルの拡張子を決めて、保存するファイル名を取得する
+ * 拡張子はファイルの内容の形式（マジックバイト）を優先し、判定できない場合はContent-Typeから決める
+ * （URLの拡張子は format=png の指定やCDNがWebPを返す場合などに実際の形式と異なるため）
+ * @param {string} fileName - URLから決めたファイル名
+ * @param {string|null} format - ファイルの内容の形式（validateMediaFile の format）
+ * @param {string|null} contentType - レスポンスのContent-Type
+ * @param {function(string): void} log - デバッグログの関数
+ * @returns {string} 保存するファイル名
+ */
+function chooseMediaFileName(fileName, format, contentType, log) {
+  const formatExtension = getFormatExtension(format);
+  const contentTypeExtension = getContentTypeExtension(contentType);
+  if (formatExtension && contentTypeExtension && formatExtension !== contentTypeExtension) {
+    log(`Content-Type (${contentType}) とファイルの内容の形式 (${format}) が一致しません: ${fileName}`);
+  }
+  
+  const extension = formatExtension || contentTypeExtension;
+  if (!extension) {
+    return fileName;
+  }
+  return `${path.basename(fileName, path.extname(fileName))}${extension}`;
+}
+
+/**
+ * 同じメディアを以前に別の拡張子で保存したファイルを削除する（同じメディアのファイルが2つ以上残らないようにする）
+ * 対象は URLから決めたファイル名と、インデックスに記録された同じ番号のファイル（<ツイートID>-<番号>.* と、
+ * HLSの動画の音声を別に保存した <ツイートID>-<番号>.audio.*）
+ * （.jpg → .png → .webp のように何度か保存し直した場合や、以前は別に保存した音声を映像とまとめた場合も、保存したファイル以外はすべて削除する）
+ * @param {string} tweetId - ツイートID
+ * @param {string} fileName - URLから決めたファイル名
+ * @param {Array<string>} savedFileNames - 保存したファイル名（別に保存した音声も含む）
+ * @returns {Promise<Array<string>>} 削除したファイル名（インデックスにだけ残っていた記録も含む）
+ */
+async function removeReplacedMediaFiles(tweetId, fileName, savedFileNames) {
+  const match = /^(\d+-\d+)\.[^.]+$/.exec(savedFileNames[0]);
+  if (!match) return [];
+  
+  const entry = loadLibraryIndex().get(tweetId);
+  const indexedFiles = entry ? [...entry.mediaFiles.keys()] : [];
+  const isSameMedia = name => !savedFileNames.includes(name) && name.startsWith(`${match[1]}.`) &&
+    /^(?:audio\.)?[^.]+$/.test(name.slice(match[1].length + 1));
+  const candidates = new Set([fileName, ...indexedFiles].filter(isSameMedia));
+  
+  const removed = [];
+  for (const candidate of candidates) {
+    try {
+      await fs.promises.unlink(path.join(dirs.downloadDir, candidate));
+    } catch (error) {
+      // ファイルがない場合は、インデックスに記録が残っているときのみ削除を記録する
+      if (error.code !== 'ENOENT' || !indexedFiles.includes(candidate)) continue;
+    }
+    recordRemovedFile(tweetId, candidate);
+    removed.push(candidate);
+  }
+  return removed;
+}
+
+/**
+ * ツイート情報を取得してメタデータを保存し、ダウンロードするメディアを決める（メタデータの段階）
+ * APIを呼び出すのはこの段階のみで、メディアのダウンロードは downloadTweetMedia で行う
+ * @param {string} tweetId - ツイートID
+ * @param {string} tweetUrl - ツイートURL
+ * @param {Object} options - オプション（processTweetMediaと同じ）
+ * @returns {Promise<{result: Object, mediaItems: Array<Object>}>} 処理結果と、ダウンロードするメディア
+ *          （エラー・メディアなし・ダウンロード済みなどで、ダウンロードするものがない場合は空の配列）
+ */
+async function prepareTweetMedia(tweetId, tweetUrl, options = {}) {
   const { 
     hasMedia = false,        // すでにメディアをダウンロード済みか
     hasMetadata = false,     // すでにメタデータを保存済みか
-    onProgress = null,       // 進捗コールバック
-    logger = null,           // ロガー関数
+    savedMediaNumbers = null, // メディアの一部だけを保存済みの場合、保存済みのメディアの番号
+    sources = [],            // ツイートを読み込んだ入力ソース（'like', 'bookmark' など）
     forceApi = false         // 常にAPIを使用するかどうか
   } = options;
+  const { updateProgress, log } = createReporter(tweetId, options);
   
   // 結果オブジェクトの初期化
   const result = {
@@ -36,26 +162,13 @@ async function processTweetMedia(tweetId, tweetUrl, options = {}) {
     usedAPI: false,
     savedMetadata: false,
     noMedia: false,
+    filtered: false,
+    incompleteMedia: false,  // メディアの一部だけを保存済みだったツイートの、足りないメディアをダウンロードしたか
     downloadedFiles: []
   };
+  const nothingToDownload = { result, mediaItems: [] };
   
   try {
-    // 進捗表示の更新（エラーフラグ付き）
-    const updateProgress = (status, progress, details = {}, isError = false) => {
-      if (onProgress) {
-        // エラー状態の場合は赤色で表示
-        if (isError) {
-          status = colorize(`エラー: ${tweetId} - ${status}`, ANSI_COLORS.red);
-        }
-        onProgress(status, progress, details);
-      }
-    };
-    
-    // デバッグログの出力
-    const log = (message) => {
-      if (logger) logger(message);
-    };
-    
     // ツイート情報の取得（APIまたはローカルキャッシュから）
     let tweetResponse = null;
     let tweetData = null;
@@ -83,13 +196,16 @@ async function processTweetMedia(tweetId, tweetUrl, options = {}) {
       tweetData = tweetResponse.success ? tweetResponse.metadata : null;
     }
     
-    // ツイートが見つからない場合
+    // ツイートが見つからない場合（プロキシのエラーは存在しないツイートと区別する）
     if (!tweetData) {
       result.error = 'ツイート情報を取得できませんでした';
-      result.errorType = 'not_found';
+      result.errorType = tweetResponse && tweetResponse.errorType === 'proxy' ? 'proxy' : 'not_found';
+      if (result.errorType === 'proxy') {
+        result.error += ` (${tweetResponse.error})`;
+      }
       // エラー表示を更新して進捗バーを終了
       updateProgress(result.error, 100, {}, true);
-      return result;
+      return nothingToDownload;
     }
 
     // デバッグ出力：実際のデータ構造を確認
@@ -121,7 +237,7 @@ async function processTweetMedia(tweetId, tweetUrl, options = {}) {
     // メタデータの保存（まだ保存していない場合）
     if (!hasMetadata) {
       updateProgress('メタデータを保存中...', 20);
-      result.savedMetadata = await saveMetadata(tweetId, tweetData);
+      result.savedMetadata = await saveMetadata(tweetId, tweetData, sources);
     }
     
     // メディアがないツイートの場合は終了
@@ -129,35 +245,117 @@ async function processTweetMedia(tweetId, tweetUrl, options = {}) {
       log(`メディアが存在しないツイート: ${tweetId}`);
       result.noMedia = true;
       updateProgress(`メディアなし: ${tweetId} - メタデータのみ保存`, 100);
-      return result;
+      return nothingToDownload;
+    }
+    
+    // 絞り込み条件（投稿者・メディアの種類）に一致しない場合はメディアをダウンロードしない
+    // （メタデータがなく事前に判定できなかったツイートは、ここで初めて判定される）
+    if (!matchesMetadataFilters(tweetData, tweetUrl)) {
+      log(`絞り込み条件に一致しないツイート: ${tweetId}`);
+      result.filtered = true;
+      updateProgress(`絞り込み条件により除外: ${tweetId}`, 100);
+      return nothingToDownload;
     }
     
     // すでにメディアをダウンロード済みの場合はスキップ
     if (hasMedia) {
       log(`メディアはすでにダウンロード済み: ${tweetId}`);
       updateProgress(`すでにダウンロード済み: ${tweetId}`, 100);
-      return result;
+      return nothingToDownload;
     }
     
-    // メディアURLの抽出と処理
-    const mediaItems = extractMediaUrlsFromMetadata(tweetData);
+    // メディアURLの抽出と処理（絞り込み条件の種類のメディアのみ）
+    // メディアがないかどうかは絞り込む前のメディアで判定する（絞り込みで除外しただけのツイートをメディアなしのリストに追加しない）
+    const extractedItems = extractMediaUrlsFromMetadata(tweetData);
     
-    if (mediaItems.length === 0) {
+    if (extractedItems.length === 0) {
       log(`抽出可能なメディアがありません: ${tweetId}`);
       result.noMedia = true;
       updateProgress(`メディアなし: ${tweetId} - メタデータのみ保存`, 100);
-      return result;
+      return nothingToDownload;
+    }
+    
+    const mediaItems = extractedItems.filter(item => matchesMediaType(item.type));
+    
+    if (mediaItems.length === 0) {
+      log(`絞り込み条件の種類のメディアがありません: ${tweetId}`);
+      result.filtered = true;
+      updateProgress(`絞り込み条件により除外: ${tweetId}`, 100);
+      return nothingToDownload;
     }
     
+    // メディアの一部だけを保存済みの場合は、足りないメディアのみダウンロードする
+    if (savedMediaNumbers) {
+      const missingItems = mediaItems.filter(item => !savedMediaNumbers.has(item.number));
+      if (missingItems.length === 0) {
+        log(`足りないメディアはありません: ${tweetId}`);
+        updateProgress(`すでにダウンロード済み: ${tweetId}`, 100);
+        return nothingToDownload;
+      }
+      log(`足りないメディアのみダウンロード: ${tweetId} (${missingItems.map(item => item.number).join(', ')}番目)`);
+      result.incompleteMedia = true;
+      return { result, mediaItems: missingItems };
+    }
+    
+    return { result, mediaItems };
+  } catch (error) {
+    recordProcessError(result, error, tweetUrl, options.onProgress);
+    return nothingToDownload;
+  }
+}
+
+/**
+ * prepareTweetMediaで決めたメディアをダウンロードする（メディアの段階）
+ * ファイルのダウンロードは、すべてのツイートを合わせて PARALLEL_DOWNLOADS 件まで並列に行う
+ * 失敗したファイルは DOWNLOAD_RETRIES 回まで再試行し、それでも失敗した場合はURLの次の候補を試す
+ * （すべてのファイルを保存できた場合のみ成功とし、1件でも失敗した場合は result.error を設定する）
+ * @param {Object} result - prepareTweetMediaの処理結果（ダウンロードしたファイルとエラーを記録する）
+ * @param {Array<Object>} mediaItems - prepareTweetMediaで決めたダウンロードするメディア
+ * @param {string} tweetUrl - ツイートURL
+ * @param {Object} options - オプション（processTweetMediaと同じ）
+ * @returns {Promise<Object>} 処理結果
+ */
+async function downloadTweetMedia(result, mediaItems, tweetUrl, options = {}) {
+  const { tweetId } = result;
+  const { onProgress = null } = options;
+  const { updateProgress, log } = createReporter(tweetId, options);
+  
+  try {
     // ダウンロードディレクトリの確認
     if (!fs.existsSync(dirs.downloadDir)) {
       fs.mkdirSync(dirs.downloadDir, { recursive: true });
     }
     
-    // 各メディアのダウンロード
+    // 各メディアのダウンロード（PARALLEL_DOWNLOADS 件まで並列）
     let successCount = 0;
-    for (let i = 0; i < mediaItems.length; i++) {
-      const { url, filename } = mediaItems[i];
+    const limiter = getDownloadLimiter();
+    // マニフェストに記録する検査結果と、取り除くファイル（ツイートのファイルがすべて終わってからまとめて記録する）
+    const integrityEntries = [];
+    const replacedFiles = [];
+    // 保存できなかったファイルのエラー
+    const failedErrors = [];
+    
+    /**
+     * 保存したファイルをインデックスに記録する（以前に別の拡張子で保存したファイルがあれば削除する）
+     * @param {string} filename - URLから決めたファイル名
+     * @param {string} savedFileName - 保存したファイル名
+     * @param {string|null} [audioFileName] - HLSの動画の音声を別に保存したファイル名
+     */
+    const recordSavedFile = async (filename, savedFileName, audioFileName = null) => {
+      if (savedFileName !== filename) {
+        log(`拡張子を変更して保存: ${filename} → ${savedFileName}`);
+      }
+      const savedFileNames = audioFileName ? [savedFileName, audioFileName] : [savedFileName];
+      const removedFiles = await removeReplacedMediaFiles(tweetId, filename, savedFileNames);
+      if (removedFiles.length > 0) {
+        log(`以前の拡張子のファイルを削除: ${removedFiles.join(', ')}`);
+        replacedFiles.push(...removedFiles);
+      }
+      savedFileNames.forEach(name => recordMediaFile(tweetId, name));
+    };
+    
+    const downloadMediaItem = async (i) => {
+      const { url, urls, filename } = mediaItems[i];
       // より正確な進捗計算: 25%～95%の範囲で各ファイルの進捗を均等に分配
       const progressStart = 25;
       const progressEnd = 95;
@@ -165,8 +363,8 @@ async function processTweetMedia(tweetId, tweetUrl, options = {}) {
       const progressPerItem = progressRange / mediaItems.length;
       const progress = Math.round(progressStart + (i * progressPerItem));
       
-      // オリジナルサイズのURLを取得
-      const originalUrl = getOriginalMediaUrl(url);
+      // ダウンロードするURLの候補（オリジナルサイズを優先）
+      const candidateUrls = urls && urls.length > 0 ? urls : [getOriginalMediaUrl(url)];
       
       // 保存先パス
       const filePath = path.join(dirs.downloadDir, filename);
@@ -192,29 +390,114 @@ async function processTweetMedia(tweetId, tweetUrl, options = {}) {
       };
       
       try {
-        // ファイルのダウンロード
-        log(`ダウンロード開始: ${filename} (${url})`);
-        await downloadFile(originalUrl, filePath, { 
-          onProgress: itemProgress,
-          timeout: CONFIG.DOWNLOAD_TIMEOUT
-        });
+        // アーカイブにメディアが含まれている場合はダウンロードせずに取り出す
+        const archiveMedia = CONFIG.USE_ARCHIVE_MEDIA ? findArchiveMedia(tweetId, url) : null;
+        if (archiveMedia) {
+          log(`アーカイブから取り出し: ${filename} (${archiveMedia.fileName})`);
+          // ダウンロードと同じく、取り出し終えてから保存先のファイル名に変更する
+          const partialPath = getPartialFilePath(filePath);
+          await limiter.run(() => getArchive().extractMedia(archiveMedia.entryName, partialPath));
+          let integrity;
+          try {
+            integrity = await validateMediaFile(partialPath, filename);
+          } catch (error) {
+            await fs.promises.unlink(partialPath).catch(() => {});
+            throw error;
+          }
+          const savedFileName = chooseMediaFileName(filename, integrity.format, null, log);
+          await fs.promises.rename(partialPath, path.join(dirs.downloadDir, savedFileName));
+          integrityEntries.push({ fileName: savedFileName, ...integrity });
+          await recordSavedFile(filename, savedFileName);
+          successCount++;
+          return savedFileName;
+        }
         
-        // ダウンロード成功をログに記録
-        result.downloadedFiles.push(filename);
-        successCount++;
-        log(`ダウンロード完了 (${successCount}/${mediaItems.length}): ${filename}`);
+        // ファイルのダウンロード（失敗した場合は再試行し、それでも失敗した場合は次の候補を試す）
+        let lastError = null;
+        for (let c = 0; c < candidateUrls.length; c++) {
+          const candidateUrl = candidateUrls[c];
+          if (c > 0) {
+            // 別のURLの途中のファイルは続きに使えないため削除
+            await fs.promises.unlink(getPartialFilePath(filePath)).catch(() => {});
+            log(`別のURLで再取得: ${filename} (${c + 1}/${candidateUrls.length}) ${candidateUrl}`);
+            updateProgress(`別のサイズで再取得中: ${filename}`, progress, {});
+          }
+          
+          for (let attempt = 0; ; attempt++) {
+            try {
+              log(`ダウンロード開始: ${filename} (${candidateUrl})`);
+              // 受信したファイルの形式と構造を確認してから保存する（エラーページや途中で切れたファイルを保存しない）
+              // 再試行の待機中は同時実行数の枠を空ける
+              // 拡張子は受信したファイルの形式とContent-Typeで決める
+              // HLSのプレイリストの場合は、セグメントをダウンロードしてつなげる（映像とまとめられなかった音声は audio に返される）
+              const download = isHlsUrl(candidateUrl) ? downloadHlsStream : downloadFile;
+              const { finalUrl, outputPath, verified, audio } = await limiter.run(() => download(candidateUrl, filePath, { 
+                onProgress: itemProgress,
+                timeout: CONFIG.DOWNLOAD_TIMEOUT,
+                verify: partialPath => validateMediaFile(partialPath, filename),
+                chooseOutputPath: ({ verified, contentType }) =>
+                  path.join(dirs.downloadDir, chooseMediaFileName(filename, verified.format, contentType, log))
+              }));
+              const savedFileName = path.basename(outputPath);
+              // マニフェストには取得元のURLとリダイレクト後のURLも記録する
+              integrityEntries.push({ fileName: savedFileName, ...verified, url: candidateUrl, finalUrl });
+              if (finalUrl !== candidateUrl) {
+                log(`リダイレクト先から取得: ${savedFileName} (${finalUrl})`);
+              }
+              
+              // ダウンロード成功をインデックスとログに記録
+              const audioFileName = audio ? path.basename(audio.outputPath) : null;
+              if (audio) {
+                integrityEntries.push({ fileName: audioFileName, ...audio.verified, url: candidateUrl, finalUrl: audio.finalUrl });
+                log(`映像と音声をまとめられなかったため、音声を別のファイルに保存: ${audioFileName}`);
+              }
+              await recordSavedFile(filename, savedFileName, audioFileName);
+              successCount++;
+              log(`ダウンロード完了 (${successCount}/${mediaItems.length}): ${savedFileName}`);
+              return savedFileName;
+            } catch (error) {
+              lastError = error;
+              if (attempt >= CONFIG.DOWNLOAD_RETRIES || !isRetryableDownloadError(error)) {
+                log(`ダウンロード失敗: ${filename} (${candidateUrl}) - ${error.message}`);
+                break;
+              }
+              
+              // 再試行のたびに待機時間を2倍にする
+              const delay = CONFIG.DOWNLOAD_RETRY_DELAY * 2 ** attempt;
+              log(`再試行します (${attempt + 1}/${CONFIG.DOWNLOAD_RETRIES}、${delay / 1000}秒後): ${filename} - ${error.message}`);
+              updateProgress(`再試行待ち (${attempt + 1}/${CONFIG.DOWNLOAD_RETRIES}): ${filename}`, progress, {});
+              await sleep(delay);
+            }
+          }
+          // プロキシのエラーはほかのURLでも同じため、次の候補は試さない
+          if (lastError.type === 'proxy') break;
+        }
+        throw lastError;
       } catch (error) {
+        failedErrors.push(error);
         // 個別のファイルダウンロードエラーを記録
         logError(tweetId, `メディアのダウンロード中にエラーが発生: ${filename} - ${error.message}`);
         // エラーでもプログレスバーを更新
         updateProgress(`ダウンロードエラー: ${filename}`, progress + progressPerItem, {}, true);
+        return null;
       }
-    }
+    };
+    
+    // 保存できたファイル名（メディアの順番どおり）
+    const savedFiles = await Promise.all(mediaItems.map((_, i) => downloadMediaItem(i)));
+    result.downloadedFiles = savedFiles.filter(Boolean);
+    recordManifestEntries(tweetId, integrityEntries, replacedFiles);
     
-    // ダウンロード結果の判定
+    // ダウンロード結果の判定（1件でも失敗した場合は完了として扱わない。保存できたファイルはそのまま残す）
+    // すべてプロキシのエラーで失敗した場合は、ダウンロードのエラーと区別してプロキシのエラーとする
+    const failureType = failedErrors.length > 0 && failedErrors.every(error => error.type === 'proxy') ? 'proxy' : 'download';
     if (result.downloadedFiles.length === 0 && mediaItems.length > 0) {
       result.error = 'メディアのダウンロードに失敗しました';
-      result.errorType = 'download';
+      result.errorType = failureType;
+      updateProgress(result.error, 100, {}, true);
+    } else if (result.downloadedFiles.length < mediaItems.length) {
+      result.error = `メディアの一部をダウンロードできませんでした (${result.downloadedFiles.length}/${mediaItems.length})`;
+      result.errorType = failureType;
       updateProgress(result.error, 100, {}, true);
     } else {
       // 最終進捗を更新
@@ -223,21 +506,35 @@ async function processTweetMedia(tweetId, tweetUrl, options = {}) {
     
     return result;
   } catch (error) {
-    // エラーハンドリング
-    result.error = error.message;
-    result.errorType = error.type || 'unknown';
-    
-    // エラーでもプログレスバーを完了状態に
-    if (onProgress) {
-      const errorMessage = `エラー: ${tweetId} - ${error.message}`;
-      onProgress(colorize(errorMessage, ANSI_COLORS.red), 100, {});
-    }
-    
-    logError(tweetId, tweetUrl, error);
+    recordProcessError(result, error, tweetUrl, onProgress);
+    return result;
+  }
+}
+
+/**
+ * ツイートのメディアを処理する（メタデータの段階とメディアの段階を続けて実行する）
+ * @param {string} tweetId - ツイートID
+ * @param {string} tweetUrl - ツイートURL
+ * @param {Object} options - オプション
+ * @param {boolean} [options.hasMedia] - すでにメディアをダウンロード済みか
+ * @param {boolean} [options.hasMetadata] - すでにメタデータを保存済みか
+ * @param {Set<number>|null} [options.savedMediaNumbers] - メディアの一部だけを保存済みの場合、保存済みのメディアの番号（足りないメディアのみダウンロードする）
+ * @param {Array<string>} [options.sources] - ツイートを読み込んだ入力ソース（'like', 'bookmark' など）
+ * @param {Function} [options.onProgress] - 進捗コールバック
+ * @param {Function} [options.logger] - ロガー関数
+ * @param {boolean} [options.forceApi] - 常にAPIを使用するかどうか
+ * @returns {Promise<Object>} 処理結果
+ */
+async function processTweetMedia(tweetId, tweetUrl, options = {}) {
+  const { result, mediaItems } = await prepareTweetMedia(tweetId, tweetUrl, options);
+  if (mediaItems.length === 0) {
     return result;
   }
+  return downloadTweetMedia(result, mediaItems, tweetUrl, options);
 }
 
 module.exports = {
+  prepareTweetMedia,
+  downloadTweetMedia,
   processTweetMedia
 };
\ No newline at end of file
@@ -3,15 +3,20 @@ const fs = require('fs');
 const path = require('path');
 const { CONFIG, dirs } = require('../config/config');
 const { logError, logDebug } = require('../utils/error-handlers');
+const { recordMetadataFile } = require('../utils/library-index');
 const { colorize, ANSI_COLORS } = require('../utils/progress-bar');
 
+// オリジナルサイズ（name=orig）の画像を取得できない場合に試すサイズ（大きい順）
+const PHOTO_FALLBACK_SIZES = ['4096x4096', 'large'];
+
 /**
  * ツイートメタデータを保存
  * @param {string} tweetId - ツイートID
  * @param {object} tweetData - ツイートデータ
+ * @param {Array<string>} [sources] - ツイートを読み込んだ入力ソース（'like', 'bookmark' など）
  * @returns {Promise<boolean>} 保存成功時はtrue
  */
-async function saveMetadata(tweetId, tweetData) {
+async function saveMetadata(tweetId, tweetData, sources = []) {
   try {
     if (!tweetId || !tweetData) {
       logError(tweetId, '保存するメタデータがありません');
@@ -31,11 +36,14 @@ async function saveMetadata(tweetId, tweetData) {
     const enhancedData = {
       ...tweetData,
       downloadedAt: new Date().toISOString(),
-      appVersion: CONFIG.VERSION
+      appVersion: CONFIG.VERSION,
+      inputSources: sources
     };
     
     // メタデータをファイルに保存
     fs.writeFileSync(metadataPath, JSON.stringify(enhancedData, null, 2), CONFIG.ENCODING);
+    const mediaTypes = getDownloadableMediaTypes(tweetData);
+    recordMetadataFile(tweetId, metadataFilename, mediaTypes.length, mediaTypes);
     
     logDebug(`${colorize('メタデータ保存', ANSI_COLORS.green)}: ${tweetId} - ${metadataFilename}`);
     return true;
@@ -67,10 +75,33 @@ function loadMetadata(tweetId) {
   }
 }
 
+/**
+ * APIのメディアの種類を絞り込み条件で使う名前に変換
+ * @param {string} type - メディアの種類（'photo', 'video', 'animated_gif'）
+ * @returns {string} 'photo', 'video' または 'gif'
+ */
+function normalizeMediaType(type) {
+  return type === 'animated_gif' ? 'gif' : type;
+}
+
+/**
+ * メタデータに含まれるメディアの種類を取得
+ * @param {object} metadata - メタデータオブジェクト
+ * @returns {Array<string>} メディアの種類（'photo', 'video', 'gif'）の配列
+ */
+function getMetadataMediaTypes(metadata) {
+  const mediaEntities = metadata?.mediaEntities ||
+                        metadata?.extended_entities?.media ||
+                        metadata?.entities?.media ||
+                        [];
+  return Array.isArray(mediaEntities) ? mediaEntities.map(media => normalizeMediaType(media.type)) : [];
+}
+
 /**
  * メタデータからメディアURLを抽出
  * @param {object} metadata - メタデータオブジェクト
- * @returns {Array<{url: string, filename: string}>} メディアURLとファイル名のリスト
+ * @returns {Array<{url: string, urls: Array<string>, filename: string, number: number, type: string}>}
+ *          メディアURL・ダウンロードするURLの候補（優先する順）・ファイル名・メディアの番号（1から）・種類（'photo', 'video', 'gif'）のリスト
  */
 function extractMediaUrlsFromMetadata(metadata) {
   try {
@@ -83,10 +114,13 @@ function extractMediaUrlsFromMetadata(metadata) {
     metadata.mediaEntities.forEach((media, index) => {
       let url = '';
       let filename = '';
+      // ダウンロードするURLの候補（失敗した場合に順に試す）
+      let urls = [];
       
       if (media.type === 'photo') {
         // 画像の場合は最大解像度のURLを取得
         url = media.media_url_https;
+        urls = getPhotoUrlCandidates(url);
         
         // ファイル名を作成
         const extension = path.extname(url).split('?')[0] || '.jpg';
@@ -99,16 +133,20 @@ function extractMediaUrlsFromMetadata(metadata) {
           const videoVariants = media.video_info.variants
             .filter(v => v.content_type === 'video/mp4' && v.bitrate)
             .sort((a, b) => b.bitrate - a.bitrate);
+          // HLSのプレイリスト（MP4がない場合や、MP4をすべて取得できなかった場合に使う）
+          const hlsVariants = media.video_info.variants
+            .filter(v => String(v.content_type).toLowerCase() === 'application/x-mpegurl' && v.url);
           
-          if (videoVariants.length > 0) {
-            url = videoVariants[0].url;
+          urls = [...videoVariants, ...hlsVariants].map(v => v.url);
+          if (urls.length > 0) {
+            url = urls[0];
             filename = `${metadata.tweetId}-${index + 1}.mp4`;
           }
         }
       }
       
       if (url && filename) {
-        mediaUrls.push({ url, filename });
+        mediaUrls.push({ url, urls, filename, number: index + 1, type: normalizeMediaType(media.type) });
       }
     });
     
@@ -119,6 +157,19 @@ function extractMediaUrlsFromMetadata(metadata) {
   }
 }
 
+/**
+ * ダウンロードできるメディアの種類をメディアの番号の順に取得
+ * @param {object} metadata - メタデータオブジェクト
+ * @returns {Array<string|null>} メディアの種類（'photo', 'video', 'gif'）の配列（URLを抽出できないメディアはnull）
+ */
+function getDownloadableMediaTypes(metadata) {
+  const mediaTypes = Array.isArray(metadata?.mediaEntities) ? metadata.mediaEntities.map(() => null) : [];
+  extractMediaUrlsFromMetadata(metadata).forEach(item => {
+    mediaTypes[item.number - 1] = item.type;
+  });
+  return mediaTypes;
+}
+
 /**
  * メタデータ中のメディアURLをorignalサイズに変更
  * @param {string} mediaUrl - メディアURL
@@ -149,9 +200,39 @@ function getOriginalMediaUrl(mediaUrl) {
   }
 }
 
+/**
+ * 画像をダウンロードするURLの候補を取得する（オリジナルサイズで取得できない場合に小さいサイズを試す）
+ * @param {string} mediaUrl - メディアURL
+ * @returns {Array<string>} URLの候補（優先する順）
+ */
+function getPhotoUrlCandidates(mediaUrl) {
+  const originalUrl = getOriginalMediaUrl(mediaUrl);
+  if (!originalUrl.includes('pbs.twimg.com/media/') || !/[?&]name=orig(&|$)/.test(originalUrl)) {
+    return [originalUrl];
+  }
+  return [originalUrl, ...PHOTO_FALLBACK_SIZES.map(size => originalUrl.replace(/([?&]name=)orig(?=&|$)/, `$1${size}`))];
+}
+
+/**
+ * メタデータからツイートの投稿者のユーザー名を取得
+ * （APIの応答形式によって格納場所が異なるため、既知の場所を順に確認する）
+ * @param {object} metadata - メタデータオブジェクト
+ * @returns {string|null} ユーザー名（@なし）、不明な場合はnull
+ */
+function getMetadataAuthor(metadata) {
+  const username = metadata?.author?.username ||
+                   metadata?.user?.screen_name ||
+                   metadata?.core?.user_results?.result?.legacy?.screen_name;
+  return username || null;
+}
+
 module.exports = {
   saveMetadata,
   loadMetadata,
   extractMediaUrlsFromMetadata,
-  getOriginalMediaUrl
+  getDownloadableMediaTypes,
+  getOriginalMediaUrl,
+  getPhotoUrlCandidates,
+  getMetadataAuthor,
+  getMetadataMediaTypes
 };
\ No newline at end of file
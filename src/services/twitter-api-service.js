@@ -1,7 +1,68 @@
 // Twitter APIの呼び出し機能を提供するサービス
+const axios = require('axios');
 const { TwitterDL } = require('twitter-downloader');
 const { CONFIG } = require('../config/config');
 const { sleep, determineErrorType } = require('../utils/error-handlers');
+const { createRateLimiter, getRetryDelay } = require('../utils/rate-limiter');
+const { getProxyUrl, getSharedProxyAgent } = require('../utils/proxy');
+
+// TwitterDLが呼び出すAPIのURL（プロキシの判定に使う）
+const TWITTER_API_URL = 'https://twitter.com/i/api/graphql';
+
+// twitter-downloader が内部で送るリクエスト（ゲストトークンの取得など、プロキシを渡せないもの）にもプロキシを適用する
+// axios 自体の環境変数からのプロキシの判定は使わず、ダウンロードと同じ判定（NO_PROXY・SOCKS_PROXY を含む）にそろえる
+axios.interceptors.request.use((requestConfig) => {
+  const proxyUrl = requestConfig.url && getProxyUrl(requestConfig.url);
+  if (proxyUrl && !requestConfig.httpsAgent && !requestConfig.httpAgent) {
+    requestConfig.httpsAgent = getSharedProxyAgent(proxyUrl);
+    requestConfig.httpAgent = requestConfig.httpsAgent;
+  }
+  requestConfig.proxy = false;
+  return requestConfig;
+});
+
+// 最後に受け取ったレート制限（429）のレスポンス
+// TwitterDL はエラーをメッセージだけにして返すため、Retry-After などのヘッダーはここで記録しておく
+let lastRateLimitResponse = null;
+
+axios.interceptors.response.use(undefined, (error) => {
+  if (error.response && error.response.status === 429) {
+    lastRateLimitResponse = error.response;
+  }
+  return Promise.reject(error);
+});
+
+/**
+ * レート制限を受けた後、次の呼び出しまでの待機時間を取得する
+ * 記録しておいた429のレスポンスのヘッダーを優先し、取得したレスポンスは次のレート制限に使わないように破棄する
+ * @param {Object} [source] - ヘッダーを含む可能性があるレスポンスまたはエラー
+ * @returns {number|null} 待機時間(ミリ秒)、ヘッダーがない場合はnull
+ */
+function takeRateLimitDelay(source) {
+  const response = lastRateLimitResponse;
+  lastRateLimitResponse = null;
+  const delay = response ? getRetryDelay(response) : null;
+  return delay !== null ? delay : getRetryDelay(source);
+}
+
+// すべてのAPI呼び出しで共有するレートリミッター（設定の上書きが反映されてから作成する）
+let apiRateLimiter = null;
+
+/**
+ * API呼び出しのレートリミッターを取得する
+ * @returns {Object} createRateLimiterで作成したレートリミッター
+ */
+function getApiRateLimiter() {
+  if (!apiRateLimiter) {
+    apiRateLimiter = createRateLimiter({
+      interval: CONFIG.API_CALL_DELAY,
+      capacity: CONFIG.API_RATE_BURST,
+      cooldown: CONFIG.ERROR_COOLDOWN,
+      onThrottle: (message) => console.log(`  ⏳ API制限: ${message}`)
+    });
+  }
+  return apiRateLimiter;
+}
 
 /**
  * TwitterのAPIを呼び出す関数（リトライ機能付き）
@@ -12,7 +73,10 @@ const { sleep, determineErrorType } = require('../utils/error-handlers');
  */
 async function callTwitterAPI(tweetUrl, retryCount = 0) {
   try {
-    const result = await TwitterDL(tweetUrl);
+    // レートリミッターの許可を待ってから呼び出す（リトライも1回の呼び出しとして数える）
+    await getApiRateLimiter().acquire();
+    // 第3引数のプロキシは、ツイート情報を取得するリクエストに使われる
+    const result = await TwitterDL(tweetUrl, undefined, getProxyUrl(TWITTER_API_URL) || undefined);
     
     // レスポンスの詳細をデバッグ表示
     if (CONFIG.DEBUG && result) {
@@ -84,6 +148,7 @@ async function fetchTweetInfo(tweetId, tweetUrl) {
       const result = await callTwitterAPI(tweetUrl);
       
       if (result.status === 'success' && result.result) {
+        getApiRateLimiter().reportSuccess();
         return {
           success: true,
           metadata: result.result,
@@ -107,8 +172,12 @@ async function fetchTweetInfo(tweetId, tweetUrl) {
         let errorType = 'other';
         const lowerErrorMsg = errorMsg.toLowerCase();
         
+        // プロキシのエラーの判定（プロキシの応答を存在しないツイートやAPIのエラーと区別する）
+        if (statusCode === 407 || determineErrorType(errorMsg) === 'proxy') {
+          errorType = 'proxy';
+        }
         // 404エラーの明確な判定
-        if (statusCode === 404 || 
+        else if (statusCode === 404 || 
             lowerErrorMsg.includes('tweet not found') || 
             lowerErrorMsg.includes('ツイートが見つかりません') ||
             lowerErrorMsg.includes('does not exist') ||
@@ -123,6 +192,7 @@ async function fetchTweetInfo(tweetId, tweetUrl) {
         } 
         // レート制限エラーの判定
         else if (statusCode === 429 ||
+                lowerErrorMsg.includes('status code 429') ||
                 lowerErrorMsg.includes('rate limit') || 
                 lowerErrorMsg.includes('too many requests') ||
                 lowerErrorMsg.includes('レート制限')) {
@@ -140,6 +210,13 @@ async function fetchTweetInfo(tweetId, tweetUrl) {
           errorType = 'api';
         }
         
+        // レートリミッターに結果を伝える（Retry-After などのヘッダーがあればその時間だけ待機する）
+        if (errorType === 'rate_limit') {
+          getApiRateLimiter().reportRateLimit(takeRateLimitDelay(result.error || result));
+        } else if (errorType === 'api' || errorType === 'authentication') {
+          getApiRateLimiter().reportError();
+        }
+        
         // 一時的なエラーと思われる場合（rate_limitやapi）は、
         // 特殊なリトライ処理を行う（Not foundが誤検出される場合がある）
         if ((errorType === 'not_found' || errorType === 'rate_limit' || errorType === 'api') && 
@@ -164,10 +241,14 @@ async function fetchTweetInfo(tweetId, tweetUrl) {
       // エラータイプがすでに設定されているか確認
       const errorType = error.errorType || determineErrorType(error);
       
-      // NetworkやTimeoutエラーと思われる場合は、リトライを試みる
-      if ((errorType === 'network' || errorType === 'timeout') && 
+      if (errorType === 'rate_limit') {
+        getApiRateLimiter().reportRateLimit(takeRateLimitDelay(error));
+      }
+      
+      // NetworkやTimeout、プロキシのエラーと思われる場合は、リトライを試みる
+      if ((errorType === 'network' || errorType === 'timeout' || errorType === 'proxy') && 
           specialRetryCount < maxSpecialRetries) {
-        console.log(`  🔄 ネットワークエラー検知 - 追加リトライを実行 (${specialRetryCount + 1}/${maxSpecialRetries})`);
+        console.log(`  🔄 ${errorType === 'proxy' ? 'プロキシのエラー' : 'ネットワークエラー'}検知 - 追加リトライを実行 (${specialRetryCount + 1}/${maxSpecialRetries})`);
         specialRetryCount++;
         
         // 追加のディレイを挟んでリトライ
@@ -193,6 +274,7 @@ async function fetchTweetInfo(tweetId, tweetUrl) {
 const getTweetInfo = fetchTweetInfo;
 
 module.exports = {
+  getApiRateLimiter,
   callTwitterAPI,
   fetchTweetInfo,
   getTweetInfo // 互換性のために両方の名前でエクスポート
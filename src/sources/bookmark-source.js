@@ -0,0 +1,22 @@
+// ブックマーク（bookmark.js）の入力ソース
+const { listDatasetParts } = require('../utils/file-utils');
+const { buildTweetUrl, mapDatasetParts } = require('./source-utils');
+
+/**
+ * ブックマークデータのパートの一覧を取得する
+ * @returns {Array<{fileName: string, readItems: function(): AsyncGenerator<{tweetId: string, tweetUrl: string}>}>} パートごとの入力アイテム
+ */
+function listParts() {
+  return mapDatasetParts(listDatasetParts('bookmark'), item => {
+    const bookmark = item?.bookmark || item;
+    return bookmark && bookmark.tweetId
+      ? [{ tweetId: bookmark.tweetId, tweetUrl: bookmark.expandedUrl || buildTweetUrl(bookmark.tweetId) }]
+      : [];
+  });
+}
+
+module.exports = {
+  name: 'bookmark',
+  label: 'ブックマーク',
+  listParts
+};
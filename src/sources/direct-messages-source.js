@@ -0,0 +1,42 @@
+// ダイレクトメッセージ内でリンクされたツイートの入力ソース
+const { listDatasetParts } = require('../utils/file-utils');
+const { extractTweetReferences, mapDatasetParts } = require('./source-utils');
+
+/**
+ * DMの会話からリンクされたツイートを取り出す
+ * @param {Object} conversation - dmConversationオブジェクト
+ * @returns {Array<{tweetId: string, tweetUrl: string}>} リンクされたツイート
+ */
+function extractLinkedTweets(conversation) {
+  const linkedTweets = [];
+  
+  for (const message of conversation?.messages || []) {
+    const messageCreate = message.messageCreate;
+    if (!messageCreate) continue;
+    
+    // 展開済みURLを優先し、本文中のURLも確認する
+    const texts = (messageCreate.urls || []).map(url => url.expanded || url.url || '');
+    texts.push(messageCreate.text || '');
+    
+    texts.forEach(text => linkedTweets.push(...extractTweetReferences(text)));
+  }
+  
+  return linkedTweets;
+}
+
+/**
+ * DMデータ（1対1とグループの両方）のパートの一覧を取得する
+ * @returns {Array<{fileName: string, readItems: function(): AsyncGenerator<{tweetId: string, tweetUrl: string}>}>} パートごとの入力アイテム
+ */
+function listParts() {
+  return mapDatasetParts([
+    ...listDatasetParts('direct-messages'),
+    ...listDatasetParts('direct-messages-group')
+  ], item => extractLinkedTweets(item?.dmConversation));
+}
+
+module.exports = {
+  name: 'direct-messages',
+  label: 'DM内のツイート',
+  listParts
+};
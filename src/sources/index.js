@@ -0,0 +1,188 @@
+// 入力ソース（いいね、ブックマーク、自分の投稿など）の登録と読み込み
+const { CONFIG } = require('../config/config');
+
+// 利用可能な入力ソース
+// 新しいソースは { name, label, listParts() } を実装したモジュールをここに追加する
+// （listParts はパートごとに { fileName, readItems() } を返す。readItems は入力アイテムを1件ずつ返す非同期イテレーター）
+const SOURCES = [
+  require('./like-source'),
+  require('./bookmark-source'),
+  require('./tweets-source'),
+  require('./direct-messages-source'),
+  require('./url-list-source')
+].reduce((registry, source) => {
+  registry[source.name] = source;
+  return registry;
+}, {});
+
+/**
+ * 入力ソースを取得する
+ * @param {string} name - ソース名
+ * @returns {Object|null} 入力ソース（存在しない場合はnull）
+ */
+function getSource(name) {
+  return SOURCES[name] || null;
+}
+
+/**
+ * 利用可能な入力ソース名の一覧を取得する
+ * @returns {Array<string>} ソース名の配列
+ */
+function getSourceNames() {
+  return Object.keys(SOURCES);
+}
+
+/**
+ * ツイートが含まれる入力ソースの名前を取得する
+ * @param {Map<string, Set<string>>} idsBySource - ソース名ごとのツイートID
+ * @param {string} tweetId - ツイートID
+ * @returns {Array<string>} ソース名（読み込んだ順）
+ */
+function getItemSources(idsBySource, tweetId) {
+  const sources = [];
+  for (const [name, ids] of idsBySource) {
+    if (ids.has(tweetId)) sources.push(name);
+  }
+  return sources;
+}
+
+/**
+ * 入力ソースのデータを読み込んで、ツイートIDと件数を集計する（1回目の読み込み）
+ * アイテムそのものは保持せず、ソースごとのツイートIDだけを記録する
+ * 読み込みに失敗したパートは、途中まで読み込めたツイートも含めて対象外にする
+ * @param {Array<string>} [sourceNames] - 読み込むソース名（デフォルト: CONFIG.INPUT_SOURCES）
+ * @param {Object} [options] - オプション
+ * @param {function({tweetId: string, tweetUrl: string}): boolean} [options.match] - 処理の対象か判定する関数（ツイートごとに最初の出現で判定）
+ * @returns {Promise<{parts: Array<Object>, idsBySource: Map<string, Set<string>>, tweetIds: Set<string>, matchedIds: Set<string>,
+ *                    summaries: Array, duplicates: number, total: number}>}
+ *          読み込めたパート、ソースごとのツイートID、重複を除いたツイートID、対象のツイートID、ソースごとの読み込み結果、
+ *          除外した重複件数、重複を除いた件数
+ */
+async function scanInputItems(sourceNames = CONFIG.INPUT_SOURCES, options = {}) {
+  const { match = null } = options;
+  const idsBySource = new Map();
+  const tweetIds = new Set();
+  const matchedIds = match ? new Set() : tweetIds;
+  const readableParts = [];
+  const summaries = [];
+  let duplicates = 0;
+
+  for (const name of sourceNames) {
+    const source = getSource(name);
+    if (!source) {
+      console.error(`不明な入力ソースです: ${name} (利用可能: ${getSourceNames().join(', ')})`);
+      summaries.push({ name, label: name, parts: [], count: 0, error: '不明な入力ソース' });
+      continue;
+    }
+
+    const sourceIds = new Set();
+    idsBySource.set(name, sourceIds);
+    const partSummaries = [];
+    let count = 0;
+
+    for (const part of source.listParts()) {
+      // パートを最後まで読み込めた場合のみ反映する
+      const partIds = new Set();
+      const partNewIds = [];
+      let itemCount = 0;
+      let partDuplicates = 0;
+
+      try {
+        for await (const { tweetId, tweetUrl } of part.readItems()) {
+          itemCount++;
+          if (sourceIds.has(tweetId) || partIds.has(tweetId)) {
+            partDuplicates++;
+            continue;
+          }
+          partIds.add(tweetId);
+
+          // 他のソースで読み込み済みのツイートは、このソースにも含まれるものとして記録する
+          if (tweetIds.has(tweetId)) {
+            partDuplicates++;
+            continue;
+          }
+          partNewIds.push({ tweetId, matched: !match || match({ tweetId, tweetUrl }) });
+        }
+      } catch (error) {
+        console.error(`データファイルの読み込みに失敗しました (${part.fileName}): ${error.message}`);
+        partSummaries.push({ fileName: part.fileName, count: 0, error: error.message });
+        continue;
+      }
+
+      partIds.forEach(tweetId => sourceIds.add(tweetId));
+      partNewIds.forEach(({ tweetId, matched }) => {
+        tweetIds.add(tweetId);
+        if (matched) matchedIds.add(tweetId);
+      });
+      duplicates += partDuplicates;
+      count += partNewIds.length;
+      partSummaries.push({ fileName: part.fileName, count: itemCount });
+      readableParts.push(part);
+    }
+
+    summaries.push({ name, label: source.label, parts: partSummaries, count });
+  }
+
+  return {
+    parts: readableParts,
+    idsBySource,
+    tweetIds,
+    matchedIds,
+    summaries,
+    duplicates,
+    total: tweetIds.size
+  };
+}
+
+/**
+ * 入力アイテムを1件ずつ読み込む（scanInputItems で読み込めたパートをもう一度読み込む）
+ * 同じツイートが複数回出現する場合は最初の出現のみ返し、sources にはそのツイートを含むすべてのソース名を記録する
+ * @param {Object} scan - scanInputItemsの戻り値
+ * @param {Set<string>} tweetIds - 読み込むツイートID（入力データの順番で返す）
+ * @returns {AsyncGenerator<{tweetId: string, tweetUrl: string, sources: Array<string>}>} 入力アイテム
+ */
+async function* streamInputItems(scan, tweetIds) {
+  const pending = new Set(tweetIds);
+
+  for (const part of scan.parts) {
+    if (pending.size === 0) return;
+
+    for await (const { tweetId, tweetUrl } of part.readItems()) {
+      if (!pending.delete(tweetId)) continue;
+
+      yield { tweetId, tweetUrl, sources: getItemSources(scan.idsBySource, tweetId) };
+      // 残りがなければファイルの続きは読み込まない
+      if (pending.size === 0) return;
+    }
+  }
+}
+
+/**
+ * 入力ソースからツイートを読み込み、重複を除いて1つのリストにまとめる
+ * 複数のソースに含まれるツイートは最初のアイテムにまとめ、ソース名を sources に記録する
+ * @param {Array<string>} [sourceNames] - 読み込むソース名（デフォルト: CONFIG.INPUT_SOURCES）
+ * @returns {Promise<{items: Array<{tweetId: string, tweetUrl: string, sources: Array<string>}>, summaries: Array, duplicates: number,
+ *                    idsBySource: Map<string, Set<string>>}>} 入力アイテム、ソースごとの読み込み結果、除外した重複件数、ソースごとのツイートID
+ */
+async function loadInputItems(sourceNames = CONFIG.INPUT_SOURCES) {
+  const scan = await scanInputItems(sourceNames);
+  const items = [];
+  for await (const item of streamInputItems(scan, scan.tweetIds)) {
+    items.push(item);
+  }
+
+  return {
+    items,
+    summaries: scan.summaries,
+    duplicates: scan.duplicates,
+    idsBySource: scan.idsBySource
+  };
+}
+
+module.exports = {
+  getSource,
+  getSourceNames,
+  scanInputItems,
+  streamInputItems,
+  loadInputItems
+};
@@ -0,0 +1,22 @@
+// いいね（like.js）の入力ソース
+const { listDatasetParts } = require('../utils/file-utils');
+const { buildTweetUrl, mapDatasetParts } = require('./source-utils');
+
+/**
+ * いいねデータのパートの一覧を取得する
+ * @returns {Array<{fileName: string, readItems: function(): AsyncGenerator<{tweetId: string, tweetUrl: string}>}>} パートごとの入力アイテム
+ */
+function listParts() {
+  return mapDatasetParts(listDatasetParts('like'), item => {
+    const like = item?.like;
+    return like && like.tweetId
+      ? [{ tweetId: like.tweetId, tweetUrl: like.expandedUrl || buildTweetUrl(like.tweetId) }]
+      : [];
+  });
+}
+
+module.exports = {
+  name: 'like',
+  label: 'いいね',
+  listParts
+};
@@ -0,0 +1,64 @@
+// 入力ソース共通のユーティリティ関数
+
+// ツイートURL（twitter.com / x.com / mobile.twitter.com）からツイートIDを取り出すパターン
+const TWEET_URL_PATTERN = /https?:\/\/(?:(?:www|mobile|m)\.)?(?:twitter|x)\.com\/(?:[^/\s]+|i\/web)\/status(?:es)?\/(\d+)/gi;
+
+// ツイートURLから投稿者のユーザー名を取り出すパターン（/i/web/status/ の形式は対象外）
+const SCREEN_NAME_URL_PATTERN = /^https?:\/\/(?:(?:www|mobile|m)\.)?(?:twitter|x)\.com\/(?!i\/)(\w{1,15})\/status(?:es)?\//i;
+
+/**
+ * ツイートIDからツイートURLを作成する
+ * @param {string} tweetId - ツイートID
+ * @returns {string} ツイートURL
+ */
+function buildTweetUrl(tweetId) {
+  return `https://twitter.com/i/web/status/${tweetId}`;
+}
+
+/**
+ * テキスト中のツイートURLをすべて取り出す
+ * @param {string} text - 検索するテキスト
+ * @returns {Array<{tweetId: string, tweetUrl: string}>} 見つかったツイート
+ */
+function extractTweetReferences(text) {
+  if (!text) return [];
+  
+  return [...text.matchAll(TWEET_URL_PATTERN)].map(match => ({
+    tweetId: match[1],
+    tweetUrl: match[0]
+  }));
+}
+
+/**
+ * ツイートURLから投稿者のユーザー名を取り出す
+ * @param {string} tweetUrl - ツイートURL
+ * @returns {string|null} ユーザー名（@なし）、URLに含まれない場合はnull
+ */
+function getScreenNameFromUrl(tweetUrl) {
+  const match = tweetUrl ? tweetUrl.match(SCREEN_NAME_URL_PATTERN) : null;
+  return match ? match[1] : null;
+}
+
+/**
+ * データファイルのパートの要素を入力アイテムに変換する（要素は読み込むときに1件ずつ変換する）
+ * @param {Array<{fileName: string, readItems: function(): AsyncGenerator<*>}>} parts - listDatasetPartsの戻り値
+ * @param {function(*): Array<{tweetId: string, tweetUrl: string}>} toInputItems - 要素を入力アイテムに変換する関数（対象外の要素は空の配列を返す）
+ * @returns {Array<{fileName: string, readItems: function(): AsyncGenerator<{tweetId: string, tweetUrl: string}>}>} パートごとの入力アイテム
+ */
+function mapDatasetParts(parts, toInputItems) {
+  return parts.map(part => ({
+    fileName: part.fileName,
+    readItems: async function* () {
+      for await (const item of part.readItems()) {
+        yield* toInputItems(item);
+      }
+    }
+  }));
+}
+
+module.exports = {
+  buildTweetUrl,
+  mapDatasetParts,
+  extractTweetReferences,
+  getScreenNameFromUrl
+};
@@ -0,0 +1,29 @@
+// 自分の投稿（tweets.js、古いアーカイブでは tweet.js）の入力ソース
+const { listDatasetParts } = require('../utils/file-utils');
+const { buildTweetUrl, mapDatasetParts } = require('./source-utils');
+
+/**
+ * 自分の投稿データのパートの一覧を取得する
+ * @returns {Array<{fileName: string, readItems: function(): AsyncGenerator<{tweetId: string, tweetUrl: string}>}>} パートごとの入力アイテム
+ */
+function listParts() {
+  // 新しいアーカイブは tweets.js、古いアーカイブは tweet.js
+  let parts = listDatasetParts('tweets');
+  if (parts.length === 0) {
+    parts = listDatasetParts('tweet');
+  }
+  
+  return mapDatasetParts(parts, item => {
+    const tweet = item?.tweet || item;
+    const tweetId = tweet && (tweet.id_str || tweet.id);
+    return tweetId
+      ? [{ tweetId: String(tweetId), tweetUrl: buildTweetUrl(tweetId) }]
+      : [];
+  });
+}
+
+module.exports = {
+  name: 'tweets',
+  label: '自分の投稿',
+  listParts
+};
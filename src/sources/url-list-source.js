@@ -0,0 +1,61 @@
+// ツイートURLを列挙したテキスト/CSVファイルの入力ソース
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config/config');
+const { extractTweetReferences, buildTweetUrl } = require('./source-utils');
+
+/**
+ * テキスト/CSVの内容からツイートを取り出す
+ * 1行に1つのURL、またはCSVの任意の列にURLやツイートIDを含む形式に対応する
+ * @param {string} content - ファイルの内容
+ * @returns {Array<{tweetId: string, tweetUrl: string}>} 列挙されたツイート
+ */
+function parseUrlList(content) {
+  const items = [];
+  
+  for (const line of content.split(/\r?\n/)) {
+    const trimmed = line.trim();
+    // 空行とコメント行は無視
+    if (!trimmed || trimmed.startsWith('#')) continue;
+    
+    const references = extractTweetReferences(trimmed);
+    if (references.length > 0) {
+      items.push(...references);
+      continue;
+    }
+    
+    // URLが無い場合は、ツイートIDだけの列を探す
+    trimmed.split(/[,\t;]/)
+      .map(cell => cell.trim().replace(/^"|"$/g, ''))
+      .filter(cell => /^\d{5,20}$/.test(cell))
+      .forEach(tweetId => items.push({ tweetId, tweetUrl: buildTweetUrl(tweetId) }));
+  }
+  
+  return items;
+}
+
+/**
+ * URLリストファイルの一覧を取得する
+ * @returns {Array<{fileName: string, readItems: function(): AsyncGenerator<{tweetId: string, tweetUrl: string}>}>} ファイルごとの入力アイテム
+ */
+function listParts() {
+  if (!CONFIG.URL_LIST_PATH) {
+    console.error('URLリストのパスが設定されていません (URL_LIST_PATH)');
+    return [];
+  }
+  
+  return [{
+    fileName: path.basename(CONFIG.URL_LIST_PATH),
+    // URLリストは手で作る小さなファイルのため、まとめて読み込む
+    readItems: async function* () {
+      yield* parseUrlList(await fs.promises.readFile(CONFIG.URL_LIST_PATH, CONFIG.ENCODING));
+    }
+  }];
+}
+
+module.exports = {
+  name: 'url-list',
+  label: 'URLリスト',
+  listParts,
+  parseUrlList
+};
@@ -0,0 +1,254 @@
+// Twitterアーカイブ（ZIPファイルまたは展開済みフォルダ）へのアクセスを提供するユーティリティ関数
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config/config');
+const { openZipArchive } = require('./zip-reader');
+
+// アーカイブ内で利用する既知のデータファイル（data/<名前>.js, data/<名前>-partN.js）
+const KNOWN_DATASETS = [
+  'like',
+  'bookmark',
+  'tweets',
+  'tweet',
+  'direct-messages',
+  'direct-messages-group',
+  'account',
+  'manifest'
+];
+
+// アーカイブ内のメディアフォルダ名（自分の投稿の画像・動画）
+const TWEETS_MEDIA_DIR = 'tweets_media';
+
+// 開いたアーカイブのキャッシュ
+let currentArchive = null;
+
+/**
+ * ファイル名が分割データファイルの命名規則に一致するか確認する
+ * @param {string} fileName - ファイル名（例: 'like-part1.js'）
+ * @param {string} baseName - データファイルの基本名（例: 'like'）
+ * @returns {number|null} パート番号（一致しない場合はnull）
+ */
+function matchPartFileName(fileName, baseName) {
+  const escapedName = baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const match = fileName.match(new RegExp(`^${escapedName}(?:-part(\\d+))?\\.js$`));
+  if (!match) return null;
+  return match[1] ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * ファイル名の一覧から分割データファイルを探す
+ * @param {Array<{fileName: string, entryName: string}>} files - ファイル一覧
+ * @param {string} baseName - データファイルの基本名
+ * @returns {Array<{fileName: string, entryName: string, partIndex: number}>} パート番号順のファイル一覧
+ */
+function selectPartFiles(files, baseName) {
+  return files
+    .map(file => {
+      const partIndex = matchPartFileName(file.fileName, baseName);
+      return partIndex === null ? null : { ...file, partIndex };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.partIndex - b.partIndex);
+}
+
+/**
+ * メディアファイル一覧をツイートIDごとにまとめる
+ * （アーカイブのメディアは "<ツイートID>-<元のファイル名>" という名前で保存されている）
+ * @param {Array<{fileName: string, entryName: string}>} files - メディアファイル一覧
+ * @returns {Map<string, Array<{fileName: string, entryName: string}>>} ツイートIDごとのメディア
+ */
+function indexTweetMedia(files) {
+  const mediaByTweet = new Map();
+
+  for (const file of files) {
+    const match = file.fileName.match(/^(\d+)-(.+)$/);
+    if (!match) continue;
+
+    if (!mediaByTweet.has(match[1])) {
+      mediaByTweet.set(match[1], []);
+    }
+    mediaByTweet.get(match[1]).push({ ...file, originalName: match[2] });
+  }
+
+  return mediaByTweet;
+}
+
+/**
+ * 展開済みのアーカイブフォルダを開く
+ * @param {string} rootDir - アーカイブのフォルダ（data/ を含むフォルダ、またはdata/そのもの）
+ * @returns {Object} アーカイブ操作オブジェクト
+ */
+function openDirectoryArchive(rootDir) {
+  const dataDirs = [rootDir, path.join(rootDir, 'data')];
+  let mediaIndex = null;
+
+  /**
+   * ディレクトリ内のファイル一覧を取得する
+   * @param {string} dir - ディレクトリ
+   * @returns {Array<{fileName: string, entryName: string}>} ファイル一覧
+   */
+  function listFiles(dir) {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).map(fileName => ({ fileName, entryName: path.join(dir, fileName) }));
+  }
+
+  return {
+    type: 'directory',
+    path: rootDir,
+
+    listDataFiles(baseName) {
+      // 最初にデータが見つかったディレクトリのファイルを使用
+      for (const dir of dataDirs) {
+        const files = selectPartFiles(listFiles(dir), baseName);
+        if (files.length > 0) return files;
+      }
+      return [];
+    },
+
+    createDataFileStream(entryName) {
+      return fs.createReadStream(entryName);
+    },
+
+    findTweetMedia(tweetId) {
+      if (!mediaIndex) {
+        const mediaDir = dataDirs
+          .map(dir => path.join(dir, TWEETS_MEDIA_DIR))
+          .find(dir => fs.existsSync(dir));
+        mediaIndex = indexTweetMedia(mediaDir ? listFiles(mediaDir) : []);
+      }
+      return mediaIndex.get(tweetId) || [];
+    },
+
+    async extractMedia(entryName, outputPath) {
+      await fs.promises.copyFile(entryName, outputPath);
+      return (await fs.promises.stat(outputPath)).size;
+    },
+
+    close() {}
+  };
+}
+
+/**
+ * ZIPファイルのアーカイブを開く（展開せずに直接読み込む）
+ * @param {string} zipPath - アーカイブのZIPファイル
+ * @returns {Object} アーカイブ操作オブジェクト
+ */
+function openZipFileArchive(zipPath) {
+  const zip = openZipArchive(zipPath);
+  const entryNames = zip.listEntries();
+
+  // data/ フォルダの位置を特定（ZIPを作り直した場合などは1階層深いことがある）
+  const dataPrefix = entryNames
+    .map(name => name.match(/^(.*\/)?data\/[^/]+\.js$/))
+    .filter(Boolean)
+    .map(match => `${match[1] || ''}data/`)
+    .sort((a, b) => a.length - b.length)[0] || '';
+
+  /**
+   * 指定フォルダ直下のエントリ一覧を取得する
+   * @param {string} prefix - フォルダのパス（末尾スラッシュ付き）
+   * @returns {Array<{fileName: string, entryName: string}>} ファイル一覧
+   */
+  function listFiles(prefix) {
+    return entryNames
+      .filter(name => name.startsWith(prefix) && !name.slice(prefix.length).includes('/'))
+      .map(name => ({ fileName: name.slice(prefix.length), entryName: name }));
+  }
+
+  let mediaIndex = null;
+
+  return {
+    type: 'zip',
+    path: zipPath,
+
+    listDataFiles(baseName) {
+      return selectPartFiles(listFiles(dataPrefix), baseName);
+    },
+
+    createDataFileStream(entryName) {
+      return zip.createEntryStream(entryName);
+    },
+
+    findTweetMedia(tweetId) {
+      if (!mediaIndex) {
+        mediaIndex = indexTweetMedia(listFiles(`${dataPrefix}${TWEETS_MEDIA_DIR}/`));
+      }
+      return mediaIndex.get(tweetId) || [];
+    },
+
+    extractMedia(entryName, outputPath) {
+      return zip.extractEntry(entryName, outputPath);
+    },
+
+    close() {
+      zip.close();
+    }
+  };
+}
+
+/**
+ * アーカイブを開く
+ * @param {string} archivePath - ZIPファイルまたはフォルダのパス
+ * @returns {Object} アーカイブ操作オブジェクト
+ * @throws {Error} パスが存在しない、またはZIPとして読み込めない場合
+ */
+function openArchive(archivePath) {
+  if (!fs.existsSync(archivePath)) {
+    throw new Error(`アーカイブが見つかりません: ${archivePath}`);
+  }
+
+  return fs.statSync(archivePath).isDirectory()
+    ? openDirectoryArchive(archivePath)
+    : openZipFileArchive(archivePath);
+}
+
+/**
+ * 設定されたアーカイブを取得する（未設定の場合はプロジェクトルート）
+ * @returns {Object} アーカイブ操作オブジェクト
+ */
+function getArchive() {
+  if (!currentArchive) {
+    const archivePath = CONFIG.ARCHIVE_PATH
+      ? path.resolve(CONFIG.ARCHIVE_PATH)
+      : path.resolve(__dirname, '../../');
+    currentArchive = openArchive(archivePath);
+  }
+  return currentArchive;
+}
+
+/**
+ * アーカイブに含まれる既知のデータファイルを一覧にする
+ * @returns {Array<{name: string, files: Array<string>}>} データ名とファイル名の一覧
+ */
+function listKnownDatasets() {
+  const archive = getArchive();
+  return KNOWN_DATASETS
+    .map(name => ({ name, files: archive.listDataFiles(name).map(file => file.fileName) }))
+    .filter(dataset => dataset.files.length > 0);
+}
+
+/**
+ * メディアURLに対応するファイルをアーカイブのメディアフォルダから探す
+ * @param {string} tweetId - ツイートID
+ * @param {string} mediaUrl - メディアのURL
+ * @returns {{fileName: string, entryName: string}|null} 見つかったメディア（なければnull）
+ */
+function findArchiveMedia(tweetId, mediaUrl) {
+  if (!mediaUrl) return null;
+
+  try {
+    const originalName = path.posix.basename(new URL(mediaUrl).pathname);
+    return getArchive().findTweetMedia(tweetId).find(file => file.originalName === originalName) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  KNOWN_DATASETS,
+  matchPartFileName,
+  openArchive,
+  getArchive,
+  listKnownDatasets,
+  findArchiveMedia
+};
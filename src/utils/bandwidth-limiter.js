@@ -0,0 +1,182 @@
+// メディアのダウンロード全体で共有する帯域制限（BANDWIDTH_LIMIT と時間帯ごとの BANDWIDTH_SCHEDULE）
+// 受信したデータの量に応じて、次のデータを受け取るまでの待機時間を決める（並列のダウンロードの合計を上限以下にする）
+const { CONFIG } = require('../config/config');
+const { parseByteSize } = require('../config/schema');
+
+// しばらく受信していなかった場合に、上限を超えて続けて受信できる時間(ミリ秒)
+const MAX_BURST_MS = 250;
+
+// インタラクティブモードで切り替える速度の上限（バイト/秒。最大より上は制限なし）
+const MANUAL_LIMIT_STEPS = [128, 256, 512, 1024, 2048, 5120, 10240, 20480, 51200].map(kb => kb * 1024);
+
+// インタラクティブモードで指定した上限（undefined: 設定に従う、null: 制限なし）
+let manualLimit;
+
+// 次のデータを受け取れる時刻（上限の速度で受信した場合に、受信済みのデータを受け取り終える時刻）
+let nextReceiveTime = 0;
+
+// 解析済みの BANDWIDTH_SCHEDULE（設定の配列が変わった場合に解析し直す）
+let parsedSchedule = { source: null, entries: [] };
+
+// 上限が変わったときに呼び出す関数と、最後に適用した上限
+let changeListener = null;
+let lastAppliedKey = null;
+
+/**
+ * "HH:MM" を0時からの分に変換する
+ * @param {string} time - 時刻
+ * @returns {number} 0時からの分
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * BANDWIDTH_SCHEDULE の項目を解析する（形式は設定の読み込み時に検証済み）
+ * @param {string} entry - "09:00-18:00=1MB" の形式の項目
+ * @returns {{label: string, start: number, end: number, limit: number|null}} 時間帯（0時からの分）と上限（null は制限なし）
+ */
+function parseScheduleEntry(entry) {
+  const [range, value] = entry.split('=');
+  const [start, end] = range.split('-');
+  const limit = value.trim().toLowerCase() === 'unlimited' ? null : parseByteSize(value);
+  return { label: range, start: toMinutes(start), end: toMinutes(end), limit: limit || null };
+}
+
+/**
+ * 時刻が時間帯に含まれるか判定する（終了時刻が開始時刻より前の場合は日をまたぐ）
+ * @param {{start: number, end: number}} entry - 時間帯
+ * @param {number} minutes - 0時からの分
+ * @returns {boolean} 含まれる場合はtrue
+ */
+function isInScheduleEntry(entry, minutes) {
+  if (entry.start === entry.end) return true;
+  if (entry.start < entry.end) return minutes >= entry.start && minutes < entry.end;
+  return minutes >= entry.start || minutes < entry.end;
+}
+
+/**
+ * 時刻に当てはまる BANDWIDTH_SCHEDULE の時間帯を取得する
+ * @param {Date} date - 時刻
+ * @returns {{label: string, start: number, end: number, limit: number|null}|null} 時間帯（当てはまらない場合はnull）
+ */
+function findScheduleEntry(date) {
+  if (parsedSchedule.source !== CONFIG.BANDWIDTH_SCHEDULE) {
+    parsedSchedule = {
+      source: CONFIG.BANDWIDTH_SCHEDULE,
+      entries: (CONFIG.BANDWIDTH_SCHEDULE || []).map(parseScheduleEntry)
+    };
+  }
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return parsedSchedule.entries.find(entry => isInScheduleEntry(entry, minutes)) || null;
+}
+
+/**
+ * 現在の速度の上限を取得する
+ * インタラクティブモードで指定した上限、当てはまる時間帯の上限、BANDWIDTH_LIMIT の順に優先する
+ * @param {Date} [date] - 時刻（デフォルトは現在時刻）
+ * @returns {{limit: number|null, source: string, schedule: string|null}}
+ *          上限(バイト/秒、null は制限なし)、上限の出どころ（'manual' | 'schedule' | 'config'）、当てはまる時間帯
+ */
+function getBandwidthLimit(date = new Date()) {
+  if (manualLimit !== undefined) {
+    return { limit: manualLimit, source: 'manual', schedule: null };
+  }
+  const entry = findScheduleEntry(date);
+  if (entry) {
+    return { limit: entry.limit, source: 'schedule', schedule: entry.label };
+  }
+  return { limit: CONFIG.BANDWIDTH_LIMIT || null, source: 'config', schedule: null };
+}
+
+/**
+ * 上限を比較するためのキーを作成する
+ * @param {{limit: number|null, source: string, schedule: string|null}} current - 上限
+ * @returns {string} キー
+ */
+function getLimitKey(current) {
+  return `${current.limit}|${current.source}|${current.schedule}`;
+}
+
+/**
+ * 上限が変わっていたら変更を通知する（時間帯が切り替わった場合など）
+ * @param {{limit: number|null, source: string, schedule: string|null}} current - 現在の上限
+ */
+function notifyIfChanged(current) {
+  const key = getLimitKey(current);
+  if (key === lastAppliedKey) return;
+  const isFirst = lastAppliedKey === null;
+  lastAppliedKey = key;
+  if (!isFirst && changeListener) {
+    changeListener(current);
+  }
+}
+
+/**
+ * 受信したデータの分だけ帯域を使い、次のデータを受け取るまでの待機時間を返す
+ * @param {number} bytes - 受信したデータのバイト数
+ * @returns {number} 待機時間(ミリ秒)（制限がない場合は0）
+ */
+function reserveBandwidth(bytes) {
+  const current = getBandwidthLimit();
+  notifyIfChanged(current);
+
+  const now = Date.now();
+  if (!current.limit) {
+    nextReceiveTime = now;
+    return 0;
+  }
+
+  // 受信していなかった時間の分は、MAX_BURST_MS まで待たずに受け取れる
+  const start = Math.max(nextReceiveTime, now - MAX_BURST_MS);
+  nextReceiveTime = start + (bytes / current.limit) * 1000;
+  return Math.max(0, Math.round(nextReceiveTime - now));
+}
+
+/**
+ * インタラクティブモードで速度の上限を1段階変更する
+ * @param {'up'|'down'} direction - 'up': 上限を上げる（最大の段階の次は制限なし）、'down': 上限を下げる
+ * @returns {{limit: number|null, source: string, schedule: string|null}} 変更後の上限
+ */
+function stepBandwidthLimit(direction) {
+  const { limit } = getBandwidthLimit();
+  if (direction === 'down') {
+    const lower = MANUAL_LIMIT_STEPS.filter(step => limit === null || step < limit);
+    manualLimit = lower.length > 0 ? lower[lower.length - 1] : MANUAL_LIMIT_STEPS[0];
+  } else {
+    const higher = limit === null ? undefined : MANUAL_LIMIT_STEPS.find(step => step > limit);
+    manualLimit = higher !== undefined ? higher : null;
+  }
+  const current = getBandwidthLimit();
+  lastAppliedKey = getLimitKey(current);
+  return current;
+}
+
+/**
+ * インタラクティブモードで変更した上限を取り消し、設定（BANDWIDTH_LIMIT・BANDWIDTH_SCHEDULE）に戻す
+ * @returns {{limit: number|null, source: string, schedule: string|null}} 設定に従った上限
+ */
+function resetBandwidthLimit() {
+  manualLimit = undefined;
+  const current = getBandwidthLimit();
+  lastAppliedKey = getLimitKey(current);
+  return current;
+}
+
+/**
+ * 時間帯の切り替わりなどで上限が変わったときに呼び出す関数を設定する
+ * （インタラクティブモードでの変更は呼び出し元が表示するため通知しない）
+ * @param {Function|null} listener - 変更後の上限（getBandwidthLimit の戻り値）を受け取る関数
+ */
+function onBandwidthLimitChange(listener) {
+  changeListener = listener;
+}
+
+module.exports = {
+  getBandwidthLimit,
+  reserveBandwidth,
+  stepBandwidthLimit,
+  resetBandwidthLimit,
+  onBandwidthLimitChange
+};
@@ -0,0 +1,263 @@
+// コマンドライン引数の解析と設定への反映を行うユーティリティ関数
+const { CONFIG } = require('../config/config');
+const { parseConfigValue } = require('../config/schema');
+const { setConfigValue } = require('../config/config-loader');
+const { extractTweetReferences } = require('../sources/source-utils');
+
+// すべてのコマンドで共通のコマンドラインオプションの定義
+// config: 対応する設定項目、value: 値を取る場合の説明（フラグの場合は固定値 flagValue を設定）
+// config がないオプション（コマンド固有のオプション）は解析結果の values に格納される
+const OPTION_DEFINITIONS = [
+  { name: 'help', alias: 'h', description: 'この使い方を表示' },
+  { name: 'threads', config: 'PARALLEL_DOWNLOADS', value: 'N', description: '並列ダウンロード数' },
+  { name: 'metadata-workers', config: 'METADATA_WORKERS', value: 'N', description: 'ツイート情報の取得を同時に行う数' },
+  { name: 'http2', config: 'USE_HTTP2', flagValue: true, description: 'pbs.twimg.com などからのダウンロードにHTTP/2を使う' },
+  { name: 'limit-rate', config: 'BANDWIDTH_LIMIT', value: 'SIZE', description: 'ダウンロード全体の速度の上限（例: 1MB、500KB。1秒あたり）' },
+  { name: 'skip-existing', config: 'FORCE_DOWNLOAD', flagValue: false, description: 'ダウンロード済みのツイートをスキップ（デフォルト）' },
+  { name: 'force-download', config: 'FORCE_DOWNLOAD', flagValue: true, description: 'ダウンロード済みのツイートも含めて再ダウンロード' },
+  { name: 'quiet', alias: 'q', config: 'QUIET', flagValue: true, description: '進捗表示と詳細なログを表示しない' },
+  { name: 'debug', config: 'DEBUG', flagValue: true, description: 'デバッグ情報を表示' },
+  { name: 'library', config: 'LIBRARY_DIR', value: 'DIR', description: 'メディアとメタデータの保存先' },
+  { name: 'logs-dir', config: 'LOGS_DIR', value: 'DIR', description: 'エラーログの保存先' },
+  { name: 'state-dir', config: 'STATE_DIR', value: 'DIR', description: 'スキップリスト・セーブポイントの保存先' },
+  { name: 'archive', config: 'ARCHIVE_PATH', value: 'PATH', description: 'アーカイブのZIPファイルまたはフォルダ' },
+  { name: 'sources', config: 'INPUT_SOURCES', value: 'LIST', description: '処理する入力ソース（カンマ区切り）' },
+  { name: 'url-list', config: 'URL_LIST_PATH', value: 'PATH', description: '入力ソース url-list のファイル' },
+  { name: 'incremental', config: 'INCREMENTAL_MODE', value: 'MODE', description: '差分処理モード（new-first, new-only, off）' },
+  { name: 'min-id', config: 'FILTER.MIN_ID', value: 'ID', description: 'このID以降のツイートのみ処理' },
+  { name: 'max-id', config: 'FILTER.MAX_ID', value: 'ID', description: 'このID以前のツイートのみ処理' },
+  { name: 'ids', config: 'FILTER.IDS', value: 'LIST', description: '指定したツイートIDのみ処理（カンマ区切り）' },
+  { name: 'since', config: 'FILTER.SINCE', value: 'DATE', description: 'この日時以降に投稿されたツイートのみ処理（例: 2023-01-01）' },
+  { name: 'until', config: 'FILTER.UNTIL', value: 'DATE', description: 'この日時以前に投稿されたツイートのみ処理' },
+  { name: 'author', config: 'FILTER.AUTHORS', value: 'LIST', description: '指定した投稿者のツイートのみ処理（カンマ区切り）' },
+  { name: 'exclude-author', config: 'FILTER.EXCLUDE_AUTHORS', value: 'LIST', description: '指定した投稿者のツイートを処理しない（カンマ区切り）' },
+  { name: 'media-type', config: 'FILTER.MEDIA_TYPES', value: 'LIST', description: '処理するメディアの種類（photo, video, gif）' },
+  { name: 'limit', config: 'FILTER.LIMIT', value: 'N', description: '処理するツイートの最大件数' },
+  { name: 'config', value: 'PATH', description: '設定ファイルを指定（プロジェクト・ユーザーの設定ファイルより優先）' },
+  { name: 'set', value: 'KEY=VALUE', repeatable: true, description: '任意の設定項目を上書き（例: --set API_CALL_DELAY=2000 --set UX.COLOR_THEME=dark）' }
+];
+
+// 同時に指定できないオプションの組み合わせ
+const CONFLICTING_OPTIONS = [
+  ['skip-existing', 'force-download']
+];
+
+/**
+ * コマンドライン引数のエラーを作成する
+ * @param {string} message - エラーメッセージ
+ * @returns {Error} type が 'usage' のエラー
+ */
+function createUsageError(message) {
+  const error = new Error(message);
+  error.type = 'usage';
+  return error;
+}
+
+/**
+ * 文字列の値を設定項目の型に変換する（型と指定可能な値は src/config/schema.js で定義）
+ * @param {string} key - 設定項目のキー
+ * @param {string} rawValue - 文字列の値
+ * @returns {*} 変換後の値
+ * @throws {Error} 値が不正な場合（type: 'usage'）
+ */
+function coerceConfigValue(key, rawValue) {
+  try {
+    return parseConfigValue(key, rawValue);
+  } catch (error) {
+    throw createUsageError(error.message);
+  }
+}
+
+/**
+ * 名前からオプション定義を探す
+ * @param {string} name - オプション名（--なし）または1文字の短縮名
+ * @param {Array<Object>} options - 検索するオプション定義
+ * @returns {Object|null} オプション定義
+ */
+function findOption(name, options) {
+  return options.find(option => option.name === name || option.alias === name) || null;
+}
+
+/**
+ * コマンドライン引数を解析する
+ * @param {Array<string>} argv - 引数（process.argv.slice(2)、サブコマンド名は除く）
+ * @param {Array<Object>} [commandOptions] - コマンド固有のオプション定義
+ * @returns {{help: boolean, overrides: Array<{key: string, value: *, option: string}>, values: Object, positionals: Array<string>}} 解析結果
+ * @throws {Error} 不明なオプションや不正な値がある場合（type: 'usage'）
+ */
+function parseCommandLine(argv, commandOptions = []) {
+  const result = { help: false, overrides: [], values: {}, positionals: [] };
+  const options = [...commandOptions, ...OPTION_DEFINITIONS];
+  const seenOptions = new Set();
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    // "--" 以降はすべて位置引数
+    if (arg === '--') {
+      result.positionals.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (!arg.startsWith('-') || arg === '-') {
+      result.positionals.push(arg);
+      continue;
+    }
+
+    // --name=value, --name value, -h の形式に対応
+    const match = arg.match(/^--([^=]+)(?:=([\s\S]*))?$/) || arg.match(/^-([a-zA-Z])$/);
+    const option = match ? findOption(match[1], options) : null;
+    if (!option) {
+      throw createUsageError(`不明なオプションです: ${arg}`);
+    }
+
+    if (seenOptions.has(option.name) && !option.repeatable) {
+      throw createUsageError(`オプションが重複しています: --${option.name}`);
+    }
+    seenOptions.add(option.name);
+
+    let rawValue = match[2];
+
+    if (!option.value) {
+      // フラグ（値を取らないオプション）
+      if (rawValue !== undefined) {
+        throw createUsageError(`--${option.name} は値を取りません: ${arg}`);
+      }
+      if (option.name === 'help') {
+        result.help = true;
+      } else if (!option.config) {
+        result.values[option.name] = true;
+      } else {
+        result.overrides.push({ key: option.config, value: option.flagValue, option: `--${option.name}` });
+      }
+      continue;
+    }
+
+    // 値が "=" で渡されていない場合は次の引数を値として使う
+    if (rawValue === undefined) {
+      if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+        throw createUsageError(`--${option.name} には値 (${option.value}) が必要です`);
+      }
+      rawValue = argv[++i];
+    }
+
+    if (option.name === 'set') {
+      const assignment = rawValue.match(/^([A-Za-z_][\w.]*)=([\s\S]*)$/);
+      if (!assignment) {
+        throw createUsageError(`--set は KEY=VALUE の形式で指定してください: "${rawValue}"`);
+      }
+      result.overrides.push({ key: assignment[1], value: coerceConfigValue(assignment[1], assignment[2]), option: '--set' });
+    } else if (!option.config) {
+      if (option.choices && !option.choices.includes(rawValue)) {
+        throw createUsageError(`--${option.name} の値が不正です: "${rawValue}" (指定可能: ${option.choices.join(', ')})`);
+      }
+      result.values[option.name] = option.repeatable
+        ? [...(result.values[option.name] || []), rawValue]
+        : rawValue;
+    } else {
+      try {
+        result.overrides.push({ key: option.config, value: coerceConfigValue(option.config, rawValue), option: `--${option.name}` });
+      } catch (error) {
+        throw createUsageError(`--${option.name}: ${error.message}`);
+      }
+    }
+  }
+
+  for (const [first, second] of CONFLICTING_OPTIONS) {
+    if (seenOptions.has(first) && seenOptions.has(second)) {
+      throw createUsageError(`--${first} と --${second} は同時に指定できません`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * 解析したオプションを設定に反映する（設定ファイルや環境変数よりも優先）
+ * @param {Array<{key: string, value: *, option: string}>} overrides - parseCommandLineが返す上書き設定
+ */
+function applyConfigOverrides(overrides) {
+  for (const { key, value, option } of overrides) {
+    setConfigValue(key, value, { source: 'cli', detail: option || null });
+  }
+}
+
+/**
+ * 位置引数で指定されたアーカイブのパスを設定に反映する（download, status, export で共通）
+ * @param {Array<string>} positionals - 位置引数
+ * @throws {Error} 引数が多すぎる場合（type: 'usage'）
+ */
+function applyArchiveArgument(positionals) {
+  if (positionals.length > 1) {
+    throw createUsageError(`引数が多すぎます: ${positionals.join(' ')}`);
+  }
+  if (positionals.length === 1) {
+    applyConfigOverrides([{ key: 'ARCHIVE_PATH', value: positionals[0], option: '位置引数' }]);
+  }
+}
+
+/**
+ * 位置引数のツイートIDまたはツイートURLをツイートIDに変換する
+ * @param {Array<string>} args - ツイートIDまたはURLの配列
+ * @returns {Array<string>} ツイートIDの配列（重複は除く）
+ * @throws {Error} ツイートIDとして解釈できない引数がある場合（type: 'usage'）
+ */
+function parseTweetIdArguments(args) {
+  const tweetIds = args.map(arg => {
+    if (/^\d+$/.test(arg)) return arg;
+
+    const [reference] = extractTweetReferences(arg);
+    if (!reference) {
+      throw createUsageError(`ツイートIDまたはツイートURLではありません: ${arg}`);
+    }
+    return reference.tweetId;
+  });
+
+  return [...new Set(tweetIds)];
+}
+
+/**
+ * オプション定義の一覧を表示する
+ * @param {Array<Object>} options - オプション定義
+ */
+function printOptions(options) {
+  for (const option of options) {
+    const valueText = option.value ? `${option.repeatable ? ' ' : '='}${option.value}` : '';
+    const names = [option.alias ? `-${option.alias}` : null, `--${option.name}${valueText}`]
+      .filter(Boolean)
+      .join(', ');
+    console.log(`  ${names.padEnd(28)} ${option.description}`);
+  }
+}
+
+/**
+ * 使い方を表示する
+ * @param {string} [usage] - 使い方の書式（実行コマンドと引数）
+ * @param {Array<Object>} [commandOptions] - コマンド固有のオプション定義
+ */
+function printUsage(usage = 'node index.js [オプション] [アーカイブのZIPファイル]', commandOptions = []) {
+  console.log(`\nTwitter Like Media Downloader Ver.${CONFIG.VERSION}\n`);
+  console.log(`使い方: ${usage}`);
+
+  if (commandOptions.length > 0) {
+    console.log('\nコマンドのオプション:');
+    printOptions(commandOptions);
+  }
+
+  console.log(commandOptions.length > 0 ? '\n共通オプション:' : '\nオプション:');
+  printOptions(OPTION_DEFINITIONS);
+
+  console.log('\n設定項目は --set で上書きできます（設定ファイルや環境変数よりも優先されます）。');
+  console.log('現在の値と、その値がどこで設定されたかは config show で確認できます。');
+  console.log('');
+}
+
+module.exports = {
+  createUsageError,
+  parseCommandLine,
+  applyConfigOverrides,
+  applyArchiveArgument,
+  parseTweetIdArguments,
+  coerceConfigValue,
+  printUsage
+};
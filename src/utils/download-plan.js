@@ -0,0 +1,111 @@
+// ツイートごとの処理内容（スキップ・API呼び出し・メタデータのみ・メディアのみ）の判定
+// download コマンドの処理と --dry-run の計画表示で同じ判定を使う
+const { CONFIG } = require('../config/config');
+const { isTweetInAnySkipList, notFoundIds, sensitiveIds, noMediaIds, parseErrorIds } = require('./list-handlers');
+
+// スキップ理由（キーは download コマンドの stats.skipped の項目名）
+// label: 表示用の理由、type: 進捗表示の種類
+const SKIP_REASONS = {
+  alreadyDownloaded: { label: '既にダウンロード済み', type: 'スキップ' },
+  notFound: { label: '存在しないツイート', type: '未発見' },
+  sensitive: { label: 'センシティブコンテンツ', type: '制限' },
+  noMedia: { label: 'メディアが存在しないツイート', type: 'メディアなし' },
+  parseError: { label: '解析エラー', type: 'パースエラー' },
+  inSkipList: { label: 'スキップ対象', type: 'スキップ' }
+};
+
+/**
+ * スキップリストに含まれるツイートのスキップ理由を取得する
+ * @param {string} tweetId - ツイートID
+ * @returns {string|null} スキップ理由（SKIP_REASONS のキー）。どのリストにもない場合はnull
+ */
+function getSkipListReason(tweetId) {
+  if (!isTweetInAnySkipList(tweetId)) return null;
+  if (notFoundIds.has(tweetId)) return 'notFound';
+  if (sensitiveIds.has(tweetId)) return 'sensitive';
+  if (noMediaIds.has(tweetId)) return 'noMedia';
+  if (parseErrorIds.has(tweetId)) return 'parseError';
+  return 'inSkipList';
+}
+
+/**
+ * ツイートの処理内容を判定する（スキップリストは読み込み済みであること）
+ * @param {string} tweetId - ツイートID
+ * @param {{mediaIds: Set<string>, metadataIds: Set<string>, partialMedia: Map<string, Set<number>>}} downloadedIds - getDownloadedIdsの戻り値
+ * @returns {{skipReason: string|null, hasMedia: boolean, hasMetadata: boolean, savedMediaNumbers: Set<number>|null, needsApi: boolean}}
+ *          処理内容（skipReason がnullでなければスキップする。savedMediaNumbers はメディアの一部だけを保存したツイートの保存済みのメディアの番号）
+ */
+function decideTweetAction(tweetId, downloadedIds) {
+  const skipReason = getSkipListReason(tweetId);
+  if (skipReason) {
+    return { skipReason, hasMedia: false, hasMetadata: false, savedMediaNumbers: null, needsApi: false };
+  }
+
+  // メディアとメタデータの存在確認（強制ダウンロード時は未取得として扱う）
+  const hasMedia = !CONFIG.FORCE_DOWNLOAD && downloadedIds.mediaIds.has(tweetId);
+  const hasMetadata = !CONFIG.FORCE_DOWNLOAD && downloadedIds.metadataIds.has(tweetId);
+  // メディアの一部だけを保存したツイートは、足りないメディアのみダウンロードする
+  const savedMediaNumbers = CONFIG.FORCE_DOWNLOAD ? null : downloadedIds.partialMedia.get(tweetId) || null;
+
+  return {
+    skipReason: hasMedia && hasMetadata ? 'alreadyDownloaded' : null,
+    hasMedia,
+    hasMetadata,
+    savedMediaNumbers,
+    // 保存済みのメタデータがなければAPIからツイート情報を取得する
+    needsApi: !hasMetadata
+  };
+}
+
+/**
+ * アイテムごとの処理内容を集計して、ダウンロードの計画を作成する
+ * @param {Iterable<{tweetId: string}>|AsyncIterable<{tweetId: string}>} items - 処理するアイテム（配列または非同期イテレーター）
+ * @param {{mediaIds: Set<string>, metadataIds: Set<string>, partialMedia: Map<string, Set<number>>}} downloadedIds - getDownloadedIdsの戻り値
+ * @returns {Promise<Object>} 計画（スキップ件数の内訳、API呼び出しが必要な件数、メディアの一部だけを保存したツイートの件数など）
+ */
+async function createDownloadPlan(items, downloadedIds) {
+  const plan = {
+    total: 0,
+    skipped: { total: 0 },
+    toProcess: 0,
+    needsApi: 0,
+    mediaAndMetadata: 0,
+    metadataOnly: 0,
+    mediaOnly: 0,
+    incompleteMedia: 0
+  };
+  Object.keys(SKIP_REASONS).forEach(reason => {
+    plan.skipped[reason] = 0;
+  });
+
+  for await (const { tweetId } of items) {
+    plan.total++;
+    const action = decideTweetAction(tweetId, downloadedIds);
+
+    if (action.skipReason) {
+      plan.skipped[action.skipReason]++;
+      plan.skipped.total++;
+      continue;
+    }
+
+    plan.toProcess++;
+    if (action.needsApi) plan.needsApi++;
+    if (action.savedMediaNumbers) plan.incompleteMedia++;
+
+    if (action.hasMedia) {
+      plan.metadataOnly++;
+    } else if (action.hasMetadata) {
+      plan.mediaOnly++;
+    } else {
+      plan.mediaAndMetadata++;
+    }
+  }
+
+  return plan;
+}
+
+module.exports = {
+  SKIP_REASONS,
+  decideTweetAction,
+  createDownloadPlan
+};
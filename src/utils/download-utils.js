@@ -1,142 +1,405 @@
 // ファイルダウンロード関連のユーティリティ関数
 const fs = require('fs');
-const https = require('https');
-const http = require('http');
 const { CONFIG } = require('../config/config');
 const { logError } = require('./error-handlers');
+const { request } = require('./http-client');
+
+// ダウンロード中のファイルに付ける拡張子（サイズを確認してから本来のファイル名に変更する）
+// 中断された場合は残しておき、次回は続きからダウンロードする
+const PARTIAL_FILE_EXTENSION = '.part';
+
+// リダイレクトとして扱うステータスコード（ダウンロードはGETのみのため、303も含めて同じURLの取得として従う）
+const REDIRECT_STATUS_CODES = new Set([301, 302, 303, 307, 308]);
+
+// 従うリダイレクトの最大回数
+const MAX_REDIRECTS = 5;
+
+// 別のホストへリダイレクトする場合に送らないヘッダー（認証情報）
+const CREDENTIAL_HEADERS = ['authorization', 'cookie', 'proxy-authorization'];
+
+// 再試行しても結果が変わらないエラーの種類
+const NON_RETRYABLE_ERROR_TYPES = ['redirect', 'unsupported_hls', 'unsupported_encryption'];
+
+// Content-Typeごとの拡張子
+const CONTENT_TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/bmp': '.bmp',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm',
+  'video/quicktime': '.mov',
+  'video/mp2t': '.ts'
+};
+
+/**
+ * ダウンロード中のファイルのパスを取得する
+ * @param {string} outputPath - 保存先のパス
+ * @returns {string} ダウンロード中のファイルのパス
+ */
+function getPartialFilePath(outputPath) {
+  return `${outputPath}${PARTIAL_FILE_EXTENSION}`;
+}
+
+/**
+ * ファイルのサイズを取得する
+ * @param {string} filePath - ファイルのパス
+ * @returns {number} サイズ（ファイルがない場合は0）
+ */
+function getFileSize(filePath) {
+  try {
+    return fs.statSync(filePath).size;
+  } catch (error) {
+    return 0;
+  }
+}
+
+/**
+ * Content-Rangeヘッダーを解析する（例: "bytes 100-999/1000"。範囲外の場合は開始位置が "*"）
+ * @param {string} value - Content-Rangeヘッダーの値
+ * @returns {{start: number|null, total: number|null}|null} 開始位置とファイル全体のサイズ（解析できない場合はnull）
+ */
+function parseContentRange(value) {
+  const match = /^bytes\s+(?:(\d+)-\d+|\*)\/(\d+|\*)$/.exec(value || '');
+  if (!match) return null;
+  return {
+    start: match[1] !== undefined ? Number(match[1]) : null,
+    total: match[2] !== '*' ? Number(match[2]) : null
+  };
+}
+
+/**
+ * エラーのステータスコードを表すエラーを作成する
+ * @param {number} statusCode - ステータスコード
+ * @returns {Error} エラー（type: 'http'、statusCode: ステータスコード）
+ */
+function createHttpError(statusCode) {
+  const error = new Error(`HTTP エラー: ${statusCode}`);
+  error.type = 'http';
+  error.statusCode = statusCode;
+  return error;
+}
+
+/**
+ * リダイレクトに従えないことを表すエラーを作成する
+ * @param {string} message - エラーメッセージ
+ * @returns {Error} エラー（type: 'redirect'）
+ */
+function createRedirectError(message) {
+  const error = new Error(message);
+  error.type = 'redirect';
+  return error;
+}
+
+/**
+ * ホストが REDIRECT_ALLOWED_HOSTS のホスト（またはそのサブドメイン）か判定する
+ * @param {string} hostname - ホスト名
+ * @returns {boolean} 許可されたホストの場合はtrue
+ */
+function isAllowedRedirectHost(hostname) {
+  return (CONFIG.REDIRECT_ALLOWED_HOSTS || []).some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+/**
+ * リダイレクト先に従ってよいか確認する（REDIRECT_POLICY）
+ * @param {URL} from - リダイレクト元のURL
+ * @param {URL} to - リダイレクト先のURL
+ * @throws {Error} 従えない場合（type: 'redirect'）
+ */
+function checkRedirectTarget(from, to) {
+  if (to.protocol !== 'https:' && to.protocol !== 'http:') {
+    throw createRedirectError(`対応していないURLへのリダイレクトです (${to.href})`);
+  }
+  if (from.protocol === 'https:' && to.protocol === 'http:') {
+    throw createRedirectError(`HTTPSからHTTPへのリダイレクトには従いません (${to.href})`);
+  }
+  if (from.hostname === to.hostname || CONFIG.REDIRECT_POLICY === 'any') return;
+  if (CONFIG.REDIRECT_POLICY === 'allowed-hosts' && isAllowedRedirectHost(to.hostname)) return;
+  throw createRedirectError(`別のホストへのリダイレクトは許可されていません (${from.hostname} → ${to.hostname})`);
+}
+
+/**
+ * リクエストを送り、リダイレクト（301/302/303/307/308）に従ってレスポンスを取得する
+ * Location は相対URLも含めてリダイレクト元のURLを基準に解決し、同じURLに戻る場合はループとしてエラーにする
+ * @param {string} url - リクエストするURL
+ * @param {Object} headers - リクエストヘッダー
+ * @param {number} timeout - タイムアウト(ミリ秒)
+ * @returns {Promise<{res: Object, finalUrl: string}>} リダイレクト先のレスポンスと、そのURL
+ * @throws {Error} リダイレクトに従えない場合（type: 'redirect'）
+ */
+async function requestFollowingRedirects(url, headers, timeout) {
+  const visitedUrls = new Set([url]);
+  let currentUrl = url;
+  let currentHeaders = headers;
+
+  for (;;) {
+    const res = await request(currentUrl, { headers: currentHeaders, timeout });
+    if (!REDIRECT_STATUS_CODES.has(res.statusCode)) {
+      return { res, finalUrl: currentUrl };
+    }
+
+    // 本文を読み捨てて接続を再利用できるようにする
+    res.body.resume();
+
+    const location = res.headers.location;
+    if (!location) {
+      throw createRedirectError(`リダイレクト先が指定されていません (HTTP ${res.statusCode})`);
+    }
+
+    const from = new URL(currentUrl);
+    let to;
+    try {
+      to = new URL(location, from);
+    } catch (error) {
+      throw createRedirectError(`リダイレクト先のURLが正しくありません (${location})`);
+    }
+    to.hash = '';
+
+    if (visitedUrls.has(to.href)) {
+      throw createRedirectError(`リダイレクトがループしています (${to.href})`);
+    }
+    if (visitedUrls.size > MAX_REDIRECTS) {
+      throw createRedirectError(`リダイレクトが多すぎます (${MAX_REDIRECTS}回)`);
+    }
+    checkRedirectTarget(from, to);
+
+    // 別のホストには認証情報を送らない
+    if (from.host !== to.host) {
+      currentHeaders = Object.fromEntries(Object.entries(currentHeaders)
+        .filter(([name]) => !CREDENTIAL_HEADERS.includes(name.toLowerCase())));
+    }
+
+    visitedUrls.add(to.href);
+    currentUrl = to.href;
+  }
+}
+
+/**
+ * 同じURLで再試行すれば成功する可能性があるエラーか判定する
+ * 4xx（408・429を除く）はURLが使えないため再試行しない（次のURLの候補を試す）
+ * リダイレクトに従えない場合や、対応していない形式（HLSのプレイリスト・暗号化）の場合も再試行しない
+ * プロキシのエラーは再試行する（プロキシの認証に失敗した場合（407）を除く）
+ * @param {Error} error - downloadFile / downloadHlsStream のエラー
+ * @returns {boolean} 再試行する場合はtrue
+ */
+function isRetryableDownloadError(error) {
+  if (NON_RETRYABLE_ERROR_TYPES.includes(error.type)) return false;
+  if (error.type === 'proxy') return error.statusCode !== 407;
+  if (error.type !== 'http') return true;
+  return error.statusCode >= 500 || error.statusCode === 408 || error.statusCode === 429;
+}
 
 /**
  * URLからファイルをダウンロードする関数
+ * 接続はホストごとに再利用し、設定されたホストにはHTTP/2を使う（http-client.js）
+ * プロキシの設定（HTTP_PROXY / HTTPS_PROXY / NO_PROXY / SOCKS_PROXY）に従ってプロキシを経由する（proxy.js）
+ * ダウンロード中は .part ファイルに書き込み、サイズを確認してから保存先のファイル名に変更する
+ * .part ファイルが残っている場合は、サーバーが対応していれば Range リクエストで続きからダウンロードする
+ * リダイレクトには REDIRECT_POLICY の範囲で従う（requestFollowingRedirects）
  * @param {string} url - ダウンロードするファイルのURL
  * @param {string} outputPath - 保存先のパス
  * @param {Object} options - オプション
- * @returns {Promise<void>}
+ * @param {function(string): Promise<*>} [options.verify] - 受信したファイル（.part のパス）を確認する関数
+ *        （エラーを投げると .part ファイルを削除して、保存先のファイル名に変更しない）
+ * @param {function({verified: *, contentType: string|null, finalUrl: string}): string} [options.chooseOutputPath]
+ *        受信したファイルの保存先のパスを決める関数（Content-Typeや内容の形式で拡張子を決める場合など。デフォルト: outputPath）
+ * @returns {Promise<{finalUrl: string, contentType: string|null, outputPath: string, verified: *}>}
+ *          リダイレクト後のURL、レスポンスのContent-Type、保存先のパス、verify の戻り値
  */
-function downloadFile(url, outputPath, options = {}) {
+async function downloadFile(url, outputPath, options = {}) {
   const { 
     timeout = CONFIG.DOWNLOAD_TIMEOUT || 30000,
     onProgress = null,
-    headers = {}
+    headers = {},
+    verify = null,
+    chooseOutputPath = null
   } = options;
 
-  return new Promise((resolve, reject) => {
-    // URLが有効かチェック
-    if (!url || typeof url !== 'string') {
-      return reject(new Error('無効なURL'));
+  // URLが有効かチェック
+  if (!url || typeof url !== 'string') {
+    throw new Error('無効なURL');
+  }
+  
+  // 前回中断したファイルがあれば続きから取得する
+  // （メディアのURLは内容が変わらないため、ETagなどによる確認は行わない）
+  const partialPath = getPartialFilePath(outputPath);
+  const resumeFrom = getFileSize(partialPath);
+  
+  /**
+   * 受信したファイルを確認してから保存先のファイル名に変更する
+   * @param {string} finalUrl - リダイレクト後のURL
+   * @param {string|null} contentType - レスポンスのContent-Type（不明な場合はnull）
+   * @returns {Promise<{finalUrl: string, contentType: string|null, outputPath: string, verified: *}>} downloadFile の戻り値
+   */
+  const finalize = async (finalUrl, contentType) => {
+    let verified;
+    if (verify) {
+      try {
+        verified = await verify(partialPath);
+      } catch (error) {
+        // 内容が正しくないファイルは続きにも使えないため削除
+        await fs.promises.unlink(partialPath).catch(() => {});
+        throw error;
+      }
     }
+    const finalPath = chooseOutputPath ? chooseOutputPath({ verified, contentType, finalUrl }) : outputPath;
+    await fs.promises.rename(partialPath, finalPath);
+    return { finalUrl, contentType, outputPath: finalPath, verified };
+  };
+  
+  // カスタムヘッダーの設定
+  const requestHeaders = {
+    'User-Agent': CONFIG.USER_AGENT || 'Node.js',
+    ...(resumeFrom > 0 ? { Range: `bytes=${resumeFrom}-` } : {}),
+    ...headers
+  };
 
-    // URLプロトコルの判定
-    const isHttps = url.startsWith('https:');
-    const client = isHttps ? https : http;
+  // リクエスト送信（リダイレクトに従う）
+  const { res, finalUrl } = await requestFollowingRedirects(url, requestHeaders, timeout);
+  
+  // 続きの範囲がない場合（前回の時点で最後まで受信済み、またはサーバー上のファイルが変わった）
+  if (res.statusCode === 416 && resumeFrom > 0) {
+    res.body.resume();
+    const range = parseContentRange(res.headers['content-range']);
+    if (range && range.total === resumeFrom) {
+      // 416 のレスポンスのContent-Typeは受信したファイルのものではない
+      return finalize(finalUrl, null);
+    }
     
-    // カスタムヘッダーの設定
-    const requestHeaders = {
-      'User-Agent': CONFIG.USER_AGENT || 'Node.js',
-      ...headers
-    };
-
-    // リクエスト送信
-    const req = client.get(url, { 
-      headers: requestHeaders,
-      timeout: timeout
-    }, (res) => {
-      // リダイレクトの処理
-      if (res.statusCode === 301 || res.statusCode === 302) {
-        const redirectUrl = res.headers.location;
-        
-        // 再帰的にリダイレクト先をダウンロード (最大5回まで)
-        if (options._redirectCount >= 5) {
-          return reject(new Error('リダイレクトが多すぎます'));
-        }
-        
-        return downloadFile(redirectUrl, outputPath, {
-          ...options,
-          _redirectCount: (options._redirectCount || 0) + 1
-        })
-        .then(resolve)
-        .catch(reject);
-      }
-      
-      // エラーステータスコードの処理
-      if (res.statusCode < 200 || res.statusCode >= 400) {
-        return reject(new Error(`HTTP エラー: ${res.statusCode}`));
-      }
+    // 途中のファイルは使えないため最初からダウンロードし直す
+    await fs.promises.unlink(partialPath);
+    return downloadFile(url, outputPath, options);
+  }
+  
+  // エラーステータスコードの処理
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.body.resume();
+    throw createHttpError(res.statusCode);
+  }
 
-      // ファイルサイズの取得
-      const totalSize = parseInt(res.headers['content-length'], 10) || 0;
-      let downloadedBytes = 0;
-      let lastReportedProgress = 0;
+  // 206 の場合は続きを追記し、それ以外（Range に対応していないサーバー）は最初から書き直す
+  let offset = 0;
+  let expectedSize = parseInt(res.headers['content-length'], 10) || 0;
+  if (res.statusCode === 206) {
+    const range = parseContentRange(res.headers['content-range']);
+    if (!range || range.start !== resumeFrom) {
+      res.body.resume();
+      await fs.promises.unlink(partialPath).catch(() => {});
+      throw new Error(`続きからのダウンロードに失敗しました (Content-Range: ${res.headers['content-range'] || 'なし'})`);
+    }
+    offset = resumeFrom;
+    expectedSize = range.total || (expectedSize > 0 ? offset + expectedSize : 0);
+  }
 
-      // 出力ファイルストリームの作成
-      const fileStream = fs.createWriteStream(outputPath);
+  await new Promise((resolve, reject) => {
+    // ファイルサイズ（不明な場合は0）
+    const totalSize = expectedSize;
+    let downloadedBytes = offset;
+    let lastReportedProgress = 0;
+
+    // 出力ファイルストリームの作成
+    const fileStream = fs.createWriteStream(partialPath, { flags: offset > 0 ? 'a' : 'w' });
+    
+    // エラーイベント
+    res.body.on('error', (error) => {
+      // ファイルストリームをクローズ（途中まで受信したファイルは次回の再開のために残す）
+      fileStream.close();
       
-      // エラーイベント
-      res.on('error', (error) => {
-        // ファイルストリームをクローズ
-        fileStream.close();
-        
-        // 不完全なファイルを削除
-        fs.unlink(outputPath, () => {});
-        
-        reject(new Error(`ダウンロード中にエラーが発生しました: ${error.message}`));
-      });
-
-      // データイベント（チャンクの受信）
-      res.on('data', (chunk) => {
-        downloadedBytes += chunk.length;
-        
-        // 進捗レポート（頻度を制限）
-        if (onProgress && totalSize > 0) {
-          const currentProgress = Math.floor((downloadedBytes / totalSize) * 100);
-          if (currentProgress !== lastReportedProgress) {
-            lastReportedProgress = currentProgress;
-            onProgress(downloadedBytes, totalSize);
-          }
-        } else if (onProgress) {
-          // ファイルサイズが不明の場合は定期的に報告
-          onProgress(downloadedBytes, 0);
-        }
-      });
+      reject(new Error(`ダウンロード中にエラーが発生しました: ${error.message}`));
+    });
 
-      // 受信完了イベント
-      res.on('end', () => {
-        fileStream.end();
-      });
+    // データイベント（チャンクの受信）
+    res.body.on('data', (chunk) => {
+      downloadedBytes += chunk.length;
       
-      // ファイルストリームのイベント
-      fileStream.on('finish', () => {
-        // 最終進捗を報告
-        if (onProgress) {
+      // 進捗レポート（頻度を制限）
+      if (onProgress && totalSize > 0) {
+        const currentProgress = Math.floor((downloadedBytes / totalSize) * 100);
+        if (currentProgress !== lastReportedProgress) {
+          lastReportedProgress = currentProgress;
           onProgress(downloadedBytes, totalSize);
         }
-        resolve();
-      });
+      } else if (onProgress) {
+        // ファイルサイズが不明の場合は定期的に報告
+        onProgress(downloadedBytes, 0);
+      }
+    });
+    
+    // ファイルストリームのイベント
+    fileStream.on('finish', () => {
+      // 最終進捗を報告
+      if (onProgress) {
+        onProgress(downloadedBytes, totalSize);
+      }
+      resolve();
+    });
+    
+    fileStream.on('error', (error) => {
+      // 受信を中止して接続を閉じる
+      res.body.destroy();
       
-      fileStream.on('error', (error) => {
-        // ファイルストリームをクローズ
-        fileStream.close();
-        
-        // 不完全なファイルを削除
-        fs.unlink(outputPath, () => {});
-        
-        reject(new Error(`ファイル書き込み中にエラーが発生しました: ${error.message}`));
-      });
+      // 書き込めなかったファイルは続きに使えないため削除
+      fs.unlink(partialPath, () => {});
       
-      // データをファイルにパイプ
-      res.pipe(fileStream);
+      reject(new Error(`ファイル書き込み中にエラーが発生しました: ${error.message}`));
     });
+    
+    // データをファイルにパイプ（受信完了時にファイルストリームも終了する）
+    res.body.pipe(fileStream);
+  });
 
-    // リクエストのエラーイベント
-    req.on('error', (error) => {
-      reject(new Error(`ネットワークエラー: ${error.message}`));
-    });
+  // サイズが一致した場合のみ保存先のファイル名に変更する（途中で終わったファイルを完了扱いにしない）
+  const actualSize = getFileSize(partialPath);
+  if (expectedSize > 0 && actualSize !== expectedSize) {
+    if (actualSize > expectedSize) {
+      await fs.promises.unlink(partialPath).catch(() => {});
+    }
+    throw new Error(`ダウンロードが途中で終わりました (${actualSize}/${expectedSize}バイト)`);
+  }
+  
+  return finalize(finalUrl, res.headers['content-type'] || null);
+}
 
-    // タイムアウト処理
-    req.on('timeout', () => {
-      req.destroy();
-      reject(new Error(`リクエストがタイムアウトしました (${timeout}ms)`));
-    });
-  });
+/**
+ * URLの内容をすべて読み込む（HLSのプレイリストや暗号化の鍵など、小さいデータの取得用）
+ * リダイレクトには downloadFile と同じく REDIRECT_POLICY の範囲で従う
+ * @param {string} url - 取得するURL
+ * @param {Object} [options] - オプション
+ * @param {number} [options.timeout] - タイムアウト(ミリ秒)
+ * @returns {Promise<{body: Buffer, finalUrl: string, contentType: string|null}>} 内容、リダイレクト後のURL、Content-Type
+ */
+async function fetchResource(url, options = {}) {
+  const { timeout = CONFIG.DOWNLOAD_TIMEOUT || 30000 } = options;
+  const headers = { 'User-Agent': CONFIG.USER_AGENT || 'Node.js' };
+  
+  const { res, finalUrl } = await requestFollowingRedirects(url, headers, timeout);
+  if (res.statusCode < 200 || res.statusCode >= 300) {
+    res.body.resume();
+    throw createHttpError(res.statusCode);
+  }
+  
+  const chunks = [];
+  try {
+    for await (const chunk of res.body) {
+      chunks.push(chunk);
+    }
+  } catch (error) {
+    throw new Error(`ダウンロード中にエラーが発生しました: ${error.message}`);
+  }
+  return { body: Buffer.concat(chunks), finalUrl, contentType: res.headers['content-type'] || null };
+}
+
+/**
+ * Content-Typeから拡張子を取得する
+ * @param {string|null} contentType - Content-Typeヘッダー（"; charset=..." などのパラメーター付きも可）
+ * @returns {string|null} 拡張子（先頭のドット付き）。対応していない場合はnull
+ */
+function getContentTypeExtension(contentType) {
+  if (!contentType) return null;
+  const mimeType = contentType.split(';')[0].trim().toLowerCase();
+  return CONTENT_TYPE_EXTENSIONS[mimeType] || null;
 }
 
 /**
@@ -146,22 +409,10 @@ function downloadFile(url, outputPath, options = {}) {
  * @returns {string} ファイル拡張子（先頭のドット付き）
  */
 function getFileExtension(url, contentType) {
-  // Content-Typeから拡張子を取得
-  const contentTypeMap = {
-    'image/jpeg': '.jpg',
-    'image/jpg': '.jpg',
-    'image/png': '.png',
-    'image/gif': '.gif',
-    'image/webp': '.webp',
-    'image/bmp': '.bmp',
-    'video/mp4': '.mp4',
-    'video/webm': '.webm',
-    'video/quicktime': '.mov'
-  };
-  
-  // Content-Typeが存在し、マッピングが存在する場合
-  if (contentType && contentTypeMap[contentType.toLowerCase()]) {
-    return contentTypeMap[contentType.toLowerCase()];
+  // Content-Typeが存在し、対応する拡張子がある場合
+  const contentTypeExtension = getContentTypeExtension(contentType);
+  if (contentTypeExtension) {
+    return contentTypeExtension;
   }
   
   // URLから拡張子を取得
@@ -188,6 +439,12 @@ function getFileExtension(url, contentType) {
 }
 
 module.exports = {
+  PARTIAL_FILE_EXTENSION,
+  getPartialFilePath,
+  checkRedirectTarget,
   downloadFile,
+  fetchResource,
+  isRetryableDownloadError,
+  getContentTypeExtension,
   getFileExtension
 };
\ No newline at end of file
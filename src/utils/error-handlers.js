@@ -2,6 +2,7 @@
 const fs = require('fs');
 const readline = require('readline');
 const { CONFIG, dirs } = require('../config/config');
+const { isProxyErrorMessage } = require('./proxy');
 
 // エラーログ保存用の配列
 let errorLog = [];
@@ -110,12 +111,18 @@ function saveErrorLogs() {
 function determineErrorType(error) {
   const errorMsg = error.message || error;
   
+  if (error.type === 'proxy') return 'proxy';
+  
   if (typeof errorMsg === 'string') {
+    // プロキシのエラーはネットワークエラーと区別する（プロキシの設定や認証を確認する必要があるため）
+    if (isProxyErrorMessage(errorMsg)) return 'proxy';
     if (errorMsg.includes('Tweet not found')) return 'not_found';
     if (errorMsg.includes('sensitive content')) return 'sensitive_content';
     if (errorMsg.includes('properties of undefined')) return 'parse';
     if (errorMsg.includes('Authorization')) return 'api';
-    if (errorMsg.includes('rate limit')) return 'rate_limit';
+    if (errorMsg.includes('rate limit') ||
+        errorMsg.includes('status code 429') ||
+        errorMsg.includes('Too Many Requests')) return 'rate_limit';
     if (errorMsg.includes('network error') || 
         errorMsg.includes('ENOTFOUND') || 
         errorMsg.includes('ETIMEDOUT') || 
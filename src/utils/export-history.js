@@ -0,0 +1,168 @@
+// 過去のアーカイブエクスポートに含まれていたツイートIDを管理するユーティリティ関数
+// （新しく追加されたツイートを優先して処理し、消えたツイート＝いいね解除などを報告する）
+const fs = require('fs');
+const path = require('path');
+const { CONFIG } = require('../config/config');
+
+// 履歴ファイルの形式のバージョン
+const HISTORY_VERSION = 1;
+
+// 1ソースあたりに保持する比較履歴の件数
+const MAX_HISTORY_ENTRIES = 50;
+
+/**
+ * エクスポート履歴を読み込む
+ * @returns {Object} エクスポート履歴（ファイルがない場合は空の履歴）
+ */
+function loadExportHistory() {
+  try {
+    if (fs.existsSync(CONFIG.EXPORT_HISTORY_PATH)) {
+      const history = JSON.parse(fs.readFileSync(CONFIG.EXPORT_HISTORY_PATH, CONFIG.ENCODING));
+      if (history && history.sources) {
+        return history;
+      }
+    }
+  } catch (error) {
+    console.error(`エクスポート履歴の読み込み中にエラーが発生しました: ${error.message}`);
+  }
+
+  return { version: HISTORY_VERSION, sources: {} };
+}
+
+/**
+ * 前回のエクスポートと比較して、追加・削除されたツイートを求める
+ * @param {Map<string, Set<string>>} idsBySource - 今回の入力のソース名ごとのツイートID
+ * @param {Array<string>} sourceNames - 比較するソース名
+ * @returns {{newIds: Set<string>, diffs: Array<Object>}} 新しいツイートIDとソースごとの比較結果
+ */
+function compareWithPreviousExport(idsBySource, sourceNames) {
+  const history = loadExportHistory();
+  const newIds = new Set();
+  const diffs = [];
+
+  for (const source of sourceNames) {
+    const currentIds = idsBySource.get(source) || new Set();
+    const previous = history.sources[source];
+
+    // 初回は比較対象がないため、すべて既知として扱う
+    if (!previous) {
+      diffs.push({ source, isFirstExport: true, currentCount: currentIds.size, addedIds: [], removedIds: [] });
+      continue;
+    }
+
+    const previousIds = new Set(previous.ids);
+    const addedIds = [...currentIds].filter(id => !previousIds.has(id));
+    const removedIds = previous.ids.filter(id => !currentIds.has(id));
+    addedIds.forEach(id => newIds.add(id));
+
+    diffs.push({
+      source,
+      isFirstExport: false,
+      previousCount: previousIds.size,
+      previousRecordedAt: previous.updatedAt,
+      currentCount: currentIds.size,
+      addedIds,
+      removedIds
+    });
+  }
+
+  return { newIds, diffs };
+}
+
+/**
+ * 新しいツイートを先に処理するための処理順の区切りを求める
+ * 前回のエクスポート履歴がない場合は、すべてのツイートを1つの区切りとする
+ * @param {{newIds: Set<string>, diffs: Array<Object>}} comparison - compareWithPreviousExportの戻り値
+ * @param {string} [mode] - 'new-first'（新規を先に処理）、'new-only'（新規のみ処理）、'off'（並べ替えなし）
+ * @returns {Array<function(string): boolean>} 処理する順の区切りごとに、ツイートIDが含まれるか判定する関数
+ */
+function getNewnessGroups(comparison, mode = CONFIG.INCREMENTAL_MODE) {
+  const hasPreviousExport = comparison.diffs.some(diff => !diff.isFirstExport);
+  if (mode === 'off' || !hasPreviousExport) {
+    return [() => true];
+  }
+
+  const isNew = tweetId => comparison.newIds.has(tweetId);
+  if (mode === 'new-only') {
+    return [isNew];
+  }
+
+  return [isNew, tweetId => !isNew(tweetId)];
+}
+
+/**
+ * 新しいツイートが先頭に来るように入力アイテムを並べ替える（それぞれの中の順序は維持）
+ * 前回のエクスポート履歴がない場合は、すべてのアイテムをそのまま返す
+ * @param {Array<{tweetId: string}>} items - 入力アイテム
+ * @param {{newIds: Set<string>, diffs: Array<Object>}} comparison - compareWithPreviousExportの戻り値
+ * @param {string} [mode] - 'new-first'（新規を先に処理）、'new-only'（新規のみ処理）、'off'（並べ替えなし）
+ * @returns {Array<{tweetId: string}>} 並べ替えた入力アイテム
+ */
+function orderItemsByNewness(items, comparison, mode = CONFIG.INCREMENTAL_MODE) {
+  return getNewnessGroups(comparison, mode).flatMap(isInGroup => items.filter(item => isInGroup(item.tweetId)));
+}
+
+/**
+ * 今回のエクスポートの内容を履歴に記録する（次回の比較対象になる）
+ * 読み込みに失敗したパートがあるソースは、誤って「削除」と判定しないよう記録しない
+ * 記録するのは、前回の履歴にあったツイートと今回処理を終えたツイートのみ（件数の上限や絞り込み条件で処理しなかったツイートと
+ * エラーになったツイートは、次回も新しいツイートとして扱う）
+ * @param {Map<string, Set<string>>} idsBySource - 今回の入力のソース名ごとのツイートID（絞り込み前）
+ * @param {Array<Object>} summaries - loadInputItemsが返すソースごとの読み込み結果
+ * @param {Array<Object>} diffs - compareWithPreviousExportが返す比較結果
+ * @param {function(string): boolean} isHandled - ツイートの処理を終えたか判定する関数
+ * @returns {boolean} 保存成功時はtrue
+ */
+function recordExportSnapshot(idsBySource, summaries, diffs, isHandled) {
+  try {
+    const history = loadExportHistory();
+    const recordedAt = new Date().toISOString();
+
+    for (const summary of summaries) {
+      const hasError = summary.error || summary.parts.length === 0 || summary.parts.some(part => part.error);
+      if (hasError) continue;
+
+      const diff = diffs.find(d => d.source === summary.name);
+      const previous = history.sources[summary.name];
+      const entries = previous?.history || [];
+      const previousIds = new Set(previous ? previous.ids : []);
+      const currentIds = idsBySource.get(summary.name) || new Set();
+
+      entries.push({
+        recordedAt,
+        total: currentIds.size,
+        added: diff ? diff.addedIds.length : 0,
+        removed: diff ? diff.removedIds.length : 0,
+        removedIds: diff ? diff.removedIds : []
+      });
+
+      history.sources[summary.name] = {
+        updatedAt: recordedAt,
+        ids: [...currentIds].filter(id => previousIds.has(id) || isHandled(id)),
+        history: entries.slice(-MAX_HISTORY_ENTRIES)
+      };
+    }
+
+    history.version = HISTORY_VERSION;
+
+    // ディレクトリが存在しない場合は作成
+    const historyDir = path.dirname(CONFIG.EXPORT_HISTORY_PATH);
+    if (!fs.existsSync(historyDir)) {
+      fs.mkdirSync(historyDir, { recursive: true });
+    }
+
+    fs.writeFileSync(CONFIG.EXPORT_HISTORY_PATH, JSON.stringify(history), CONFIG.ENCODING);
+    return true;
+  } catch (error) {
+    console.error(`エクスポート履歴の保存中にエラーが発生しました: ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  loadExportHistory,
+  compareWithPreviousExport,
+  getNewnessGroups,
+  orderItemsByNewness,
+  recordExportSnapshot
+};
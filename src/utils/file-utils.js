@@ -2,37 +2,118 @@
 const fs = require('fs');
 const path = require('path');
 const { CONFIG, dirs } = require('../config/config');
+const { getArchive } = require('./archive-utils');
+const { parseYtdStream } = require('./ytd-stream');
+const { PARTIAL_FILE_EXTENSION } = require('./download-utils');
+
+// 実行時に使用するディレクトリとその表示名
+const RUNTIME_DIRECTORIES = {
+  downloadDir: 'メディアの保存先 (LIBRARY_DIR)',
+  logsDir: 'ログの保存先 (LOGS_DIR)',
+  stateDir: '状態の保存先 (STATE_DIR)'
+};
 
 /**
- * すでにダウンロード済みのツイートIDを確認する（メディアとメタデータを別々に）
- * @returns {Object} メディアIDとメタデータIDのセット
+ * ディレクトリを作成し、書き込めることを確認する
+ * 親ディレクトリがない場合は作成しない（外部ドライブやNASがマウントされていないまま、
+ * ローカルにフォルダを作ってしまうことを避けるため）
+ * @param {string} dir - ディレクトリのパス
+ * @param {string} label - エラーメッセージに表示する名前
+ * @throws {Error} 作成または書き込みができない場合（type: 'directory'）
  */
-function getDownloadedIds() {
+function ensureWritableDirectory(dir, label) {
+  const fail = (reason) => {
+    const error = new Error(`${label}に書き込めません: ${dir} (${reason})`);
+    error.type = 'directory';
+    return error;
+  };
+  
+  if (!fs.existsSync(dir)) {
+    if (!fs.existsSync(path.dirname(dir))) {
+      throw fail('親フォルダが存在しません。外部ドライブやネットワークドライブが接続されているか確認してください');
+    }
+    try {
+      fs.mkdirSync(dir);
+    } catch (error) {
+      throw fail(`フォルダを作成できません: ${error.code || error.message}`);
+    }
+  }
+  
+  if (!fs.statSync(dir).isDirectory()) {
+    throw fail('フォルダではありません');
+  }
+  
+  // NASなどでは権限の確認だけでは分からないことがあるため、実際に書き込んで確認する
+  const probePath = path.join(dir, `.write-test-${process.pid}`);
   try {
-    const files = fs.readdirSync(dirs.downloadDir);
-    const mediaIds = new Set();
-    const metadataIds = new Set();
-    
-    // ファイル名からツイートIDを抽出
-    files.forEach(file => {
-      // メディアファイル（画像・動画）からのID抽出
-      const mediaMatch = file.match(/^(\d+)-\d+/);
-      if (mediaMatch && mediaMatch[1]) {
-        mediaIds.add(mediaMatch[1]);
-      }
+    fs.writeFileSync(probePath, '');
+    fs.unlinkSync(probePath);
+  } catch (error) {
+    throw fail(`書き込み権限がありません: ${error.code || error.message}`);
+  }
+}
+
+/**
+ * 実行時に使用するディレクトリ（メディア・ログ・状態の保存先）を作成し、書き込めることを確認する
+ * （ファイルを書き込むコマンドの実行開始時に呼び出す）
+ * @throws {Error} いずれかのディレクトリに書き込めない場合（type: 'directory'）
+ */
+function ensureRuntimeDirectories() {
+  const checked = new Set();
+  for (const [key, label] of Object.entries(RUNTIME_DIRECTORIES)) {
+    if (checked.has(dirs[key])) continue;
+    ensureWritableDirectory(dirs[key], label);
+    checked.add(dirs[key]);
+  }
+}
+
+/**
+ * 保存先のフォルダを走査して、ダウンロード済みのファイルをツイートIDごとにまとめる
+ * （ファイルが多いと時間がかかるため、通常は library-index.js のインデックスを使う）
+ * @returns {Map<string, {mediaFiles: Array<{fileName: string, size: number}>, metadataFile: string|null}>}
+ *          ツイートIDごとのメディアファイルとメタデータファイル
+ */
+function scanDownloadedFiles() {
+  const filesByTweet = new Map();
+  
+  /**
+   * ツイートIDのエントリを取得（なければ作成）
+   * @param {string} tweetId - ツイートID
+   * @returns {Object} エントリ
+   */
+  const getEntry = tweetId => {
+    if (!filesByTweet.has(tweetId)) {
+      filesByTweet.set(tweetId, { mediaFiles: [], metadataFile: null });
+    }
+    return filesByTweet.get(tweetId);
+  };
+  
+  if (!fs.existsSync(dirs.downloadDir)) {
+    return filesByTweet;
+  }
+  
+  try {
+    for (const file of fs.readdirSync(dirs.downloadDir)) {
+      // ダウンロード中（または中断された）ファイルは保存済みに含めない
+      if (file.endsWith(PARTIAL_FILE_EXTENSION)) continue;
       
-      // メタデータファイルからのID抽出
       const metadataMatch = file.match(/^(\d+)-metadata\.json$/);
-      if (metadataMatch && metadataMatch[1]) {
-        metadataIds.add(metadataMatch[1]);
+      if (metadataMatch) {
+        getEntry(metadataMatch[1]).metadataFile = file;
+        continue;
+      }
+      
+      const mediaMatch = file.match(/^(\d+)-\d+/);
+      if (mediaMatch) {
+        const { size } = fs.statSync(path.join(dirs.downloadDir, file));
+        getEntry(mediaMatch[1]).mediaFiles.push({ fileName: file, size });
       }
-    });
-    
-    return { mediaIds, metadataIds };
+    }
   } catch (error) {
-    console.error(`ダウンロード済みのIDを確認中にエラーが発生しました: ${error.message}`);
-    return { mediaIds: new Set(), metadataIds: new Set() };
+    console.error(`ダウンロード済みのファイルを確認中にエラーが発生しました: ${error.message}`);
   }
+  
+  return filesByTweet;
 }
 
 /**
@@ -85,33 +166,30 @@ function saveMetadata(tweetId, metadata) {
 }
 
 /**
- * いいねデータをファイルから読み込む
- * @returns {Array|null} いいねデータの配列（失敗時はnull）
+ * アーカイブから分割されたデータファイルの一覧を取得する
+ * 内容は読み込まず、パートごとに要素を1件ずつ読み込む関数を返す（大きなファイルでもメモリを使わないように）
+ * @param {string} baseName - データファイルの基本名（例: 'like', 'bookmark'）
+ * @returns {Array<{fileName: string, readItems: function(): AsyncGenerator<*>}>} パートごとのデータ（パート番号順）
  */
-function loadLikesData() {
+function listDatasetParts(baseName) {
+  let archive;
   try {
-    // like.jsファイルの読み込み
-    const likeFilePath = path.join(path.resolve(__dirname, '../../'), 'like.js');
-    const likeFileContent = fs.readFileSync(likeFilePath, CONFIG.ENCODING);
-
-    // Twitterのデータ形式に合わせて、JavaScriptの文字列からJSONを抽出
-    // "window.YTD.like.part0 = " の後の配列部分を取得
-    const jsonMatch = likeFileContent.match(/window\.YTD\.like\.part0\s*=\s*(\[[\s\S]*\])/);
-    if (!jsonMatch || !jsonMatch[1]) {
-      console.error('有効なJSONデータが見つかりません');
-      return null;
-    }
-
-    return JSON.parse(jsonMatch[1]);
+    archive = getArchive();
   } catch (error) {
-    console.error(`いいねデータの読み込みに失敗しました: ${error.message}`);
-    return null;
+    console.error(`アーカイブを開けませんでした: ${error.message}`);
+    return [];
   }
+  
+  return archive.listDataFiles(baseName).map(({ fileName, entryName }) => ({
+    fileName,
+    readItems: () => parseYtdStream(archive.createDataFileStream(entryName), CONFIG.ENCODING)
+  }));
 }
 
 module.exports = {
-  getDownloadedIds,
+  ensureRuntimeDirectories,
+  scanDownloadedFiles,
   loadMetadata,
   saveMetadata,
-  loadLikesData
+  listDatasetParts
 };
\ No newline at end of file
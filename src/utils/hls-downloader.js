@@ -0,0 +1,545 @@
+// HLS（m3u8のプレイリスト）で配信される動画のダウンロード
+// マスタープレイリストから最も高画質のレンディションを選び、メディアプレイリストのセグメントを並列にダウンロードして1つのファイルにつなげる
+// 音声が別のプレイリストに分かれている場合は音声のセグメントもダウンロードし、ffmpeg で映像とまとめる（ffmpeg がない場合は別のファイルに保存する）
+// セグメントは <保存先>.segments.part フォルダに保存し、中断された場合は次回ダウンロード済みのセグメントを使う
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const { CONFIG } = require('../config/config');
+const { downloadFile, fetchResource, getPartialFilePath } = require('./download-utils');
+const { createLimiter } = require('./worker-pool');
+const { logDebug } = require('./error-handlers');
+
+// HLSのプレイリストのURL（拡張子 .m3u8）
+const HLS_URL_PATTERN = /\.m3u8(?:[?#]|$)/i;
+
+// プレイリストのタグの属性（NAME=値 または NAME="値"）
+const ATTRIBUTE_PATTERN = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+
+// 対応している暗号化方式（NONE 以外）
+const SUPPORTED_KEY_METHODS = ['AES-128'];
+
+// ffmpeg で映像と音声をまとめる処理のタイムアウト(ミリ秒)（再エンコードはしないため、通常は数秒で終わる）
+const FFMPEG_TIMEOUT = 10 * 60 * 1000;
+
+// 映像とまとめられなかった音声の形式ごとの拡張子（それ以外は .m4a）
+const AUDIO_EXTENSIONS = { mpegts: '.ts', aac: '.aac' };
+
+// ffmpeg を実行できるかどうか（null: まだ確認していない。見つからなかった場合は以降の動画でも実行しない）
+let ffmpegAvailable = null;
+
+/**
+ * HLSに対応できないことを表すエラーを作成する
+ * @param {string} message - エラーメッセージ
+ * @param {string} [type] - エラーの種類（'unsupported_hls' または 'unsupported_encryption'）
+ * @returns {Error} エラー
+ */
+function createHlsError(message, type = 'unsupported_hls') {
+  const error = new Error(message);
+  error.type = type;
+  return error;
+}
+
+/**
+ * URLがHLSのプレイリストか判定する
+ * @param {string} url - URL
+ * @returns {boolean} プレイリストの場合はtrue
+ */
+function isHlsUrl(url) {
+  return HLS_URL_PATTERN.test(url);
+}
+
+/**
+ * タグの属性を解析する
+ * @param {string} text - タグの ":" より後の部分
+ * @returns {Object<string, string>} 属性名ごとの値（引用符は除く）
+ */
+function parseAttributes(text) {
+  const attributes = {};
+  for (const [, name, value] of text.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[name] = value.startsWith('"') ? value.slice(1, -1) : value;
+  }
+  return attributes;
+}
+
+/**
+ * プレイリストを行に分ける（空行を除く）
+ * @param {string} text - プレイリストの内容
+ * @returns {Array<string>} 行
+ * @throws {Error} プレイリストでない場合
+ */
+function splitPlaylistLines(text) {
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== '#EXTM3U') {
+    throw createHlsError('HLSのプレイリストではありません');
+  }
+  return lines;
+}
+
+/**
+ * タグの名前と値を取得する
+ * @param {string} line - 行
+ * @returns {{tag: string, value: string}} タグの名前（"#EXT-X-KEY" など）と ":" より後の部分
+ */
+function splitTag(line) {
+  const separator = line.indexOf(':');
+  return separator === -1
+    ? { tag: line, value: '' }
+    : { tag: line.slice(0, separator), value: line.slice(separator + 1) };
+}
+
+/**
+ * 音声のグループから使うレンディションを選ぶ（DEFAULT=YES、AUTOSELECT=YES、先頭の順）
+ * @param {Array<{url: string|null, isDefault: boolean, autoSelect: boolean}>|undefined} renditions - グループの音声のレンディション
+ * @returns {string|null} 音声のプレイリストのURL（音声が映像と同じセグメントに含まれる場合や、グループがない場合はnull）
+ */
+function selectAudioRendition(renditions) {
+  if (!renditions || renditions.length === 0) return null;
+  const rendition = renditions.find(item => item.isDefault) || renditions.find(item => item.autoSelect) || renditions[0];
+  return rendition.url;
+}
+
+/**
+ * マスタープレイリストを解析する
+ * @param {string} text - プレイリストの内容
+ * @param {string} baseUrl - 相対URLの基準にするプレイリストのURL
+ * @returns {Array<{url: string, bandwidth: number, pixels: number, audioUrl: string|null}>}
+ *          レンディション（audioUrl: 音声が別のプレイリストに分かれている場合の、音声のプレイリストのURL）
+ */
+function parseMasterPlaylist(text, baseUrl) {
+  const lines = splitPlaylistLines(text);
+  // 音声のグループごとのレンディション（#EXT-X-MEDIA TYPE=AUDIO）
+  const audioGroups = new Map();
+  const variants = [];
+  let pendingVariant = null;
+
+  for (const line of lines) {
+    if (!line.startsWith('#')) {
+      if (pendingVariant) {
+        variants.push({ ...pendingVariant, url: new URL(line, baseUrl).href });
+        pendingVariant = null;
+      }
+      continue;
+    }
+
+    const { tag, value } = splitTag(line);
+    if (tag === '#EXT-X-MEDIA') {
+      const attributes = parseAttributes(value);
+      if (attributes.TYPE === 'AUDIO') {
+        const group = audioGroups.get(attributes['GROUP-ID']) || [];
+        group.push({
+          url: attributes.URI ? new URL(attributes.URI, baseUrl).href : null,
+          isDefault: attributes.DEFAULT === 'YES',
+          autoSelect: attributes.AUTOSELECT === 'YES'
+        });
+        audioGroups.set(attributes['GROUP-ID'], group);
+      }
+    } else if (tag === '#EXT-X-STREAM-INF') {
+      const attributes = parseAttributes(value);
+      const [width, height] = (attributes.RESOLUTION || '').split('x').map(Number);
+      pendingVariant = {
+        bandwidth: Number(attributes.BANDWIDTH) || 0,
+        pixels: width && height ? width * height : 0,
+        audioGroup: attributes.AUDIO || null
+      };
+    }
+  }
+
+  return variants.map(({ audioGroup, ...variant }) => ({
+    ...variant,
+    audioUrl: audioGroup !== null ? selectAudioRendition(audioGroups.get(audioGroup)) : null
+  }));
+}
+
+/**
+ * 最も高画質のレンディションを選ぶ（帯域幅、同じ場合は解像度が大きいもの）
+ * 音声が別のプレイリストに分かれているレンディションも選ぶ（音声は downloadHlsStream で別にダウンロードする）
+ * @param {Array<Object>} variants - parseMasterPlaylist の戻り値
+ * @returns {Object} 選んだレンディション
+ * @throws {Error} レンディションがない場合（type: 'unsupported_hls'）
+ */
+function selectBestVariant(variants) {
+  if (variants.length === 0) {
+    throw createHlsError('HLSのプレイリストにレンディションがありません');
+  }
+
+  return variants.reduce((best, variant) =>
+    variant.bandwidth > best.bandwidth || (variant.bandwidth === best.bandwidth && variant.pixels > best.pixels) ? variant : best);
+}
+
+/**
+ * 暗号化の指定（#EXT-X-KEY）を解析する
+ * @param {string} value - タグの ":" より後の部分
+ * @param {string} baseUrl - 相対URLの基準にするプレイリストのURL
+ * @returns {{url: string, iv: Buffer|null}|null} 鍵のURLと初期化ベクトル（暗号化されていない場合はnull）
+ * @throws {Error} 対応していない暗号化方式の場合（type: 'unsupported_encryption'）
+ */
+function parseKey(value, baseUrl) {
+  const attributes = parseAttributes(value);
+  const method = attributes.METHOD || 'NONE';
+  if (method === 'NONE') return null;
+
+  if (!SUPPORTED_KEY_METHODS.includes(method) || (attributes.KEYFORMAT && attributes.KEYFORMAT !== 'identity')) {
+    const format = attributes.KEYFORMAT ? `, ${attributes.KEYFORMAT}` : '';
+    throw createHlsError(`HLSの暗号化方式 (${method}${format}) には対応していません`, 'unsupported_encryption');
+  }
+  if (!attributes.URI) {
+    throw createHlsError('HLSの暗号化の鍵のURLがありません', 'unsupported_encryption');
+  }
+
+  let iv = null;
+  if (attributes.IV) {
+    const hex = attributes.IV.replace(/^0x/i, '').padStart(32, '0');
+    if (!/^[0-9a-f]{32}$/i.test(hex)) {
+      throw createHlsError(`HLSの暗号化の初期化ベクトルが正しくありません (${attributes.IV})`, 'unsupported_encryption');
+    }
+    iv = Buffer.from(hex, 'hex');
+  }
+  return { url: new URL(attributes.URI, baseUrl).href, iv };
+}
+
+/**
+ * メディアプレイリストを解析する
+ * @param {string} text - プレイリストの内容
+ * @param {string} baseUrl - 相対URLの基準にするプレイリストのURL
+ * @returns {{initUrl: string|null, segments: Array<{url: string, sequence: number, key: Object|null}>}}
+ *          初期化セグメント（#EXT-X-MAP）のURLと、セグメント（key: parseKey の戻り値）
+ * @throws {Error} 対応していないプレイリストの場合（type: 'unsupported_hls' または 'unsupported_encryption'）
+ */
+function parseMediaPlaylist(text, baseUrl) {
+  const lines = splitPlaylistLines(text);
+  const segments = [];
+  let initUrl = null;
+  let sequence = 0;
+  let key = null;
+  let inSegment = false;
+  let ended = false;
+
+  for (const line of lines) {
+    if (!line.startsWith('#')) {
+      if (inSegment) {
+        segments.push({ url: new URL(line, baseUrl).href, sequence, key });
+        sequence++;
+        inSegment = false;
+      }
+      continue;
+    }
+
+    const { tag, value } = splitTag(line);
+    switch (tag) {
+      case '#EXT-X-MEDIA-SEQUENCE':
+        sequence = Number(value) || 0;
+        break;
+      case '#EXTINF':
+        inSegment = true;
+        break;
+      case '#EXT-X-KEY':
+        key = parseKey(value, baseUrl);
+        break;
+      case '#EXT-X-MAP': {
+        const attributes = parseAttributes(value);
+        if (initUrl || attributes.BYTERANGE || !attributes.URI) {
+          throw createHlsError('HLSの初期化セグメントの指定に対応していません');
+        }
+        if (key) {
+          throw createHlsError('暗号化されたHLSの初期化セグメントには対応していません', 'unsupported_encryption');
+        }
+        initUrl = new URL(attributes.URI, baseUrl).href;
+        break;
+      }
+      case '#EXT-X-BYTERANGE':
+        throw createHlsError('セグメントの範囲指定 (EXT-X-BYTERANGE) があるHLSには対応していません');
+      case '#EXT-X-ENDLIST':
+        ended = true;
+        break;
+    }
+  }
+
+  if (!ended) {
+    throw createHlsError('ライブ配信中のHLS（終わりのないプレイリスト）には対応していません');
+  }
+  if (segments.length === 0) {
+    throw createHlsError('HLSのプレイリストにセグメントがありません');
+  }
+  return { initUrl, segments };
+}
+
+/**
+ * メディアプレイリストを取得する（マスタープレイリストの場合は最も高画質のレンディションのプレイリストを取得する）
+ * レンディションの音声が別のプレイリストに分かれている場合は、音声のメディアプレイリストも取得する
+ * @param {string} url - プレイリストのURL
+ * @param {number} timeout - タイムアウト(ミリ秒)
+ * @returns {Promise<{finalUrl: string, initUrl: string|null, segments: Array<Object>,
+ *            audio: {finalUrl: string, initUrl: string|null, segments: Array<Object>}|null}>}
+ *          メディアプレイリストのURL（リダイレクト後）と parseMediaPlaylist の戻り値、音声のプレイリスト（分かれていない場合はnull）
+ */
+async function loadMediaPlaylist(url, timeout) {
+  let { body, finalUrl } = await fetchResource(url, { timeout });
+  let text = body.toString('utf8');
+  let audioUrl = null;
+
+  if (text.includes('#EXT-X-STREAM-INF')) {
+    const variant = selectBestVariant(parseMasterPlaylist(text, finalUrl));
+    audioUrl = variant.audioUrl;
+    ({ body, finalUrl } = await fetchResource(variant.url, { timeout }));
+    text = body.toString('utf8');
+  }
+
+  let audio = null;
+  if (audioUrl) {
+    const { body: audioBody, finalUrl: audioFinalUrl } = await fetchResource(audioUrl, { timeout });
+    audio = { finalUrl: audioFinalUrl, ...parseMediaPlaylist(audioBody.toString('utf8'), audioFinalUrl) };
+  }
+
+  return { finalUrl, ...parseMediaPlaylist(text, finalUrl), audio };
+}
+
+/**
+ * セグメントの暗号化を解除する（AES-128-CBC。初期化ベクトルの指定がない場合はメディアシーケンス番号）
+ * @param {Buffer} data - セグメントの内容
+ * @param {Buffer} keyData - 鍵（16バイト）
+ * @param {Buffer|null} iv - 初期化ベクトル
+ * @param {number} sequence - セグメントのメディアシーケンス番号
+ * @returns {Buffer} 暗号化を解除した内容
+ */
+function decryptSegment(data, keyData, iv, sequence) {
+  let segmentIv = iv;
+  if (!segmentIv) {
+    segmentIv = Buffer.alloc(16);
+    segmentIv.writeBigUInt64BE(BigInt(sequence), 8);
+  }
+  const decipher = crypto.createDecipheriv('aes-128-cbc', keyData, segmentIv);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+}
+
+/**
+ * プレイリストのセグメント（初期化セグメントを含む）の保存先を決める
+ * @param {{initUrl: string|null, segments: Array<Object>}} playlist - parseMediaPlaylist の戻り値
+ * @param {string} segmentDir - セグメントを保存するフォルダ
+ * @param {string} prefix - ファイル名の先頭に付ける文字列（映像は ''、音声は 'audio-'）
+ * @returns {Array<{url: string, name: string, key: Object|null, sequence: number, path: string}>} セグメント
+ */
+function listSegmentFiles(playlist, segmentDir, prefix) {
+  return [
+    ...(playlist.initUrl ? [{ url: playlist.initUrl, name: `${prefix}init`, key: null, sequence: 0 }] : []),
+    ...playlist.segments.map((segment, i) => ({ ...segment, name: `${prefix}segment-${String(i).padStart(6, '0')}` }))
+  ].map(file => ({ ...file, path: path.join(segmentDir, file.name) }));
+}
+
+/**
+ * セグメントを HLS_SEGMENT_CONCURRENCY 件まで並列にダウンロードする（前回ダウンロード済みのセグメントはそのまま使う）
+ * @param {Array<Object>} files - listSegmentFiles の戻り値
+ * @param {number} timeout - タイムアウト(ミリ秒)
+ * @param {function(number, number): void|null} onProgress - 進捗（ダウンロードしたバイト数、見積もった全体のバイト数）を受け取る関数
+ * @throws {Error} ダウンロードに失敗したセグメントがある場合（最初のエラーの種類とステータスコードを引き継ぐ）
+ */
+async function downloadSegments(files, timeout, onProgress) {
+  const limiter = createLimiter(CONFIG.HLS_SEGMENT_CONCURRENCY);
+  let completed = 0;
+  let downloadedBytes = 0;
+  let firstError = null;
+
+  await Promise.all(files.map(file => limiter.run(async () => {
+    // 失敗したセグメントがあれば残りは始めない（ダウンロード済みのセグメントは次回使う）
+    if (firstError) return;
+    try {
+      if (!fs.existsSync(file.path)) {
+        await downloadFile(file.url, file.path, { timeout });
+      }
+      downloadedBytes += fs.statSync(file.path).size;
+      completed++;
+      if (onProgress) {
+        // 全体のサイズは、ダウンロードしたセグメントの平均サイズから見積もる
+        onProgress(downloadedBytes, Math.round(downloadedBytes / completed * files.length));
+      }
+    } catch (error) {
+      if (!firstError) {
+        // 再試行するかどうかの判定に使うため、エラーの種類とステータスコードは引き継ぐ
+        firstError = new Error(`HLSのセグメントのダウンロードに失敗しました (${file.name}): ${error.message}`);
+        firstError.type = error.type;
+        firstError.statusCode = error.statusCode;
+      }
+    }
+  })));
+  if (firstError) {
+    throw firstError;
+  }
+}
+
+/**
+ * セグメントをつなげて1つのファイルに書き込む（暗号化されている場合は解除する）
+ * @param {Array<Object>} files - listSegmentFiles の戻り値
+ * @param {string} outputPath - 書き込むファイルのパス（失敗した場合は削除する）
+ * @param {number} timeout - 鍵を取得するときのタイムアウト(ミリ秒)
+ * @throws {Error} 暗号化を解除できない場合（type: 'unsupported_encryption'）
+ */
+async function joinSegments(files, outputPath, timeout) {
+  const keys = new Map();
+  const output = await fs.promises.open(outputPath, 'w');
+  try {
+    for (const file of files) {
+      let data = await fs.promises.readFile(file.path);
+      if (file.key) {
+        if (!keys.has(file.key.url)) {
+          const { body } = await fetchResource(file.key.url, { timeout });
+          if (body.length !== 16) {
+            throw createHlsError(`HLSの暗号化の鍵が正しくありません (${body.length}バイト)`, 'unsupported_encryption');
+          }
+          keys.set(file.key.url, body);
+        }
+        try {
+          data = decryptSegment(data, keys.get(file.key.url), file.key.iv, file.sequence);
+        } catch (error) {
+          throw createHlsError(`HLSのセグメントの暗号化を解除できませんでした (${file.name}): ${error.message}`, 'unsupported_encryption');
+        }
+      }
+      await output.write(data);
+    }
+  } catch (error) {
+    await output.close();
+    await fs.promises.unlink(outputPath).catch(() => {});
+    throw error;
+  }
+  await output.close();
+}
+
+/**
+ * ffmpeg で映像と音声を1つのMP4ファイルにまとめる（再エンコードはしない）
+ * ffmpeg がない場合や失敗した場合は false を返し、呼び出し元は音声を別のファイルとして保存する
+ * @param {string} videoPath - 映像のファイル（成功した場合は、まとめたファイルに置き換える）
+ * @param {string} audioPath - 音声のファイル
+ * @param {string} outputPath - 保存先のパス（作業用のファイル名に使う）
+ * @returns {Promise<boolean>} まとめられた場合はtrue
+ */
+async function muxTracks(videoPath, audioPath, outputPath) {
+  if (ffmpegAvailable === false) return false;
+
+  const muxedPath = getPartialFilePath(`${outputPath}.muxed`);
+  const args = ['-y', '-v', 'error', '-i', videoPath, '-i', audioPath, '-map', '0:v:0', '-map', '1:a:0', '-c', 'copy', '-f', 'mp4', muxedPath];
+  const error = await new Promise(resolve => execFile(CONFIG.FFMPEG_PATH || 'ffmpeg', args, { timeout: FFMPEG_TIMEOUT }, resolve));
+
+  if (error) {
+    // 実行ファイルが見つからない場合は、以降の動画でも実行しない
+    if (error.code === 'ENOENT') {
+      ffmpegAvailable = false;
+      logDebug(`ffmpeg が見つからないため、HLSの音声を別のファイルに保存します (${CONFIG.FFMPEG_PATH || 'ffmpeg'})`);
+    } else {
+      logDebug(`ffmpeg で映像と音声をまとめられませんでした: ${error.message}`);
+    }
+    await fs.promises.unlink(muxedPath).catch(() => {});
+    return false;
+  }
+  ffmpegAvailable = true;
+  await fs.promises.rename(muxedPath, videoPath);
+  return true;
+}
+
+/**
+ * 映像とまとめられなかった音声の保存先を決める（<映像のファイル名>.audio.m4a。MPEG-TSの場合は .audio.ts、ADTSの場合は .audio.aac）
+ * @param {string} videoPath - 映像の保存先のパス
+ * @param {Object|undefined} verified - 音声のファイルの verify の戻り値
+ * @returns {string} 音声の保存先のパス
+ */
+function getAudioOutputPath(videoPath, verified) {
+  const extension = (verified && AUDIO_EXTENSIONS[verified.format]) || '.m4a';
+  return path.join(path.dirname(videoPath), `${path.basename(videoPath, path.extname(videoPath))}.audio${extension}`);
+}
+
+/**
+ * HLSの動画をダウンロードして1つのファイルに保存する（downloadFile と同じく、確認してから保存先のファイル名に変更する）
+ * セグメントは HLS_SEGMENT_CONCURRENCY 件まで並列にダウンロードする
+ * 音声が別のプレイリストに分かれている場合は、ffmpeg で映像とまとめる。ffmpeg がない場合や失敗した場合（理由はデバッグログに出力する）は、
+ * 音声を映像の隣に別のファイル（<映像のファイル名>.audio.m4a）として保存する（音声の内容を確認できない場合は映像のみを保存する）
+ * @param {string} url - プレイリスト（マスターまたはメディア）のURL
+ * @param {string} outputPath - 保存先のパス
+ * @param {Object} options - オプション（downloadFile と同じ onProgress, timeout, verify, chooseOutputPath）
+ * @returns {Promise<{finalUrl: string, contentType: null, outputPath: string, verified: *, audio: {finalUrl: string, outputPath: string, verified: *}|null}>}
+ *          メディアプレイリストのURL、Content-Type（セグメントをつなげたファイルのためnull）、保存先のパス、verify の戻り値、
+ *          別のファイルに保存した音声のプレイリストのURL・保存先のパス・verify の戻り値（映像とまとめた場合や、音声が分かれていない場合はnull）
+ * @throws {Error} 対応していないプレイリストの場合（type: 'unsupported_hls'）、暗号化方式の場合（type: 'unsupported_encryption'）
+ */
+async function downloadHlsStream(url, outputPath, options = {}) {
+  const {
+    timeout = CONFIG.DOWNLOAD_TIMEOUT || 30000,
+    onProgress = null,
+    verify = null,
+    chooseOutputPath = null
+  } = options;
+
+  const playlist = await loadMediaPlaylist(url, timeout);
+  const { finalUrl } = playlist;
+
+  // セグメントの保存先（.part で終わるため、保存先の走査ではダウンロード済みとして扱われない）
+  const segmentDir = getPartialFilePath(`${outputPath}.segments`);
+  await fs.promises.mkdir(segmentDir, { recursive: true });
+
+  const videoFiles = listSegmentFiles(playlist, segmentDir, '');
+  const audioFiles = playlist.audio ? listSegmentFiles(playlist.audio, segmentDir, 'audio-') : [];
+  await downloadSegments([...videoFiles, ...audioFiles], timeout, onProgress);
+
+  // セグメントをつなげる（音声が分かれている場合は、映像とまとめられなければ別のファイルにする）
+  const partialPath = getPartialFilePath(outputPath);
+  await joinSegments(videoFiles, partialPath, timeout);
+  let audioPartialPath = null;
+  if (audioFiles.length > 0) {
+    audioPartialPath = getPartialFilePath(`${outputPath}.audio`);
+    try {
+      await joinSegments(audioFiles, audioPartialPath, timeout);
+    } catch (error) {
+      await fs.promises.unlink(partialPath).catch(() => {});
+      throw error;
+    }
+    if (await muxTracks(partialPath, audioPartialPath, outputPath)) {
+      await fs.promises.unlink(audioPartialPath);
+      audioPartialPath = null;
+    }
+  }
+
+  // つなげたファイルを確認してから保存先のファイル名に変更する（内容が正しくない場合はセグメントも使わない）
+  let verified;
+  let audioVerified;
+  if (verify) {
+    try {
+      verified = await verify(partialPath);
+    } catch (error) {
+      await fs.promises.unlink(partialPath).catch(() => {});
+      if (audioPartialPath) {
+        await fs.promises.unlink(audioPartialPath).catch(() => {});
+      }
+      await fs.promises.rm(segmentDir, { recursive: true, force: true });
+      throw error;
+    }
+
+    // 別のファイルにする音声を確認できない場合（対応していない形式など）は、映像のみを保存する
+    if (audioPartialPath) {
+      try {
+        audioVerified = await verify(audioPartialPath);
+      } catch (error) {
+        logDebug(`HLSの音声を保存できないため、映像のみを保存します: ${error.message}`);
+        await fs.promises.unlink(audioPartialPath).catch(() => {});
+        audioPartialPath = null;
+      }
+    }
+  }
+  const finalPath = chooseOutputPath ? chooseOutputPath({ verified, contentType: null, finalUrl }) : outputPath;
+  await fs.promises.rename(partialPath, finalPath);
+
+  let audio = null;
+  if (audioPartialPath) {
+    audio = { finalUrl: playlist.audio.finalUrl, outputPath: getAudioOutputPath(finalPath, audioVerified), verified: audioVerified };
+    await fs.promises.rename(audioPartialPath, audio.outputPath);
+  }
+  await fs.promises.rm(segmentDir, { recursive: true, force: true });
+
+  return { finalUrl, contentType: null, outputPath: finalPath, verified, audio };
+}
+
+module.exports = {
+  isHlsUrl,
+  parseMasterPlaylist,
+  selectBestVariant,
+  parseMediaPlaylist,
+  decryptSegment,
+  downloadHlsStream
+};
@@ -0,0 +1,368 @@
+// メディアのダウンロードに使うHTTP接続の管理（ホストごとのkeep-alive接続とHTTP/2、プロキシ）と転送の統計
+const http = require('http');
+const https = require('https');
+const http2 = require('http2');
+const { Transform, pipeline } = require('stream');
+const { CONFIG } = require('../config/config');
+const { getProxyUrl, createProxyAgent, describeProxy, createProxyError, closeProxyAgents } = require('./proxy');
+const { reserveBandwidth } = require('./bandwidth-limiter');
+
+// ホストごとのkeep-aliveエージェント（キーは "https://pbs.twimg.com" のようなオリジン）
+const agents = new Map();
+
+// ホストごとのHTTP/2セッション
+const http2Sessions = new Map();
+
+// 接続中のHTTP/2セッション（同時に来たリクエストが別々に接続しないように、接続の完了を共有する）
+const pendingHttp2Sessions = new Map();
+
+// HTTP/2で接続できなかったホスト（以降はHTTP/1.1を使う）
+const http2UnsupportedOrigins = new Set();
+
+// HTTP/2セッションごとの実行中のリクエスト数（リクエスト中だけセッションがプロセスの終了を止める）
+const http2ActiveStreams = new WeakMap();
+
+// 応答を受け取れたHTTP/2セッション（相手がHTTP/2に対応していることが確認できたもの）
+const http2VerifiedSessions = new WeakSet();
+
+// 転送の統計（ダウンロード全体の合計）
+const transferStats = {
+  requests: 0,
+  newConnections: 0,
+  reusedConnections: 0,
+  http2Requests: 0,
+  bytes: 0,
+  transferTime: 0
+};
+
+// 転送中のリクエスト数と、転送が始まった時刻（並列の転送を重複して数えないため、転送中の時間の合計を記録する）
+let activeTransfers = 0;
+let transferStartedAt = 0;
+
+/**
+ * オリジン用のkeep-aliveエージェントを取得する（なければ作成する）
+ * プロキシを使うオリジンでは、プロキシ経由で接続するエージェントを作成する
+ * @param {URL} url - リクエストするURL
+ * @param {string|null} proxyUrl - 使用するプロキシのURL（getProxyUrl の結果）
+ * @returns {http.Agent|https.Agent} エージェント
+ */
+function getAgent(url, proxyUrl) {
+  let agent = agents.get(url.origin);
+  if (!agent) {
+    const options = { keepAlive: true, maxSockets: CONFIG.MAX_SOCKETS_PER_HOST };
+    const Agent = url.protocol === 'https:' ? https.Agent : http.Agent;
+    agent = proxyUrl ? createProxyAgent(proxyUrl, options) : new Agent(options);
+    agents.set(url.origin, agent);
+  }
+  return agent;
+}
+
+/**
+ * URLのホストにHTTP/2を使うか判定する（HTTP/2の接続はプロキシを経由できないため、プロキシを使うホストには使わない）
+ * @param {URL} url - リクエストするURL
+ * @returns {boolean} HTTP/2を使う場合はtrue
+ */
+function shouldUseHttp2(url) {
+  return CONFIG.USE_HTTP2 &&
+    CONFIG.HTTP2_HOSTS.includes(url.hostname) &&
+    !http2UnsupportedOrigins.has(url.origin) &&
+    !getProxyUrl(url.href);
+}
+
+/**
+ * オリジン用のHTTP/2セッションを取得する（なければ接続する）
+ * @param {URL} url - リクエストするURL
+ * @returns {Promise<{session: http2.ClientHttp2Session, reused: boolean}>} セッションと、既存のセッションを使ったかどうか
+ */
+function getHttp2Session(url) {
+  const existing = http2Sessions.get(url.origin);
+  if (existing && !existing.closed && !existing.destroyed) {
+    return Promise.resolve({ session: existing, reused: true });
+  }
+
+  // 接続中の場合は、その接続を使う（接続に失敗した場合は同じエラーになる）
+  const pending = pendingHttp2Sessions.get(url.origin);
+  if (pending) {
+    return pending.then(({ session }) => ({ session, reused: true }));
+  }
+
+  const connecting = new Promise((resolve, reject) => {
+    let connected = false;
+    const session = http2.connect(url.origin);
+    const forget = () => {
+      if (http2Sessions.get(url.origin) === session) {
+        http2Sessions.delete(url.origin);
+      }
+    };
+
+    session.once('connect', () => {
+      connected = true;
+      http2Sessions.set(url.origin, session);
+      resolve({ session, reused: false });
+    });
+    // 接続後のエラーは実行中のリクエストに伝わるため、ここではセッションを使わないようにするだけ
+    session.on('error', (error) => {
+      forget();
+      if (!connected) {
+        error.http2ConnectFailed = true;
+        reject(error);
+      }
+    });
+    session.once('close', forget);
+    session.once('goaway', forget);
+    // リクエストがない間は、セッションが残っていてもプロセスが終了できるようにする
+    session.unref();
+  });
+
+  pendingHttp2Sessions.set(url.origin, connecting);
+  const clearPending = () => pendingHttp2Sessions.delete(url.origin);
+  connecting.then(clearPending, clearPending);
+  return connecting;
+}
+
+/**
+ * 転送の開始を記録する
+ * @param {boolean} reused - 既存の接続を再利用したかどうか
+ * @param {boolean} isHttp2 - HTTP/2のリクエストかどうか
+ */
+function recordRequestStart(reused, isHttp2) {
+  transferStats.requests++;
+  if (reused) {
+    transferStats.reusedConnections++;
+  } else {
+    transferStats.newConnections++;
+  }
+  if (isHttp2) {
+    transferStats.http2Requests++;
+  }
+
+  if (activeTransfers === 0) {
+    transferStartedAt = Date.now();
+  }
+  activeTransfers++;
+}
+
+/**
+ * 転送の終了を記録する
+ */
+function recordRequestEnd() {
+  activeTransfers--;
+  if (activeTransfers === 0) {
+    transferStats.transferTime += Date.now() - transferStartedAt;
+  }
+}
+
+/**
+ * レスポンスの本文を転送の統計に数えながら受け取れるようにする
+ * （本文に直接 data イベントを付けると、受け取る側の準備ができる前にデータが流れてしまうため、数えるストリームを挟む）
+ * 帯域制限（bandwidth-limiter.js）がある場合は、上限の速度を超えないように次のデータの受け取りを遅らせる
+ * @param {import('stream').Readable} body - レスポンスの本文
+ * @returns {import('stream').Readable} 本文を読み出すストリーム（破棄すると元の本文も破棄される）
+ */
+function trackBody(body) {
+  const counter = new Transform({
+    transform(chunk, encoding, callback) {
+      transferStats.bytes += chunk.length;
+      const delay = reserveBandwidth(chunk.length);
+      if (delay > 0) {
+        // 受け取りを遅らせている間は元の本文の読み込みも止まる（受信自体が上限の速度に抑えられる）
+        setTimeout(() => callback(null, chunk), delay);
+      } else {
+        callback(null, chunk);
+      }
+    }
+  });
+  // 読み終わるか、エラーや破棄で中断されたら転送の終了を記録する
+  pipeline(body, counter, () => recordRequestEnd());
+  return counter;
+}
+
+/**
+ * HTTP/1.1でGETリクエストを送る
+ * プロキシを使う場合、プロキシとの接続（CONNECT・SOCKSのハンドシェイク）で失敗したときはプロキシのエラーにする
+ * @param {URL} url - リクエストするURL
+ * @param {Object} headers - リクエストヘッダー
+ * @param {number} timeout - タイムアウト(ミリ秒)
+ * @returns {Promise<{statusCode: number, headers: Object, body: import('stream').Readable, protocol: string}>} レスポンス
+ */
+function requestHttp1(url, headers, timeout) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const proxyUrl = getProxyUrl(url.href);
+    // プロキシを通して相手に接続できたかどうか（ソケットが割り当てられるのは、プロキシとの接続が終わった後）
+    let connected = !proxyUrl;
+    let rejectedConnectStatus = null;
+
+    const req = client.get(url, {
+      headers,
+      timeout,
+      agent: getAgent(url, proxyUrl)
+    }, (res) => {
+      // プロキシがCONNECTを拒否した場合は、プロキシの応答がそのまま届く
+      if (rejectedConnectStatus) {
+        res.resume();
+        reject(createProxyError(`${describeProxy(proxyUrl)} が接続を拒否しました (HTTP ${rejectedConnectStatus})`, rejectedConnectStatus));
+        return;
+      }
+      recordRequestStart(req.reusedSocket, false);
+      resolve({
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: trackBody(res),
+        protocol: 'http/1.1'
+      });
+    });
+
+    // プロキシとの接続中はソケットがなくタイムアウトが働かないため、別に時間を計る
+    const connectTimer = proxyUrl && setTimeout(() => {
+      req.destroy(createProxyError(`${describeProxy(proxyUrl)} への接続がタイムアウトしました (${timeout}ms)`));
+    }, timeout);
+
+    if (proxyUrl) {
+      req.once('proxyConnect', (connect) => {
+        if (connect.statusCode !== 200) {
+          rejectedConnectStatus = connect.statusCode;
+        }
+      });
+      req.once('socket', () => {
+        connected = true;
+        clearTimeout(connectTimer);
+      });
+    }
+
+    // リクエストのエラーイベント
+    req.on('error', (error) => {
+      clearTimeout(connectTimer);
+      if (error.type === 'proxy') {
+        reject(error);
+      } else if (!connected) {
+        reject(createProxyError(`${describeProxy(proxyUrl)} に接続できませんでした: ${error.message}`));
+      } else {
+        reject(new Error(`ネットワークエラー: ${error.message}`));
+      }
+    });
+
+    // タイムアウト処理（応答が始まった後もデータが途切れた場合にエラーにする）
+    req.on('timeout', () => {
+      req.destroy(new Error(`リクエストがタイムアウトしました (${timeout}ms)`));
+    });
+  });
+}
+
+/**
+ * HTTP/2でGETリクエストを送る
+ * @param {URL} url - リクエストするURL
+ * @param {Object} headers - リクエストヘッダー
+ * @param {number} timeout - タイムアウト(ミリ秒)
+ * @returns {Promise<{statusCode: number, headers: Object, body: import('stream').Readable, protocol: string}>} レスポンス
+ */
+async function requestHttp2(url, headers, timeout) {
+  const { session, reused } = await getHttp2Session(url);
+
+  return new Promise((resolve, reject) => {
+    // HTTP/2ではホスト名などは疑似ヘッダーで送るため、接続に関するヘッダーは送らない
+    const requestHeaders = { ':method': 'GET', ':path': url.pathname + url.search };
+    Object.entries(headers).forEach(([name, value]) => {
+      requestHeaders[name.toLowerCase()] = value;
+    });
+
+    const stream = session.request(requestHeaders);
+
+    // リクエスト中はセッションがプロセスを終了させないようにする
+    http2ActiveStreams.set(session, (http2ActiveStreams.get(session) || 0) + 1);
+    session.ref();
+    stream.once('close', () => {
+      const remaining = http2ActiveStreams.get(session) - 1;
+      http2ActiveStreams.set(session, remaining);
+      if (remaining === 0 && !session.destroyed) {
+        session.unref();
+      }
+    });
+
+    stream.setTimeout(timeout, () => {
+      stream.destroy(new Error(`リクエストがタイムアウトしました (${timeout}ms)`));
+    });
+
+    stream.once('response', (responseHeaders) => {
+      http2VerifiedSessions.add(session);
+      recordRequestStart(reused, true);
+      resolve({
+        statusCode: responseHeaders[':status'],
+        headers: responseHeaders,
+        body: trackBody(stream),
+        protocol: 'h2'
+      });
+    });
+
+    stream.once('error', (error) => {
+      const requestError = new Error(`ネットワークエラー: ${error.message}`);
+      // セッションで最初の応答を受け取る前に失敗した場合は、HTTP/2で接続できなかったものとして扱う
+      // （TLSを使わない接続では、相手がHTTP/2に対応していなくても接続自体は成功するため）
+      if (!http2VerifiedSessions.has(session)) {
+        requestError.http2ConnectFailed = true;
+      }
+      reject(requestError);
+    });
+  });
+}
+
+/**
+ * URLにGETリクエストを送る（ホストごとに接続を再利用し、設定されたホストにはHTTP/2を使う）
+ * HTTP/2で接続できないホストは、HTTP/1.1で送り直し、以降もHTTP/1.1を使う
+ * @param {string} urlString - リクエストするURL
+ * @param {Object} [options] - オプション
+ * @param {Object} [options.headers] - リクエストヘッダー
+ * @param {number} [options.timeout] - タイムアウト(ミリ秒)
+ * @returns {Promise<{statusCode: number, headers: Object, body: import('stream').Readable, protocol: string}>}
+ *          レスポンス（本文は必ず読み切るか破棄すること。読まないと接続が再利用されない）
+ */
+async function request(urlString, options = {}) {
+  const { headers = {}, timeout = CONFIG.DOWNLOAD_TIMEOUT } = options;
+  const url = new URL(urlString);
+
+  if (shouldUseHttp2(url)) {
+    try {
+      return await requestHttp2(url, headers, timeout);
+    } catch (error) {
+      // 接続できなかった場合（HTTP/2に対応していないなど）のみHTTP/1.1に切り替える
+      if (error.http2ConnectFailed) {
+        http2UnsupportedOrigins.add(url.origin);
+        return requestHttp1(url, headers, timeout);
+      }
+      throw error;
+    }
+  }
+
+  return requestHttp1(url, headers, timeout);
+}
+
+/**
+ * 転送の統計を取得する
+ * @returns {{requests: number, newConnections: number, reusedConnections: number, http2Requests: number,
+ *            bytes: number, transferTime: number, bytesPerSecond: number}} 統計（transferTime は転送中の時間の合計(ミリ秒)）
+ */
+function getTransferStats() {
+  const transferTime = transferStats.transferTime + (activeTransfers > 0 ? Date.now() - transferStartedAt : 0);
+  return {
+    ...transferStats,
+    transferTime,
+    bytesPerSecond: transferTime > 0 ? Math.round(transferStats.bytes / (transferTime / 1000)) : 0
+  };
+}
+
+/**
+ * 保持している接続をすべて閉じる（処理の終了時に呼ぶ）
+ */
+function closeConnections() {
+  agents.forEach(agent => agent.destroy());
+  agents.clear();
+  http2Sessions.forEach(session => session.close());
+  http2Sessions.clear();
+  closeProxyAgents();
+}
+
+module.exports = {
+  request,
+  getTransferStats,
+  closeConnections
+};
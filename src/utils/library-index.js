@@ -0,0 +1,383 @@
+// ダウンロード済みのファイル（ツイートごとのメディアとメタデータ）のインデックス
+// 追記型のJSONLファイル（1行に1件の記録。同じファイルの記録は後の行が優先）に保存し、
+// 起動のたびに保存先のフォルダ全体を走査しなくてもダウンロード状況を確認できるようにする
+const fs = require('fs');
+const path = require('path');
+const { CONFIG, dirs } = require('../config/config');
+const { scanDownloadedFiles } = require('./file-utils');
+
+// インデックスファイルの形式のバージョン（変わった場合は保存先から作り直す）
+const INDEX_VERSION = 1;
+
+// 読み込んだインデックス（ツイートIDごとの { mediaFiles: Map<ファイル名, サイズ>, metadataFile, mediaCount, mediaTypes }）
+let entries = null;
+
+// 読み込んだインデックスファイルのパス（設定が変わった場合は読み込み直す）
+let loadedPath = null;
+
+// インデックスファイルが現在の内容を表しているかどうか
+// （ファイルがなく保存先から作成した場合はfalse。最初の更新時にファイル全体を書き込む）
+let persisted = false;
+
+// 最後の行が改行で終わっていないかどうか（書き込み中に中断された場合。次の追記の前に改行を入れる）
+let needsNewline = false;
+
+/**
+ * ツイートIDのエントリを取得する（なければ作成する）
+ * @param {string} tweetId - ツイートID
+ * @returns {{mediaFiles: Map<string, number>, metadataFile: string|null, mediaCount: number|null, mediaTypes: Array<string|null>|null}} エントリ
+ */
+function getEntry(tweetId) {
+  let entry = entries.get(tweetId);
+  if (!entry) {
+    entry = { mediaFiles: new Map(), metadataFile: null, mediaCount: null, mediaTypes: null };
+    entries.set(tweetId, entry);
+  }
+  return entry;
+}
+
+/**
+ * 記録を1件インデックスに反映する
+ * @param {Object} record - インデックスファイルの1行分の記録
+ */
+function applyRecord(record) {
+  const entry = getEntry(record.tweetId);
+
+  switch (record.type) {
+    case 'media':
+      entry.mediaFiles.set(record.fileName, record.size);
+      break;
+    case 'metadata':
+      entry.metadataFile = record.fileName;
+      entry.mediaCount = record.mediaCount;
+      // メディアの種類を記録していない古い記録の場合は、必要になった時にメタデータファイルから読み込む
+      entry.mediaTypes = Array.isArray(record.mediaTypes) ? record.mediaTypes : null;
+      break;
+    case 'removed':
+      if (entry.metadataFile === record.fileName) {
+        entry.metadataFile = null;
+        entry.mediaCount = null;
+        entry.mediaTypes = null;
+      }
+      entry.mediaFiles.delete(record.fileName);
+      if (entry.mediaFiles.size === 0 && !entry.metadataFile) {
+        entries.delete(record.tweetId);
+      }
+      break;
+  }
+}
+
+/**
+ * メタデータファイルに記録されたメディアの数と、ダウンロードできるメディアの種類を読み込む
+ * @param {string} fileName - メタデータのファイル名
+ * @returns {{mediaCount: number|null, mediaTypes: Array<string|null>|null}} メディアの数と種類（読み込めない場合はどちらもnull）
+ */
+function readMediaInfo(fileName) {
+  try {
+    const metadata = JSON.parse(fs.readFileSync(path.join(dirs.downloadDir, fileName), CONFIG.ENCODING));
+    // metadata-service はこのモジュールを読み込むため、使う時に読み込む（循環参照を避ける）
+    const { getDownloadableMediaTypes } = require('../services/metadata-service');
+    const mediaTypes = getDownloadableMediaTypes(metadata);
+    return { mediaCount: mediaTypes.length, mediaTypes };
+  } catch (error) {
+    return { mediaCount: null, mediaTypes: null };
+  }
+}
+
+/**
+ * 保存先のファイルからインデックスを作成する（ファイルには書き込まない）
+ */
+function buildFromDisk() {
+  entries = new Map();
+
+  for (const [tweetId, { mediaFiles, metadataFile }] of scanDownloadedFiles()) {
+    mediaFiles.forEach(({ fileName, size }) => applyRecord({ type: 'media', tweetId, fileName, size }));
+    if (metadataFile) {
+      applyRecord({ type: 'metadata', tweetId, fileName: metadataFile, ...readMediaInfo(metadataFile) });
+    }
+  }
+
+  persisted = false;
+  needsNewline = false;
+}
+
+/**
+ * インデックスファイルを読み込む
+ * @returns {boolean} 読み込めた場合はtrue（ファイルがない、または形式が異なる場合はfalse）
+ */
+function readIndexFile() {
+  let content;
+  try {
+    content = fs.readFileSync(CONFIG.LIBRARY_INDEX_PATH, 'utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`ライブラリのインデックスを読み込めませんでした: ${error.message}`);
+    }
+    return false;
+  }
+
+  const lines = content.split('\n');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (error) {
+    header = null;
+  }
+  if (!header || header.type !== 'header' || header.version !== INDEX_VERSION) {
+    return false;
+  }
+
+  entries = new Map();
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i]) continue;
+    try {
+      applyRecord(JSON.parse(lines[i]));
+    } catch (error) {
+      // 書き込み中に中断された行は読み飛ばす
+    }
+  }
+
+  persisted = true;
+  needsNewline = content.length > 0 && !content.endsWith('\n');
+  return true;
+}
+
+/**
+ * インデックスを読み込む（読み込み済みの場合はそのまま返す）
+ * インデックスファイルがない場合は保存先のファイルから作成する
+ * @returns {Map<string, Object>} ツイートIDごとのエントリ
+ */
+function loadLibraryIndex() {
+  if (entries && loadedPath === CONFIG.LIBRARY_INDEX_PATH) {
+    return entries;
+  }
+
+  loadedPath = CONFIG.LIBRARY_INDEX_PATH;
+  if (!readIndexFile()) {
+    buildFromDisk();
+  }
+  return entries;
+}
+
+/**
+ * インデックス全体をファイルに書き込む（一時ファイルに書いてから置き換える）
+ */
+function writeIndexFile() {
+  const lines = [JSON.stringify({ type: 'header', version: INDEX_VERSION, createdAt: new Date().toISOString() })];
+
+  for (const [tweetId, entry] of entries) {
+    for (const [fileName, size] of entry.mediaFiles) {
+      lines.push(JSON.stringify({ type: 'media', tweetId, fileName, size }));
+    }
+    if (entry.metadataFile) {
+      lines.push(JSON.stringify({
+        type: 'metadata',
+        tweetId,
+        fileName: entry.metadataFile,
+        mediaCount: entry.mediaCount,
+        mediaTypes: entry.mediaTypes
+      }));
+    }
+  }
+
+  const tempPath = `${CONFIG.LIBRARY_INDEX_PATH}.tmp`;
+  fs.mkdirSync(path.dirname(CONFIG.LIBRARY_INDEX_PATH), { recursive: true });
+  fs.writeFileSync(tempPath, lines.join('\n') + '\n', 'utf8');
+  fs.renameSync(tempPath, CONFIG.LIBRARY_INDEX_PATH);
+
+  persisted = true;
+  needsNewline = false;
+}
+
+/**
+ * 保存先のファイルから作成したインデックスを、まだファイルに書き込んでいなければ書き込む
+ * （次回からフォルダを走査せずに読み込めるようにする）
+ */
+function saveLibraryIndex() {
+  loadLibraryIndex();
+  if (persisted) return;
+
+  try {
+    writeIndexFile();
+  } catch (error) {
+    console.error(`ライブラリのインデックスを保存できませんでした: ${error.message}`);
+  }
+}
+
+/**
+ * 記録をインデックスに反映し、インデックスファイルに追記する
+ * 書き込めない場合もダウンロードは続ける（次回の起動時に reindex で作り直せる）
+ * @param {Object} record - 記録
+ */
+function appendRecord(record) {
+  loadLibraryIndex();
+  applyRecord(record);
+
+  try {
+    if (!persisted) {
+      writeIndexFile();
+      return;
+    }
+    fs.appendFileSync(CONFIG.LIBRARY_INDEX_PATH, (needsNewline ? '\n' : '') + JSON.stringify(record) + '\n', 'utf8');
+    needsNewline = false;
+  } catch (error) {
+    console.error(`ライブラリのインデックスを更新できませんでした (${record.fileName}): ${error.message}`);
+  }
+}
+
+/**
+ * 保存したメディアファイルをインデックスに記録する
+ * @param {string} tweetId - ツイートID
+ * @param {string} fileName - 保存先のファイル名
+ */
+function recordMediaFile(tweetId, fileName) {
+  let size = 0;
+  try {
+    size = fs.statSync(path.join(dirs.downloadDir, fileName)).size;
+  } catch (error) {
+    // サイズが分からない場合も記録する（verify で検査できる）
+  }
+  appendRecord({ type: 'media', tweetId, fileName, size });
+}
+
+/**
+ * 保存したメタデータファイルをインデックスに記録する
+ * @param {string} tweetId - ツイートID
+ * @param {string} fileName - メタデータのファイル名
+ * @param {number} mediaCount - ツイートに含まれるメディアの数
+ * @param {Array<string|null>} mediaTypes - ダウンロードできるメディアの種類（メディアの番号の順。URLを抽出できないメディアはnull）
+ */
+function recordMetadataFile(tweetId, fileName, mediaCount, mediaTypes) {
+  appendRecord({ type: 'metadata', tweetId, fileName, mediaCount, mediaTypes });
+}
+
+/**
+ * 削除したファイルをインデックスに記録する
+ * @param {string} tweetId - ツイートID
+ * @param {string} fileName - 削除したファイル名
+ */
+function recordRemovedFile(tweetId, fileName) {
+  appendRecord({ type: 'removed', tweetId, fileName });
+}
+
+/**
+ * 保存先のファイルからインデックスを作り直す（古い記録を除いてファイルを書き直す）
+ * @returns {{tweets: number, mediaFiles: number, metadataFiles: number, totalBytes: number}} 作り直したインデックスの件数
+ */
+function rebuildLibraryIndex() {
+  loadedPath = CONFIG.LIBRARY_INDEX_PATH;
+  buildFromDisk();
+  writeIndexFile();
+
+  const summary = { tweets: entries.size, mediaFiles: 0, metadataFiles: 0, totalBytes: 0 };
+  for (const entry of entries.values()) {
+    summary.mediaFiles += entry.mediaFiles.size;
+    summary.metadataFiles += entry.metadataFile ? 1 : 0;
+    entry.mediaFiles.forEach(size => {
+      summary.totalBytes += size;
+    });
+  }
+  return summary;
+}
+
+/**
+ * ツイートのメディアがすべて保存されているか判定する
+ * メタデータに記録されたメディアの数だけ番号があれば保存済みとする（メタデータがない場合は1件以上あれば保存済み）
+ * 足りない場合も、URLを抽出できないメディアと絞り込み条件（--media-type）の種類ではないメディアのほかがすべて保存されていれば保存済みとする
+ * （ダウンロードできるメディアを保存し終えたツイートを、実行のたびに処理し直さない）
+ * 同じ番号のファイル（HLSの動画と別に保存した音声など）は1件として数える
+ * @param {{mediaFiles: Array|Map, metadataFile: string|null, mediaCount: number|null, mediaTypes: Array<string|null>|null}|undefined} files - getDownloadedFilesのエントリ
+ * @returns {boolean} すべて保存されている場合はtrue
+ */
+function hasCompleteMedia(files) {
+  if (!files) return false;
+  const savedNumbers = getSavedMediaNumbers(Array.isArray(files.mediaFiles)
+    ? files.mediaFiles.map(file => file.fileName)
+    : files.mediaFiles.keys());
+  if (savedNumbers.size === 0) return false;
+  if (files.mediaCount === null || files.mediaCount === undefined || savedNumbers.size >= files.mediaCount) return true;
+
+  // メディアの種類を記録していない古いインデックスの場合は、メタデータファイルから読み込む
+  if (!files.mediaTypes && files.metadataFile) {
+    files.mediaTypes = readMediaInfo(files.metadataFile).mediaTypes;
+  }
+  if (!files.mediaTypes) return false;
+
+  // tweet-filter は metadata-service を通してこのモジュールを読み込むため、使う時に読み込む（循環参照を避ける）
+  const { matchesMediaType } = require('./tweet-filter');
+  return files.mediaTypes.every((type, index) => !type || !matchesMediaType(type) || savedNumbers.has(index + 1));
+}
+
+/**
+ * 保存済みのメディアの番号を取得する（ファイル名 <ツイートID>-<番号>.<拡張子> の番号）
+ * @param {Iterable<string>} fileNames - メディアのファイル名
+ * @returns {Set<number>} 保存済みのメディアの番号（1から）
+ */
+function getSavedMediaNumbers(fileNames) {
+  const numbers = new Set();
+  for (const fileName of fileNames) {
+    const match = /^\d+-(\d+)\./.exec(fileName);
+    if (match) {
+      numbers.add(Number(match[1]));
+    }
+  }
+  return numbers;
+}
+
+/**
+ * すでにダウンロード済みのツイートIDを確認する（メディアとメタデータを別々に）
+ * メディアの一部だけを保存したツイート（ダウンロードできるメディアが残っている）は、保存済みのメディアの番号も返す
+ * @returns {{mediaIds: Set<string>, metadataIds: Set<string>, partialMedia: Map<string, Set<number>>}}
+ *          メディアをすべて保存したツイートID、メタデータを保存したツイートID、メディアの一部だけを保存したツイートIDごとの保存済みのメディアの番号
+ */
+function getDownloadedIds() {
+  const mediaIds = new Set();
+  const metadataIds = new Set();
+  const partialMedia = new Map();
+
+  for (const [tweetId, entry] of loadLibraryIndex()) {
+    if (hasCompleteMedia(entry)) {
+      mediaIds.add(tweetId);
+    } else if (entry.mediaFiles.size > 0) {
+      partialMedia.set(tweetId, getSavedMediaNumbers(entry.mediaFiles.keys()));
+    }
+    if (entry.metadataFile) {
+      metadataIds.add(tweetId);
+    }
+  }
+
+  return { mediaIds, metadataIds, partialMedia };
+}
+
+/**
+ * ダウンロード済みのファイルをツイートIDごとにまとめる
+ * @returns {Map<string, {mediaFiles: Array<{fileName: string, size: number}>, metadataFile: string|null, mediaCount: number|null, mediaTypes: Array<string|null>|null}>}
+ *          ツイートIDごとのメディアファイルとメタデータファイル（mediaCount はメタデータに記録されたメディアの数、mediaTypes はダウンロードできるメディアの種類）
+ */
+function getDownloadedFiles() {
+  const filesByTweet = new Map();
+
+  for (const [tweetId, entry] of loadLibraryIndex()) {
+    filesByTweet.set(tweetId, {
+      mediaFiles: [...entry.mediaFiles].map(([fileName, size]) => ({ fileName, size })),
+      metadataFile: entry.metadataFile,
+      mediaCount: entry.mediaCount,
+      mediaTypes: entry.mediaTypes
+    });
+  }
+
+  return filesByTweet;
+}
+
+module.exports = {
+  loadLibraryIndex,
+  saveLibraryIndex,
+  rebuildLibraryIndex,
+  recordMediaFile,
+  recordMetadataFile,
+  recordRemovedFile,
+  hasCompleteMedia,
+  getSavedMediaNumbers,
+  getDownloadedIds,
+  getDownloadedFiles
+};
@@ -1,6 +1,7 @@
 // スキップリスト管理のユーティリティ関数
 const fs = require('fs');
-const { CONFIG, dirs } = require('../config/config');
+const path = require('path');
+const { CONFIG } = require('../config/config');
 
 // スキップIDセット
 let skipIds = new Set();
@@ -13,128 +14,97 @@ let parseErrorIds = new Set();
 // メディア（画像・動画）がないツイートのIDセット
 let noMediaIds = new Set();
 
+// リスト名と対応するセット・保存先の定義（コマンドラインでの指定に使用）
+const LIST_DEFINITIONS = {
+  'skip': { label: 'スキップリスト', ids: skipIds, pathKey: 'SKIP_LIST_PATH' },
+  'not-found': { label: '存在しないツイートリスト', ids: notFoundIds, pathKey: 'NOT_FOUND_LIST_PATH' },
+  'sensitive': { label: 'センシティブコンテンツリスト', ids: sensitiveIds, pathKey: 'SENSITIVE_LIST_PATH' },
+  'parse-error': { label: '解析エラーリスト', ids: parseErrorIds, pathKey: 'PARSE_ERROR_LIST_PATH' },
+  'no-media': { label: 'メディアがないツイートリスト', ids: noMediaIds, pathKey: 'NO_MEDIA_LIST_PATH' }
+};
+
 /**
- * すべてのスキップリストを読み込む
+ * リストファイルを読み込んでIDの配列を返す
+ * 旧形式（ID→理由のオブジェクト）のファイルも読み込める
+ * @param {string} filePath - リストファイルのパス
+ * @returns {Array<string>} ツイートIDの配列
  */
-function loadSkipLists() {
+function readListFile(filePath) {
+  const data = JSON.parse(fs.readFileSync(filePath, CONFIG.ENCODING));
+  return Array.isArray(data) ? data.map(String) : Object.keys(data || {});
+}
+
+/**
+ * リストをファイルに保存する
+ * @param {string} name - リスト名
+ */
+function saveList(name) {
+  const definition = LIST_DEFINITIONS[name];
   try {
-    // スキップリスト
-    if (fs.existsSync(CONFIG.SKIP_LIST_PATH)) {
-      const skipList = JSON.parse(fs.readFileSync(CONFIG.SKIP_LIST_PATH, CONFIG.ENCODING));
-      skipList.forEach(id => skipIds.add(id));
-      console.log(`スキップリストを読み込みました: ${skipIds.size}件`);
-    }
-    
-    // 存在しないツイートリスト
-    if (fs.existsSync(CONFIG.NOT_FOUND_LIST_PATH)) {
-      const notFoundList = JSON.parse(fs.readFileSync(CONFIG.NOT_FOUND_LIST_PATH, CONFIG.ENCODING));
-      notFoundList.forEach(id => notFoundIds.add(id));
-      console.log(`存在しないツイートリストを読み込みました: ${notFoundIds.size}件`);
-    }
-    
-    // センシティブコンテンツリスト
-    if (fs.existsSync(CONFIG.SENSITIVE_LIST_PATH)) {
-      const sensitiveList = JSON.parse(fs.readFileSync(CONFIG.SENSITIVE_LIST_PATH, CONFIG.ENCODING));
-      sensitiveList.forEach(id => sensitiveIds.add(id));
-      console.log(`センシティブコンテンツリストを読み込みました: ${sensitiveIds.size}件`);
-    }
-    
-    // 解析エラーリスト
-    if (fs.existsSync(CONFIG.PARSE_ERROR_LIST_PATH)) {
-      const parseErrorList = JSON.parse(fs.readFileSync(CONFIG.PARSE_ERROR_LIST_PATH, CONFIG.ENCODING));
-      parseErrorList.forEach(id => parseErrorIds.add(id));
-      console.log(`解析エラーリストを読み込みました: ${parseErrorIds.size}件`);
+    // ディレクトリが存在しない場合は作成
+    const listDir = path.dirname(CONFIG[definition.pathKey]);
+    if (!fs.existsSync(listDir)) {
+      fs.mkdirSync(listDir, { recursive: true });
     }
     
-    // メディア（画像・動画）がないツイートリスト
-    if (fs.existsSync(CONFIG.NO_MEDIA_LIST_PATH)) {
-      const noMediaList = JSON.parse(fs.readFileSync(CONFIG.NO_MEDIA_LIST_PATH, CONFIG.ENCODING));
-      noMediaList.forEach(id => noMediaIds.add(id));
-      console.log(`メディアがないツイートリストを読み込みました: ${noMediaIds.size}件`);
-    }
+    fs.writeFileSync(CONFIG[definition.pathKey], JSON.stringify([...definition.ids], null, 2));
   } catch (e) {
-    console.error(`スキップリストの読み込み中にエラーが発生しました: ${e.message}`);
+    console.error(`${definition.label}の保存中にエラーが発生しました: ${e.message}`);
   }
 }
 
 /**
- * スキップリストを保存する
+ * すべてのスキップリストを読み込む
+ * @param {boolean} [verbose] - 読み込んだ件数を表示するかどうか
  */
-function saveSkipList() {
-  try {
-    // ディレクトリが存在しない場合は作成
-    if (!fs.existsSync(dirs.logsDir)) {
-      fs.mkdirSync(dirs.logsDir, { recursive: true });
+function loadSkipLists(verbose = !CONFIG.QUIET) {
+  for (const definition of Object.values(LIST_DEFINITIONS)) {
+    try {
+      if (fs.existsSync(CONFIG[definition.pathKey])) {
+        readListFile(CONFIG[definition.pathKey]).forEach(id => definition.ids.add(id));
+        if (verbose) {
+          console.log(`${definition.label}を読み込みました: ${definition.ids.size}件`);
+        }
+      }
+    } catch (e) {
+      console.error(`${definition.label}の読み込み中にエラーが発生しました: ${e.message}`);
     }
-    
-    fs.writeFileSync(CONFIG.SKIP_LIST_PATH, JSON.stringify([...skipIds], null, 2));
-  } catch (e) {
-    console.error(`スキップリストの保存中にエラーが発生しました: ${e.message}`);
   }
 }
 
+/**
+ * スキップリストを保存する
+ */
+function saveSkipList() {
+  saveList('skip');
+}
+
 /**
  * 存在しないツイートリストを保存する
  */
 function saveNotFoundList() {
-  try {
-    // ディレクトリが存在しない場合は作成
-    if (!fs.existsSync(dirs.logsDir)) {
-      fs.mkdirSync(dirs.logsDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(CONFIG.NOT_FOUND_LIST_PATH, JSON.stringify([...notFoundIds], null, 2));
-  } catch (e) {
-    console.error(`存在しないツイートリストの保存中にエラーが発生しました: ${e.message}`);
-  }
+  saveList('not-found');
 }
 
 /**
  * センシティブコンテンツリストを保存する
  */
 function saveSensitiveList() {
-  try {
-    // ディレクトリが存在しない場合は作成
-    if (!fs.existsSync(dirs.logsDir)) {
-      fs.mkdirSync(dirs.logsDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(CONFIG.SENSITIVE_LIST_PATH, JSON.stringify([...sensitiveIds], null, 2));
-  } catch (e) {
-    console.error(`センシティブコンテンツリストの保存中にエラーが発生しました: ${e.message}`);
-  }
+  saveList('sensitive');
 }
 
 /**
  * 解析エラーリストを保存する
  */
 function saveParseErrorList() {
-  try {
-    // ディレクトリが存在しない場合は作成
-    if (!fs.existsSync(dirs.logsDir)) {
-      fs.mkdirSync(dirs.logsDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(CONFIG.PARSE_ERROR_LIST_PATH, JSON.stringify([...parseErrorIds], null, 2));
-  } catch (e) {
-    console.error(`解析エラーリストの保存中にエラーが発生しました: ${e.message}`);
-  }
+  saveList('parse-error');
 }
 
 /**
  * メディアがないツイートリストを保存する
  */
 function saveNoMediaList() {
-  try {
-    // ディレクトリが存在しない場合は作成
-    if (!fs.existsSync(dirs.logsDir)) {
-      fs.mkdirSync(dirs.logsDir, { recursive: true });
-    }
-    
-    fs.writeFileSync(CONFIG.NO_MEDIA_LIST_PATH, JSON.stringify([...noMediaIds], null, 2));
-  } catch (e) {
-    console.error(`メディアがないツイートリストの保存中にエラーが発生しました: ${e.message}`);
-  }
+  saveList('no-media');
 }
 
 /**
@@ -182,6 +152,63 @@ function addToNoMediaList(tweetId) {
   saveNoMediaList();
 }
 
+/**
+ * リスト名の一覧を取得
+ * @returns {Array<string>} リスト名の配列
+ */
+function getListNames() {
+  return Object.keys(LIST_DEFINITIONS);
+}
+
+/**
+ * リストの定義を取得
+ * @param {string} name - リスト名（'skip', 'not-found' など）
+ * @returns {{label: string, ids: Set<string>, path: string}|null} リストの定義（存在しない場合はnull）
+ */
+function getList(name) {
+  const definition = LIST_DEFINITIONS[name];
+  return definition ? { label: definition.label, ids: definition.ids, path: CONFIG[definition.pathKey] } : null;
+}
+
+/**
+ * 複数のIDをリストに追加して保存
+ * @param {string} name - リスト名
+ * @param {Array<string>} tweetIds - ツイートIDの配列
+ * @returns {number} 新たに追加した件数
+ */
+function addIdsToList(name, tweetIds) {
+  const { ids } = LIST_DEFINITIONS[name];
+  const before = ids.size;
+  tweetIds.forEach(id => ids.add(id));
+  saveList(name);
+  return ids.size - before;
+}
+
+/**
+ * 複数のIDをリストから削除して保存
+ * @param {string} name - リスト名
+ * @param {Array<string>} tweetIds - ツイートIDの配列
+ * @returns {number} 削除した件数
+ */
+function removeIdsFromList(name, tweetIds) {
+  const { ids } = LIST_DEFINITIONS[name];
+  const removed = tweetIds.filter(id => ids.delete(id)).length;
+  saveList(name);
+  return removed;
+}
+
+/**
+ * リストの内容を置き換えて保存
+ * @param {string} name - リスト名
+ * @param {Array<string>} tweetIds - 新しいツイートIDの配列
+ */
+function replaceList(name, tweetIds) {
+  const { ids } = LIST_DEFINITIONS[name];
+  ids.clear();
+  tweetIds.forEach(id => ids.add(id));
+  saveList(name);
+}
+
 /**
  * スキップリストの現在のサイズを取得
  * @returns {Object} 各リストのサイズ
@@ -237,6 +264,11 @@ module.exports = {
   addToParseErrorList,
   addToNoMediaList,
   getListSizes,
+  getListNames,
+  getList,
+  addIdsToList,
+  removeIdsFromList,
+  replaceList,
   isTweetInAnySkipList,
   checkTweetInLists,
   // セットも直接アクセスできるように公開
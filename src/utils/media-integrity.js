@@ -0,0 +1,377 @@
+// 保存したメディアファイルの検査（形式・構造の確認とSHA-256）と、ツイートごとのマニフェスト
+// マニフェスト（<ツイートID>-manifest.json）には、保存したファイルのサイズ・形式・SHA-256と取得元のURLを記録する
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CONFIG, dirs } = require('../config/config');
+
+// 形式の判定に読み込む先頭のバイト数
+const HEADER_SIZE = 16;
+
+// JPEGの終端（EOI）を探す末尾のバイト数（終端の後に埋め草が付くことがあるため）
+const JPEG_TRAILER_SEARCH_SIZE = 32;
+
+// MPEG-TSのパケットのサイズと同期バイト（HLSのセグメントをつなげた動画）
+const TS_PACKET_SIZE = 188;
+const TS_SYNC_BYTE = 0x47;
+
+// MPEG-TSの同期バイトを確認するパケットの数（先頭と末尾から）
+const TS_CHECK_PACKETS = 8;
+
+// ID3タグのヘッダーのサイズ（HLSの音声のみのセグメントは、タイムスタンプのID3タグで始まる）
+const ID3_HEADER_SIZE = 10;
+
+// ADTS（AACの音声のフレーム）のヘッダーのサイズ（CRCなし）
+const ADTS_HEADER_SIZE = 7;
+
+// PNGの最後のチャンク（長さ0のIEND）
+const PNG_IEND_CHUNK = Buffer.from([0, 0, 0, 0, 0x49, 0x45, 0x4e, 0x44, 0xae, 0x42, 0x60, 0x82]);
+
+// 形式ごとの表示名
+const FORMAT_LABELS = {
+  jpeg: 'JPEG',
+  png: 'PNG',
+  gif: 'GIF',
+  webp: 'WebP',
+  mp4: 'MP4',
+  mpegts: 'MPEG-TS',
+  aac: 'AAC (ADTS)'
+};
+
+// 形式ごとの拡張子
+const FORMAT_EXTENSIONS = {
+  jpeg: '.jpg',
+  png: '.png',
+  gif: '.gif',
+  webp: '.webp',
+  mp4: '.mp4',
+  mpegts: '.ts',
+  aac: '.aac'
+};
+
+/**
+ * 検査に失敗したことを表すエラーを作成する
+ * @param {string} fileName - ファイル名
+ * @param {string} reason - 理由
+ * @returns {Error} エラー（type: 'invalid_media'）
+ */
+function createInvalidMediaError(fileName, reason) {
+  const error = new Error(`メディアファイルが正しくありません (${fileName}): ${reason}`);
+  error.type = 'invalid_media';
+  return error;
+}
+
+/**
+ * ファイルの先頭のバイトから形式を判定する
+ * @param {Buffer} header - ファイルの先頭（HEADER_SIZE バイト）
+ * @returns {string|null} 形式（'jpeg', 'png', 'gif', 'webp', 'mp4', 'mpegts', 'aac'）。判定できない場合はnull
+ */
+function detectMediaFormat(header) {
+  if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+  if (header.length >= 8 && header.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'png';
+  if (header.length >= 6 && /^GIF8[79]a$/.test(header.toString('latin1', 0, 6))) return 'gif';
+  if (header.length >= 12 && header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+  if (header.length >= 8 && header.toString('latin1', 4, 8) === 'ftyp') return 'mp4';
+  if (header.length >= 1 && header[0] === TS_SYNC_BYTE) return 'mpegts';
+  // HLSの音声のみのセグメント（ID3タグの後にADTSのフレームが続く。フレームは checkAdtsFrames で確認する）
+  if (header.length >= 3 && header.toString('latin1', 0, 3) === 'ID3') return 'aac';
+  if (isAdtsHeader(header)) return 'aac';
+  return null;
+}
+
+/**
+ * ADTSのフレームのヘッダーか判定する（同期ワード 0xFFF とレイヤー 0）
+ * @param {Buffer} header - フレームの先頭
+ * @returns {boolean} ADTSのフレームの場合はtrue
+ */
+function isAdtsHeader(header) {
+  return header.length >= 2 && header[0] === 0xff && (header[1] & 0xf6) === 0xf0;
+}
+
+/**
+ * 形式の拡張子を取得する
+ * @param {string|null} format - 形式（detectMediaFormat の戻り値）
+ * @returns {string|null} 拡張子（先頭のドット付き）。形式が不明な場合はnull
+ */
+function getFormatExtension(format) {
+  return FORMAT_EXTENSIONS[format] || null;
+}
+
+/**
+ * 形式を判定できなかったファイルの内容を説明する（エラーページを保存した場合など）
+ * @param {Buffer} header - ファイルの先頭
+ * @returns {string} 説明
+ */
+function describeUnknownContent(header) {
+  const text = header.toString('latin1').trimStart().toLowerCase();
+  if (text.startsWith('<!doctype') || text.startsWith('<html') || text.startsWith('<')) return 'HTML/XMLのページです';
+  if (text.startsWith('{') || text.startsWith('[')) return 'JSONです';
+  return '画像/動画の形式ではありません';
+}
+
+/**
+ * ファイルの指定位置からバイトを読み込む
+ * @param {import('fs').promises.FileHandle} file - 開いたファイル
+ * @param {number} position - 読み込む位置
+ * @param {number} length - 読み込むバイト数
+ * @returns {Promise<Buffer>} 読み込んだバイト（ファイルの終わりでは短くなる）
+ */
+async function readBytes(file, position, length) {
+  const buffer = Buffer.alloc(length);
+  const { bytesRead } = await file.read(buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
+
+/**
+ * MP4のトップレベルのボックスを確認する（サイズの合計がファイルサイズと一致し、moov があること）
+ * @param {import('fs').promises.FileHandle} file - 開いたファイル
+ * @param {number} size - ファイルサイズ
+ * @returns {Promise<string|null>} 問題の説明（問題がない場合はnull）
+ */
+async function checkMp4Boxes(file, size) {
+  let position = 0;
+  let hasMoov = false;
+
+  while (position < size) {
+    const header = await readBytes(file, position, 16);
+    if (header.length < 8) return `ボックスが途中で終わっています (位置 ${position})`;
+
+    let boxSize = header.readUInt32BE(0);
+    const boxType = header.toString('latin1', 4, 8);
+    if (boxSize === 1) {
+      if (header.length < 16) return `ボックスが途中で終わっています (位置 ${position})`;
+      boxSize = Number(header.readBigUInt64BE(8));
+    } else if (boxSize === 0) {
+      // サイズ0はファイルの終わりまで
+      boxSize = size - position;
+    }
+    if (boxSize < 8) return `ボックスのサイズが正しくありません (${boxType}: ${boxSize}バイト)`;
+
+    if (boxType === 'moov') hasMoov = true;
+    position += boxSize;
+  }
+
+  if (position !== size) return `ボックスが途中で終わっています (${size}/${position}バイト)`;
+  if (!hasMoov) return 'moov ボックスがありません';
+  return null;
+}
+
+/**
+ * MPEG-TSのパケットを確認する（サイズがパケットの倍数で、先頭と末尾のパケットが同期バイトで始まること）
+ * @param {import('fs').promises.FileHandle} file - 開いたファイル
+ * @param {number} size - ファイルサイズ
+ * @returns {Promise<string|null>} 問題の説明（問題がない場合はnull）
+ */
+async function checkTsPackets(file, size) {
+  if (size % TS_PACKET_SIZE !== 0) {
+    return `サイズがパケットの倍数ではありません (${size}バイト)`;
+  }
+
+  const packetCount = size / TS_PACKET_SIZE;
+  const checkCount = Math.min(packetCount, TS_CHECK_PACKETS);
+  const packets = new Set();
+  for (let i = 0; i < checkCount; i++) {
+    packets.add(i);
+    packets.add(packetCount - 1 - i);
+  }
+
+  for (const packet of packets) {
+    const [syncByte] = await readBytes(file, packet * TS_PACKET_SIZE, 1);
+    if (syncByte !== TS_SYNC_BYTE) {
+      return `同期バイトがありません (パケット ${packet + 1}/${packetCount})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * ADTSのフレームを確認する（ID3タグとフレームがファイルの終わりまで続き、最後のフレームが途中で切れていないこと）
+ * @param {import('fs').promises.FileHandle} file - 開いたファイル
+ * @param {number} size - ファイルサイズ
+ * @returns {Promise<string|null>} 問題の説明（問題がない場合はnull）
+ */
+async function checkAdtsFrames(file, size) {
+  let position = 0;
+  let frameCount = 0;
+
+  while (position < size) {
+    const header = await readBytes(file, position, ID3_HEADER_SIZE);
+    if (header.length >= 3 && header.toString('latin1', 0, 3) === 'ID3') {
+      if (header.length < ID3_HEADER_SIZE) return `ID3タグが途中で終わっています (位置 ${position})`;
+      // サイズは各バイトの下位7ビット（フッターがある場合はさらに10バイト）
+      const tagSize = ((header[6] & 0x7f) << 21) | ((header[7] & 0x7f) << 14) | ((header[8] & 0x7f) << 7) | (header[9] & 0x7f);
+      position += ID3_HEADER_SIZE + tagSize + (header[5] & 0x10 ? ID3_HEADER_SIZE : 0);
+      continue;
+    }
+    if (!isAdtsHeader(header)) return `ADTSのフレームがありません (位置 ${position})`;
+    if (header.length < ADTS_HEADER_SIZE) return `フレームが途中で終わっています (位置 ${position})`;
+
+    const frameLength = ((header[3] & 0x03) << 11) | (header[4] << 3) | (header[5] >> 5);
+    if (frameLength < ADTS_HEADER_SIZE) return `フレームの長さが正しくありません (位置 ${position})`;
+    position += frameLength;
+    frameCount++;
+  }
+
+  if (position > size) return `フレームが途中で終わっています (${size}/${position}バイト)`;
+  return frameCount > 0 ? null : 'ADTSのフレームがありません';
+}
+
+/**
+ * 形式ごとにファイルの構造を確認する（途中で切れたファイルを検出する）
+ * @param {string} format - 形式
+ * @param {import('fs').promises.FileHandle} file - 開いたファイル
+ * @param {number} size - ファイルサイズ
+ * @param {Buffer} header - ファイルの先頭
+ * @returns {Promise<string|null>} 問題の説明（問題がない場合はnull）
+ */
+async function checkStructure(format, file, size, header) {
+  switch (format) {
+    case 'jpeg': {
+      const tail = await readBytes(file, Math.max(0, size - JPEG_TRAILER_SEARCH_SIZE), JPEG_TRAILER_SEARCH_SIZE);
+      for (let i = tail.length - 2; i >= 0; i--) {
+        if (tail[i] === 0xff && tail[i + 1] === 0xd9) return null;
+      }
+      return '終端 (EOI) がありません';
+    }
+    case 'png': {
+      const tail = await readBytes(file, Math.max(0, size - PNG_IEND_CHUNK.length), PNG_IEND_CHUNK.length);
+      return tail.equals(PNG_IEND_CHUNK) ? null : '終端 (IEND) がありません';
+    }
+    case 'gif': {
+      const tail = await readBytes(file, size - 1, 1);
+      return tail[0] === 0x3b ? null : '終端がありません';
+    }
+    case 'webp': {
+      const riffSize = header.readUInt32LE(4) + 8;
+      // RIFFのチャンクは偶数バイトに揃えられる
+      return riffSize === size || riffSize + 1 === size ? null : `サイズが一致しません (${size}/${riffSize}バイト)`;
+    }
+    case 'mp4':
+      return checkMp4Boxes(file, size);
+    case 'mpegts':
+      return checkTsPackets(file, size);
+    case 'aac':
+      return checkAdtsFrames(file, size);
+    default:
+      return null;
+  }
+}
+
+/**
+ * ファイルのSHA-256を求める
+ * @param {string} filePath - ファイルのパス
+ * @returns {Promise<string>} SHA-256（16進数）
+ */
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+/**
+ * メディアファイルを検査する（形式のマジックバイトと構造を確認し、SHA-256を求める）
+ * @param {string} filePath - 検査するファイルのパス
+ * @param {string} [fileName] - エラーメッセージに表示するファイル名（デフォルト: パスのファイル名）
+ * @returns {Promise<{format: string, size: number, sha256: string}>} 形式、サイズ、SHA-256
+ * @throws {Error} 画像/動画の形式でない場合、または構造が正しくない場合（type: 'invalid_media'）
+ */
+async function validateMediaFile(filePath, fileName = path.basename(filePath)) {
+  const file = await fs.promises.open(filePath, 'r');
+  let format;
+  let size;
+
+  try {
+    ({ size } = await file.stat());
+    if (size === 0) {
+      throw createInvalidMediaError(fileName, '空のファイルです');
+    }
+
+    const header = await readBytes(file, 0, HEADER_SIZE);
+    format = detectMediaFormat(header);
+    if (!format) {
+      throw createInvalidMediaError(fileName, describeUnknownContent(header));
+    }
+
+    const problem = await checkStructure(format, file, size, header);
+    if (problem) {
+      throw createInvalidMediaError(fileName, `${FORMAT_LABELS[format]}: ${problem}`);
+    }
+  } finally {
+    await file.close();
+  }
+
+  return { format, size, sha256: await hashFile(filePath) };
+}
+
+/**
+ * マニフェストのファイル名を取得する
+ * @param {string} tweetId - ツイートID
+ * @returns {string} ファイル名
+ */
+function getManifestFileName(tweetId) {
+  return `${tweetId}-manifest.json`;
+}
+
+/**
+ * ツイートのマニフェストを読み込む
+ * @param {string} tweetId - ツイートID
+ * @returns {{tweetId: string, updatedAt: string|null, files: Object<string, {size: number, format: string, sha256: string, verifiedAt: string, url?: string, finalUrl?: string}>}}
+ *          マニフェスト（ファイルがない、または読み込めない場合は空のマニフェスト）
+ */
+function loadManifest(tweetId) {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(path.join(dirs.downloadDir, getManifestFileName(tweetId)), CONFIG.ENCODING));
+    if (manifest && manifest.files) {
+      return manifest;
+    }
+  } catch (error) {
+    // ファイルがない場合は空のマニフェスト
+  }
+  return { tweetId, updatedAt: null, files: {} };
+}
+
+/**
+ * 検査したファイルをツイートのマニフェストに記録する（記録済みのファイルは上書き）
+ * 同じツイートのファイルはまとめて記録する（ファイルごとに呼ぶと書き込みが重なるため）
+ * @param {string} tweetId - ツイートID
+ * @param {Array<{fileName: string, format: string, size: number, sha256: string, url?: string, finalUrl?: string}>} entries
+ *        検査したファイル（url: 取得元のURL、finalUrl: リダイレクト後のURL。アーカイブから取り出したファイルにはない）
+ * @param {Array<string>} [removedFileNames] - マニフェストから取り除くファイル名（別の拡張子で保存し直したファイルなど）
+ * @returns {boolean} 保存成功時はtrue
+ */
+function recordManifestEntries(tweetId, entries, removedFileNames = []) {
+  if (entries.length === 0 && removedFileNames.length === 0) return true;
+
+  const manifest = loadManifest(tweetId);
+  const verifiedAt = new Date().toISOString();
+  for (const fileName of removedFileNames) {
+    delete manifest.files[fileName];
+  }
+  for (const { fileName, format, size, sha256, url, finalUrl } of entries) {
+    manifest.files[fileName] = { size, format, sha256, verifiedAt, ...(url ? { url, finalUrl } : {}) };
+  }
+  manifest.updatedAt = verifiedAt;
+
+  const manifestPath = path.join(dirs.downloadDir, getManifestFileName(tweetId));
+  try {
+    fs.writeFileSync(`${manifestPath}.tmp`, JSON.stringify(manifest, null, 2), CONFIG.ENCODING);
+    fs.renameSync(`${manifestPath}.tmp`, manifestPath);
+    return true;
+  } catch (error) {
+    console.error(`マニフェストの保存に失敗しました (${tweetId}): ${error.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  detectMediaFormat,
+  getFormatExtension,
+  validateMediaFile,
+  getManifestFileName,
+  loadManifest,
+  recordManifestEntries
+};
@@ -265,6 +265,25 @@ function generateDownloadProgress(details) {
   return `${colorize(displayFilename, ANSI_COLORS[currentTheme.filename])} ${colorize(sizeInfo, ANSI_COLORS[currentTheme.size])}`;
 }
 
+/**
+ * ワーカー1つ分の進捗の行を生成する（並列処理時）
+ * @param {Object|null} worker - ワーカーの状態（stage, status, progress, filename, currentSize, totalSize）、
+ *                               待機中の場合はnullまたは idle: true
+ * @param {number} index - ワーカー番号
+ * @returns {string} ワーカーの進捗の文字列
+ */
+function generateWorkerProgress(worker, index) {
+  const stageLabel = worker?.stage ? ` ${worker.stage}` : '';
+  const label = colorize(`#${index + 1}`.padStart(3) + stageLabel, ANSI_COLORS[currentTheme.counter]);
+  if (!worker || worker.idle) {
+    return `  ${label} ${colorize('待機中', ANSI_COLORS.dim)}`;
+  }
+  
+  const bar = generateProgressBar(Math.min(100, Math.max(0, worker.progress || 0)), 20);
+  const downloadInfo = generateDownloadProgress(worker);
+  return `  ${label} ${bar} ${colorize(worker.status, ANSI_COLORS[currentTheme.status])}${downloadInfo ? ` ${downloadInfo}` : ''}`;
+}
+
 /**
  * 複雑なプログレスバーを生成する
  * @param {string} status - 状態メッセージ
@@ -335,21 +354,49 @@ function generateComplexProgress(status, progress, details = null) {
     }
   }
 
+  // ワーカーごとの進捗（並列処理時）
+  if (details?.workers) {
+    details.workers.forEach((worker, index) => {
+      output += `\n${generateWorkerProgress(worker, index)}`;
+    });
+  }
+
   // 統計情報（最下行）
   if (details?.stats && CONFIG.UX?.SHOW_DETAILED_STATS) {
-    const { downloaded, errors, skipped, apiCalls } = details.stats;
-    const statsLine = [
+    const { downloaded, errors, skipped, apiCalls, apiRate, bandwidth, stages } = details.stats;
+    const statsItems = [
       `${colorize('完了', ANSI_COLORS[currentTheme.stats.completed])}: ${downloaded}`,
       `${colorize('エラー', ANSI_COLORS[currentTheme.stats.errors])}: ${errors}`,
       `${colorize('スキップ', ANSI_COLORS[currentTheme.stats.skipped])}: ${skipped}`,
       `${colorize('API', ANSI_COLORS[currentTheme.stats.api])}: ${apiCalls}`
-    ].join(' | ');
+    ];
+
+    // APIのレートリミッターの状態（残りの呼び出し枠と、次に呼び出せるまでの待機時間）
+    if (apiRate) {
+      statsItems.push(`${colorize('API枠', ANSI_COLORS[currentTheme.stats.api])}: ${Math.max(0, Math.floor(apiRate.tokens))}/${apiRate.capacity}`);
+      if (apiRate.waitMs >= 1000) {
+        const waitLabel = apiRate.blocked ? '制限待機' : '待機';
+        statsItems.push(`${colorize(waitLabel, ANSI_COLORS.yellow)}: ${Math.ceil(apiRate.waitMs / 1000)}秒`);
+      }
+    }
+
+    // ダウンロードの速度の上限（制限がある場合のみ）
+    if (bandwidth && bandwidth.limit) {
+      statsItems.push(`${colorize('帯域', ANSI_COLORS.cyan)}: ${formatFileSize(bandwidth.limit, 1)}/秒`);
+    }
+
+    // 段階ごとの件数（メタデータの段階とメディアの段階のパイプライン）
+    if (stages) {
+      statsItems.push(`${colorize('メタデータ', ANSI_COLORS.dim)}: 処理中 ${stages.metadata.active} / 完了 ${stages.metadata.completed}`);
+      statsItems.push(`${colorize('メディア', ANSI_COLORS.dim)}: 待ち ${stages.media.queued} / 処理中 ${stages.media.active} / 完了 ${stages.media.completed}`);
+    }
+    const statsLine = statsItems.join(' | ');
     output += `\n${colorize('━'.repeat(process.stdout.columns || 80), ANSI_COLORS.dim)}\n${statsLine}`;
   }
 
   // インタラクティブモードのヘルプ（最初の数回だけ表示）
   if (CONFIG.UX?.INTERACTIVE && interactiveState.active && interactiveState.lastKeyPress === null) {
-    output += `\n${colorize('ヘルプ: [スペース] 一時停止/再開 [+/-] 速度調整 [q] 終了', ANSI_COLORS.dim)}`;
+    output += `\n${colorize('ヘルプ: [スペース] 一時停止/再開 [+/-] 速度調整 [[/]] 帯域制限 [0] 帯域制限を設定に戻す [q] 終了', ANSI_COLORS.dim)}`;
   }
 
   return output;
@@ -362,7 +409,7 @@ function generateComplexProgress(status, progress, details = null) {
  * @param {Object} details - 追加の詳細情報
  */
 function displayProgress(status, progress, details = null) {
-  if (!CONFIG.SHOW_PROGRESS) return;
+  if (!CONFIG.SHOW_PROGRESS || CONFIG.QUIET) return;
 
   // プログレス情報を生成
   const progressOutput = generateComplexProgress(status, progress, details);
@@ -522,6 +569,13 @@ function enableInteractiveMode(options = {}) {
       }
     }
     
+    // [/]でダウンロードの帯域制限を変更、0で設定の帯域制限に戻す
+    if (options.onBandwidthChange) {
+      if (key === ']') options.onBandwidthChange('up');
+      if (key === '[') options.onBandwidthChange('down');
+      if (key === '0') options.onBandwidthChange('reset');
+    }
+    
     // qで終了
     if (key === 'q' || key === 'Q') {
       if (options.onQuit) {
@@ -0,0 +1,141 @@
+// プロキシの設定（HTTP_PROXY / HTTPS_PROXY / NO_PROXY / SOCKS_PROXY）の判定とプロキシ経由の接続
+// APIの呼び出し（twitter-api-service.js）とメディアのダウンロード（http-client.js）で同じ判定を使う
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { CONFIG } = require('../config/config');
+
+// プロキシのエラーと判定するメッセージ（プロキシのライブラリや axios のエラーメッセージ）
+const PROXY_ERROR_PATTERNS = [/proxy/i, /socks/i, /status code 407/, /プロキシ/];
+
+// プロキシのURLごとの共有エージェント（APIの呼び出し用。ダウンロードでは http-client.js がオリジンごとに作成する）
+const sharedAgents = new Map();
+
+/**
+ * NO_PROXY の1項目がURLのホストに一致するか判定する
+ * （"example.com" と ".example.com" はサブドメインも含む。"host:port" はポートも比較する）
+ * @param {string} pattern - NO_PROXY の項目
+ * @param {URL} url - リクエストするURL
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesNoProxyPattern(pattern, url) {
+  if (pattern === '*') return true;
+
+  const match = /^(.*?)(?::(\d+))?$/.exec(pattern.toLowerCase());
+  const host = match[1].replace(/^\*?\./, '').replace(/^\[|\]$/g, '');
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  if (match[2] && match[2] !== port) return false;
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  return hostname === host || hostname.endsWith(`.${host}`);
+}
+
+/**
+ * URLへのリクエストに使うプロキシのURLを取得する
+ * SOCKS_PROXY を指定した場合はすべてのリクエストに使い、それ以外は HTTP_PROXY / HTTPS_PROXY をURLのスキームで選ぶ
+ * @param {string} urlString - リクエストするURL
+ * @returns {string|null} プロキシのURL（プロキシを使わない場合はnull）
+ */
+function getProxyUrl(urlString) {
+  const url = new URL(urlString);
+  if ((CONFIG.NO_PROXY || []).some(pattern => matchesNoProxyPattern(pattern, url))) {
+    return null;
+  }
+
+  if (CONFIG.SOCKS_PROXY) return CONFIG.SOCKS_PROXY;
+
+  const proxy = url.protocol === 'https:' ? CONFIG.HTTPS_PROXY : CONFIG.HTTP_PROXY;
+  if (!proxy) return null;
+  // "proxy.example.com:8080" のようにスキームがない場合はHTTPのプロキシとして扱う
+  return /^[a-z][a-z0-9+.-]*:\/\//i.test(proxy) ? proxy : `http://${proxy}`;
+}
+
+/**
+ * プロキシ経由で接続するエージェントを作成する
+ * HTTP(S)のプロキシには CONNECT で接続する（HTTPのリクエストも同じ）
+ * @param {string} proxyUrl - プロキシのURL（getProxyUrl の結果）
+ * @param {Object} [options] - エージェントのオプション（keepAlive、maxSockets など）
+ * @returns {HttpsProxyAgent|SocksProxyAgent} エージェント
+ */
+function createProxyAgent(proxyUrl, options = {}) {
+  return /^socks/i.test(proxyUrl)
+    ? new SocksProxyAgent(proxyUrl, options)
+    : new HttpsProxyAgent(proxyUrl, options);
+}
+
+/**
+ * プロキシのURLごとに共有するエージェントを取得する（なければ作成する）
+ * @param {string} proxyUrl - プロキシのURL（getProxyUrl の結果）
+ * @returns {HttpsProxyAgent|SocksProxyAgent} エージェント
+ */
+function getSharedProxyAgent(proxyUrl) {
+  let agent = sharedAgents.get(proxyUrl);
+  if (!agent) {
+    agent = createProxyAgent(proxyUrl, { keepAlive: true });
+    sharedAgents.set(proxyUrl, agent);
+  }
+  return agent;
+}
+
+/**
+ * ログやエラーメッセージに表示するプロキシのアドレス（認証情報は表示しない）
+ * @param {string} proxyUrl - プロキシのURL
+ * @returns {string} "socks5h://127.0.0.1:1080" のようなアドレス
+ */
+function describeProxy(proxyUrl) {
+  const url = new URL(proxyUrl);
+  return `${url.protocol}//${url.host}`;
+}
+
+/**
+ * プロキシのエラーを作成する
+ * @param {string} message - エラーメッセージ
+ * @param {number} [statusCode] - プロキシが返したステータスコード（CONNECTが拒否された場合）
+ * @returns {Error} エラー（type: 'proxy'）
+ */
+function createProxyError(message, statusCode) {
+  const error = new Error(`プロキシエラー: ${message}`);
+  error.type = 'proxy';
+  if (statusCode) {
+    error.statusCode = statusCode;
+  }
+  return error;
+}
+
+/**
+ * エラーメッセージがプロキシのエラーを表すか判定する
+ * （プロキシのライブラリのメッセージのほか、設定したプロキシのアドレスへの接続エラーも含む）
+ * @param {string} message - エラーメッセージ
+ * @returns {boolean} プロキシのエラーの場合はtrue
+ */
+function isProxyErrorMessage(message) {
+  if (PROXY_ERROR_PATTERNS.some(pattern => pattern.test(message))) return true;
+
+  return [CONFIG.SOCKS_PROXY, CONFIG.HTTPS_PROXY, CONFIG.HTTP_PROXY]
+    .filter(Boolean)
+    .some((proxy) => {
+      try {
+        const { host } = new URL(/:\/\//.test(proxy) ? proxy : `http://${proxy}`);
+        return host.includes(':') && message.includes(host);
+      } catch (error) {
+        return false;
+      }
+    });
+}
+
+/**
+ * 保持しているプロキシ用のエージェントの接続をすべて閉じる
+ */
+function closeProxyAgents() {
+  sharedAgents.forEach(agent => agent.destroy());
+  sharedAgents.clear();
+}
+
+module.exports = {
+  getProxyUrl,
+  createProxyAgent,
+  getSharedProxyAgent,
+  describeProxy,
+  createProxyError,
+  isProxyErrorMessage,
+  closeProxyAgents
+};
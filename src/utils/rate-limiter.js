@@ -0,0 +1,181 @@
+// API呼び出しの間隔を調整するトークンバケット方式のレートリミッター
+// レート制限エラーを受けると間隔を広げて一定時間停止し、成功が続くと少しずつ元の間隔に戻す
+const { sleep } = require('./error-handlers');
+
+// レート制限時に広げる間隔の上限(ミリ秒)
+const MAX_INTERVAL = 60000;
+
+// レート制限時に広げる間隔の下限(ミリ秒)（基本間隔が0の場合も間隔を空けるため）
+const MIN_SLOWDOWN_INTERVAL = 1000;
+
+// 成功するたびに間隔に掛ける係数（基本間隔まで少しずつ戻す）
+const RECOVERY_FACTOR = 0.9;
+
+// レート制限として扱う、連続したAPIエラーの回数
+const CONSECUTIVE_ERROR_LIMIT = 3;
+
+/**
+ * レスポンスまたはエラーのヘッダーから、次の呼び出しまでの待機時間を取得する
+ * （Retry-After は秒数または日時、x-rate-limit-reset は制限が解除されるUNIX時刻(秒)）
+ * @param {Object} source - ヘッダーを含むレスポンス、またはレスポンスを含むエラー
+ * @returns {number|null} 待機時間(ミリ秒)、ヘッダーがない場合はnull
+ */
+function getRetryDelay(source) {
+  const headers = source?.response?.headers || source?.headers;
+  if (!headers) return null;
+
+  const retryAfter = headers['retry-after'];
+  if (retryAfter !== undefined) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const retryAt = Date.parse(retryAfter);
+    if (!Number.isNaN(retryAt)) return Math.max(0, retryAt - Date.now());
+  }
+
+  const reset = Number(headers['x-rate-limit-reset']);
+  if (Number.isFinite(reset) && reset > 0) {
+    return Math.max(0, reset * 1000 - Date.now());
+  }
+
+  return null;
+}
+
+/**
+ * トークンバケット方式のレートリミッターを作成する
+ * @param {Object} options - オプション
+ * @param {number} options.interval - トークンが1つ補充される基本間隔(ミリ秒)
+ * @param {number} options.capacity - バケットの容量（連続して呼び出せる回数）
+ * @param {number} options.cooldown - レート制限エラーで待機時間が分からない場合の待機時間(ミリ秒)
+ * @param {function(string): void} [options.onThrottle] - レート制限で停止するときに呼ばれる関数（メッセージを受け取る）
+ * @returns {Object} レートリミッター
+ */
+function createRateLimiter({ interval, capacity, cooldown, onThrottle = null }) {
+  let tokens = capacity;
+  let lastRefill = Date.now();
+  let currentInterval = interval;
+  let blockedUntil = 0;
+  let speedFactor = 1.0;
+  let consecutiveErrors = 0;
+
+  // 待機中の呼び出し（到着順にトークンを渡すため、1つずつ順番に処理する）
+  let queue = Promise.resolve();
+
+  /**
+   * 速度調整を反映した現在の間隔を取得する
+   * @returns {number} 間隔(ミリ秒)
+   */
+  const getEffectiveInterval = () => currentInterval / speedFactor;
+
+  /**
+   * 経過時間に応じてトークンを補充する
+   */
+  const refill = () => {
+    const now = Date.now();
+    const effectiveInterval = getEffectiveInterval();
+    tokens = effectiveInterval > 0
+      ? Math.min(capacity, tokens + (now - lastRefill) / effectiveInterval)
+      : capacity;
+    lastRefill = now;
+  };
+
+  /**
+   * 次のトークンが使えるまでの待機時間を取得する
+   * @returns {number} 待機時間(ミリ秒)
+   */
+  const getWaitTime = () => {
+    refill();
+    const blockedWait = Math.max(0, blockedUntil - Date.now());
+    const tokenWait = tokens >= 1 ? 0 : (1 - tokens) * getEffectiveInterval();
+    return Math.max(blockedWait, Math.ceil(tokenWait));
+  };
+
+  /**
+   * トークンを1つ取得する（トークンがない場合や停止中は待機する）
+   * @returns {Promise<void>} トークンを取得したら解決する
+   */
+  function acquire() {
+    const turn = queue.then(async () => {
+      for (let wait = getWaitTime(); wait > 0; wait = getWaitTime()) {
+        await sleep(wait);
+      }
+      tokens -= 1;
+    });
+    queue = turn.catch(() => {});
+    return turn;
+  }
+
+  /**
+   * 呼び出しの成功を記録する（間隔を少しずつ基本間隔に戻す）
+   */
+  function reportSuccess() {
+    consecutiveErrors = 0;
+    currentInterval = Math.max(interval, currentInterval * RECOVERY_FACTOR);
+  }
+
+  /**
+   * レート制限を記録する（間隔を広げ、待機時間が過ぎるまで停止する）
+   * @param {number|null} [retryDelay] - ヘッダーなどから分かった待機時間(ミリ秒)
+   */
+  function reportRateLimit(retryDelay = null) {
+    consecutiveErrors = 0;
+    refill();
+    tokens = 0;
+    currentInterval = Math.min(MAX_INTERVAL, Math.max(MIN_SLOWDOWN_INTERVAL, currentInterval * 2));
+
+    const wait = retryDelay !== null ? retryDelay : cooldown;
+    blockedUntil = Math.max(blockedUntil, Date.now() + wait);
+
+    if (onThrottle) {
+      onThrottle(`${Math.ceil(wait / 1000)}秒待機し、API呼び出しの間隔を ${(currentInterval / 1000).toFixed(1)}秒 に広げます`);
+    }
+  }
+
+  /**
+   * レート制限以外のAPIエラーを記録する（連続した場合はレート制限として扱う）
+   */
+  function reportError() {
+    consecutiveErrors++;
+    if (consecutiveErrors >= CONSECUTIVE_ERROR_LIMIT) {
+      reportRateLimit();
+    }
+  }
+
+  /**
+   * 速度を調整する（インタラクティブモードの速度変更）
+   * @param {number} factor - 速度の倍率（2.0 で間隔が半分）
+   */
+  function setSpeedFactor(factor) {
+    refill();
+    speedFactor = factor;
+  }
+
+  /**
+   * 現在の状態を取得する（進捗表示用）
+   * @returns {{tokens: number, capacity: number, waitMs: number, interval: number, blocked: boolean}} 状態
+   */
+  function getStatus() {
+    const waitMs = getWaitTime();
+    return {
+      tokens,
+      capacity,
+      waitMs,
+      interval: getEffectiveInterval(),
+      blocked: blockedUntil > Date.now()
+    };
+  }
+
+  return {
+    acquire,
+    reportSuccess,
+    reportRateLimit,
+    reportError,
+    setSpeedFactor,
+    getStatus
+  };
+}
+
+module.exports = {
+  getRetryDelay,
+  createRateLimiter
+};
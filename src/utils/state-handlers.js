@@ -0,0 +1,131 @@
+// 処理状態（セーブポイント）の保存と復元を行うユーティリティ関数
+// 処理済みのツイートIDはセーブポイントのファイルとは別のファイル（<セーブポイント>.ids）に1行ずつ追記し、
+// セーブポイントのファイルには件数と統計情報だけを保存する（件数が多くても保存のたびに全体を書き直さない）
+const fs = require('fs').promises;
+const path = require('path');
+const { CONFIG } = require('../config/config');
+const { logDebug } = require('./error-handlers');
+const { colorize, ANSI_COLORS } = require('./progress-bar');
+
+// 実行中の保存処理（並列処理で同時に呼ばれても、書き込みが重ならないように順番に保存する）
+let pendingSave = Promise.resolve();
+
+// ツイートIDのファイルに書き込み済みの処理済みのツイートID（set: 書き込んだ Set、count: 書き込んだ件数）
+// 別の Set を保存する場合（最初から処理する場合）は、ファイルを書き直す
+let persistedIds = { set: null, count: 0 };
+
+/**
+ * 処理済みのツイートIDを保存するファイルのパスを取得する
+ * @returns {string} ファイルパス（セーブポイントのファイルの拡張子を .ids にしたもの）
+ */
+function getProcessedIdsPath() {
+  const { dir, name } = path.parse(CONFIG.STATE_FILE_PATH);
+  return path.join(dir, `${name}.ids`);
+}
+
+/**
+ * 状態を保存する
+ * 再開はツイートIDで判定するため、新しいエクスポートで件数や順番が変わったり、絞り込み条件を変えたりしても続きから処理できる
+ * 処理済みのツイートIDは、前回の保存から増えた分だけを追記する
+ * @param {Set<string>} processedIds - 処理済みのツイートID（次回はこれらを除いて処理する。追加のみ行う）
+ * @param {number} processedCount - 今回処理するアイテムのうち処理済みの件数
+ * @param {number} totalItems - 処理するアイテムの総数
+ * @param {Object} stats - 処理の統計情報（savePointCount と lastSavePoint が更新される）
+ * @returns {Promise<boolean>} 保存成功時はtrue
+ */
+async function saveState(processedIds, processedCount, totalItems, stats) {
+  // 保存するまでに処理済みのIDが増えないように、呼び出した時点で追記する分を決める
+  const rewrite = persistedIds.set !== processedIds;
+  const start = rewrite ? 0 : persistedIds.count;
+  const ids = [];
+  let index = 0;
+  for (const id of processedIds) {
+    if (index++ >= start) ids.push(id);
+  }
+  persistedIds = { set: processedIds, count: processedIds.size };
+
+  const save = pendingSave.then(() => writeState(ids, rewrite, processedCount, totalItems, stats));
+  pendingSave = save;
+  return save;
+}
+
+/**
+ * 状態をファイルに書き込む（saveState から順番に呼ばれる）
+ * @param {Array<string>} ids - 書き込む処理済みのツイートID
+ * @param {boolean} rewrite - ツイートIDのファイルを書き直す場合はtrue（false の場合は追記する）
+ * @param {number} processedCount - 処理済みの件数
+ * @param {number} totalItems - 処理するアイテムの総数
+ * @param {Object} stats - 処理の統計情報
+ * @returns {Promise<boolean>} 保存成功時はtrue
+ */
+async function writeState(ids, rewrite, processedCount, totalItems, stats) {
+  try {
+    stats.savePointCount++;
+    stats.lastSavePoint = processedCount;
+
+    const saveData = {
+      timestamp: new Date().toISOString(),
+      processedCount,
+      totalItems,
+      stats: { ...stats },
+      remainingItems: totalItems - processedCount
+    };
+
+    await fs.mkdir(path.dirname(CONFIG.STATE_FILE_PATH), { recursive: true });
+    // ツイートIDを先に書き込む（途中で中断されても、セーブポイントのファイルより古くならない）
+    const idsText = ids.map(id => `${id}\n`).join('');
+    if (rewrite) {
+      await fs.writeFile(getProcessedIdsPath(), idsText, 'utf8');
+    } else if (idsText) {
+      await fs.appendFile(getProcessedIdsPath(), idsText, 'utf8');
+    }
+    await fs.writeFile(CONFIG.STATE_FILE_PATH, JSON.stringify(saveData), 'utf8');
+
+    logDebug(`${colorize('セーブポイント作成', ANSI_COLORS.green)}: ${processedCount}/${totalItems} 件処理済み (${Math.round((processedCount / totalItems) * 100)}%)`);
+    return true;
+  } catch (err) {
+    // 次の保存ではツイートIDのファイルを書き直す
+    persistedIds = { set: null, count: 0 };
+    console.error(`${colorize('セーブポイント作成エラー', ANSI_COLORS.red)}:`, err);
+    return false;
+  }
+}
+
+/**
+ * 保存された状態を読み込む
+ * 処理済みのツイートIDは processedIds（Set）として返す（セーブポイントのファイルに配列で保存した古い形式も読み込む）
+ * @returns {Promise<Object|null>} 保存された状態オブジェクト、またはnull
+ */
+async function loadState() {
+  let state;
+  try {
+    state = JSON.parse(await fs.readFile(CONFIG.STATE_FILE_PATH, 'utf8'));
+  } catch (err) {
+    // ファイルがない場合は静かに失敗
+    return null;
+  }
+
+  if (Array.isArray(state.processedIds)) {
+    state.processedIds = new Set(state.processedIds);
+    return state;
+  }
+
+  try {
+    const text = await fs.readFile(getProcessedIdsPath(), 'utf8');
+    // 書き込み中に中断された最後の行（改行で終わっていない行）は使わない
+    const lines = text.split('\n').slice(0, -1).filter(Boolean);
+    state.processedIds = new Set(lines);
+    // 再開した場合は、読み込んだツイートIDに追記する（最後の行が中断されていた場合は書き直す）
+    persistedIds = text === '' || text.endsWith('\n')
+      ? { set: state.processedIds, count: state.processedIds.size }
+      : { set: null, count: 0 };
+  } catch (err) {
+    // ツイートIDを記録していない古い形式のセーブポイント
+  }
+  return state;
+}
+
+module.exports = {
+  saveState,
+  loadState
+};
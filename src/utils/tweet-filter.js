@@ -0,0 +1,173 @@
+// 処理するツイートの絞り込み（ID・投稿日時・投稿者・メディアの種類・件数）
+// 条件は CONFIG.FILTER で指定し、download, status, export で同じ条件を使う
+const { CONFIG } = require('../config/config');
+const { getMetadataAuthor, getMetadataMediaTypes } = require('../services/metadata-service');
+const { getScreenNameFromUrl } = require('../sources/source-utils');
+
+// ツイートIDの基準時刻（Snowflake形式のIDの上位ビットはこの時刻からのミリ秒）
+// Snowflake導入前（2010年11月以前）のIDからはこの時刻付近の日時が求まるため、それより前のツイートとして扱える
+const TWITTER_EPOCH = 1288834974657n;
+
+// 日付のみの指定（時刻なし）のパターン
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * ツイートIDから投稿日時を求める
+ * @param {string} tweetId - ツイートID
+ * @returns {Date} 投稿日時
+ */
+function getTweetDate(tweetId) {
+  return new Date(Number((BigInt(tweetId) >> 22n) + TWITTER_EPOCH));
+}
+
+/**
+ * ユーザー名を比較用に正規化する
+ * @param {string} name - ユーザー名（@付きも可）
+ * @returns {string} 小文字・@なしのユーザー名
+ */
+function normalizeAuthor(name) {
+  return name.replace(/^@/, '').toLowerCase();
+}
+
+/**
+ * CONFIG.FILTER の値を比較しやすい形に変換する（件数の上限 LIMIT は含まない）
+ * @returns {Object} 絞り込み条件（指定されていない条件はnull）
+ */
+function getFilterSettings() {
+  const filter = CONFIG.FILTER;
+
+  // 日付のみの UNTIL はその日の終わりまでを含める
+  let untilTime = null;
+  if (filter.UNTIL) {
+    untilTime = DATE_ONLY_PATTERN.test(filter.UNTIL)
+      ? Date.parse(filter.UNTIL) + 24 * 60 * 60 * 1000 - 1
+      : Date.parse(filter.UNTIL);
+  }
+
+  return {
+    minId: filter.MIN_ID ? BigInt(filter.MIN_ID) : null,
+    maxId: filter.MAX_ID ? BigInt(filter.MAX_ID) : null,
+    ids: filter.IDS ? new Set(filter.IDS) : null,
+    sinceTime: filter.SINCE ? Date.parse(filter.SINCE) : null,
+    untilTime,
+    authors: filter.AUTHORS ? new Set(filter.AUTHORS.map(normalizeAuthor)) : null,
+    excludeAuthors: filter.EXCLUDE_AUTHORS ? new Set(filter.EXCLUDE_AUTHORS.map(normalizeAuthor)) : null,
+    mediaTypes: filter.MEDIA_TYPES ? new Set(filter.MEDIA_TYPES) : null
+  };
+}
+
+/**
+ * 指定されている絞り込み条件の説明を取得する
+ * @returns {Array<string>} 条件の説明（条件がない場合は空の配列）
+ */
+function describeFilters() {
+  const filter = CONFIG.FILTER;
+  const descriptions = [];
+
+  if (filter.MIN_ID || filter.MAX_ID) descriptions.push(`ID: ${filter.MIN_ID || ''}〜${filter.MAX_ID || ''}`);
+  if (filter.IDS) descriptions.push(`ID指定: ${filter.IDS.length}件`);
+  if (filter.SINCE || filter.UNTIL) descriptions.push(`投稿日時: ${filter.SINCE || ''}〜${filter.UNTIL || ''}`);
+  if (filter.AUTHORS) descriptions.push(`投稿者: ${filter.AUTHORS.join(', ')}`);
+  if (filter.EXCLUDE_AUTHORS) descriptions.push(`除外する投稿者: ${filter.EXCLUDE_AUTHORS.join(', ')}`);
+  if (filter.MEDIA_TYPES) descriptions.push(`メディア: ${filter.MEDIA_TYPES.join(', ')}`);
+  if (filter.LIMIT) descriptions.push(`最大 ${filter.LIMIT}件`);
+
+  return descriptions;
+}
+
+/**
+ * ツイートIDだけで判定できる条件（IDの範囲・ID指定・投稿日時）に一致するか判定する
+ * @param {string} tweetId - ツイートID
+ * @param {Object} settings - getFilterSettingsの戻り値
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesIdFilters(tweetId, settings) {
+  if (settings.ids && !settings.ids.has(tweetId)) return false;
+
+  const id = BigInt(tweetId);
+  if (settings.minId !== null && id < settings.minId) return false;
+  if (settings.maxId !== null && id > settings.maxId) return false;
+
+  if (settings.sinceTime !== null || settings.untilTime !== null) {
+    const time = getTweetDate(tweetId).getTime();
+    if (settings.sinceTime !== null && time < settings.sinceTime) return false;
+    if (settings.untilTime !== null && time > settings.untilTime) return false;
+  }
+
+  return true;
+}
+
+/**
+ * 投稿者とメディアの種類の条件に一致するか判定する
+ * 判定に必要な情報がない場合（メタデータ未取得）は一致として扱い、ダウンロード時にメタデータを取得してから判定する
+ * @param {Object|null} metadata - 保存済みのメタデータ
+ * @param {string} [tweetUrl] - ツイートURL（メタデータがない場合に投稿者を取り出す）
+ * @param {Object} [settings] - getFilterSettingsの戻り値
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesMetadataFilters(metadata, tweetUrl, settings = getFilterSettings()) {
+  if (settings.authors || settings.excludeAuthors) {
+    const author = getMetadataAuthor(metadata) || getScreenNameFromUrl(tweetUrl);
+    if (author) {
+      const normalized = normalizeAuthor(author);
+      if (settings.authors && !settings.authors.has(normalized)) return false;
+      if (settings.excludeAuthors && settings.excludeAuthors.has(normalized)) return false;
+    }
+  }
+
+  if (settings.mediaTypes && metadata) {
+    const mediaTypes = getMetadataMediaTypes(metadata);
+    if (mediaTypes.length > 0 && !mediaTypes.some(type => settings.mediaTypes.has(type))) return false;
+  }
+
+  return true;
+}
+
+/**
+ * メディアの種類が条件に一致するか判定する（ツイート内のファイルごとの判定に使う）
+ * @param {string} mediaType - メディアの種類（'photo', 'video', 'gif'）
+ * @returns {boolean} 一致する場合はtrue
+ */
+function matchesMediaType(mediaType) {
+  return !CONFIG.FILTER.MEDIA_TYPES || CONFIG.FILTER.MEDIA_TYPES.includes(mediaType);
+}
+
+/**
+ * アイテムが絞り込み条件に一致するか判定する関数を作成する（件数の上限は含まない）
+ * @param {function(string): (Object|null)} getMetadata - ツイートIDから保存済みのメタデータを取得する関数
+ * @returns {function({tweetId: string, tweetUrl: string}): boolean} 一致する場合にtrueを返す関数
+ */
+function createItemMatcher(getMetadata) {
+  const settings = getFilterSettings();
+  const usesMetadata = Boolean(settings.authors || settings.excludeAuthors || settings.mediaTypes);
+
+  return ({ tweetId, tweetUrl }) =>
+    matchesIdFilters(tweetId, settings) &&
+    (!usesMetadata || matchesMetadataFilters(getMetadata(tweetId), tweetUrl, settings));
+}
+
+/**
+ * アイテムを絞り込み条件で絞り込む（件数の上限は絞り込み後の先頭から適用）
+ * @param {Array<{tweetId: string, tweetUrl: string}>} items - 処理順に並んだアイテム
+ * @param {function(string): (Object|null)} getMetadata - ツイートIDから保存済みのメタデータを取得する関数
+ * @returns {{items: Array<Object>, excluded: number}} 条件に一致したアイテムと、除外した件数
+ */
+function filterItems(items, getMetadata) {
+  const limit = CONFIG.FILTER.LIMIT;
+  let filtered = items.filter(createItemMatcher(getMetadata));
+
+  if (limit !== null && filtered.length > limit) {
+    filtered = filtered.slice(0, limit);
+  }
+
+  return { items: filtered, excluded: items.length - filtered.length };
+}
+
+module.exports = {
+  getTweetDate,
+  describeFilters,
+  matchesMetadataFilters,
+  matchesMediaType,
+  createItemMatcher,
+  filterItems
+};
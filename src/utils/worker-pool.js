@@ -0,0 +1,176 @@
+// 並列処理のユーティリティ関数（同時実行数を制限したワーカープールとセマフォ）
+
+/**
+ * 同時実行数を制限して関数を実行するリミッター（セマフォ）を作成する
+ * @param {number} concurrency - 同時に実行できる数
+ * @returns {{run: function(function(): Promise<*>): Promise<*>, getActiveCount: function(): number}} リミッター
+ */
+function createLimiter(concurrency) {
+  let active = 0;
+  const waiting = [];
+
+  /**
+   * 空きができるまで待ってから関数を実行する
+   * @param {function(): Promise<*>} task - 実行する関数
+   * @returns {Promise<*>} 関数の戻り値
+   */
+  async function run(task) {
+    if (active >= concurrency) {
+      await new Promise(resolve => waiting.push(resolve));
+    }
+    active++;
+
+    try {
+      return await task();
+    } finally {
+      active--;
+      const next = waiting.shift();
+      if (next) next();
+    }
+  }
+
+  return {
+    run,
+    getActiveCount: () => active
+  };
+}
+
+/**
+ * アイテムを決まった数のワーカーで並列に処理する
+ * 各ワーカーは処理が終わるたびに次のアイテムを取り出す（処理の開始順はアイテムの順番どおり）
+ * 配列の場合は startIndex 番目から取り出す。イテラブル（非同期イテレーターを含む）の場合は先頭から取り出し、
+ * インデックスを startIndex から数える（続きから読み込むイテレーターを渡す）
+ * @param {Array|Iterable|AsyncIterable} items - 処理するアイテム
+ * @param {number} concurrency - ワーカー数
+ * @param {function(*, number, number): Promise<void>} handler - 処理関数 (アイテム, インデックス, ワーカー番号)
+ * @param {Object} [options] - オプション
+ * @param {number} [options.startIndex] - 処理を開始するインデックス
+ * @param {function(): boolean} [options.shouldStop] - trueを返すと新しいアイテムの取り出しをやめる
+ * @param {function(number): Promise<void>} [options.beforeEach] - アイテムを取り出す前に待機する関数（一時停止など）
+ * @returns {Promise<void>} すべてのワーカーが終了したら解決する。処理関数のエラーは、実行中の処理が終わってから投げる
+ */
+async function runWorkerPool(items, concurrency, handler, options = {}) {
+  const { startIndex = 0, shouldStop = () => false, beforeEach = null } = options;
+  const isArray = Array.isArray(items);
+  const iterator = isArray
+    ? items.slice(startIndex)[Symbol.iterator]()
+    : (items[Symbol.asyncIterator] ? items[Symbol.asyncIterator]() : items[Symbol.iterator]());
+  let nextIndex = startIndex;
+  let exhausted = false;
+  let failure = null;
+
+  const worker = async (workerId) => {
+    while (!failure && !shouldStop()) {
+      if (beforeEach) {
+        await beforeEach(workerId);
+        if (failure || shouldStop()) break;
+      }
+      if (exhausted) break;
+
+      // 取り出しを待つ間に他のワーカーが取り出しても順番が入れ替わらないよう、先にインデックスを決める
+      const index = nextIndex++;
+      let next;
+      try {
+        next = await iterator.next();
+      } catch (error) {
+        failure = failure || error;
+        break;
+      }
+      if (next.done) {
+        exhausted = true;
+        break;
+      }
+
+      try {
+        await handler(next.value, index, workerId);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, isArray ? Math.min(concurrency, items.length - startIndex) : concurrency);
+  try {
+    await Promise.all(Array.from({ length: workerCount }, (_, workerId) => worker(workerId)));
+  } finally {
+    // 途中で終わった場合は読み込み中のファイルなどを閉じる
+    if (!exhausted && typeof iterator.return === 'function') {
+      await iterator.return();
+    }
+  }
+
+  if (failure) {
+    throw failure;
+  }
+}
+
+/**
+ * 容量に上限のある非同期キュー（処理の段階の間でアイテムを受け渡す）
+ * キューがいっぱいの間は push が待機するため、前の段階が後の段階より先に進みすぎない
+ * @param {number} capacity - キューに入れておける数の上限
+ * @returns {{push: function(*): Promise<boolean>, shift: function(): Promise<*>, close: function(): void, size: function(): number}} キュー
+ */
+function createBoundedQueue(capacity) {
+  const buffer = [];
+  const waitingPushers = [];
+  const waitingShifters = [];
+  let closed = false;
+
+  /**
+   * アイテムを追加する（いっぱいの場合は空きができるまで待機する）
+   * @param {*} item - 追加するアイテム
+   * @returns {Promise<boolean>} 追加できた場合はtrue、キューが閉じられている場合はfalse
+   */
+  async function push(item) {
+    while (!closed && buffer.length >= capacity && waitingShifters.length === 0) {
+      await new Promise(resolve => waitingPushers.push(resolve));
+    }
+    if (closed) return false;
+
+    // 取り出しを待っているものがあれば直接渡す
+    const shifter = waitingShifters.shift();
+    if (shifter) {
+      shifter(item);
+    } else {
+      buffer.push(item);
+    }
+    return true;
+  }
+
+  /**
+   * アイテムを取り出す（空の場合は追加されるまで待機する）
+   * @returns {Promise<*>} 取り出したアイテム。キューが閉じられて空の場合はnull
+   */
+  async function shift() {
+    if (buffer.length > 0) {
+      const item = buffer.shift();
+      const pusher = waitingPushers.shift();
+      if (pusher) pusher();
+      return item;
+    }
+    if (closed) return null;
+    return new Promise(resolve => waitingShifters.push(resolve));
+  }
+
+  /**
+   * キューを閉じる（残っているアイテムは取り出せるが、追加はできなくなる）
+   */
+  function close() {
+    closed = true;
+    waitingPushers.splice(0).forEach(resolve => resolve());
+    waitingShifters.splice(0).forEach(resolve => resolve(null));
+  }
+
+  return {
+    push,
+    shift,
+    close,
+    size: () => buffer.length
+  };
+}
+
+module.exports = {
+  createLimiter,
+  runWorkerPool,
+  createBoundedQueue
+};
@@ -0,0 +1,142 @@
+// Twitterアーカイブのデータファイル（window.YTD.<データ名>.partN = [...]）をストリームで読み込む
+// ファイル全体を文字列にせず、配列の要素を1件ずつパースして返すため、大きなファイルでもメモリをほとんど使わない
+
+// データファイルの先頭の代入部分（window.YTD.<データ名>.partN =）
+const YTD_ASSIGNMENT_PATTERN = /^\s*window\.YTD\.(\w+)\.part(\d+)\s*=\s*$/;
+
+// 代入部分を探す範囲の上限(文字数)（これより先に配列が始まらない場合は形式が異なるものとする）
+const MAX_PREFIX_LENGTH = 1024;
+
+// 要素の中で判定が必要な文字（文字列の外: 引用符・括弧・カンマ、文字列の中: 引用符・エスケープ）
+// 間の文字は1文字ずつ調べずに読み飛ばす
+const STRUCTURE_PATTERN = /["{}[\],]/g;
+const STRING_PATTERN = /["\\]/g;
+
+/**
+ * データファイルのストリームから配列の要素を1件ずつ取り出す
+ * @param {import('stream').Readable} stream - データファイルの内容のストリーム
+ * @param {string} [encoding] - ファイルのエンコーディング
+ * @returns {AsyncGenerator<*>} パースした配列の要素
+ * @throws {Error} 想定した形式でない場合、または要素をパースできない場合
+ */
+async function* parseYtdStream(stream, encoding = 'utf8') {
+  stream.setEncoding(encoding);
+
+  // 'prefix': 代入部分、'between': 要素の間、'element': 要素の中、'end': 配列の後
+  let state = 'prefix';
+  let prefix = '';
+  let element = '';
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  try {
+    for await (const chunk of stream) {
+      const parsed = [];
+      let elementStart = 0;
+      let i = 0;
+
+      while (i < chunk.length) {
+        if (state === 'element') {
+          if (escaped) {
+            escaped = false;
+            i++;
+            continue;
+          }
+
+          const pattern = inString ? STRING_PATTERN : STRUCTURE_PATTERN;
+          pattern.lastIndex = i;
+          const match = pattern.exec(chunk);
+          if (!match) break;
+
+          const char = match[0];
+          i = match.index + 1;
+
+          if (inString) {
+            if (char === '\\') {
+              escaped = true;
+            } else {
+              inString = false;
+            }
+          } else if (char === '"') {
+            inString = true;
+          } else if (char === '{' || char === '[') {
+            depth++;
+          } else if (depth > 0) {
+            if (char !== ',') depth--;
+          } else if (char === ',' || char === ']') {
+            // 入れ子の外のカンマか閉じ括弧で要素が終わる
+            element += chunk.slice(elementStart, match.index);
+            parsed.push(JSON.parse(element));
+            element = '';
+            state = char === ']' ? 'end' : 'between';
+          }
+          continue;
+        }
+
+        const char = chunk[i];
+
+        if (state === 'between') {
+          if (/\s/.test(char) || char === ',') {
+            i++;
+            continue;
+          }
+          if (char === ']') {
+            state = 'end';
+            i++;
+            continue;
+          }
+          // 要素の最初の文字も入れ子や文字列の判定に含める
+          state = 'element';
+          elementStart = i;
+          continue;
+        }
+
+        i++;
+
+        if (state === 'prefix') {
+          if (char === '[' || char === '{') {
+            if (!YTD_ASSIGNMENT_PATTERN.test(prefix)) {
+              throw new Error('window.YTD 形式のデータが見つかりません');
+            }
+            if (char === '{') {
+              throw new Error('データが配列ではありません');
+            }
+            state = 'between';
+            continue;
+          }
+          prefix += char;
+          if (prefix.length > MAX_PREFIX_LENGTH) {
+            throw new Error('window.YTD 形式のデータが見つかりません');
+          }
+          continue;
+        }
+
+        // 配列の後は空白とセミコロンのみ
+        if (!/\s/.test(char) && char !== ';') {
+          throw new Error('配列の後に不正なデータがあります');
+        }
+      }
+
+      // チャンクの終わりで途中の要素は次のチャンクにつなげる
+      if (state === 'element') {
+        element += chunk.slice(elementStart);
+      }
+
+      yield* parsed;
+    }
+  } finally {
+    stream.destroy();
+  }
+
+  if (state === 'prefix') {
+    throw new Error('window.YTD 形式のデータが見つかりません');
+  }
+  if (state !== 'end') {
+    throw new Error('データが途中で終わっています');
+  }
+}
+
+module.exports = {
+  parseYtdStream
+};
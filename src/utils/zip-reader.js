@@ -0,0 +1,323 @@
+// ZIPファイルを展開せずに読み込むためのユーティリティ関数
+// （セントラルディレクトリを読み、必要なエントリだけを取り出す）
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// ZIPのシグネチャ
+const SIGNATURES = {
+  localFileHeader: 0x04034b50,
+  centralDirectory: 0x02014b50,
+  endOfCentralDirectory: 0x06054b50,
+  zip64EndOfCentralDirectory: 0x06064b50,
+  zip64EndOfCentralDirectoryLocator: 0x07064b50
+};
+
+// 圧縮方式
+const COMPRESSION_METHODS = {
+  stored: 0,
+  deflate: 8
+};
+
+// EOCDレコードの最小サイズとコメントの最大長
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+/**
+ * ファイルの指定位置から読み込む
+ * @param {number} fd - ファイルディスクリプタ
+ * @param {number} position - 読み込み位置
+ * @param {number} length - 読み込むバイト数
+ * @returns {Buffer} 読み込んだデータ
+ */
+function readAt(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return bytesRead < length ? buffer.subarray(0, bytesRead) : buffer;
+}
+
+/**
+ * 64ビット値を読み込む（Numberで安全に扱える範囲のみ）
+ * @param {Buffer} buffer - バッファ
+ * @param {number} offset - オフセット
+ * @returns {number} 読み込んだ値
+ */
+function readUInt64(buffer, offset) {
+  return Number(buffer.readBigUInt64LE(offset));
+}
+
+/**
+ * セントラルディレクトリの位置とエントリ数を取得する
+ * @param {number} fd - ファイルディスクリプタ
+ * @param {number} fileSize - ZIPファイルのサイズ
+ * @returns {{offset: number, size: number, entryCount: number}} セントラルディレクトリ情報
+ */
+function readEndOfCentralDirectory(fd, fileSize) {
+  // EOCDはファイル末尾（コメントの手前）にあるため、末尾から逆方向に探す
+  const searchLength = Math.min(fileSize, EOCD_MIN_SIZE + MAX_COMMENT_LENGTH);
+  const searchStart = fileSize - searchLength;
+  const tail = readAt(fd, searchStart, searchLength);
+
+  let eocdIndex = -1;
+  for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+    if (tail.readUInt32LE(i) === SIGNATURES.endOfCentralDirectory) {
+      eocdIndex = i;
+      break;
+    }
+  }
+
+  if (eocdIndex === -1) {
+    throw new Error('ZIPファイルの終端レコードが見つかりません（ZIP形式ではないか、破損しています）');
+  }
+
+  let entryCount = tail.readUInt16LE(eocdIndex + 10);
+  let size = tail.readUInt32LE(eocdIndex + 12);
+  let offset = tail.readUInt32LE(eocdIndex + 16);
+
+  // ZIP64形式（4GBを超えるアーカイブ）の場合は拡張レコードから読み直す
+  const locatorIndex = eocdIndex - 20;
+  if (locatorIndex >= 0 && tail.readUInt32LE(locatorIndex) === SIGNATURES.zip64EndOfCentralDirectoryLocator) {
+    const zip64EocdOffset = readUInt64(tail, locatorIndex + 8);
+    const zip64Eocd = readAt(fd, zip64EocdOffset, 56);
+
+    if (zip64Eocd.readUInt32LE(0) !== SIGNATURES.zip64EndOfCentralDirectory) {
+      throw new Error('ZIP64の終端レコードが破損しています');
+    }
+
+    entryCount = readUInt64(zip64Eocd, 32);
+    size = readUInt64(zip64Eocd, 40);
+    offset = readUInt64(zip64Eocd, 48);
+  }
+
+  return { offset, size, entryCount };
+}
+
+/**
+ * ZIP64拡張フィールドからサイズやオフセットを取り出す
+ * @param {Buffer} extra - 拡張フィールド
+ * @param {Object} entry - エントリ情報（0xFFFFFFFFの値が置き換えられる）
+ */
+function applyZip64Extra(extra, entry) {
+  let position = 0;
+  while (position + 4 <= extra.length) {
+    const headerId = extra.readUInt16LE(position);
+    const dataSize = extra.readUInt16LE(position + 2);
+
+    if (headerId === 0x0001) {
+      // 値が0xFFFFFFFFのフィールドだけが、この順番で格納されている
+      let fieldOffset = position + 4;
+      for (const key of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[key] === 0xffffffff && fieldOffset + 8 <= position + 4 + dataSize) {
+          entry[key] = readUInt64(extra, fieldOffset);
+          fieldOffset += 8;
+        }
+      }
+      return;
+    }
+
+    position += 4 + dataSize;
+  }
+}
+
+/**
+ * セントラルディレクトリからエントリ一覧を読み込む
+ * @param {number} fd - ファイルディスクリプタ
+ * @param {{offset: number, size: number, entryCount: number}} directory - セントラルディレクトリ情報
+ * @returns {Map<string, Object>} エントリ名をキーとしたエントリ情報
+ */
+function readCentralDirectory(fd, directory) {
+  const buffer = readAt(fd, directory.offset, directory.size);
+  const entries = new Map();
+  let position = 0;
+
+  for (let i = 0; i < directory.entryCount; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== SIGNATURES.centralDirectory) {
+      throw new Error('ZIPファイルのセントラルディレクトリが破損しています');
+    }
+
+    const flags = buffer.readUInt16LE(position + 8);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const nameStart = position + 46;
+
+    const entry = {
+      name: buffer.toString('utf8', nameStart, nameStart + nameLength),
+      encrypted: (flags & 0x1) !== 0,
+      compressionMethod: buffer.readUInt16LE(position + 10),
+      compressedSize: buffer.readUInt32LE(position + 20),
+      uncompressedSize: buffer.readUInt32LE(position + 24),
+      localHeaderOffset: buffer.readUInt32LE(position + 42)
+    };
+
+    applyZip64Extra(buffer.subarray(nameStart + nameLength, nameStart + nameLength + extraLength), entry);
+
+    // ディレクトリエントリは除外
+    if (!entry.name.endsWith('/')) {
+      entries.set(entry.name, entry);
+    }
+
+    position = nameStart + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * ZIPファイルを開く
+ * @param {string} zipPath - ZIPファイルのパス
+ * @returns {Object} ZIPアーカイブ操作オブジェクト
+ * @throws {Error} ZIPファイルとして読み込めない場合
+ */
+function openZipArchive(zipPath) {
+  const fd = fs.openSync(zipPath, 'r');
+  let entries;
+
+  try {
+    const { size } = fs.fstatSync(fd);
+    entries = readCentralDirectory(fd, readEndOfCentralDirectory(fd, size));
+  } catch (error) {
+    fs.closeSync(fd);
+    throw error;
+  }
+
+  /**
+   * エントリのデータ開始位置を取得する
+   * @param {Object} entry - エントリ情報
+   * @returns {number} 圧縮データの開始位置
+   */
+  function getDataOffset(entry) {
+    const header = readAt(fd, entry.localHeaderOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== SIGNATURES.localFileHeader) {
+      throw new Error(`ZIPエントリのヘッダーが破損しています: ${entry.name}`);
+    }
+    return entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+  }
+
+  /**
+   * 読み込み可能なエントリを取得する
+   * @param {string} name - エントリ名
+   * @returns {Object} エントリ情報
+   */
+  function getReadableEntry(name) {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`ZIP内にファイルが見つかりません: ${name}`);
+    }
+    if (entry.encrypted) {
+      throw new Error(`暗号化されたZIPエントリには対応していません: ${name}`);
+    }
+    if (entry.compressionMethod !== COMPRESSION_METHODS.stored &&
+        entry.compressionMethod !== COMPRESSION_METHODS.deflate) {
+      throw new Error(`未対応の圧縮方式です (${entry.compressionMethod}): ${name}`);
+    }
+    return entry;
+  }
+
+  return {
+    path: zipPath,
+
+    /**
+     * エントリ名の一覧を取得する
+     * @returns {Array<string>} エントリ名の配列
+     */
+    listEntries() {
+      return [...entries.keys()];
+    },
+
+    /**
+     * エントリ情報を取得する
+     * @param {string} name - エントリ名
+     * @returns {Object|null} エントリ情報
+     */
+    getEntry(name) {
+      return entries.get(name) || null;
+    },
+
+    /**
+     * エントリの内容をすべて読み込む
+     * @param {string} name - エントリ名
+     * @returns {Buffer} 展開済みのデータ
+     */
+    readEntry(name) {
+      const entry = getReadableEntry(name);
+      const data = readAt(fd, getDataOffset(entry), entry.compressedSize);
+
+      return entry.compressionMethod === COMPRESSION_METHODS.deflate
+        ? zlib.inflateRawSync(data)
+        : data;
+    },
+
+    /**
+     * エントリを読み込むストリームを作成する
+     * @param {string} name - エントリ名
+     * @returns {import('stream').Readable} 展開済みデータのストリーム
+     */
+    createEntryStream(name) {
+      const entry = getReadableEntry(name);
+      const start = getDataOffset(entry);
+
+      // 空のエントリはcreateReadStreamの範囲指定ができないため個別に扱う
+      if (entry.compressedSize === 0) {
+        return Readable.from([]);
+      }
+
+      const rawStream = fs.createReadStream(zipPath, {
+        start,
+        end: start + entry.compressedSize - 1
+      });
+
+      if (entry.compressionMethod === COMPRESSION_METHODS.stored) {
+        return rawStream;
+      }
+
+      const inflate = zlib.createInflateRaw();
+      rawStream.on('error', error => inflate.destroy(error));
+      return rawStream.pipe(inflate);
+    },
+
+    /**
+     * エントリをファイルとして書き出す
+     * @param {string} name - エントリ名
+     * @param {string} outputPath - 保存先のパス
+     * @returns {Promise<number>} 書き出したバイト数
+     */
+    extractEntry(name, outputPath) {
+      return new Promise((resolve, reject) => {
+        let entryStream;
+        try {
+          entryStream = this.createEntryStream(name);
+        } catch (error) {
+          return reject(error);
+        }
+
+        let writtenBytes = 0;
+        const fileStream = fs.createWriteStream(outputPath);
+
+        const fail = (error) => {
+          fileStream.destroy();
+          // 不完全なファイルを削除
+          fs.unlink(outputPath, () => {});
+          reject(new Error(`ZIPエントリの展開中にエラーが発生しました: ${name} - ${error.message}`));
+        };
+
+        entryStream.on('data', chunk => { writtenBytes += chunk.length; });
+        entryStream.on('error', fail);
+        fileStream.on('error', fail);
+        fileStream.on('finish', () => resolve(writtenBytes));
+        entryStream.pipe(fileStream);
+      });
+    },
+
+    /**
+     * ZIPファイルを閉じる
+     */
+    close() {
+      fs.closeSync(fd);
+    }
+  };
+}
+
+module.exports = {
+  openZipArchive
+};
@@ -0,0 +1,106 @@
+// bandwidth-limiter.js のテスト（時間帯ごとの上限の選択と、受信したデータ量に応じた待機時間）
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../src/config/config');
+const {
+  getBandwidthLimit,
+  reserveBandwidth,
+  stepBandwidthLimit,
+  resetBandwidthLimit
+} = require('../src/utils/bandwidth-limiter');
+
+const originalSettings = {
+  BANDWIDTH_LIMIT: CONFIG.BANDWIDTH_LIMIT,
+  BANDWIDTH_SCHEDULE: CONFIG.BANDWIDTH_SCHEDULE
+};
+
+test.beforeEach(() => {
+  Object.assign(CONFIG, { BANDWIDTH_LIMIT: 2048, BANDWIDTH_SCHEDULE: null });
+  resetBandwidthLimit();
+});
+test.after(() => {
+  Object.assign(CONFIG, originalSettings);
+  resetBandwidthLimit();
+});
+
+/**
+ * 時刻を作成する（ローカル時刻）
+ * @param {number} hours - 時
+ * @param {number} minutes - 分
+ * @returns {Date} 時刻
+ */
+function at(hours, minutes) {
+  return new Date(2024, 0, 15, hours, minutes);
+}
+
+test('時間帯に当てはまらない場合は BANDWIDTH_LIMIT に従う', () => {
+  assert.deepStrictEqual(getBandwidthLimit(at(12, 0)), { limit: 2048, source: 'config', schedule: null });
+
+  CONFIG.BANDWIDTH_LIMIT = null;
+  assert.deepStrictEqual(getBandwidthLimit(at(12, 0)), { limit: null, source: 'config', schedule: null });
+});
+
+test('時間帯の上限を使う（開始時刻を含み、終了時刻を含まない）', () => {
+  CONFIG.BANDWIDTH_SCHEDULE = ['09:00-18:00=1MB', '18:00-23:00=unlimited'];
+
+  assert.deepStrictEqual(getBandwidthLimit(at(9, 0)), { limit: 1024 * 1024, source: 'schedule', schedule: '09:00-18:00' });
+  assert.strictEqual(getBandwidthLimit(at(17, 59)).limit, 1024 * 1024);
+  assert.deepStrictEqual(getBandwidthLimit(at(18, 0)), { limit: null, source: 'schedule', schedule: '18:00-23:00' });
+  assert.strictEqual(getBandwidthLimit(at(8, 59)).source, 'config');
+  assert.strictEqual(getBandwidthLimit(at(23, 0)).source, 'config');
+});
+
+test('日をまたぐ時間帯と、終日の時間帯を判定する', () => {
+  CONFIG.BANDWIDTH_SCHEDULE = ['22:00-06:00=512KB'];
+
+  assert.strictEqual(getBandwidthLimit(at(23, 30)).limit, 512 * 1024);
+  assert.strictEqual(getBandwidthLimit(at(0, 0)).limit, 512 * 1024);
+  assert.strictEqual(getBandwidthLimit(at(5, 59)).limit, 512 * 1024);
+  assert.strictEqual(getBandwidthLimit(at(6, 0)).source, 'config');
+
+  CONFIG.BANDWIDTH_SCHEDULE = ['00:00-00:00=100'];
+  assert.strictEqual(getBandwidthLimit(at(13, 45)).limit, 100);
+});
+
+test('時間帯が重なる場合は先に書いたものを使う', () => {
+  CONFIG.BANDWIDTH_SCHEDULE = ['08:00-20:00=1KB', '12:00-13:00=2KB'];
+
+  assert.deepStrictEqual(getBandwidthLimit(at(12, 30)), { limit: 1024, source: 'schedule', schedule: '08:00-20:00' });
+});
+
+test('インタラクティブモードで指定した上限を時間帯より優先し、取り消すと設定に戻る', () => {
+  CONFIG.BANDWIDTH_SCHEDULE = ['00:00-00:00=300KB'];
+
+  assert.deepStrictEqual(stepBandwidthLimit('down'), { limit: 256 * 1024, source: 'manual', schedule: null });
+  assert.strictEqual(stepBandwidthLimit('down').limit, 128 * 1024);
+  assert.strictEqual(stepBandwidthLimit('down').limit, 128 * 1024);
+  assert.strictEqual(stepBandwidthLimit('up').limit, 256 * 1024);
+
+  assert.deepStrictEqual(resetBandwidthLimit(), { limit: 300 * 1024, source: 'schedule', schedule: '00:00-00:00' });
+});
+
+test('最大の段階より上げると制限なしになる', () => {
+  CONFIG.BANDWIDTH_LIMIT = 50 * 1024 * 1024;
+
+  assert.strictEqual(stepBandwidthLimit('up').limit, null);
+  assert.strictEqual(stepBandwidthLimit('down').limit, 51200 * 1024);
+});
+
+test('上限の速度で受信した場合の時刻まで待機時間を返す（しばらく受信していなかった分は待たずに受け取れる）', () => {
+  CONFIG.BANDWIDTH_LIMIT = 1000;
+
+  // 250ミリ秒分は待たずに受け取れるため、1250バイトでは1秒待つ
+  const first = reserveBandwidth(1250);
+  assert.ok(first >= 990 && first <= 1000, `${first}`);
+
+  // 続けて受信した分は、前の分を受け取り終える時刻の後に加算する
+  const second = reserveBandwidth(500);
+  assert.ok(second >= 1490 && second <= 1500, `${second}`);
+});
+
+test('制限がない場合は待機しない', () => {
+  CONFIG.BANDWIDTH_LIMIT = null;
+
+  assert.strictEqual(reserveBandwidth(10 * 1024 * 1024), 0);
+  assert.strictEqual(reserveBandwidth(10 * 1024 * 1024), 0);
+});
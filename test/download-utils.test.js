@@ -0,0 +1,65 @@
+// download-utils.js のリダイレクト先の確認（REDIRECT_POLICY / REDIRECT_ALLOWED_HOSTS）のテスト
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../src/config/config');
+const { checkRedirectTarget } = require('../src/utils/download-utils');
+
+const originalSettings = {
+  REDIRECT_POLICY: CONFIG.REDIRECT_POLICY,
+  REDIRECT_ALLOWED_HOSTS: CONFIG.REDIRECT_ALLOWED_HOSTS
+};
+test.afterEach(() => Object.assign(CONFIG, originalSettings));
+
+/**
+ * リダイレクトに従えるか判定する
+ * @param {string} from - リダイレクト元のURL
+ * @param {string} to - リダイレクト先のURL
+ * @returns {boolean} 従える場合はtrue（従えない場合は type: 'redirect' のエラーであることも確認する）
+ */
+function canRedirect(from, to) {
+  try {
+    checkRedirectTarget(new URL(from), new URL(to));
+    return true;
+  } catch (error) {
+    assert.strictEqual(error.type, 'redirect');
+    return false;
+  }
+}
+
+test('same-host: 同じホストへのリダイレクトのみ従う', () => {
+  CONFIG.REDIRECT_POLICY = 'same-host';
+
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://pbs.twimg.com/b.jpg'), true);
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://video.twimg.com/b.mp4'), false);
+});
+
+test('allowed-hosts: REDIRECT_ALLOWED_HOSTS のホストとサブドメインに従う', () => {
+  CONFIG.REDIRECT_POLICY = 'allowed-hosts';
+  CONFIG.REDIRECT_ALLOWED_HOSTS = ['twimg.com', 'x.com'];
+
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://video.twimg.com/b.mp4'), true);
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://x.com/b'), true);
+  assert.strictEqual(canRedirect('https://example.com/a', 'https://example.com/b'), true);
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://eviltwimg.com/b.jpg'), false);
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://twimg.com.example.com/b.jpg'), false);
+
+  CONFIG.REDIRECT_ALLOWED_HOSTS = null;
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://video.twimg.com/b.mp4'), false);
+});
+
+test('any: すべてのホストへのリダイレクトに従う', () => {
+  CONFIG.REDIRECT_POLICY = 'any';
+
+  assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'https://cdn.example.com/b.jpg'), true);
+  assert.strictEqual(canRedirect('http://pbs.twimg.com/a.jpg', 'https://cdn.example.com/b.jpg'), true);
+});
+
+test('設定によらず、HTTPSからHTTPへのリダイレクトとHTTP以外のURLには従わない', () => {
+  for (const policy of ['any', 'allowed-hosts', 'same-host']) {
+    CONFIG.REDIRECT_POLICY = policy;
+
+    assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'http://pbs.twimg.com/a.jpg'), false, policy);
+    assert.strictEqual(canRedirect('https://pbs.twimg.com/a.jpg', 'file:///etc/passwd'), false, policy);
+    assert.strictEqual(canRedirect('http://pbs.twimg.com/a.jpg', 'ftp://pbs.twimg.com/a.jpg'), false, policy);
+  }
+});
@@ -0,0 +1,135 @@
+// hls-downloader.js のテスト（プレイリストの解析とセグメントの暗号化の解除）
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const {
+  isHlsUrl,
+  parseMasterPlaylist,
+  selectBestVariant,
+  parseMediaPlaylist,
+  decryptSegment
+} = require('../src/utils/hls-downloader');
+
+const BASE_URL = 'https://video.twimg.com/ext_tw_video/1/pu/pl/master.m3u8?tag=12';
+
+test('HLSのプレイリストのURLを判定する', () => {
+  assert.strictEqual(isHlsUrl(BASE_URL), true);
+  assert.strictEqual(isHlsUrl('https://video.twimg.com/a/b.M3U8'), true);
+  assert.strictEqual(isHlsUrl('https://video.twimg.com/a/b.mp4?name=x.m3u8.mp4'), false);
+});
+
+test('マスタープレイリストのレンディションと音声のグループを解析する', () => {
+  const variants = parseMasterPlaylist([
+    '\uFEFF#EXTM3U',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio-64",NAME="Audio",AUTOSELECT=YES,URI="/aud/64/a.m3u8"',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio-128",NAME="English",URI="aud/128/en.m3u8"',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio-128",NAME="Default",DEFAULT=YES,URI="aud/128/default.m3u8"',
+    '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="muxed",NAME="Muxed",DEFAULT=YES',
+    '#EXT-X-STREAM-INF:BANDWIDTH=256000,RESOLUTION=480x270,CODECS="mp4a.40.2,avc1.4d001e",AUDIO="audio-64"',
+    '/ext_tw_video/1/pu/pl/480x270/a.m3u8',
+    '',
+    '#EXT-X-STREAM-INF:BANDWIDTH=2176000,RESOLUTION=1280x720,AUDIO="audio-128"',
+    '1280x720/b.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=832000,RESOLUTION=640x360,AUDIO="muxed"',
+    'https://cdn.example.com/c.m3u8',
+    '#EXT-X-STREAM-INF:BANDWIDTH=128000',
+    'd.m3u8'
+  ].join('\r\n'), BASE_URL);
+
+  assert.deepStrictEqual(variants, [
+    {
+      bandwidth: 256000,
+      pixels: 480 * 270,
+      url: 'https://video.twimg.com/ext_tw_video/1/pu/pl/480x270/a.m3u8',
+      audioUrl: 'https://video.twimg.com/aud/64/a.m3u8'
+    },
+    {
+      bandwidth: 2176000,
+      pixels: 1280 * 720,
+      url: 'https://video.twimg.com/ext_tw_video/1/pu/pl/1280x720/b.m3u8',
+      audioUrl: 'https://video.twimg.com/ext_tw_video/1/pu/pl/aud/128/default.m3u8'
+    },
+    { bandwidth: 832000, pixels: 640 * 360, url: 'https://cdn.example.com/c.m3u8', audioUrl: null },
+    { bandwidth: 128000, pixels: 0, url: 'https://video.twimg.com/ext_tw_video/1/pu/pl/d.m3u8', audioUrl: null }
+  ]);
+});
+
+test('最も帯域幅の大きいレンディションを選ぶ（同じ場合は解像度の大きいもの）', () => {
+  assert.strictEqual(selectBestVariant([
+    { url: 'a', bandwidth: 1000, pixels: 100 },
+    { url: 'b', bandwidth: 2000, pixels: 100 },
+    { url: 'c', bandwidth: 2000, pixels: 400 },
+    { url: 'd', bandwidth: 1500, pixels: 900 }
+  ]).url, 'c');
+  assert.throws(() => selectBestVariant([]), error => error.type === 'unsupported_hls');
+});
+
+test('メディアプレイリストのセグメント・初期化セグメント・鍵を解析する', () => {
+  const playlist = parseMediaPlaylist([
+    '#EXTM3U',
+    '#EXT-X-VERSION:6',
+    '#EXT-X-MEDIA-SEQUENCE:5',
+    '#EXT-X-MAP:URI="init.mp4"',
+    '#EXTINF:3.0,',
+    'seg-0.m4s',
+    '#EXT-X-KEY:METHOD=AES-128,URI="https://keys.example.com/k1",IV=0x0102',
+    '#EXTINF:3.0,',
+    '/seg-1.m4s',
+    '#EXT-X-KEY:METHOD=NONE',
+    '#EXTINF:1.5,',
+    'seg-2.m4s',
+    '#EXT-X-ENDLIST'
+  ].join('\n'), 'https://video.twimg.com/v/720/b.m3u8');
+
+  const iv = Buffer.alloc(16);
+  iv.writeUInt16BE(0x0102, 14);
+  assert.deepStrictEqual(playlist, {
+    initUrl: 'https://video.twimg.com/v/720/init.mp4',
+    segments: [
+      { url: 'https://video.twimg.com/v/720/seg-0.m4s', sequence: 5, key: null },
+      { url: 'https://video.twimg.com/seg-1.m4s', sequence: 6, key: { url: 'https://keys.example.com/k1', iv } },
+      { url: 'https://video.twimg.com/v/720/seg-2.m4s', sequence: 7, key: null }
+    ]
+  });
+});
+
+test('対応していないプレイリストはエラーにする', () => {
+  const parse = (...lines) => parseMediaPlaylist(['#EXTM3U', ...lines].join('\n'), BASE_URL);
+
+  assert.throws(() => parseMediaPlaylist('<html></html>', BASE_URL), /HLSのプレイリストではありません/);
+  assert.throws(() => parse('#EXTINF:3.0,', 'a.ts'), /ライブ配信中のHLS/);
+  assert.throws(() => parse('#EXT-X-ENDLIST'), /セグメントがありません/);
+  assert.throws(() => parse('#EXT-X-BYTERANGE:100@0', '#EXTINF:3.0,', 'a.ts', '#EXT-X-ENDLIST'),
+    error => error.type === 'unsupported_hls');
+  assert.throws(() => parse('#EXT-X-KEY:METHOD=SAMPLE-AES,URI="k"', '#EXTINF:3.0,', 'a.ts', '#EXT-X-ENDLIST'),
+    error => error.type === 'unsupported_encryption' && /SAMPLE-AES/.test(error.message));
+  assert.throws(() => parse('#EXT-X-KEY:METHOD=AES-128,URI="k",KEYFORMAT="com.apple.streamingkeydelivery"', '#EXTINF:3.0,', 'a.ts', '#EXT-X-ENDLIST'),
+    error => error.type === 'unsupported_encryption');
+  assert.throws(() => parse('#EXT-X-KEY:METHOD=AES-128', '#EXTINF:3.0,', 'a.ts', '#EXT-X-ENDLIST'),
+    /鍵のURLがありません/);
+  assert.throws(() => parse('#EXT-X-KEY:METHOD=AES-128,URI="k",IV=0xZZ', '#EXTINF:3.0,', 'a.ts', '#EXT-X-ENDLIST'),
+    /初期化ベクトルが正しくありません/);
+  assert.throws(() => parse('#EXT-X-KEY:METHOD=AES-128,URI="k"', '#EXT-X-MAP:URI="init.mp4"', '#EXTINF:3.0,', 'a.ts', '#EXT-X-ENDLIST'),
+    error => error.type === 'unsupported_encryption');
+});
+
+test('指定した初期化ベクトルでセグメントの暗号化を解除する', () => {
+  const key = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(16);
+  const data = crypto.randomBytes(1000);
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  assert.deepStrictEqual(decryptSegment(encrypted, key, iv, 99), data);
+});
+
+test('初期化ベクトルの指定がない場合はメディアシーケンス番号を使う', () => {
+  const key = crypto.randomBytes(16);
+  const data = Buffer.from('セグメントの内容');
+  const iv = Buffer.alloc(16);
+  iv.writeUInt32BE(300, 12);
+  const cipher = crypto.createCipheriv('aes-128-cbc', key, iv);
+  const encrypted = Buffer.concat([cipher.update(data), cipher.final()]);
+
+  assert.deepStrictEqual(decryptSegment(encrypted, key, null, 300), data);
+});
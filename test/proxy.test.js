@@ -0,0 +1,68 @@
+// proxy.js のプロキシの選択（HTTP_PROXY / HTTPS_PROXY / SOCKS_PROXY と NO_PROXY の判定）のテスト
+const test = require('node:test');
+const assert = require('node:assert');
+const { CONFIG } = require('../src/config/config');
+const { getProxyUrl } = require('../src/utils/proxy');
+
+const originalSettings = {
+  HTTP_PROXY: CONFIG.HTTP_PROXY,
+  HTTPS_PROXY: CONFIG.HTTPS_PROXY,
+  SOCKS_PROXY: CONFIG.SOCKS_PROXY,
+  NO_PROXY: CONFIG.NO_PROXY
+};
+
+test.beforeEach(() => {
+  Object.assign(CONFIG, {
+    HTTP_PROXY: 'http://http-proxy.example.com:8080',
+    HTTPS_PROXY: 'https-proxy.example.com:3128',
+    SOCKS_PROXY: null,
+    NO_PROXY: null
+  });
+});
+test.after(() => Object.assign(CONFIG, originalSettings));
+
+test('URLのスキームでプロキシを選ぶ（スキームがないプロキシはHTTPとして扱う）', () => {
+  assert.strictEqual(getProxyUrl('http://pbs.twimg.com/a.jpg'), 'http://http-proxy.example.com:8080');
+  assert.strictEqual(getProxyUrl('https://pbs.twimg.com/a.jpg'), 'http://https-proxy.example.com:3128');
+
+  CONFIG.HTTPS_PROXY = null;
+  assert.strictEqual(getProxyUrl('https://pbs.twimg.com/a.jpg'), null);
+});
+
+test('SOCKS_PROXY はすべてのリクエストに使う', () => {
+  CONFIG.SOCKS_PROXY = 'socks5h://127.0.0.1:1080';
+
+  assert.strictEqual(getProxyUrl('http://pbs.twimg.com/a.jpg'), 'socks5h://127.0.0.1:1080');
+  assert.strictEqual(getProxyUrl('https://pbs.twimg.com/a.jpg'), 'socks5h://127.0.0.1:1080');
+});
+
+test('NO_PROXY のホストとサブドメインにはプロキシを使わない', () => {
+  CONFIG.NO_PROXY = ['localhost', '.example.com', '*.internal', 'TWIMG.com'];
+
+  assert.strictEqual(getProxyUrl('http://localhost:3000/a'), null);
+  assert.strictEqual(getProxyUrl('https://example.com/a'), null);
+  assert.strictEqual(getProxyUrl('https://cdn.example.com/a'), null);
+  assert.strictEqual(getProxyUrl('https://host.internal/a'), null);
+  assert.strictEqual(getProxyUrl('https://pbs.twimg.com/a.jpg'), null);
+  assert.strictEqual(getProxyUrl('https://notexample.com/a'), 'http://https-proxy.example.com:3128');
+  assert.strictEqual(getProxyUrl('https://localhost.example.org/a'), 'http://https-proxy.example.com:3128');
+});
+
+test('NO_PROXY のポートの指定はポートも比較する（省略時はスキームの標準のポート）', () => {
+  CONFIG.NO_PROXY = ['example.com:8443', 'api.example.org:443', '[::1]:8080'];
+
+  assert.strictEqual(getProxyUrl('https://example.com:8443/a'), null);
+  assert.strictEqual(getProxyUrl('https://example.com/a'), 'http://https-proxy.example.com:3128');
+  assert.strictEqual(getProxyUrl('https://api.example.org/a'), null);
+  assert.strictEqual(getProxyUrl('http://api.example.org/a'), 'http://http-proxy.example.com:8080');
+  assert.strictEqual(getProxyUrl('http://[::1]:8080/a'), null);
+  assert.strictEqual(getProxyUrl('http://[::1]:8081/a'), 'http://http-proxy.example.com:8080');
+});
+
+test('NO_PROXY が * の場合は SOCKS_PROXY も含めてプロキシを使わない', () => {
+  CONFIG.SOCKS_PROXY = 'socks5://127.0.0.1:1080';
+  CONFIG.NO_PROXY = ['*'];
+
+  assert.strictEqual(getProxyUrl('https://pbs.twimg.com/a.jpg'), null);
+  assert.strictEqual(getProxyUrl('http://127.0.0.1/a'), null);
+});
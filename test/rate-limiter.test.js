@@ -0,0 +1,142 @@
+// rate-limiter.js のテスト（トークンバケットの待機、レート制限での停止と間隔の調整、待機時間のヘッダー）
+const test = require('node:test');
+const assert = require('node:assert');
+const { getRetryDelay, createRateLimiter } = require('../src/utils/rate-limiter');
+
+/**
+ * 処理にかかった時間を計る
+ * @param {function(): Promise<*>} fn - 処理
+ * @returns {Promise<number>} 経過時間(ミリ秒)
+ */
+async function measure(fn) {
+  const start = Date.now();
+  await fn();
+  return Date.now() - start;
+}
+
+test('容量の分だけ待たずに呼び出せ、その後は間隔ごとに1回呼び出せる', async () => {
+  const limiter = createRateLimiter({ interval: 100, capacity: 3, cooldown: 1000 });
+
+  const burst = await measure(async () => {
+    await limiter.acquire();
+    await limiter.acquire();
+    await limiter.acquire();
+  });
+  assert.ok(burst < 80, `${burst}ms`);
+  assert.ok(limiter.getStatus().tokens < 1);
+
+  const next = await measure(() => limiter.acquire());
+  assert.ok(next >= 80 && next < 1000, `${next}ms`);
+});
+
+test('待機中の呼び出しは到着順にトークンを受け取る', async () => {
+  const limiter = createRateLimiter({ interval: 20, capacity: 1, cooldown: 1000 });
+  const order = [];
+
+  await Promise.all([1, 2, 3, 4].map(n => limiter.acquire().then(() => order.push(n))));
+
+  assert.deepStrictEqual(order, [1, 2, 3, 4]);
+});
+
+test('間隔が0の場合は待たない', async () => {
+  const limiter = createRateLimiter({ interval: 0, capacity: 1, cooldown: 1000 });
+
+  const elapsed = await measure(async () => {
+    for (let i = 0; i < 20; i++) {
+      await limiter.acquire();
+    }
+  });
+  assert.ok(elapsed < 100, `${elapsed}ms`);
+});
+
+test('レート制限を受けると待機時間が過ぎるまで停止し、間隔を広げる', () => {
+  const messages = [];
+  const limiter = createRateLimiter({ interval: 0, capacity: 5, cooldown: 5000, onThrottle: message => messages.push(message) });
+
+  limiter.reportRateLimit(3000);
+  const status = limiter.getStatus();
+  assert.strictEqual(status.blocked, true);
+  assert.strictEqual(status.interval, 1000);
+  assert.ok(status.waitMs > 2900 && status.waitMs <= 3000, `${status.waitMs}ms`);
+  assert.deepStrictEqual(messages, ['3秒待機し、API呼び出しの間隔を 1.0秒 に広げます']);
+});
+
+test('レート制限の後はトークンを使い切った状態から広げた間隔で補充する', async () => {
+  const limiter = createRateLimiter({ interval: 0, capacity: 5, cooldown: 5000 });
+
+  limiter.reportRateLimit(100);
+  const elapsed = await measure(() => limiter.acquire());
+  assert.ok(elapsed >= 950 && elapsed < 3000, `${elapsed}ms`);
+});
+
+test('待機時間が分からないレート制限は cooldown だけ停止する', () => {
+  const limiter = createRateLimiter({ interval: 100, capacity: 1, cooldown: 3000 });
+
+  limiter.reportRateLimit();
+  const { waitMs, blocked } = limiter.getStatus();
+  assert.strictEqual(blocked, true);
+  assert.ok(waitMs > 2900 && waitMs <= 3000, `${waitMs}ms`);
+});
+
+test('レート制限のたびに間隔を上限まで倍にする', () => {
+  const limiter = createRateLimiter({ interval: 20000, capacity: 1, cooldown: 0 });
+
+  limiter.reportRateLimit();
+  assert.strictEqual(limiter.getStatus().interval, 40000);
+  limiter.reportRateLimit();
+  assert.strictEqual(limiter.getStatus().interval, 60000);
+});
+
+test('成功が続くと間隔を基本間隔まで少しずつ戻す', () => {
+  const limiter = createRateLimiter({ interval: 1000, capacity: 1, cooldown: 0 });
+
+  limiter.reportRateLimit(0);
+  assert.strictEqual(limiter.getStatus().interval, 2000);
+
+  limiter.reportSuccess();
+  assert.strictEqual(limiter.getStatus().interval, 1800);
+
+  for (let i = 0; i < 20; i++) {
+    limiter.reportSuccess();
+  }
+  assert.strictEqual(limiter.getStatus().interval, 1000);
+});
+
+test('レート制限以外のエラーが3回続くとレート制限として扱う', () => {
+  const limiter = createRateLimiter({ interval: 1000, capacity: 1, cooldown: 0 });
+
+  limiter.reportError();
+  limiter.reportError();
+  limiter.reportSuccess();
+  limiter.reportError();
+  limiter.reportError();
+  assert.strictEqual(limiter.getStatus().interval, 1000);
+
+  limiter.reportError();
+  assert.strictEqual(limiter.getStatus().interval, 2000);
+});
+
+test('速度の倍率を間隔に反映する', () => {
+  const limiter = createRateLimiter({ interval: 1000, capacity: 1, cooldown: 0 });
+
+  limiter.setSpeedFactor(2.0);
+  assert.strictEqual(limiter.getStatus().interval, 500);
+  limiter.setSpeedFactor(0.5);
+  assert.strictEqual(limiter.getStatus().interval, 2000);
+});
+
+test('Retry-After と x-rate-limit-reset のヘッダーから待機時間を取得する', () => {
+  assert.strictEqual(getRetryDelay({ headers: { 'retry-after': '30' } }), 30000);
+  assert.strictEqual(getRetryDelay({ response: { headers: { 'retry-after': '0' } } }), 0);
+
+  const retryAt = getRetryDelay({ headers: { 'retry-after': new Date(Date.now() + 60000).toUTCString() } });
+  assert.ok(retryAt > 58000 && retryAt <= 60000, `${retryAt}ms`);
+  assert.strictEqual(getRetryDelay({ headers: { 'retry-after': new Date(Date.now() - 60000).toUTCString() } }), 0);
+
+  const reset = getRetryDelay({ headers: { 'x-rate-limit-reset': String(Math.floor(Date.now() / 1000) + 120) } });
+  assert.ok(reset > 118000 && reset <= 120000, `${reset}ms`);
+
+  assert.strictEqual(getRetryDelay({ headers: {} }), null);
+  assert.strictEqual(getRetryDelay({ headers: { 'retry-after': 'invalid' } }), null);
+  assert.strictEqual(getRetryDelay(new Error('network')), null);
+});
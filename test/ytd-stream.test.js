@@ -0,0 +1,83 @@
+// ytd-stream.js のテスト（チャンクの区切り方によらず同じ要素を取り出せるか）
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { parseYtdStream } = require('../src/utils/ytd-stream');
+
+/**
+ * チャンクに分けたデータのストリームを作成する
+ * @param {Array<Buffer|string>} chunks - チャンク
+ * @returns {PassThrough} ストリーム
+ */
+function createStream(chunks) {
+  const stream = new PassThrough();
+  chunks.forEach(chunk => stream.write(Buffer.from(chunk)));
+  stream.end();
+  return stream;
+}
+
+/**
+ * ストリームから取り出した要素をすべて集める
+ * @param {Array<Buffer|string>} chunks - チャンク
+ * @returns {Promise<Array<*>>} 要素
+ */
+async function parseChunks(chunks) {
+  const items = [];
+  for await (const item of parseYtdStream(createStream(chunks))) {
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * データを指定したバイト数ごとのチャンクに分ける
+ * @param {string} text - データ
+ * @param {number} size - チャンクのバイト数
+ * @returns {Array<Buffer>} チャンク
+ */
+function splitBytes(text, size) {
+  const buffer = Buffer.from(text, 'utf8');
+  const chunks = [];
+  for (let i = 0; i < buffer.length; i += size) {
+    chunks.push(buffer.subarray(i, i + size));
+  }
+  return chunks;
+}
+
+const ITEMS = [
+  { like: { tweetId: '1', fullText: 'カンマ, 括弧 [ ] { } と "引用符" を含む本文', expandedUrl: 'https://twitter.com/i/web/status/1' } },
+  { like: { tweetId: '2', fullText: 'エスケープ \\" と \\\\ の後の "', nested: [[1, 2], { a: [] }] } },
+  { like: { tweetId: '3' } }
+];
+const DATA = `window.YTD.like.part0 = ${JSON.stringify(ITEMS, null, 2)};\n`;
+
+test('配列の要素を順番に取り出す', async () => {
+  assert.deepStrictEqual(await parseChunks([DATA]), ITEMS);
+});
+
+test('要素や文字・エスケープの途中でチャンクが分かれても同じ要素を取り出す', async () => {
+  for (const size of [1, 2, 3, 7, 64]) {
+    assert.deepStrictEqual(await parseChunks(splitBytes(DATA, size)), ITEMS, `${size}バイトごと`);
+  }
+});
+
+test('空の配列と数値・文字列の要素を読み込む', async () => {
+  assert.deepStrictEqual(await parseChunks(['window.YTD.like.part0 = []']), []);
+  assert.deepStrictEqual(await parseChunks(['window.YTD.tweets.part2 = [1, "a,b", null ]']), [1, 'a,b', null]);
+});
+
+test('window.YTD 形式ではない場合はエラーにする', async () => {
+  await assert.rejects(parseChunks(['[{"like": {}}]']), /window\.YTD 形式のデータが見つかりません/);
+  await assert.rejects(parseChunks(['window.YTD.like.part0 = ']), /window\.YTD 形式のデータが見つかりません/);
+  await assert.rejects(parseChunks(['x'.repeat(2000)]), /window\.YTD 形式のデータが見つかりません/);
+});
+
+test('配列ではない・途中で終わる・配列の後に不正なデータがある場合はエラーにする', async () => {
+  await assert.rejects(parseChunks(['window.YTD.like.part0 = {"like": {}}']), /データが配列ではありません/);
+  await assert.rejects(parseChunks(['window.YTD.like.part0 = [{"like": {"tweetId": "1"}}']), /データが途中で終わっています/);
+  await assert.rejects(parseChunks(['window.YTD.like.part0 = [1]; [2]']), /配列の後に不正なデータがあります/);
+});
+
+test('要素をパースできない場合はエラーにする', async () => {
+  await assert.rejects(parseChunks(['window.YTD.like.part0 = [{like: 1}]']), SyntaxError);
+});
@@ -0,0 +1,206 @@
+// zip-reader.js のテスト（通常のZIPとZIP64形式のZIPを作成して読み込む）
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { openZipArchive } = require('../src/utils/zip-reader');
+
+/**
+ * テスト用のZIPファイルの内容を作成する（CRC-32は読み込みで使わないため0にする）
+ * @param {Array<{name: string, data: Buffer|string, deflate?: boolean, encrypted?: boolean}>} entries - エントリ
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.zip64] - サイズ・オフセット・エントリ数をZIP64の拡張フィールドと終端レコードに記録する
+ * @param {string} [options.comment] - アーカイブのコメント
+ * @returns {Buffer} ZIPファイルの内容
+ */
+function createZip(entries, { zip64 = false, comment = '' } = {}) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name, 'utf8');
+    const data = Buffer.from(entry.data);
+    const compressed = entry.deflate ? zlib.deflateRawSync(data) : data;
+    const method = entry.deflate ? 8 : 0;
+    const flags = entry.encrypted ? 0x1 : 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    localParts.push(local, name, compressed);
+
+    let extra = Buffer.alloc(0);
+    if (zip64) {
+      extra = Buffer.alloc(28);
+      extra.writeUInt16LE(0x0001, 0);
+      extra.writeUInt16LE(24, 2);
+      extra.writeBigUInt64LE(BigInt(data.length), 4);
+      extra.writeBigUInt64LE(BigInt(compressed.length), 12);
+      extra.writeBigUInt64LE(BigInt(offset), 20);
+    }
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(zip64 ? 45 : 20, 4);
+    central.writeUInt16LE(zip64 ? 45 : 20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(zip64 ? 0xffffffff : compressed.length, 20);
+    central.writeUInt32LE(zip64 ? 0xffffffff : data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt16LE(extra.length, 30);
+    central.writeUInt32LE(zip64 ? 0xffffffff : offset, 42);
+    centralParts.push(central, name, extra);
+
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const trailer = [];
+
+  if (zip64) {
+    const zip64Eocd = Buffer.alloc(56);
+    zip64Eocd.writeUInt32LE(0x06064b50, 0);
+    zip64Eocd.writeBigUInt64LE(44n, 4);
+    zip64Eocd.writeUInt16LE(45, 12);
+    zip64Eocd.writeUInt16LE(45, 14);
+    zip64Eocd.writeBigUInt64LE(BigInt(entries.length), 24);
+    zip64Eocd.writeBigUInt64LE(BigInt(entries.length), 32);
+    zip64Eocd.writeBigUInt64LE(BigInt(centralDirectory.length), 40);
+    zip64Eocd.writeBigUInt64LE(BigInt(offset), 48);
+
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(0x07064b50, 0);
+    locator.writeBigUInt64LE(BigInt(offset + centralDirectory.length), 8);
+    locator.writeUInt32LE(1, 16);
+    trailer.push(zip64Eocd, locator);
+  }
+
+  const commentBuffer = Buffer.from(comment, 'utf8');
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(zip64 ? 0xffff : entries.length, 8);
+  eocd.writeUInt16LE(zip64 ? 0xffff : entries.length, 10);
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : centralDirectory.length, 12);
+  eocd.writeUInt32LE(zip64 ? 0xffffffff : offset, 16);
+  eocd.writeUInt16LE(commentBuffer.length, 20);
+  trailer.push(eocd, commentBuffer);
+
+  return Buffer.concat([...localParts, centralDirectory, ...trailer]);
+}
+
+/**
+ * ストリームの内容をすべて読み込む
+ * @param {import('stream').Readable} stream - ストリーム
+ * @returns {Promise<Buffer>} 読み込んだ内容
+ */
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-reader-test-'));
+test.after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+/**
+ * ZIPファイルを一時フォルダに書き込んで開く
+ * @param {string} fileName - ファイル名
+ * @param {Buffer} content - ZIPファイルの内容
+ * @returns {Object} openZipArchive の戻り値
+ */
+function openTestZip(fileName, content) {
+  const zipPath = path.join(tempDir, fileName);
+  fs.writeFileSync(zipPath, content);
+  return openZipArchive(zipPath);
+}
+
+const ENTRIES = [
+  { name: 'data/', data: '' },
+  { name: 'data/like.js', data: 'window.YTD.like.part0 = []', deflate: true },
+  { name: 'data/tweets_media/1-a.jpg', data: Buffer.from([0xff, 0xd8, 0xff, 0xd9]) },
+  { name: 'data/empty.txt', data: '' },
+  { name: 'data/いいね.txt', data: 'テキスト'.repeat(100), deflate: true }
+];
+
+for (const zip64 of [false, true]) {
+  const label = zip64 ? 'ZIP64' : 'ZIP';
+
+  test(`${label}: エントリの一覧を読み込む（ディレクトリは除く）`, (t) => {
+    const archive = openTestZip(`list-${label}.zip`, createZip(ENTRIES, { zip64 }));
+    t.after(() => archive.close());
+
+    assert.deepStrictEqual(archive.listEntries(), [
+      'data/like.js',
+      'data/tweets_media/1-a.jpg',
+      'data/empty.txt',
+      'data/いいね.txt'
+    ]);
+    assert.strictEqual(archive.getEntry('data/いいね.txt').uncompressedSize, Buffer.byteLength('テキスト'.repeat(100)));
+    assert.strictEqual(archive.getEntry('data/missing.txt'), null);
+  });
+
+  test(`${label}: 無圧縮とdeflateのエントリを読み込む`, (t) => {
+    const archive = openTestZip(`read-${label}.zip`, createZip(ENTRIES, { zip64 }));
+    t.after(() => archive.close());
+
+    assert.strictEqual(archive.readEntry('data/like.js').toString('utf8'), 'window.YTD.like.part0 = []');
+    assert.deepStrictEqual(archive.readEntry('data/tweets_media/1-a.jpg'), Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+    assert.strictEqual(archive.readEntry('data/いいね.txt').toString('utf8'), 'テキスト'.repeat(100));
+  });
+
+  test(`${label}: エントリをストリームで読み込む（空のエントリを含む）`, async (t) => {
+    const archive = openTestZip(`stream-${label}.zip`, createZip(ENTRIES, { zip64 }));
+    t.after(() => archive.close());
+
+    assert.strictEqual((await readStream(archive.createEntryStream('data/いいね.txt'))).toString('utf8'), 'テキスト'.repeat(100));
+    assert.deepStrictEqual(await readStream(archive.createEntryStream('data/tweets_media/1-a.jpg')), Buffer.from([0xff, 0xd8, 0xff, 0xd9]));
+    assert.strictEqual((await readStream(archive.createEntryStream('data/empty.txt'))).length, 0);
+  });
+}
+
+test('コメントのあるZIPの終端レコードを見つける', (t) => {
+  const archive = openTestZip('comment.zip', createZip(ENTRIES, { comment: 'アーカイブのコメント' }));
+  t.after(() => archive.close());
+
+  assert.strictEqual(archive.readEntry('data/like.js').toString('utf8'), 'window.YTD.like.part0 = []');
+});
+
+test('エントリをファイルとして書き出す', async (t) => {
+  const archive = openTestZip('extract.zip', createZip(ENTRIES));
+  t.after(() => archive.close());
+
+  const outputPath = path.join(tempDir, 'extracted.txt');
+  const writtenBytes = await archive.extractEntry('data/いいね.txt', outputPath);
+
+  assert.strictEqual(writtenBytes, Buffer.byteLength('テキスト'.repeat(100)));
+  assert.strictEqual(fs.readFileSync(outputPath, 'utf8'), 'テキスト'.repeat(100));
+});
+
+test('ZIPファイルではない場合はエラーにする', () => {
+  const zipPath = path.join(tempDir, 'not-zip.zip');
+  fs.writeFileSync(zipPath, 'ZIPファイルではありません');
+
+  assert.throws(() => openZipArchive(zipPath), /ZIPファイルの終端レコードが見つかりません/);
+});
+
+test('ない・暗号化されたエントリを読み込む場合はエラーにする', (t) => {
+  const archive = openTestZip('errors.zip', createZip([
+    { name: 'secret.txt', data: 'secret', encrypted: true }
+  ]));
+  t.after(() => archive.close());
+
+  assert.throws(() => archive.readEntry('missing.txt'), /ZIP内にファイルが見つかりません/);
+  assert.throws(() => archive.readEntry('secret.txt'), /暗号化されたZIPエントリには対応していません/);
+  assert.throws(() => archive.createEntryStream('secret.txt'), /暗号化されたZIPエントリには対応していません/);
+});